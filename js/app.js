@@ -3,66 +3,115 @@
  * Emoji Mood Journal
  */
 
-import { saveMood, getMood, downloadCSV, getAllMoods } from './storage.js';
-import { initCalendar, renderCalendar, getCurrentMonth } from './calendar.js';
-import { renderStats } from './stats.js';
+import {
+    initStorage,
+    saveMood,
+    deleteEntry,
+    getEntriesForDate,
+    downloadCSV,
+    getAllMoods,
+    isUnlocked,
+    unlockStorage,
+    eraseJournal,
+    announceExternalChange
+} from './storage.js';
+import { initCalendar, renderCalendar, getCurrentMonth, goToMonth } from './calendar.js';
+import { renderStats, summarizeDay, initTrendChart } from './stats.js';
 import { loadDemoData, isDemoMode, setDemoMode } from './demo.js';
+import { downloadBackup, parseBackup, planRestore, restoreBackup, isEncryptedBackup, decryptBackup } from './backup.js';
+import { getVisibleMoods, toRgba, MAX_INTENSITY } from './moods.js';
+import { describeFactors } from './factors.js';
+import { applyTemplate } from './prompts.js';
+import { renderMarkdown } from './markdown.js';
+import { escapeHTML } from './utils.js';
+import { todayISO, formatLongDate, getDateParts } from './dates.js';
+import { isPinEnabled, verifyPin, removePin, startAutoLock, markActivity } from './lock.js';
+import { initSearch, renderSearchPanel } from './search.js';
+import { renderReportBuilder } from './report.js';
+import { migrateInsightState } from './insights.js';
+import { initReminders, refreshReminders, getReminderSettings } from './reminders.js';
+import { initHistory, onHistoryChanged, undo, redo, ACTION_LABELS } from './history.js';
 import {
     initTheme,
+    applySavedTheme,
     toggleTheme,
     renderTagsSection,
+    renderTagChip,
+    renderTagManager,
+    takeDraftTags,
+    clearDraftTags,
+    renderMoodDetailsSection,
+    getMoodDetails,
+    renderPromptsSection,
+    renderTemplateManager,
+    getPromptAnswers,
+    renderFactorsSection,
+    renderFactorManager,
+    getFactorValues,
     renderInsights,
+    renderTagCorrelations,
+    renderInsightSettings,
     renderPatterns,
     renderYearReview,
+    renderMoodManager,
+    renderLockSettings,
+    renderAppLockSettings,
     enableReminder,
     disableReminder,
     isReminderEnabled,
-    getAllEmojis,
-    addCustomEmoji,
-    removeCustomEmoji,
+    renderReminderSettings,
     handleFileImport,
-    registerServiceWorker
+    commitCSVImport,
+    registerServiceWorker,
+    applyServiceWorkerUpdate
 } from './features.js';
 
-// Available moods - now dynamic
-const DEFAULT_MOODS = [
-    { emoji: '😊', name: 'happy', label: 'Happy' },
-    { emoji: '😢', name: 'sad', label: 'Sad' },
-    { emoji: '😠', name: 'angry', label: 'Angry' },
-    { emoji: '😴', name: 'tired', label: 'Tired' },
-    { emoji: '😍', name: 'love', label: 'Loving' },
-    { emoji: '😰', name: 'anxious', label: 'Anxious' },
-    { emoji: '😐', name: 'neutral', label: 'Neutral' }
-];
-
-// Emoji to mood name mapping
-const emojiToMood = {
-    '😊': 'happy',
-    '😢': 'sad',
-    '😠': 'angry',
-    '😴': 'tired',
-    '😍': 'love',
-    '😰': 'anxious',
-    '😐': 'neutral'
-};
-
 // App state
 let selectedEmoji = null;
 let selectedDate = null;
+let selectedEntryId = null;
+let appLocked = false;
+// Day shown in the check-in modal while it is open
+let modalDate = null;
+let toastTimer = null;
+
+// Saves run one at a time so a debounced note save can't race the
+// first emoji save and create a duplicate check-in
+let saveQueue = Promise.resolve();
+// Notes and prompt answers save once typing pauses
+const saveSoon = debounce(() => handleSave(), 500);
 
 /**
  * Initialize the application
  */
-function init() {
-    // Register service worker for PWA
-    registerServiceWorker();
+async function init() {
+    // Register service worker for PWA; a new version waits for the reload prompt
+    registerServiceWorker(showUpdatePrompt);
 
     // Initialize theme
     initTheme();
 
+    // Open the mood database (migrates legacy localStorage data on first run)
+    await initStorage();
+    migrateInsightState();
+
+    // An encrypted journal stays hidden until the passphrase is entered;
+    // otherwise the PIN, if set, guards the app
+    if (!isUnlocked()) {
+        await showUnlockScreen();
+    } else if (isPinEnabled()) {
+        await showPinScreen();
+    }
+
+    // Record saves, deletes, tag changes and imports for undo
+    initHistory();
+    onHistoryChanged(updateHistoryButtons);
+
+    // Index notes for search in the background
+    initSearch().catch(err => console.error('Search index failed:', err));
+
     // Set today's date
-    const today = new Date();
-    selectedDate = today.toISOString().split('T')[0];
+    selectedDate = todayISO();
 
     // Update header date
     updateDateDisplay();
@@ -76,25 +125,44 @@ function init() {
     // Load today's mood if exists
     loadMoodForDate(selectedDate);
 
+    // Clicking a day in the trend chart opens it like a calendar day
+    initTrendChart(openDay);
+
     // Render stats
     const { year, month } = getCurrentMonth();
     renderStats(year, month);
 
     // Render insights and patterns
     renderInsights('insightsContainer');
+    renderTagCorrelations('tagCorrelationsContainer');
     renderPatterns('patternsContainer');
 
     // Set up event listeners
     setupEventListeners();
 
     // Check if demo was previously enabled
-    if (isDemoMode() && getAllMoods().length === 0) {
-        loadDemoData();
+    if (isDemoMode() && (await getAllMoods()).length === 0) {
+        await loadDemoData();
         refreshUI();
     }
 
-    // Update reminder toggle state
+    // Update reminder toggle state and schedule reminders
     updateReminderState();
+    initReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+
+    // Reminders and app shortcuts open /?log (today's picker) or /?log=😊
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('log')) {
+        history.replaceState(null, '', window.location.pathname);
+        if (params.get('log')) {
+            logFromLink(params.get('log'));
+        } else {
+            openTodayPicker();
+        }
+    }
+
+    // Lock behind the PIN when idle or backgrounded
+    startAutoLock(lockApp);
 
     console.log('MoodPad initialized!');
 }
@@ -106,6 +174,9 @@ function setupEventListeners() {
     // Export button
     document.getElementById('exportBtn')?.addEventListener('click', handleExport);
 
+    // Backup button
+    document.getElementById('backupBtn')?.addEventListener('click', handleBackup);
+
     // Demo button
     document.getElementById('demoBtn')?.addEventListener('click', handleDemo);
 
@@ -115,6 +186,22 @@ function setupEventListeners() {
     // Reminder toggle
     document.getElementById('reminderToggle')?.addEventListener('click', handleReminderToggle);
 
+    // Reminder actions while the app is already open: open the picker, log
+    // a mood, or pick up a check-in the service worker saved
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+        if (e.data?.type === 'log-mood') {
+            if (e.data.emoji) {
+                logFromLink(e.data.emoji);
+            } else {
+                openTodayPicker();
+            }
+        } else if (e.data?.type === 'entry-saved') {
+            announceExternalChange({ saved: [e.data.entry] });
+            loadMoodForDate(selectedDate);
+            refreshUI();
+        }
+    });
+
     // Import button
     document.getElementById('importBtn')?.addEventListener('click', () => {
         document.getElementById('importFile')?.click();
@@ -123,15 +210,45 @@ function setupEventListeners() {
     // Import file input
     document.getElementById('importFile')?.addEventListener('change', handleImportFile);
 
+    // Search button
+    document.getElementById('searchBtn')?.addEventListener('click', () => {
+        showSearchModal();
+    });
+
     // Year review button
     document.getElementById('yearReviewBtn')?.addEventListener('click', () => {
         showYearReviewModal();
     });
 
+    // Report button
+    document.getElementById('reportBtn')?.addEventListener('click', () => {
+        showReportModal();
+    });
+
     // Settings button
     document.getElementById('settingsBtn')?.addEventListener('click', () => {
         showSettingsModal();
     });
+
+    // Undo and redo buttons
+    document.getElementById('undoBtn')?.addEventListener('click', handleUndo);
+    document.getElementById('redoBtn')?.addEventListener('click', handleRedo);
+
+    // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y, except in text fields, which keep
+    // their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || appLocked) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            handleRedo();
+        }
+    });
 }
 
 /**
@@ -140,9 +257,7 @@ function setupEventListeners() {
 function updateDateDisplay() {
     const dateEl = document.getElementById('currentDate');
     if (dateEl) {
-        const date = new Date(selectedDate);
-        const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-        dateEl.textContent = date.toLocaleDateString('en-US', options);
+        dateEl.textContent = formatLongDate(selectedDate);
     }
 }
 
@@ -150,37 +265,70 @@ function updateDateDisplay() {
  * Initialize mood picker buttons
  */
 function initMoodPicker() {
-    const grid = document.getElementById('moodGrid');
-    if (!grid) return;
+    renderMoodGrid();
+
+    // Note textarea save on input
+    const noteInput = document.getElementById('moodNote');
+    noteInput?.addEventListener('input', () => {
+        updateNotePreview();
+        saveSoon();
+    });
+    document.getElementById('notePreviewToggle')?.addEventListener('click', toggleNotePreview);
+
+    // Start a fresh check-in for the selected day
+    document.getElementById('newCheckinBtn')?.addEventListener('click', startNewCheckin);
+}
+
+/**
+ * Show or hide the formatted preview of the note
+ */
+function toggleNotePreview() {
+    const toggle = document.getElementById('notePreviewToggle');
+    const preview = document.getElementById('notePreview');
+    if (!toggle || !preview) return;
+
+    const show = preview.hidden;
+    preview.hidden = !show;
+    toggle.setAttribute('aria-pressed', String(show));
+    toggle.textContent = show ? 'Hide preview' : 'Preview';
+    updateNotePreview();
+}
+
+/**
+ * Render the note's Markdown into the preview while it is shown
+ */
+function updateNotePreview() {
+    const preview = document.getElementById('notePreview');
+    if (!preview || preview.hidden) return;
 
-    const emojis = getAllEmojis();
+    const html = renderMarkdown(document.getElementById('moodNote')?.value);
+    preview.innerHTML = html || '<p class="note-preview__empty">Nothing to preview yet</p>';
+}
 
-    grid.innerHTML = emojis.map(emoji => {
-        const moodName = emojiToMood[emoji] || 'custom';
-        const moodData = DEFAULT_MOODS.find(m => m.emoji === emoji);
-        const label = moodData?.label || 'Custom';
+/**
+ * Render the mood buttons (default + custom emojis)
+ */
+function renderMoodGrid() {
+    const grid = document.getElementById('moodGrid');
+    if (!grid) return;
 
-        return `
+    grid.innerHTML = getVisibleMoods().map(mood => `
       <button 
         class="mood-btn" 
-        data-mood="${moodName}" 
-        data-emoji="${emoji}"
-        aria-label="${label}"
-        title="${label}"
+        data-mood="${escapeHTML(mood.name)}" 
+        data-emoji="${escapeHTML(mood.emoji)}"
+        style="--mood-color: ${escapeHTML(mood.color)}; --mood-glow: ${toRgba(mood.color, 0.3)};"
+        aria-label="${escapeHTML(mood.label)}"
+        title="${escapeHTML(mood.label)}"
       >
-        ${emoji}
+        ${escapeHTML(mood.emoji)}
       </button>
-    `;
-    }).join('');
+    `).join('');
 
     // Add click handlers
     grid.querySelectorAll('.mood-btn').forEach(btn => {
         btn.addEventListener('click', () => selectMood(btn.dataset.emoji, btn.dataset.mood));
     });
-
-    // Note textarea save on input
-    const noteInput = document.getElementById('moodNote');
-    noteInput?.addEventListener('input', debounce(handleSave, 500));
 }
 
 /**
@@ -194,26 +342,86 @@ function selectMood(emoji, moodName) {
         btn.classList.toggle('mood-btn--selected', btn.dataset.emoji === emoji);
     });
 
+    // The prompt follows the mood
+    renderPrompts();
+
     // Auto-save
     handleSave();
 }
 
 /**
- * Handle saving the mood
+ * Render the journaling prompt for the picked mood; `answers` replace the
+ * ones in the picker when a different check-in is loaded
  */
-function handleSave() {
-    if (!selectedEmoji || !selectedDate) return;
+function renderPrompts(answers) {
+    renderPromptsSection('promptsContainer', { emoji: selectedEmoji, date: selectedDate, answers }, saveSoon, applyNoteTemplate);
+}
 
+/**
+ * Add a note template to the end of the note and save it
+ */
+function applyNoteTemplate(template) {
     const noteInput = document.getElementById('moodNote');
-    const note = noteInput?.value || '';
+    if (!noteInput) return;
+
+    noteInput.value = applyTemplate(noteInput.value, template);
+    noteInput.focus();
+    updateNotePreview();
+    handleSave();
+}
+
+/**
+ * Handle saving the mood
+ * Updates the check-in being edited, or creates a new one
+ */
+function handleSave() {
+    saveQueue = saveQueue.then(async () => {
+        if (!selectedEmoji || !selectedDate) return;
+
+        const noteInput = document.getElementById('moodNote');
+        const note = noteInput?.value || '';
+
+        // A new check-in takes the tags added before its mood was picked
+        const tags = selectedEntryId ? null : takeDraftTags();
+        const entry = await saveMood(selectedDate, selectedEmoji, note, tags, {
+            id: selectedEntryId,
+            ...getMoodDetails(),
+            prompts: getPromptAnswers(),
+            factors: getFactorValues(),
+            action: 'save'
+        });
+        selectedEntryId = entry.id;
+
+        // Show saved indicator
+        showSavedIndicator();
+
+        // Refresh calendar and stats
+        refreshUI();
+    }).catch(err => console.error('Error saving mood:', err));
+    return saveQueue;
+}
 
-    saveMood(selectedDate, selectedEmoji, note);
+/**
+ * Clear the picker so the next emoji creates a new check-in
+ */
+function startNewCheckin() {
+    selectedEntryId = null;
+    selectedEmoji = null;
 
-    // Show saved indicator
-    showSavedIndicator();
+    document.querySelectorAll('.mood-btn').forEach(btn => {
+        btn.classList.remove('mood-btn--selected');
+    });
 
-    // Refresh calendar and stats
-    refreshUI();
+    const noteInput = document.getElementById('moodNote');
+    if (noteInput) noteInput.value = '';
+    updateNotePreview();
+
+    clearDraftTags();
+    renderCheckinList();
+    renderTagsSection('tagsContainer', null, { date: selectedDate });
+    renderMoodDetailsSection('moodDetailsContainer', {}, handleSave);
+    renderPrompts([]);
+    renderFactorsSection('factorsContainer', {}, handleSave);
 }
 
 /**
@@ -237,82 +445,160 @@ function refreshUI() {
     const { year, month } = getCurrentMonth();
     renderStats(year, month);
     renderInsights('insightsContainer');
+    renderTagCorrelations('tagCorrelationsContainer');
     renderPatterns('patternsContainer');
 
-    // Update tags if visible
+    // Update check-ins and tags for the selected day
     if (selectedDate) {
-        renderTagsSection('tagsContainer', selectedDate);
+        renderCheckinList();
+        renderTagsSection('tagsContainer', selectedEntryId, { date: selectedDate });
     }
 }
 
 /**
  * Handle day click in calendar
  */
-function handleDayClick(dateStr, moodData) {
+function handleDayClick(dateStr, entries) {
     selectedDate = dateStr;
     updateDateDisplay();
     loadMoodForDate(dateStr);
 
-    // Update tags section
-    renderTagsSection('tagsContainer', dateStr);
+    if (entries.length > 0) {
+        showMoodModal(dateStr, entries);
+    }
+}
+
+/**
+ * Show a day's month in the calendar and open it
+ */
+async function openDay(dateStr) {
+    const { year, month } = getDateParts(dateStr);
+    goToMonth(year, month);
+    handleDayClick(dateStr, await getEntriesForDate(dateStr));
+}
+
+/**
+ * Select today and bring the mood picker into view, ready for a tap
+ */
+function openTodayPicker() {
+    const today = todayISO();
+    const { year, month } = getDateParts(today);
+    closeModal();
+    goToMonth(year, month);
+
+    selectedDate = today;
+    updateDateDisplay();
+    loadMoodForDate(today);
+
+    const picker = document.querySelector('.mood-picker');
+    picker?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    picker?.querySelector('.mood-btn')?.focus({ preventScroll: true });
+}
 
-    if (moodData) {
-        showMoodModal(dateStr, moodData);
+/**
+ * Record a mood for today in one tap from a link such as /?log=😊
+ */
+function logFromLink(emoji) {
+    if (!getVisibleMoods().some(m => m.emoji === emoji)) {
+        openTodayPicker();
+        showToast('That mood isn\'t in your picker. Choose one below.');
+        return saveQueue;
     }
+
+    saveQueue = saveQueue.then(async () => {
+        await saveMood(todayISO(), emoji, '', null, { action: 'save' });
+        openTodayPicker();
+        refreshUI();
+        showToast(`Logged ${emoji} for today!`, { label: 'Undo', onClick: handleUndo });
+    }).catch(err => console.error('Error saving mood:', err));
+    return saveQueue;
 }
 
 /**
- * Load mood for a specific date into the picker
+ * Load the latest check-in for a specific date into the picker
  */
-function loadMoodForDate(dateStr) {
-    const mood = getMood(dateStr);
+async function loadMoodForDate(dateStr) {
+    const entries = await getEntriesForDate(dateStr);
+    loadCheckin(entries[entries.length - 1] || null);
+    renderCheckinList(entries);
+}
 
-    // Reset selection
+/**
+ * Load a single check-in into the picker (or clear it)
+ */
+function loadCheckin(mood) {
+    // Select the check-in's mood, comparing datasets so no selector is
+    // built from stored data
     document.querySelectorAll('.mood-btn').forEach(btn => {
-        btn.classList.remove('mood-btn--selected');
+        btn.classList.toggle('mood-btn--selected', Boolean(mood) && btn.dataset.emoji === mood.emoji);
     });
 
     const noteInput = document.getElementById('moodNote');
 
     if (mood) {
+        selectedEntryId = mood.id;
         selectedEmoji = mood.emoji;
-        const btn = document.querySelector(`.mood-btn[data-emoji="${mood.emoji}"]`);
-        btn?.classList.add('mood-btn--selected');
         if (noteInput) noteInput.value = mood.note || '';
     } else {
+        selectedEntryId = null;
         selectedEmoji = null;
         if (noteInput) noteInput.value = '';
     }
+    updateNotePreview();
+
+    // Update tags, intensity, emotions and factors; ones set on the previous
+    // day without a mood are dropped
+    clearDraftTags();
+    renderTagsSection('tagsContainer', selectedEntryId, { date: selectedDate });
+    renderMoodDetailsSection('moodDetailsContainer', mood || {}, handleSave);
+    renderPrompts(mood?.prompts || []);
+    renderFactorsSection('factorsContainer', mood?.factors || {}, handleSave);
+}
+
+/**
+ * Render the selected day's check-ins as chips; clicking one edits it
+ */
+async function renderCheckinList(entries = null) {
+    const container = document.getElementById('checkinList');
+    if (!container || !selectedDate) return;
+
+    const checkins = entries || await getEntriesForDate(selectedDate);
 
-    // Update tags
-    renderTagsSection('tagsContainer', dateStr);
+    container.innerHTML = checkins.map(m => `
+      <button class="checkin-chip ${m.id === selectedEntryId ? 'checkin-chip--active' : ''}"
+              data-id="${escapeHTML(m.id)}"
+              aria-label="Edit ${escapeHTML(m.time)} check-in">
+        <span class="checkin-chip__time">${escapeHTML(m.time)}</span> ${escapeHTML(m.emoji)}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.checkin-chip').forEach(el => {
+        el.addEventListener('click', () => {
+            loadCheckin(checkins.find(m => m.id === el.dataset.id));
+            renderCheckinList(checkins);
+        });
+    });
 }
 
 /**
- * Show mood detail modal
+ * Show mood detail modal listing every check-in for the day
  */
-function showMoodModal(dateStr, moodData) {
+function showMoodModal(dateStr, entries) {
     const overlay = document.getElementById('modalOverlay');
-    const modalDate = document.getElementById('modalDate');
+    const modalDateEl = document.getElementById('modalDate');
     const modalEmoji = document.getElementById('modalEmoji');
-    const modalNote = document.getElementById('modalNote');
-    const modalTags = document.getElementById('modalTags');
+    const modalEntries = document.getElementById('modalEntries');
 
     if (!overlay) return;
 
-    const date = new Date(dateStr);
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    const summary = summarizeDay(entries);
 
-    if (modalDate) modalDate.textContent = date.toLocaleDateString('en-US', options);
-    if (modalEmoji) modalEmoji.textContent = moodData.emoji;
-    if (modalNote) {
-        modalNote.textContent = moodData.note || 'No note for this day';
-        modalNote.style.fontStyle = moodData.note ? 'normal' : 'italic';
-    }
-    if (modalTags && moodData.tags?.length > 0) {
-        modalTags.innerHTML = moodData.tags.map(t => `<span class="tag">#${t}</span>`).join('');
-    } else if (modalTags) {
-        modalTags.innerHTML = '';
+    modalDate = dateStr;
+    if (modalDateEl) modalDateEl.textContent = formatLongDate(dateStr);
+    if (modalEmoji) modalEmoji.textContent = summary.emoji;
+    if (modalEntries) {
+        modalEntries.innerHTML = '';
+        entries.forEach(entry => modalEntries.appendChild(createCheckinElement(entry)));
     }
 
     overlay.classList.add('modal-overlay--visible');
@@ -327,6 +613,231 @@ function showMoodModal(dateStr, moodData) {
     document.addEventListener('keydown', handleModalKeydown);
 }
 
+/**
+ * Describe a check-in's intensity, e.g. 'intensity 7/10', or '' if unset
+ */
+function describeIntensity(intensity) {
+    return intensity ? `intensity ${intensity}/${MAX_INTENSITY}` : '';
+}
+
+/**
+ * Build the modal element for one check-in
+ */
+function createCheckinElement(entry) {
+    const item = document.createElement('div');
+    item.className = 'modal__entry';
+
+    const header = document.createElement('div');
+    header.className = 'modal__entry-header';
+    header.textContent = [`${entry.time} ${entry.emoji}`, describeIntensity(entry.intensity), ...(entry.emotions || [])]
+        .filter(Boolean)
+        .join(' · ');
+    item.appendChild(header);
+
+    const note = document.createElement('div');
+    note.className = 'modal__note markdown';
+    if (entry.note) {
+        note.innerHTML = renderMarkdown(entry.note);
+    } else {
+        note.textContent = 'No note for this check-in';
+    }
+    note.style.fontStyle = entry.note ? 'normal' : 'italic';
+    item.appendChild(note);
+
+    (entry.prompts || []).forEach(({ prompt, answer }) => {
+        const answered = document.createElement('div');
+        answered.className = 'modal__prompt';
+        const question = document.createElement('div');
+        question.className = 'modal__prompt-question';
+        question.textContent = prompt;
+        const text = document.createElement('div');
+        text.className = 'modal__prompt-answer';
+        text.textContent = answer;
+        answered.append(question, text);
+        item.appendChild(answered);
+    });
+
+    if (entry.tags?.length > 0) {
+        const tags = document.createElement('div');
+        tags.className = 'tags-container';
+        tags.innerHTML = entry.tags.map(t => renderTagChip(t)).join('');
+        item.appendChild(tags);
+    }
+
+    const factors = describeFactors(entry.factors);
+    if (factors) {
+        const factorLine = document.createElement('div');
+        factorLine.className = 'modal__factors';
+        factorLine.textContent = factors;
+        item.appendChild(factorLine);
+    }
+
+    if (entry.revisions?.length > 0) {
+        item.appendChild(createRevisionList(entry));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'modal__entry-actions';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn--secondary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.setAttribute('aria-label', `Delete ${entry.time} check-in`);
+    deleteBtn.addEventListener('click', () => handleDeleteEntry(entry));
+    actions.appendChild(deleteBtn);
+    item.appendChild(actions);
+
+    return item;
+}
+
+/**
+ * Build a check-in's earlier versions, newest first, each with a button
+ * to bring it back
+ */
+function createRevisionList(entry) {
+    const details = document.createElement('details');
+    details.className = 'revisions';
+
+    const summary = document.createElement('summary');
+    summary.className = 'revisions__title';
+    summary.textContent = `Edit history (${entry.revisions.length})`;
+    details.appendChild(summary);
+
+    [...entry.revisions].reverse().forEach(revision => {
+        const row = document.createElement('div');
+        row.className = 'revisions__item';
+
+        const savedAt = new Date(revision.timestamp);
+        const when = document.createElement('span');
+        when.className = 'revisions__time';
+        when.textContent = isNaN(savedAt) ? 'Unknown time' : savedAt.toLocaleString('en-US', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+
+        const text = document.createElement('span');
+        text.className = 'revisions__text';
+        const tags = (revision.tags || []).map(t => `#${t}`).join(' ');
+        text.textContent = [
+            `${revision.time} ${revision.emoji}`,
+            describeIntensity(revision.intensity),
+            ...(revision.emotions || []),
+            revision.note,
+            ...(revision.prompts || []).map(p => `${p.prompt} ${p.answer}`),
+            tags,
+            describeFactors(revision.factors)
+        ]
+            .filter(Boolean)
+            .join(' · ');
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'revisions__restore';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => handleRevertEntry(entry, revision));
+
+        row.append(when, text, restoreBtn);
+        details.appendChild(row);
+    });
+
+    return details;
+}
+
+/**
+ * Delete a check-in from the day modal, offering undo
+ */
+function handleDeleteEntry(entry) {
+    saveQueue = saveQueue.then(async () => {
+        await deleteEntry(entry.id, { action: 'delete' });
+        await afterHistoryChange();
+        showToast('Check-in deleted', { label: 'Undo', onClick: handleUndo });
+    }).catch(err => console.error('Error deleting check-in:', err));
+    return saveQueue;
+}
+
+/**
+ * Bring back an earlier version of a check-in; the current one becomes
+ * part of its history
+ */
+function handleRevertEntry(entry, revision) {
+    saveQueue = saveQueue.then(async () => {
+        await saveMood(revision.date, revision.emoji, revision.note || '', revision.tags || [], {
+            id: entry.id,
+            time: revision.time,
+            intensity: revision.intensity,
+            emotions: revision.emotions,
+            prompts: revision.prompts,
+            factors: revision.factors,
+            action: 'revert'
+        });
+        await afterHistoryChange();
+        showToast('Earlier version restored', { label: 'Undo', onClick: handleUndo });
+    }).catch(err => console.error('Error restoring check-in:', err));
+    return saveQueue;
+}
+
+/**
+ * Undo the last action, offering to redo it
+ */
+function handleUndo() {
+    saveQueue = saveQueue.then(async () => {
+        const action = await undo();
+        if (!action) return;
+        await afterHistoryChange();
+        showToast(`Undone: ${ACTION_LABELS[action]}`, { label: 'Redo', onClick: handleRedo });
+    }).catch(err => console.error('Error undoing:', err));
+    return saveQueue;
+}
+
+/**
+ * Redo the last undone action, offering to undo it again
+ */
+function handleRedo() {
+    saveQueue = saveQueue.then(async () => {
+        const action = await redo();
+        if (!action) return;
+        await afterHistoryChange();
+        showToast(`Redone: ${ACTION_LABELS[action]}`, { label: 'Undo', onClick: handleUndo });
+    }).catch(err => console.error('Error redoing:', err));
+    return saveQueue;
+}
+
+/**
+ * Reload the picker, the open day modal and the rest of the UI after
+ * check-ins changed underneath them
+ */
+async function afterHistoryChange() {
+    await loadMoodForDate(selectedDate);
+    refreshUI();
+
+    if (document.getElementById('settingsOverlay')?.classList.contains('modal-overlay--visible')) {
+        renderTagManager('tagManagerContainer', handleTagManagerChange);
+    }
+
+    if (modalDate) {
+        const entries = await getEntriesForDate(modalDate);
+        if (entries.length > 0) {
+            showMoodModal(modalDate, entries);
+        } else {
+            closeModal();
+        }
+    }
+}
+
+/**
+ * Enable the undo and redo buttons when there is something to undo or redo
+ */
+function updateHistoryButtons({ canUndo, canRedo, undoAction, redoAction }) {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+
+    if (undoBtn) {
+        undoBtn.disabled = !canUndo;
+        undoBtn.title = canUndo ? `Undo: ${ACTION_LABELS[undoAction]}` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !canRedo;
+        redoBtn.title = canRedo ? `Redo: ${ACTION_LABELS[redoAction]}` : 'Nothing to redo';
+    }
+}
+
 /**
  * Close modal
  */
@@ -334,6 +845,7 @@ function closeModal() {
     const overlay = document.getElementById('modalOverlay');
     overlay?.classList.remove('modal-overlay--visible');
     document.removeEventListener('keydown', handleModalKeydown);
+    modalDate = null;
 }
 
 /**
@@ -346,17 +858,26 @@ function handleModalKeydown(e) {
 /**
  * Handle export button click
  */
-function handleExport() {
-    downloadCSV();
-    showToast('Mood data exported to CSV!');
+async function handleExport() {
+    if (await downloadCSV()) {
+        showToast('Mood data exported to CSV!');
+    }
+}
+
+/**
+ * Handle backup button click
+ */
+async function handleBackup() {
+    const { count, encrypted } = await downloadBackup();
+    showToast(`${encrypted ? 'Encrypted backup' : 'Backup'} saved with ${count} entries!`);
 }
 
 /**
  * Handle demo button click
  */
-function handleDemo() {
+async function handleDemo() {
     if (confirm('This will add 3 months of sample mood data. Continue?')) {
-        const count = loadDemoData(true);
+        const count = await loadDemoData(true);
         setDemoMode(true);
         refreshUI();
         showToast(`Loaded ${count} sample entries!`);
@@ -369,11 +890,11 @@ function handleDemo() {
 async function handleReminderToggle() {
     if (isReminderEnabled()) {
         disableReminder();
-        showToast('Daily reminders disabled');
+        showToast('Reminders disabled');
     } else {
         const enabled = await enableReminder();
         if (enabled) {
-            showToast('Daily reminders enabled! You\'ll be reminded at 8 PM.');
+            showToast(`Reminders enabled! You'll be reminded at ${getReminderSettings().times.join(', ')}.`);
         } else {
             showToast('Could not enable reminders. Please allow notifications.');
         }
@@ -385,9 +906,17 @@ async function handleReminderToggle() {
  * Update reminder toggle state
  */
 function updateReminderState() {
+    const enabled = isReminderEnabled();
     const toggle = document.getElementById('reminderToggle');
     if (toggle) {
-        toggle.classList.toggle('toggle-switch--active', isReminderEnabled());
+        toggle.classList.toggle('toggle-switch--active', enabled);
+        toggle.setAttribute('aria-checked', String(enabled));
+    }
+
+    const settings = document.getElementById('reminderSettingsContainer');
+    if (settings) {
+        settings.hidden = !enabled;
+        renderReminderSettings('reminderSettingsContainer');
     }
 }
 
@@ -399,9 +928,11 @@ async function handleImportFile(e) {
     if (!file) return;
 
     try {
-        const count = await handleFileImport(file);
-        refreshUI();
-        showToast(`Imported ${count} mood entries!`);
+        if (file.name.toLowerCase().endsWith('.json')) {
+            await handleRestore(file);
+        } else {
+            await handleCSVImport(file);
+        }
     } catch (err) {
         showToast(`Import failed: ${err.message}`);
     }
@@ -410,6 +941,349 @@ async function handleImportFile(e) {
     e.target.value = '';
 }
 
+/**
+ * Restore a JSON backup after the user picks merge or replace
+ */
+async function handleRestore(file) {
+    let text = await file.text();
+
+    if (isEncryptedBackup(text)) {
+        let decrypted = null;
+        const passphrase = await askSecret('passphrase', {
+            title: 'Encrypted Backup',
+            message: 'Enter the passphrase this backup was made with.',
+            submitLabel: 'Decrypt',
+            check: async (value) => {
+                decrypted = await decryptBackup(text, value);
+            }
+        });
+        if (passphrase === null) return;
+        text = decrypted;
+    }
+
+    const backup = parseBackup(text);
+    const plan = await planRestore(backup);
+    const mode = await showRestoreModal(backup, plan);
+    if (!mode) return;
+
+    const result = await restoreBackup(backup, mode);
+
+    // Settings may have changed too (theme, custom emojis, reminders)
+    applySavedTheme();
+    renderMoodGrid();
+    updateReminderState();
+    refreshReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+    loadMoodForDate(selectedDate);
+    refreshUI();
+
+    const conflicts = result.conflicts > 0 ? `, ${result.conflicts} conflicts resolved` : '';
+    // Only a merge can be undone; replacing cleared the journal first
+    const undoAction = mode === 'merge' && result.written > 0 ? { label: 'Undo', onClick: handleUndo } : null;
+    showToast(`Restored ${result.written} entries${conflicts}!`, undoAction);
+}
+
+/**
+ * Show the restore summary and resolve with 'merge', 'replace' or null
+ */
+function showRestoreModal(backup, plan) {
+    const overlay = document.getElementById('restoreOverlay');
+    const summary = document.getElementById('restoreSummary');
+    const conflictsEl = document.getElementById('restoreConflicts');
+    if (!overlay) return Promise.resolve(null);
+
+    const exported = new Date(backup.exportedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    summary.textContent = `Backup from ${exported} with ${backup.entries.length} entries and ` +
+        `${Object.keys(backup.settings).length} settings. Merging adds ${plan.added.length} new entries ` +
+        `(${plan.unchanged} already here). Replacing deletes your ${plan.existingCount} current entries first.`;
+
+    conflictsEl.innerHTML = '';
+    if (plan.conflicts.length > 0) {
+        const title = document.createElement('div');
+        title.className = 'restore__conflicts-title';
+        title.textContent = 'Conflicts when merging:';
+        conflictsEl.appendChild(title);
+
+        plan.conflicts.forEach(({ date, items }) => {
+            const row = document.createElement('div');
+            row.className = 'restore__conflict';
+            row.textContent = `${date}: ` + items.map(item =>
+                `${item.existing.emoji} → ${item.incoming.emoji} (keeping ${item.keep === 'backup' ? 'backup' : 'current'} copy)`
+            ).join(', ');
+            conflictsEl.appendChild(row);
+        });
+    }
+
+    return waitForModalChoice(overlay, {
+        restoreMergeBtn: 'merge',
+        restoreReplaceBtn: 'replace',
+        restoreCancelBtn: null,
+        restoreClose: null
+    }, (mode) => mode !== 'replace' || confirm('Replace all current entries and settings with this backup?'));
+}
+
+/**
+ * Preview a CSV import and write it once the user confirms
+ */
+async function handleCSVImport(file) {
+    const preview = await handleFileImport(file);
+    if (!await showImportPreviewModal(preview)) return;
+
+    const count = await commitCSVImport(preview);
+    refreshUI();
+    loadMoodForDate(selectedDate);
+    showToast(`Imported ${count} mood entries!`, count > 0 ? { label: 'Undo', onClick: handleUndo } : null);
+}
+
+/**
+ * Show the dry-run result of a CSV import; resolves true to import
+ */
+function showImportPreviewModal(preview) {
+    const overlay = document.getElementById('importPreviewOverlay');
+    const summary = document.getElementById('importPreviewSummary');
+    const rowsEl = document.getElementById('importPreviewRows');
+    const confirmBtn = document.getElementById('importConfirmBtn');
+    if (!overlay) return Promise.resolve(false);
+
+    const { counts } = preview;
+    const toWrite = counts.new + counts.changed;
+    summary.textContent = `${counts.new} new, ${counts.changed} changed, ` +
+        `${counts.unchanged} unchanged, ${counts.invalid} invalid rows.`;
+
+    // Unchanged rows are left out; there is nothing to review
+    const listed = preview.rows.filter(r => r.status !== 'unchanged');
+    rowsEl.innerHTML = '';
+    listed.forEach(row => {
+        const item = document.createElement('div');
+        item.className = `import-row import-row--${row.status}`;
+
+        const status = document.createElement('span');
+        status.className = 'import-row__status';
+        status.textContent = row.status;
+
+        const detail = document.createElement('span');
+        detail.className = 'import-row__detail';
+        if (row.status === 'invalid') {
+            detail.textContent = `Line ${row.line}: ${row.error}`;
+        } else if (row.status === 'changed') {
+            detail.textContent = `${row.entry.date} ${row.existing.time}: ${row.existing.emoji} → ${row.entry.emoji}`;
+        } else {
+            detail.textContent = `${row.entry.date} ${row.entry.time || ''} ${row.entry.emoji}`;
+        }
+
+        item.append(status, detail);
+        rowsEl.appendChild(item);
+    });
+
+    if (confirmBtn) {
+        confirmBtn.textContent = `Import ${toWrite} ${toWrite === 1 ? 'row' : 'rows'}`;
+        confirmBtn.disabled = toWrite === 0;
+    }
+
+    return waitForModalChoice(overlay, {
+        importConfirmBtn: true,
+        importCancelBtn: false,
+        importPreviewClose: false
+    });
+}
+
+/**
+ * Open a modal and resolve with the value of whichever button is clicked
+ * @param {HTMLElement} overlay - The modal overlay
+ * @param {Object} buttons - Button element ID to resolved value
+ * @param {Function} accept - Optional check that can veto a choice
+ */
+function waitForModalChoice(overlay, buttons, accept = () => true) {
+    overlay.classList.add('modal-overlay--visible');
+
+    return new Promise(resolve => {
+        const handlers = {};
+
+        const finish = (value) => {
+            if (!accept(value)) return;
+            overlay.classList.remove('modal-overlay--visible');
+            Object.keys(buttons).forEach(id => {
+                document.getElementById(id)?.removeEventListener('click', handlers[id]);
+            });
+            resolve(value);
+        };
+
+        Object.entries(buttons).forEach(([id, value]) => {
+            handlers[id] = () => finish(value);
+            document.getElementById(id)?.addEventListener('click', handlers[id]);
+        });
+    });
+}
+
+/**
+ * Make everything but a lock screen unreachable: inert elements can't be
+ * focused, clicked or read by screen readers, so nothing behind the lock
+ * (notes, Export, Backup) can be used until it is dismissed
+ * @param {boolean} inert - Whether to lock the page
+ * @param {Element} overlay - The lock screen, which stays usable
+ */
+function setBackgroundInert(inert, overlay) {
+    [...document.body.children].forEach(el => {
+        if (el === overlay || el.tagName === 'SCRIPT') return;
+        el.inert = inert;
+        if (inert) {
+            el.setAttribute('aria-hidden', 'true');
+        } else {
+            el.removeAttribute('aria-hidden');
+        }
+    });
+}
+
+/**
+ * Ask for a secret in one of the secret prompt modals (passphrase or PIN)
+ * The modal stays open until `check` accepts the secret (its error
+ * message is shown otherwise) or the user cancels.
+ * @param {string} prefix - Element ID prefix of the modal: 'passphrase' or 'pin'
+ * @param {Object} options - { title, message, submitLabel, check, onReset, locked }
+ *   where `locked` hides the app behind the modal and removes Cancel, and
+ *   `onReset` (optional) resolves true when the user chose to start over
+ * @returns {Promise<string|null>} The accepted secret, or null
+ */
+function askSecret(prefix, { title, message, submitLabel = 'Unlock', check, onReset = null, locked = false }) {
+    const overlay = document.getElementById(`${prefix}Overlay`);
+    const form = document.getElementById(`${prefix}Form`);
+    const input = document.getElementById(`${prefix}Input`);
+    const errorEl = document.getElementById(`${prefix}Error`);
+    const submitBtn = document.getElementById(`${prefix}SubmitBtn`);
+    const cancelBtn = document.getElementById(`${prefix}CancelBtn`);
+    const resetBtn = document.getElementById(`${prefix}ResetBtn`);
+    if (!overlay || !form) return Promise.resolve(null);
+
+    if (title) document.getElementById(`${prefix}Title`).textContent = title;
+    document.getElementById(`${prefix}Message`).textContent = message;
+    submitBtn.textContent = submitLabel;
+    cancelBtn.hidden = locked;
+    resetBtn.hidden = !onReset;
+    errorEl.textContent = '';
+    input.value = '';
+
+    overlay.classList.toggle('modal-overlay--locked', locked);
+    overlay.classList.add('modal-overlay--visible');
+    if (locked) setBackgroundInert(true, overlay);
+    input.focus();
+
+    return new Promise(resolve => {
+        const finish = (value) => {
+            overlay.classList.remove('modal-overlay--visible', 'modal-overlay--locked');
+            if (locked) setBackgroundInert(false, overlay);
+            form.removeEventListener('submit', handleSubmit);
+            cancelBtn.removeEventListener('click', handleCancel);
+            resetBtn.removeEventListener('click', handleReset);
+            input.value = '';
+            resolve(value);
+        };
+
+        const handleSubmit = async (e) => {
+            e.preventDefault();
+            const secret = input.value;
+            submitBtn.disabled = true;
+            errorEl.textContent = '';
+            try {
+                await check(secret);
+                finish(secret);
+            } catch (err) {
+                errorEl.textContent = err.message;
+                input.select();
+            } finally {
+                submitBtn.disabled = false;
+            }
+        };
+
+        const handleCancel = () => finish(null);
+
+        const handleReset = async () => {
+            if (await onReset()) finish(null);
+        };
+
+        form.addEventListener('submit', handleSubmit);
+        cancelBtn.addEventListener('click', handleCancel);
+        resetBtn.addEventListener('click', handleReset);
+    });
+}
+
+/**
+ * Block the app until the journal passphrase unlocks storage
+ */
+function showUnlockScreen() {
+    return askSecret('passphrase', {
+        title: 'Unlock MoodPad',
+        message: 'Your journal is encrypted. Enter your passphrase to open it.',
+        locked: true,
+        check: unlockStorage,
+        onReset: async () => {
+            if (!confirm('Erase every check-in on this device and turn off encryption? This cannot be undone.')) {
+                return false;
+            }
+            await eraseJournal();
+            return true;
+        }
+    });
+}
+
+/**
+ * Block the app until the PIN is entered
+ */
+function showPinScreen() {
+    return askSecret('pin', {
+        message: 'Enter your PIN to continue.',
+        locked: true,
+        check: (pin) => verifyPin(pin),
+        onReset: async () => {
+            if (!confirm('Erase every check-in on this device and remove the PIN? This cannot be undone.')) {
+                return false;
+            }
+            await eraseJournal();
+            removePin();
+            refreshUI();
+            loadMoodForDate(selectedDate);
+            return true;
+        }
+    });
+}
+
+/**
+ * Lock the app behind the PIN screen (used by auto-lock)
+ */
+async function lockApp() {
+    if (appLocked || !isPinEnabled()) return;
+    appLocked = true;
+
+    // Notes in the day modal, search results or report would otherwise reappear after unlocking
+    closeModal();
+    document.getElementById('searchOverlay')?.classList.remove('modal-overlay--visible');
+    document.getElementById('reportOverlay')?.classList.remove('modal-overlay--visible');
+    await showPinScreen();
+
+    appLocked = false;
+    markActivity();
+}
+
+/**
+ * Show search modal; opening a result jumps to its month and day
+ */
+function showSearchModal() {
+    const overlay = document.getElementById('searchOverlay');
+    if (!overlay) return;
+
+    const close = () => overlay.classList.remove('modal-overlay--visible');
+
+    renderSearchPanel('searchContainer', (entry) => {
+        close();
+        openDay(entry.date);
+    });
+    overlay.classList.add('modal-overlay--visible');
+
+    document.getElementById('searchClose')?.addEventListener('click', close);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+}
+
 /**
  * Show year review modal
  */
@@ -417,7 +1291,10 @@ function showYearReviewModal() {
     const overlay = document.getElementById('yearReviewOverlay');
     if (!overlay) return;
 
-    renderYearReview('yearReviewContent', new Date().getFullYear());
+    renderYearReview('yearReviewContent', getDateParts(todayISO()).year, (dateStr) => {
+        overlay.classList.remove('modal-overlay--visible');
+        openDay(dateStr);
+    });
     overlay.classList.add('modal-overlay--visible');
 
     const closeBtn = document.getElementById('yearReviewClose');
@@ -432,6 +1309,25 @@ function showYearReviewModal() {
     });
 }
 
+/**
+ * Show report modal
+ */
+function showReportModal() {
+    const overlay = document.getElementById('reportOverlay');
+    if (!overlay) return;
+
+    const close = () => overlay.classList.remove('modal-overlay--visible');
+
+    renderReportBuilder('reportContainer');
+    overlay.classList.add('modal-overlay--visible');
+
+    document.getElementById('reportClose')?.addEventListener('click', close);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+}
+
 /**
  * Show settings modal
  */
@@ -439,6 +1335,29 @@ function showSettingsModal() {
     const overlay = document.getElementById('settingsOverlay');
     if (!overlay) return;
 
+    renderMoodManager('moodManagerContainer', () => {
+        renderMoodGrid();
+        loadMoodForDate(selectedDate);
+        refreshUI();
+        refreshReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+    });
+
+    renderTagManager('tagManagerContainer', handleTagManagerChange);
+
+    renderTemplateManager('templateManagerContainer', () => renderPrompts());
+
+    renderFactorManager('factorManagerContainer', () => {
+        loadMoodForDate(selectedDate);
+        refreshUI();
+    });
+
+    renderInsightSettings('insightSettingsContainer', () => renderInsights('insightsContainer'));
+
+    renderAppLockSettings('appLockSettingsContainer');
+
+    // Reloading drops the key and every decrypted note from memory and the page
+    renderLockSettings('encryptionSettingsContainer', () => window.location.reload());
+
     overlay.classList.add('modal-overlay--visible');
 
     const closeBtn = document.getElementById('settingsClose');
@@ -453,19 +1372,63 @@ function showSettingsModal() {
     });
 }
 
+/**
+ * Refresh tags everywhere after the tag manager changed them
+ * @param {string|null} message - Set when check-ins changed, which can be undone
+ */
+function handleTagManagerChange(message) {
+    refreshUI();
+    if (message) {
+        showToast(message, { label: 'Undo', onClick: handleUndo });
+    }
+}
+
 /**
  * Show toast notification
+ * @param {string} message - Text to show
+ * @param {Object} action - Optional { label, onClick } button, such as Undo
  */
-function showToast(message) {
+function showToast(message, action = null) {
     const toast = document.getElementById('toast');
     if (!toast) return;
 
+    const hide = () => toast.classList.remove('toast--visible', 'toast--success');
+    clearTimeout(toastTimer);
+
     toast.textContent = message;
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast__action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            hide();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
     toast.classList.add('toast--visible', 'toast--success');
 
-    setTimeout(() => {
-        toast.classList.remove('toast--visible', 'toast--success');
-    }, 3000);
+    // Leave time to reach the action button
+    toastTimer = setTimeout(hide, action ? 6000 : 3000);
+}
+
+/**
+ * Offer to reload into a new version of the app
+ * @param {ServiceWorker} worker - The new version's waiting service worker
+ */
+function showUpdatePrompt(worker) {
+    const banner = document.getElementById('updateBanner');
+    const reloadBtn = document.getElementById('updateReloadBtn');
+    if (!banner || !reloadBtn) return;
+
+    banner.hidden = false;
+    reloadBtn.onclick = () => {
+        reloadBtn.disabled = true;
+        applyServiceWorkerUpdate(worker);
+    };
+    document.getElementById('updateDismissBtn').onclick = () => {
+        banner.hidden = true;
+    };
 }
 
 /**
@@ -0,0 +1,348 @@
+/**
+ * MoodPad Backup Module
+ * Versioned JSON backup and restore of entries and settings
+ */
+
+import { getAllMoods, putEntries, clearAll, isEncryptionEnabled, encryptWithJournalKey } from './storage.js';
+import { todayISO, isValidISODate } from './dates.js';
+import { deriveKey, decryptJSON } from './crypto.js';
+import { MIN_INTENSITY, MAX_INTENSITY, isMoodEmoji, validateMoodRegistry } from './moods.js';
+import { validateTagSettings } from './tags.js';
+
+export const BACKUP_FORMAT = 'moodpad-backup';
+export const BACKUP_VERSION = 1;
+
+// Every localStorage key MoodPad writes starts with this prefix
+const SETTINGS_PREFIX = 'moodpad_';
+
+// Legacy entry blob (entries are backed up from IndexedDB instead), the
+// journal lock, which belongs to this device's copy of the entries, and the
+// PIN and its failed attempts, which must not travel to other devices
+const EXCLUDED_SETTINGS = ['moodpad_moods', 'moodpad_encryption', 'moodpad_pin', 'moodpad_pin_attempts'];
+
+// Settings whose contents end up in the page, checked before a restore;
+// each returns an error message or null
+const SETTING_VALIDATORS = {
+    moodpad_mood_registry: validateMoodRegistry,
+    moodpad_tags: validateTagSettings
+};
+
+/**
+ * Collect all MoodPad settings from localStorage as raw strings
+ */
+function collectSettings() {
+    const settings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key.startsWith(SETTINGS_PREFIX) && !EXCLUDED_SETTINGS.includes(key)) {
+            settings[key] = localStorage.getItem(key);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Build a backup of everything MoodPad stores
+ * @returns {Promise<Object>} Backup object, ready for JSON.stringify
+ */
+export async function createBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: await getAllMoods(),
+        settings: collectSettings()
+    };
+}
+
+/**
+ * Build a backup whose contents are encrypted with the journal passphrase
+ * @param {Object} backup - Plain backup to encrypt (defaults to a new one)
+ * @returns {Promise<Object>} Backup object, ready for JSON.stringify
+ */
+export async function createEncryptedBackup(backup = null) {
+    backup = backup || await createBackup();
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: backup.exportedAt,
+        encrypted: await encryptWithJournalKey(backup)
+    };
+}
+
+/**
+ * Download a JSON backup file, encrypted when the journal lock is on
+ * @returns {Promise<{count: number, encrypted: boolean}>} Entries in the backup
+ */
+export async function downloadBackup() {
+    const backup = await createBackup();
+    const encrypted = isEncryptionEnabled();
+    const json = JSON.stringify(encrypted ? await createEncryptedBackup(backup) : backup, null, 2);
+
+    const blob = new Blob([json], { type: 'application/json;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', `moodpad_backup_${todayISO()}.json`);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    return { count: backup.entries.length, encrypted };
+}
+
+/**
+ * Check whether backup file contents are encrypted
+ * @param {string} text - Raw file contents
+ */
+export function isEncryptedBackup(text) {
+    try {
+        const data = JSON.parse(text);
+        return data?.format === BACKUP_FORMAT && Boolean(data.encrypted);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {string} text - Raw file contents
+ * @param {string} passphrase - Passphrase the backup was made with
+ * @returns {Promise<string>} The plain backup, ready for parseBackup
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function decryptBackup(text, passphrase) {
+    const { encrypted } = JSON.parse(text);
+    const key = await deriveKey(passphrase, encrypted.salt, encrypted.iterations);
+    try {
+        return JSON.stringify(await decryptJSON(key, encrypted));
+    } catch {
+        throw new Error('Wrong passphrase for this backup');
+    }
+}
+
+// Check-in IDs are UUIDs, or base-36 time and random parts on older browsers
+const ENTRY_ID_PATTERN = /^[\w-]{1,64}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check a single entry against the backup schema
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return 'is not an object';
+    if (typeof entry.id !== 'string' || !entry.id) return 'has no id';
+    if (!ENTRY_ID_PATTERN.test(entry.id)) return 'has an invalid id';
+
+    const error = validateContent(entry);
+    if (error) return error;
+
+    if (entry.revisions !== undefined) {
+        if (!Array.isArray(entry.revisions)) return 'has invalid revisions';
+        for (const [i, revision] of entry.revisions.entries()) {
+            const revisionError = validateRevision(revision);
+            if (revisionError) return `revision ${i + 1} ${revisionError}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check an earlier version of an entry; it can be brought back, so it
+ * follows the same rules as the entry
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRevision(revision) {
+    if (!revision || typeof revision !== 'object') return 'is not an object';
+    if (typeof revision.timestamp !== 'string' || Number.isNaN(Date.parse(revision.timestamp))) {
+        return 'has an invalid timestamp';
+    }
+    return validateContent(revision);
+}
+
+/**
+ * Check the fields an entry and each of its revisions share
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateContent(entry) {
+    if (!isValidISODate(entry.date)) return 'has an invalid date';
+    if (typeof entry.emoji !== 'string' || !entry.emoji) return 'has no emoji';
+    if (!isMoodEmoji(entry.emoji)) return 'has an invalid emoji';
+    if (entry.note !== undefined && typeof entry.note !== 'string') return 'has a non-text note';
+    if (entry.tags !== undefined && (!Array.isArray(entry.tags) || entry.tags.some(t => typeof t !== 'string'))) {
+        return 'has invalid tags';
+    }
+    if (entry.time !== undefined && !TIME_PATTERN.test(entry.time)) return 'has an invalid time';
+    if (entry.intensity !== undefined && entry.intensity !== null &&
+        (!Number.isInteger(entry.intensity) || entry.intensity < MIN_INTENSITY || entry.intensity > MAX_INTENSITY)) {
+        return 'has an invalid intensity';
+    }
+    if (entry.emotions !== undefined && (!Array.isArray(entry.emotions) || entry.emotions.some(e => typeof e !== 'string'))) {
+        return 'has invalid emotions';
+    }
+    if (entry.prompts !== undefined && (!Array.isArray(entry.prompts) ||
+        entry.prompts.some(p => !p || typeof p.prompt !== 'string' || typeof p.answer !== 'string'))) {
+        return 'has invalid prompts';
+    }
+    if (entry.factors !== undefined && (!entry.factors || typeof entry.factors !== 'object' || Array.isArray(entry.factors) ||
+        Object.values(entry.factors).some(v => typeof v !== 'boolean' && !Number.isFinite(v)))) {
+        return 'has invalid factors';
+    }
+    return null;
+}
+
+/**
+ * Parse and validate backup file contents
+ * @param {string} text - Raw file contents
+ * @returns {Object} The validated backup
+ * @throws {Error} If the file is not a valid MoodPad backup
+ */
+export function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Backup file is not valid JSON');
+    }
+
+    if (!data || data.format !== BACKUP_FORMAT) {
+        throw new Error('Not a MoodPad backup file');
+    }
+    if (data.encrypted) {
+        throw new Error('Backup is encrypted; decrypt it with its passphrase first');
+    }
+    if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version: ${data.version}`);
+    }
+    if (!Array.isArray(data.entries)) {
+        throw new Error('Backup has no entries list');
+    }
+    if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+        throw new Error('Backup settings are malformed');
+    }
+
+    const errors = [];
+    data.entries.forEach((entry, i) => {
+        const error = validateEntry(entry);
+        if (error) errors.push(`Entry ${i + 1} ${error}`);
+    });
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+        throw new Error(`${errors.slice(0, 3).join('; ')}${more}`);
+    }
+
+    const settings = {};
+    Object.entries(data.settings || {}).forEach(([key, value]) => {
+        if (key.startsWith(SETTINGS_PREFIX) && !EXCLUDED_SETTINGS.includes(key) && typeof value === 'string') {
+            settings[key] = value;
+        }
+    });
+    Object.entries(SETTING_VALIDATORS).forEach(([key, validate]) => {
+        const error = key in settings ? validate(settings[key]) : null;
+        if (error) throw new Error(`Backup setting ${key} ${error}`);
+    });
+
+    return { ...data, settings };
+}
+
+/**
+ * Compare the parts of an entry a user can see or edit
+ */
+function sameContent(a, b) {
+    return a.date === b.date &&
+        a.time === b.time &&
+        a.emoji === b.emoji &&
+        (a.note || '') === (b.note || '') &&
+        JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []) &&
+        (a.intensity ?? null) === (b.intensity ?? null) &&
+        JSON.stringify(a.emotions || []) === JSON.stringify(b.emotions || []) &&
+        JSON.stringify(a.prompts || []) === JSON.stringify(b.prompts || []) &&
+        sameFactors(a.factors || {}, b.factors || {});
+}
+
+/**
+ * Compare logged factors, whatever order they were stored in
+ */
+function sameFactors(a, b) {
+    const ids = Object.keys(a);
+    return ids.length === Object.keys(b).length && ids.every(id => a[id] === b[id]);
+}
+
+/**
+ * Work out what restoring a backup would change, without writing anything
+ * @param {Object} backup - A backup returned by parseBackup
+ * @returns {Promise<Object>} { added, unchanged, conflicts } where added is the
+ *   list of new check-ins and conflicts is a per-date list of check-ins that
+ *   exist in both with different content
+ */
+export async function planRestore(backup) {
+    const existing = new Map((await getAllMoods()).map(m => [m.id, m]));
+    const conflictsByDate = new Map();
+    const added = [];
+    let unchanged = 0;
+
+    backup.entries.forEach(incoming => {
+        const current = existing.get(incoming.id);
+        if (!current) {
+            added.push(incoming);
+        } else if (sameContent(current, incoming)) {
+            unchanged++;
+        } else {
+            const date = incoming.date;
+            if (!conflictsByDate.has(date)) conflictsByDate.set(date, []);
+            conflictsByDate.get(date).push({
+                id: incoming.id,
+                existing: current,
+                incoming,
+                keep: (incoming.timestamp || '') > (current.timestamp || '') ? 'backup' : 'current'
+            });
+        }
+    });
+
+    const conflicts = [...conflictsByDate.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([date, items]) => ({ date, items }));
+
+    return { added, unchanged, conflicts, existingCount: existing.size };
+}
+
+/**
+ * Restore a backup
+ * Replace wipes current entries and settings first. Merge keeps everything
+ * already here, adds new check-ins and settings, and resolves conflicting
+ * check-ins in favour of whichever copy was edited most recently.
+ * @param {Object} backup - A backup returned by parseBackup
+ * @param {'merge'|'replace'} mode - Restore mode
+ * @returns {Promise<Object>} { written, conflicts } counts
+ */
+export async function restoreBackup(backup, mode = 'merge') {
+    if (mode === 'replace') {
+        await clearAll();
+        await putEntries(backup.entries);
+
+        Object.keys(collectSettings()).forEach(key => localStorage.removeItem(key));
+        Object.entries(backup.settings).forEach(([key, value]) => localStorage.setItem(key, value));
+
+        return { written: backup.entries.length, conflicts: 0 };
+    }
+
+    const plan = await planRestore(backup);
+    const conflicting = plan.conflicts.flatMap(c => c.items);
+    const toWrite = [
+        ...plan.added,
+        ...conflicting.filter(item => item.keep === 'backup').map(item => item.incoming)
+    ];
+    await putEntries(toWrite, { action: 'import' });
+
+    Object.entries(backup.settings).forEach(([key, value]) => {
+        if (localStorage.getItem(key) === null) {
+            localStorage.setItem(key, value);
+        }
+    });
+
+    return { written: toWrite.length, conflicts: conflicting.length };
+}
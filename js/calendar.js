@@ -3,25 +3,24 @@
  * Handles calendar rendering and navigation
  */
 
-import { getMoodsForMonth, getMood } from './storage.js';
-
-// Emoji to mood name mapping
-const emojiToMood = {
-    '😊': 'happy',
-    '😢': 'sad',
-    '😠': 'angry',
-    '😴': 'tired',
-    '😍': 'love',
-    '😰': 'anxious',
-    '😐': 'neutral'
-};
-
-const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-const MONTHS = [
+import { getMoodsForMonth, getEntriesForDate } from './storage.js';
+import { getDailySummaries } from './stats.js';
+import { getMoodDefinition, toRgba, MAX_INTENSITY } from './moods.js';
+import { formatISODate } from './dates.js';
+import { escapeHTML } from './utils.js';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const MONTHS = [
     'January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'
 ];
 
+// Background strength of a day cell: days without an intensity get the
+// default, otherwise it runs from faint (1) to strong (10)
+const DEFAULT_MOOD_ALPHA = 0.2;
+const MIN_MOOD_ALPHA = 0.08;
+const MAX_MOOD_ALPHA = 0.5;
+
 let currentYear;
 let currentMonth;
 let onDayClickCallback = null;
@@ -73,13 +72,6 @@ function getFirstDayOfMonth(year, month) {
     return new Date(year, month, 1).getDay();
 }
 
-/**
- * Format date as YYYY-MM-DD
- */
-function formatDate(year, month, day) {
-    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-}
-
 /**
  * Check if a date is today
  */
@@ -91,26 +83,28 @@ function isToday(year, month, day) {
 }
 
 /**
- * Render the calendar
+ * Get how strongly a day cell is tinted with its mood color
+ * @param {number|null} intensity - Average intensity of the day (1-10)
+ * @returns {number} Alpha from 0 to 1
  */
-export function renderCalendar() {
-    const container = document.getElementById('calendarGrid');
-    const monthLabel = document.getElementById('currentMonth');
-
-    if (!container) return;
-
-    // Update month label
-    if (monthLabel) {
-        monthLabel.textContent = `${MONTHS[currentMonth]} ${currentYear}`;
-    }
-
-    // Get moods for this month
-    const moods = getMoodsForMonth(currentYear, currentMonth);
-    const moodMap = new Map(moods.map(m => [m.date, m]));
+export function getMoodAlpha(intensity) {
+    if (!intensity) return DEFAULT_MOOD_ALPHA;
+    const alpha = MIN_MOOD_ALPHA + (MAX_MOOD_ALPHA - MIN_MOOD_ALPHA) * intensity / MAX_INTENSITY;
+    return Math.round(alpha * 100) / 100;
+}
 
-    // Build calendar HTML
-    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
-    const firstDay = getFirstDayOfMonth(currentYear, currentMonth);
+/**
+ * Build the day cells for one month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {Map} moodMap - Day summaries by YYYY-MM-DD date
+ * @param {Object} options - { interactive: false } renders plain cells with no
+ *   focus or today marker; days outside { from, to } are left blank
+ * @returns {string} HTML
+ */
+export function buildMonthGrid(year, month, moodMap, { interactive = true, from, to } = {}) {
+    const daysInMonth = getDaysInMonth(year, month);
+    const firstDay = getFirstDayOfMonth(year, month);
 
     let html = '';
 
@@ -121,31 +115,73 @@ export function renderCalendar() {
 
     // Days of the month
     for (let day = 1; day <= daysInMonth; day++) {
-        const dateStr = formatDate(currentYear, currentMonth, day);
+        const dateStr = formatISODate(year, month, day);
+
+        if ((from && dateStr < from) || (to && dateStr > to)) {
+            html += `<div class="calendar__day calendar__day--outside">${day}</div>`;
+            continue;
+        }
+
         const mood = moodMap.get(dateStr);
-        const todayClass = isToday(currentYear, currentMonth, day) ? 'calendar__day--today' : '';
+        const todayClass = interactive && isToday(year, month, day) ? 'calendar__day--today' : '';
 
         let moodClass = '';
+        let moodStyle = '';
+        let moodLabel = '';
         let content = day;
 
         if (mood) {
-            const moodName = emojiToMood[mood.emoji] || 'neutral';
-            moodClass = `calendar__day--has-mood calendar__day--mood-${moodName}`;
-            content = `<span class="calendar__day-number">${day}</span>${mood.emoji}`;
+            const definition = getMoodDefinition(mood.emoji);
+            moodClass = `calendar__day--has-mood calendar__day--mood-${escapeHTML(definition.name)}`;
+            moodStyle = `background: ${toRgba(definition.color, getMoodAlpha(mood.intensity))};`;
+            moodLabel = `, mood: ${escapeHTML(definition.label)} ${escapeHTML(mood.emoji)}`;
+            if (mood.intensity) {
+                moodLabel += `, intensity ${Math.round(mood.intensity)} of ${MAX_INTENSITY}`;
+            }
+            content = `<span class="calendar__day-number">${day}</span>${escapeHTML(mood.emoji)}`;
+            if (mood.count > 1) {
+                content += `<span class="calendar__day-count">${mood.count}</span>`;
+            }
         }
 
         html += `
       <div class="calendar__day ${todayClass} ${moodClass}" 
            data-date="${dateStr}"
-           role="button"
-           tabindex="0"
-           aria-label="${MONTHS[currentMonth]} ${day}${mood ? ', mood: ' + mood.emoji : ''}">
+           style="${moodStyle}"
+           ${interactive ? 'role="button" tabindex="0"' : ''}
+           aria-label="${MONTHS[month]} ${day}${moodLabel}${mood?.count > 1 ? `, ${mood.count} check-ins` : ''}">
         ${content}
       </div>
     `;
     }
 
-    container.innerHTML = html;
+    return html;
+}
+
+/**
+ * Render the calendar
+ */
+export async function renderCalendar() {
+    const container = document.getElementById('calendarGrid');
+    const monthLabel = document.getElementById('currentMonth');
+
+    if (!container) return;
+
+    // Capture the month being rendered so a navigation mid-load can't mix months
+    const year = currentYear;
+    const month = currentMonth;
+
+    // Update month label
+    if (monthLabel) {
+        monthLabel.textContent = `${MONTHS[month]} ${year}`;
+    }
+
+    // Get moods for this month
+    const moods = await getMoodsForMonth(year, month);
+    if (year !== currentYear || month !== currentMonth) return;
+    const moodMap = new Map(getDailySummaries(moods).map(d => [d.date, d]));
+
+    container.innerHTML = buildMonthGrid(year, month, moodMap);
 
     // Add click handlers
     container.querySelectorAll('.calendar__day:not(.calendar__day--empty)').forEach(el => {
@@ -161,10 +197,10 @@ export function renderCalendar() {
 /**
  * Handle day click
  */
-function handleDayClick(dateStr) {
+async function handleDayClick(dateStr) {
     if (onDayClickCallback) {
-        const mood = getMood(dateStr);
-        onDayClickCallback(dateStr, mood);
+        const entries = await getEntriesForDate(dateStr);
+        onDayClickCallback(dateStr, entries);
     }
 }
 
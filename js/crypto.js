@@ -0,0 +1,113 @@
+/**
+ * MoodPad Crypto Module
+ * Passphrase-based encryption with WebCrypto: PBKDF2 (SHA-256) derives an
+ * AES-GCM key, and every encrypted value gets its own random IV
+ */
+
+export const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    // Chunked so large payloads don't overflow the argument limit
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Encoded string
+ * @returns {Uint8Array}
+ */
+export function fromBase64(base64) {
+    return Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+}
+
+/**
+ * Generate a random salt for key derivation
+ * @returns {string} Base64 salt
+ */
+export function createSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable key
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Hash a short secret (e.g. a PIN) for storage and later comparison
+ * @param {string} secret - Secret to hash
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} Base64 hash
+ */
+export async function hashSecret(secret, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        material,
+        256
+    );
+    return toBase64(new Uint8Array(bits));
+}
+
+/**
+ * Encrypt any JSON-serializable value
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+ */
+export async function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const plaintext = encoder.encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypt a value encrypted with encryptJSON
+ * @param {CryptoKey} key - Key from deriveKey
+ * @param {{iv: string, data: string}} payload - Encrypted value
+ * @returns {Promise<*>} The original value
+ * @throws {Error} If the key is wrong or the data was tampered with
+ */
+export async function decryptJSON(key, payload) {
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+            key,
+            fromBase64(payload.data)
+        );
+    } catch {
+        throw new Error('Could not decrypt data (wrong passphrase or damaged data)');
+    }
+    return JSON.parse(decoder.decode(plaintext));
+}
@@ -0,0 +1,106 @@
+/**
+ * MoodPad CSV Module
+ * RFC 4180 reader and writer
+ */
+
+/**
+ * Parse CSV text into records
+ * Handles quoted fields containing commas, line breaks and escaped ("")
+ * quotes, CRLF/LF/CR line endings and a leading byte order mark.
+ * @param {string} text - CSV content
+ * @returns {Array<{fields: Array<string>, line: number}>} Records with the
+ *   line number each one starts on
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCSV(text) {
+    const records = [];
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+    let i = 0;
+
+    const endField = () => {
+        fields.push(field);
+        field = '';
+    };
+
+    const endRecord = () => {
+        endField();
+        // Skip blank lines rather than producing a single empty field
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ fields, line: recordLine });
+        }
+        fields = [];
+    };
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+                field += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            endRecord();
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+    }
+
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+
+    return records;
+}
+
+/**
+ * Quote a field if it contains a delimiter, quote, line break or
+ * surrounding whitespace
+ */
+function formatField(value) {
+    const str = value === null || value === undefined ? '' : String(value);
+    if (/[",\r\n]/.test(str) || str !== str.trim()) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * Serialize rows to CSV with CRLF line endings
+ * @param {Array<Array>} rows - Rows of field values, header first
+ * @returns {string} CSV string
+ */
+export function toCSV(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n');
+}
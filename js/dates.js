@@ -0,0 +1,109 @@
+/**
+ * MoodPad Dates Module
+ * Local calendar-date helpers. Entries are keyed by the user's local
+ * YYYY-MM-DD date, so never derive one with toISOString() (UTC) or
+ * parse one with new Date('YYYY-MM-DD') (UTC midnight).
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format year, month (0-11) and day as YYYY-MM-DD
+ */
+export function formatISODate(year, month, day) {
+    return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+/**
+ * Get the local calendar date of a Date as YYYY-MM-DD
+ * @param {Date} date - Defaults to now
+ */
+export function toISODate(date = new Date()) {
+    return formatISODate(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Get today's local date as YYYY-MM-DD
+ */
+export function todayISO() {
+    return toISODate(new Date());
+}
+
+/**
+ * Get the local time of day of a Date as HH:MM
+ */
+export function formatTime(date = new Date()) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ */
+export function isValidISODate(dateStr) {
+    const match = ISO_DATE_PATTERN.exec(dateStr || '');
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Split a YYYY-MM-DD string into numeric parts
+ * @returns {{year: number, month: number, day: number}} month is 0-11
+ */
+export function getDateParts(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return { year, month: month - 1, day };
+}
+
+/**
+ * Parse a YYYY-MM-DD string as local midnight
+ */
+export function parseISODate(dateStr) {
+    const { year, month, day } = getDateParts(dateStr);
+    return new Date(year, month, day);
+}
+
+/**
+ * Day number since the epoch, ignoring time zones and DST
+ */
+function toDayNumber(dateStr) {
+    const { year, month, day } = getDateParts(dateStr);
+    return Math.round(Date.UTC(year, month, day) / MS_PER_DAY);
+}
+
+/**
+ * Add (or subtract) calendar days to a YYYY-MM-DD string
+ */
+export function addDays(dateStr, days) {
+    const date = new Date(toDayNumber(dateStr) * MS_PER_DAY + days * MS_PER_DAY);
+    return formatISODate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Number of calendar days from `from` to `to` (negative if `to` is earlier)
+ */
+export function daysBetween(from, to) {
+    return toDayNumber(to) - toDayNumber(from);
+}
+
+/**
+ * Day of week (0 = Sunday) of a YYYY-MM-DD string
+ */
+export function getWeekday(dateStr) {
+    // 1970-01-01 was a Thursday
+    return (((toDayNumber(dateStr) + 4) % 7) + 7) % 7;
+}
+
+/**
+ * Format a YYYY-MM-DD string for display, e.g. "Monday, March 11, 2024"
+ * @param {string} dateStr - Date string
+ * @param {Object} options - Intl.DateTimeFormat options
+ */
+export function formatLongDate(dateStr, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) {
+    return parseISODate(dateStr).toLocaleDateString('en-US', options);
+}
@@ -4,8 +4,12 @@
  */
 
 import { saveMood, clearAll } from './storage.js';
+import { getVisibleMoods } from './moods.js';
+import { toISODate } from './dates.js';
 
-const EMOJIS = ['😊', '😢', '😠', '😴', '😍', '😰', '😐'];
+// Relative weights by mood name; custom moods get CUSTOM_WEIGHT
+const MOOD_WEIGHTS = { happy: 30, sad: 10, angry: 5, tired: 15, love: 15, anxious: 10, neutral: 15 };
+const CUSTOM_WEIGHT = 5;
 
 const SAMPLE_NOTES = [
     'Had a great day at work!',
@@ -30,18 +34,19 @@ const SAMPLE_NOTES = [
  * Get a weighted random emoji (more neutral/happy, fewer extreme)
  */
 function getRandomEmoji() {
-    const weights = [30, 10, 5, 15, 15, 10, 15]; // Weights for each emoji
+    const moods = getVisibleMoods();
+    const weights = moods.map(m => (m.custom ? CUSTOM_WEIGHT : MOOD_WEIGHTS[m.name] ?? CUSTOM_WEIGHT));
     const totalWeight = weights.reduce((a, b) => a + b, 0);
     let random = Math.random() * totalWeight;
 
-    for (let i = 0; i < EMOJIS.length; i++) {
+    for (let i = 0; i < moods.length; i++) {
         random -= weights[i];
         if (random <= 0) {
-            return EMOJIS[i];
+            return moods[i].emoji;
         }
     }
 
-    return EMOJIS[0];
+    return moods[0].emoji;
 }
 
 /**
@@ -52,20 +57,13 @@ function getRandomNote() {
     return SAMPLE_NOTES[Math.floor(Math.random() * SAMPLE_NOTES.length)];
 }
 
-/**
- * Format date as YYYY-MM-DD
- */
-function formatDate(date) {
-    return date.toISOString().split('T')[0];
-}
-
 /**
  * Load demo data for the past 3 months
  * @param {boolean} keepExisting - If true, don't clear existing data
  */
-export function loadDemoData(keepExisting = false) {
+export async function loadDemoData(keepExisting = false) {
     if (!keepExisting) {
-        clearAll();
+        await clearAll();
     }
 
     const today = new Date();
@@ -78,12 +76,15 @@ export function loadDemoData(keepExisting = false) {
     while (currentDate <= today) {
         // 85% chance of logging on any given day (realistic usage)
         if (Math.random() < 0.85) {
-            const dateStr = formatDate(currentDate);
-            const emoji = getRandomEmoji();
-            const note = getRandomNote();
+            const dateStr = toISODate(currentDate);
+
+            // Some days get a second, evening check-in
+            const times = Math.random() < 0.2 ? ['09:00', '20:30'] : ['20:00'];
 
-            saveMood(dateStr, emoji, note);
-            entriesAdded++;
+            for (const time of times) {
+                await saveMood(dateStr, getRandomEmoji(), getRandomNote(), null, { time });
+                entriesAdded++;
+            }
         }
 
         currentDate.setDate(currentDate.getDate() + 1);
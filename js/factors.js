@@ -0,0 +1,193 @@
+/**
+ * MoodPad Factor Registry
+ * Structured things logged alongside a mood: sleep, energy, exercise,
+ * caffeine and any number or yes/no fields the user adds. Check-ins store
+ * values by factor ID in `factors`, e.g. { sleep: 7.5, exercise: true }.
+ */
+
+const FACTORS_KEY = 'moodpad_factors';
+
+export const FACTOR_TYPES = ['number', 'scale', 'boolean'];
+export const MAX_FACTOR_LABEL_LENGTH = 24;
+export const MAX_CUSTOM_FACTORS = 10;
+
+// Largest value a custom number factor accepts
+const CUSTOM_NUMBER_MAX = 1000;
+
+export const DEFAULT_FACTORS = [
+    { id: 'sleep', label: 'Sleep', type: 'number', unit: 'h', min: 0, max: 24, step: 0.5 },
+    { id: 'energy', label: 'Energy', type: 'scale', min: 1, max: 5, step: 1 },
+    { id: 'exercise', label: 'Exercise', type: 'boolean' },
+    { id: 'caffeine', label: 'Caffeine', type: 'number', unit: 'cups', min: 0, max: 20, step: 1 }
+];
+
+// CSV export columns, which factor labels must not clash with
+const RESERVED_LABELS = ['date', 'time', 'emoji', 'note', 'tags', 'id', 'intensity', 'emotions', 'prompts'];
+
+// ==========================================
+// DEFINITIONS
+// ==========================================
+
+/**
+ * Get the user's own factors
+ * @returns {Array} { id, label, type, unit, min, max, step, custom: true }
+ */
+export function getCustomFactors() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FACTORS_KEY));
+        return Array.isArray(saved) ? saved.filter(f => f && f.id && FACTOR_TYPES.includes(f.type)) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Get every factor, built-in ones first
+ * @returns {Array} Factor definitions
+ */
+export function getFactors() {
+    return [...DEFAULT_FACTORS.map(f => ({ ...f, custom: false })), ...getCustomFactors()];
+}
+
+/**
+ * Look up a factor by ID
+ * @returns {Object|null} Factor definition
+ */
+export function getFactor(id) {
+    return getFactors().find(f => f.id === id) || null;
+}
+
+/**
+ * Turn a label into a factor ID: lowercase, dashes for anything else
+ */
+function toFactorId(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Add a number or yes/no factor
+ * @param {string} text - Label the user typed
+ * @param {string} type - 'number' or 'boolean'
+ * @param {string} unit - Optional unit shown after number values
+ * @returns {Object} The new factor
+ * @throws {Error} If the label is empty, taken or the type is unknown
+ */
+export function addCustomFactor(text, type = 'number', unit = '') {
+    const label = String(text ?? '').trim().slice(0, MAX_FACTOR_LABEL_LENGTH);
+    const id = toFactorId(label);
+    const factors = getFactors();
+    const custom = getCustomFactors();
+
+    if (!label || !id) throw new Error('Enter a name for the factor');
+    if (type !== 'number' && type !== 'boolean') throw new Error('Factors are numbers or yes/no');
+    if (RESERVED_LABELS.includes(label.toLowerCase()) ||
+        factors.some(f => f.id === id || f.label.toLowerCase() === label.toLowerCase())) {
+        throw new Error(`There is already a field called "${label}"`);
+    }
+    if (custom.length >= MAX_CUSTOM_FACTORS) {
+        throw new Error(`You can add up to ${MAX_CUSTOM_FACTORS} factors`);
+    }
+
+    const factor = type === 'number'
+        ? { id, label, type, unit: String(unit || '').trim().slice(0, 12), min: 0, max: CUSTOM_NUMBER_MAX, step: 'any', custom: true }
+        : { id, label, type, custom: true };
+
+    localStorage.setItem(FACTORS_KEY, JSON.stringify([...custom, factor]));
+    return factor;
+}
+
+/**
+ * Stop tracking a custom factor; values already logged stay on check-ins
+ */
+export function removeCustomFactor(id) {
+    localStorage.setItem(FACTORS_KEY, JSON.stringify(getCustomFactors().filter(f => f.id !== id)));
+}
+
+// ==========================================
+// VALUES
+// ==========================================
+
+/**
+ * Check a single value against its factor
+ * @param {Object} factor - Factor definition
+ * @param {*} value - Value to check; null or '' means not logged
+ * @returns {number|boolean|null} The value, or null if not logged
+ * @throws {Error} If the value doesn't fit the factor
+ */
+export function normalizeFactorValue(factor, value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (factor.type === 'boolean') {
+        if (typeof value !== 'boolean') throw new Error(`${factor.label} must be yes or no`);
+        return value;
+    }
+
+    const number = typeof value === 'number' ? value : Number(value);
+    if (!Number.isFinite(number) || number < factor.min || number > factor.max) {
+        throw new Error(`${factor.label} must be a number from ${factor.min} to ${factor.max}`);
+    }
+    if (factor.type === 'scale' && !Number.isInteger(number)) {
+        throw new Error(`${factor.label} must be a whole number`);
+    }
+    return number;
+}
+
+/**
+ * Clean the factor values of a check-in before it is stored, dropping
+ * ones that aren't logged. Values of factors no longer defined are kept
+ * as long as they are numbers or yes/no.
+ * @param {Object} values - Factor ID -> value
+ * @returns {Object} Factor ID -> number or boolean
+ * @throws {Error} If a value doesn't fit its factor
+ */
+export function normalizeFactors(values) {
+    const factors = getFactors();
+    const normalized = {};
+
+    Object.entries(values || {}).forEach(([id, value]) => {
+        const factor = factors.find(f => f.id === id);
+        let clean;
+        if (factor) {
+            clean = normalizeFactorValue(factor, value);
+        } else if (typeof value === 'boolean' || Number.isFinite(value)) {
+            clean = value;
+        } else {
+            clean = null;
+        }
+        if (clean !== null) normalized[id] = clean;
+    });
+
+    return normalized;
+}
+
+/**
+ * Show a value the way it is written in the picker and in exports
+ * @returns {string} e.g. '7.5 h', 'Yes', '4/5'
+ */
+export function formatFactorValue(factor, value) {
+    if (value === null || value === undefined) return '';
+    if (factor?.type === 'boolean' || typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (factor?.type === 'scale') return `${value}/${factor.max}`;
+    return factor?.unit ? `${value} ${factor.unit}` : String(value);
+}
+
+/**
+ * Describe a check-in's factors in one line
+ * @param {Object} values - Factor ID -> value
+ * @returns {string} e.g. 'Sleep 7.5 h · Exercise Yes', or '' if none
+ */
+export function describeFactors(values) {
+    const factors = getFactors();
+    const order = id => {
+        const index = factors.findIndex(f => f.id === id);
+        return index < 0 ? factors.length : index;
+    };
+
+    return Object.entries(values || {})
+        .sort(([a], [b]) => order(a) - order(b))
+        .map(([id, value]) => {
+            const factor = factors.find(f => f.id === id);
+            return `${factor ? factor.label : id} ${formatFactorValue(factor, value)}`;
+        })
+        .join(' · ');
+}
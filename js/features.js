@@ -1,9 +1,100 @@
 /**
  * MoodPad Enhanced Features Module
- * Theme toggle, tags, insights, patterns, year review, reminders, custom emojis
+ * Theme toggle, tags and tag manager, intensity and emotions, prompts and note
+ * templates, factors, insights, tag correlations, patterns, year review,
+ * reminders, mood manager, app and journal lock settings, CSV import
  */
 
-import { getAllMoods, getMoodsForMonth, saveMood, getMood } from './storage.js';
+import {
+    getAllMoods,
+    saveMood,
+    getEntry,
+    putEntries,
+    countEntriesWithEmoji,
+    remapEmoji,
+    replaceTag,
+    isEncryptionEnabled,
+    enableEncryption,
+    changePassphrase,
+    disableEncryption,
+    lockStorage
+} from './storage.js';
+import { getDailySummaries, groupByDay, getStreakRuns } from './stats.js';
+import {
+    INSIGHT_GENERATORS,
+    MIN_TAG_COUNT,
+    buildInsights,
+    selectInsights,
+    buildTagCorrelations,
+    compareTags,
+    getInsightState,
+    getGeneratorOptions,
+    updateGeneratorOptions,
+    dismissInsight,
+    pinInsight,
+    unpinInsight,
+    restoreDismissedInsights
+} from './insights.js';
+import { getReminderSettings, updateReminderSettings, refreshReminders, MAX_REMINDER_TIMES } from './reminders.js';
+import { parseCSV } from './csv.js';
+import {
+    getMoods,
+    getMoodDefinition,
+    addCustomEmoji,
+    updateMood,
+    moveMood,
+    removeMood,
+    toRgba,
+    isMoodEmoji,
+    normalizeIntensity,
+    normalizeEmotions,
+    DEFAULT_CUSTOM_MOOD,
+    SECONDARY_EMOTIONS,
+    MIN_INTENSITY,
+    MAX_INTENSITY
+} from './moods.js';
+import {
+    normalizeTag,
+    countTags,
+    completeTag,
+    suggestTags,
+    getTagInfo,
+    updateTagInfo,
+    moveTagInfo,
+    removeTagInfo,
+    getTagCategories,
+    MAX_TAG_LENGTH,
+    MAX_CATEGORY_LENGTH,
+    DEFAULT_TAG_COLOR
+} from './tags.js';
+import {
+    getFactors,
+    addCustomFactor,
+    removeCustomFactor,
+    normalizeFactorValue,
+    MAX_FACTOR_LABEL_LENGTH
+} from './factors.js';
+import {
+    getDailyPrompt,
+    getTemplates,
+    addTemplate,
+    removeTemplate,
+    MAX_TEMPLATE_NAME_LENGTH,
+    MAX_TEMPLATE_LENGTH
+} from './prompts.js';
+import { escapeHTML } from './utils.js';
+import { markdownToPlainText } from './markdown.js';
+import { todayISO, isValidISODate, getDateParts, getWeekday, addDays, formatISODate, formatLongDate } from './dates.js';
+import {
+    isPinEnabled,
+    isValidPin,
+    setPin,
+    removePin,
+    verifyPin,
+    getAutoLockSettings,
+    saveAutoLockSettings,
+    AUTO_LOCK_OPTIONS
+} from './lock.js';
 
 // ==========================================
 // THEME TOGGLE
@@ -15,12 +106,7 @@ const THEME_KEY = 'moodpad_theme';
  * Initialize theme from localStorage or system preference
  */
 export function initTheme() {
-    const saved = localStorage.getItem(THEME_KEY);
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const theme = saved || (prefersDark ? 'dark' : 'light');
-
-    setTheme(theme);
-    updateThemeIcon();
+    applySavedTheme();
 
     // Listen for system theme changes
     window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
@@ -31,6 +117,18 @@ export function initTheme() {
     });
 }
 
+/**
+ * Apply the saved theme, or the system preference if none is saved
+ */
+export function applySavedTheme() {
+    const saved = localStorage.getItem(THEME_KEY);
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = saved || (prefersDark ? 'dark' : 'light');
+
+    setTheme(theme);
+    updateThemeIcon();
+}
+
 /**
  * Set theme
  */
@@ -65,450 +163,1560 @@ function updateThemeIcon() {
 // TAGS SYSTEM
 // ==========================================
 
-const TAGS_KEY = 'moodpad_tags';
+// Tags added before a mood is picked; saved with the new check-in
+let draftTags = [];
 
 /**
  * Get all used tags
+ * @returns {Promise<Array>} { tag, count }, most used first
  */
-export function getAllTags() {
-    const moods = getAllMoods();
-    const tagCounts = {};
-
-    moods.forEach(m => {
-        if (m.tags && Array.isArray(m.tags)) {
-            m.tags.forEach(tag => {
-                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-            });
-        }
-    });
+export async function getAllTags() {
+    return countTags(await getAllMoods());
+}
 
-    return Object.entries(tagCounts)
-        .sort((a, b) => b[1] - a[1])
-        .map(([tag, count]) => ({ tag, count }));
+/**
+ * Hand over the tags added before a mood was picked and start afresh
+ * @returns {Array} Tags for the new check-in
+ */
+export function takeDraftTags() {
+    const tags = draftTags;
+    draftTags = [];
+    return tags;
 }
 
 /**
- * Get popular tags (top 5)
+ * Drop tags added before a mood was picked
  */
-export function getPopularTags() {
-    return getAllTags().slice(0, 5);
+export function clearDraftTags() {
+    draftTags = [];
 }
 
 /**
- * Add tag to a mood entry
+ * Add tag to a check-in
  */
-export function addTagToMood(date, tag) {
-    const mood = getMood(date);
+export async function addTagToMood(id, tag) {
+    const mood = await getEntry(id);
     if (!mood) return null;
 
     const tags = mood.tags || [];
     if (!tags.includes(tag)) {
         tags.push(tag);
-        saveMood(date, mood.emoji, mood.note, tags);
+        await saveMood(mood.date, mood.emoji, mood.note, tags, { id, action: 'tag-add' });
     }
     return tags;
 }
 
 /**
- * Remove tag from a mood entry
+ * Remove tag from a check-in
  */
-export function removeTagFromMood(date, tag) {
-    const mood = getMood(date);
+export async function removeTagFromMood(id, tag) {
+    const mood = await getEntry(id);
     if (!mood || !mood.tags) return null;
 
     const tags = mood.tags.filter(t => t !== tag);
-    saveMood(date, mood.emoji, mood.note, tags);
+    await saveMood(mood.date, mood.emoji, mood.note, tags, { id, action: 'tag-remove' });
     return tags;
 }
 
 /**
- * Render tags input and display
+ * Rename a tag on every check-in, merging it into the new name if that
+ * tag is already in use; its color and category go with it
+ * @param {string} from - Current tag
+ * @param {string} text - New name as typed
+ * @returns {Promise<Object>} { to, merged, count }
+ */
+export async function renameTag(from, text) {
+    const to = normalizeTag(text);
+    if (!to) {
+        throw new Error('Enter a new name for the tag');
+    }
+    if (to === from) {
+        throw new Error(`The tag is already called #${to}`);
+    }
+
+    const merged = (await getAllTags()).some(t => t.tag === to);
+    const count = await replaceTag(from, to, { action: merged ? 'tag-merge' : 'tag-rename' });
+    moveTagInfo(from, to);
+    return { to, merged, count };
+}
+
+/**
+ * Remove a tag from every check-in and forget its color and category
+ * @returns {Promise<number>} Number of check-ins changed
  */
-export function renderTagsSection(containerId, date) {
+export async function deleteTag(tag) {
+    const count = await replaceTag(tag, null, { action: 'tag-delete' });
+    removeTagInfo(tag);
+    return count;
+}
+
+/**
+ * Markup for a tag chip in the tag's color
+ * @param {string} tag - Tag to show
+ * @param {string} modifiers - Extra classes, e.g. 'tag--removable'
+ * @param {string} element - 'span' for display, 'button' for chips that act
+ */
+export function renderTagChip(tag, modifiers = '', element = 'span') {
+    const { color } = getTagInfo(tag);
+    const style = color ? ` style="--tag-color: ${escapeHTML(color)}; --tag-bg: ${toRgba(color, 0.35)};"` : '';
+    const type = element === 'button' ? ' type="button"' : '';
+
+    return `<${element}${type} class="tag ${color ? 'tag--colored' : ''} ${modifiers}" data-tag="${escapeHTML(tag)}"${style}>#${escapeHTML(tag)}</${element}>`;
+}
+
+/**
+ * Render tags input and display for a check-in
+ * Without a check-in (no mood picked yet), tags are kept as drafts for the
+ * next one saved.
+ * @param {string} containerId - Element to render into
+ * @param {string|null} entryId - Check-in being edited
+ * @param {Object} context - { date } of the day when there's no check-in yet
+ */
+export async function renderTagsSection(containerId, entryId, context = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    const mood = getMood(date);
-    const currentTags = mood?.tags || [];
-    const popularTags = getPopularTags();
+    const [mood, moods] = await Promise.all([getEntry(entryId), getAllMoods()]);
+    const currentTags = mood ? mood.tags || [] : draftTags;
+    const tagCounts = countTags(moods);
+    const suggested = suggestTags(moods, {
+        emoji: mood?.emoji || null,
+        date: mood?.date || context.date || todayISO(),
+        exclude: currentTags
+    });
+    const rerender = () => renderTagsSection(containerId, entryId, context);
 
     container.innerHTML = `
     <div class="tags-section">
       <div class="tags-input-wrapper">
-        <input type="text" class="tags-input" id="tagInput" 
-               placeholder="Add tag (e.g., #work, #health)" 
-               aria-label="Add a tag">
+        <input type="text" class="tags-input" id="tagInput"
+               placeholder="Add tag (e.g., #work, #health)"
+               aria-label="Add a tag" maxlength="${MAX_TAG_LENGTH + 1}" autocomplete="off"
+               role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="tagSuggestions">
+        <ul class="tag-suggestions" id="tagSuggestions" role="listbox" aria-label="Matching tags" hidden></ul>
       </div>
+      ${!mood && currentTags.length > 0 ? `
+        <p class="tags-section__hint">Saved with your check-in once you pick a mood</p>
+      ` : ''}
       <div class="tags-container" id="currentTags">
-        ${currentTags.map(tag => `
-          <span class="tag tag--removable" data-tag="${tag}">#${tag}</span>
-        `).join('')}
+        ${currentTags.map(tag => renderTagChip(tag, 'tag--removable', 'button')).join('')}
       </div>
-      ${popularTags.length > 0 ? `
+      ${suggested.length > 0 ? `
         <div class="popular-tags">
           <div class="popular-tags__title">Popular tags:</div>
           <div class="tags-container">
-            ${popularTags.map(({ tag }) => `
-              <span class="tag" data-tag="${tag}">#${tag}</span>
-            `).join('')}
+            ${suggested.map(({ tag }) => renderTagChip(tag, '', 'button')).join('')}
           </div>
         </div>
       ` : ''}
     </div>
   `;
 
-    // Event handlers
+    const addTag = async (tag) => {
+        if (mood) {
+            await addTagToMood(entryId, tag);
+        } else if (!draftTags.includes(tag)) {
+            draftTags = [...draftTags, tag];
+        }
+        await rerender();
+        document.getElementById('tagInput')?.focus();
+    };
+
+    const removeTag = async (tag) => {
+        if (mood) {
+            await removeTagFromMood(entryId, tag);
+        } else {
+            draftTags = draftTags.filter(t => t !== tag);
+        }
+        rerender();
+    };
+
+    // Autocomplete: arrow keys move through matching tags, Enter adds the
+    // highlighted one or what was typed
     const input = document.getElementById('tagInput');
-    input?.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && input.value.trim()) {
-            const tag = input.value.trim().replace(/^#/, '').toLowerCase();
-            addTagToMood(date, tag);
-            input.value = '';
-            renderTagsSection(containerId, date);
+    const list = document.getElementById('tagSuggestions');
+    let matches = [];
+    let active = -1;
+
+    const showMatches = () => {
+        list.innerHTML = matches.map((tag, i) => {
+            const { category } = getTagInfo(tag);
+            const count = tagCounts.find(t => t.tag === tag).count;
+            return `
+            <li class="tag-suggestions__item ${i === active ? 'tag-suggestions__item--active' : ''}"
+                id="tagSuggestion${i}" role="option" aria-selected="${i === active}" data-tag="${escapeHTML(tag)}">
+              <span>#${escapeHTML(tag)}</span>
+              <span class="tag-suggestions__meta">${category ? `${escapeHTML(category)} · ` : ''}${count}</span>
+            </li>`;
+        }).join('');
+        list.hidden = matches.length === 0;
+        input.setAttribute('aria-expanded', String(!list.hidden));
+        if (active >= 0) {
+            input.setAttribute('aria-activedescendant', `tagSuggestion${active}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        list.querySelectorAll('.tag-suggestions__item').forEach(item => {
+            // mousedown, so the input keeps focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                addTag(item.dataset.tag);
+            });
+        });
+    };
+
+    input?.addEventListener('input', () => {
+        matches = completeTag(input.value, tagCounts, currentTags);
+        active = -1;
+        showMatches();
+    });
+
+    input?.addEventListener('keydown', (e) => {
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && matches.length > 0) {
+            e.preventDefault();
+            // Past either end goes back to the typed text
+            if (e.key === 'ArrowDown') {
+                active = active + 1 < matches.length ? active + 1 : -1;
+            } else {
+                active = active > -1 ? active - 1 : matches.length - 1;
+            }
+            showMatches();
+        } else if (e.key === 'Escape' && matches.length > 0) {
+            e.stopPropagation();
+            matches = [];
+            showMatches();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const tag = active >= 0 ? matches[active] : normalizeTag(input.value);
+            if (tag) addTag(tag);
         }
     });
 
+    input?.addEventListener('blur', () => {
+        matches = [];
+        showMatches();
+    });
+
     container.querySelectorAll('.tag--removable').forEach(el => {
-        el.addEventListener('click', () => {
-            removeTagFromMood(date, el.dataset.tag);
-            renderTagsSection(containerId, date);
-        });
+        el.addEventListener('click', () => removeTag(el.dataset.tag));
     });
 
     container.querySelectorAll('.popular-tags .tag').forEach(el => {
-        el.addEventListener('click', () => {
-            addTagToMood(date, el.dataset.tag);
-            renderTagsSection(containerId, date);
-        });
+        el.addEventListener('click', () => addTag(el.dataset.tag));
     });
 }
 
-// ==========================================
-// WEEKLY INSIGHTS
-// ==========================================
-
-const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-const EMOJI_NAMES = {
-    '😊': 'happy',
-    '😢': 'sad',
-    '😠': 'angry',
-    '😴': 'tired',
-    '😍': 'loving',
-    '😰': 'anxious',
-    '😐': 'neutral'
-};
-
 /**
- * Generate weekly insights
+ * Render the tag manager: tags grouped by category, each with its color,
+ * category, rename (or merge) and delete
+ * @param {string} containerId - Element to render into
+ * @param {Function} onChange - Called after any change, with a message
+ *   when check-ins changed (rename, merge or delete), which can be undone
  */
-export function generateWeeklyInsights() {
-    const moods = getAllMoods();
-    if (moods.length < 7) return [];
-
-    const insights = [];
-
-    // Analyze mood by day of week
-    const dayStats = {};
-    WEEKDAYS.forEach(day => dayStats[day] = { total: 0, count: 0 });
+export async function renderTagManager(containerId, onChange = () => {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-    const emojiToValue = {
-        '😍': 5, '😊': 4, '😐': 3, '😴': 2, '😰': 2, '😢': 1, '😠': 1
+    const tagCounts = await getAllTags();
+    const rerender = (message = null) => {
+        renderTagManager(containerId, onChange);
+        onChange(message);
     };
 
-    moods.forEach(m => {
-        const day = WEEKDAYS[new Date(m.date).getDay()];
-        dayStats[day].total += emojiToValue[m.emoji] || 3;
-        dayStats[day].count++;
+    if (tagCounts.length === 0) {
+        container.innerHTML = '<p class="tag-manager__empty">No tags yet. Tags you add to check-ins show up here.</p>';
+        return;
+    }
+
+    const groups = {};
+    tagCounts.forEach(item => {
+        const category = getTagInfo(item.tag).category || '';
+        (groups[category] = groups[category] || []).push(item);
     });
+    // Named categories alphabetically, uncategorized tags last
+    const categories = Object.keys(groups).sort((a, b) => (!a) - (!b) || a.localeCompare(b));
+
+    container.innerHTML = `
+    <div class="tag-manager">
+      <datalist id="tagCategoryOptions">
+        ${getTagCategories().map(c => `<option value="${escapeHTML(c)}"></option>`).join('')}
+      </datalist>
+      <datalist id="tagNameOptions">
+        ${tagCounts.map(({ tag }) => `<option value="${escapeHTML(tag)}"></option>`).join('')}
+      </datalist>
+      ${categories.map(category => `
+        <div class="tag-manager__group">
+          <div class="tag-manager__group-title">${category ? escapeHTML(category) : 'Uncategorized'}</div>
+          ${groups[category].map(({ tag, count }) => {
+              const info = getTagInfo(tag);
+              const label = escapeHTML(`#${tag}`);
+              return `
+            <div class="tag-manager__row" data-tag="${escapeHTML(tag)}">
+              ${renderTagChip(tag)}
+              <span class="tag-manager__count" title="Check-ins with this tag">${count}</span>
+              <input type="color" class="emoji-manager__color" data-field="color"
+                     value="${escapeHTML(info.color || DEFAULT_TAG_COLOR)}" aria-label="Color for ${label}">
+              ${info.color ? `<button class="emoji-manager__btn" data-action="clear-color" aria-label="Remove color from ${label}">No color</button>` : ''}
+              <input type="text" class="emoji-manager__input" data-field="category" list="tagCategoryOptions"
+                     value="${escapeHTML(info.category || '')}" placeholder="Category"
+                     maxlength="${MAX_CATEGORY_LENGTH}" aria-label="Category for ${label}">
+              <button class="emoji-manager__btn" data-action="rename" aria-label="Rename or merge ${label}">Rename</button>
+              <button class="emoji-manager__btn emoji-manager__btn--danger" data-action="delete" aria-label="Delete ${label}">&times;</button>
+            </div>`;
+          }).join('')}
+        </div>
+      `).join('')}
+      <form class="tag-manager__rename" id="tagRenameForm" hidden>
+        <label class="tag-manager__rename-label" for="tagRenameInput" id="tagRenameLabel"></label>
+        <input type="text" class="emoji-manager__input" id="tagRenameInput" list="tagNameOptions"
+               maxlength="${MAX_TAG_LENGTH + 1}" autocomplete="off" required>
+        <button type="submit" class="btn btn--primary" id="tagRenameSubmit">Rename</button>
+        <button type="button" class="btn btn--secondary" id="tagRenameCancel">Cancel</button>
+      </form>
+      <p class="emoji-manager__error" id="tagManagerError" role="alert"></p>
+    </div>
+  `;
 
-    // Find best and worst days
-    let bestDay = null, worstDay = null;
-    let bestAvg = 0, worstAvg = 5;
+    const showError = (message) => {
+        const el = document.getElementById('tagManagerError');
+        if (el) el.textContent = message;
+    };
 
-    Object.entries(dayStats).forEach(([day, stats]) => {
-        if (stats.count >= 2) {
-            const avg = stats.total / stats.count;
-            if (avg > bestAvg) { bestAvg = avg; bestDay = day; }
-            if (avg < worstAvg) { worstAvg = avg; worstDay = day; }
-        }
-    });
+    const form = document.getElementById('tagRenameForm');
+    const renameInput = document.getElementById('tagRenameInput');
+    const submitBtn = document.getElementById('tagRenameSubmit');
+    let renaming = null;
 
-    if (bestDay) {
-        insights.push({
-            type: 'positive',
-            text: `You tend to feel happiest on <span class="insight-card__highlight">${bestDay}s</span>!`
+    // Renaming to a tag that exists merges the two
+    const updateSubmitLabel = () => {
+        const to = normalizeTag(renameInput.value);
+        const merging = to !== renaming && tagCounts.some(t => t.tag === to);
+        submitBtn.textContent = merging ? `Merge into #${to}` : 'Rename';
+    };
+    renameInput?.addEventListener('input', updateSubmitLabel);
+
+    container.querySelectorAll('.tag-manager__row').forEach(row => {
+        const tag = row.dataset.tag;
+        const count = tagCounts.find(t => t.tag === tag).count;
+
+        row.querySelectorAll('[data-field]').forEach(field => {
+            field.addEventListener('change', () => {
+                try {
+                    updateTagInfo(tag, { [field.dataset.field]: field.value });
+                    rerender();
+                } catch (err) {
+                    showError(err.message);
+                }
+            });
         });
-    }
 
-    if (worstDay && worstDay !== bestDay) {
-        insights.push({
-            type: 'info',
-            text: `<span class="insight-card__highlight">${worstDay}s</span> tend to be tougher. Consider planning something nice!`
+        row.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const action = btn.dataset.action;
+                try {
+                    if (action === 'clear-color') {
+                        updateTagInfo(tag, { color: null });
+                        rerender();
+                    } else if (action === 'rename') {
+                        renaming = tag;
+                        form.hidden = false;
+                        document.getElementById('tagRenameLabel').textContent = `Rename #${tag} to`;
+                        renameInput.value = tag;
+                        updateSubmitLabel();
+                        renameInput.focus();
+                        renameInput.select();
+                    } else if (action === 'delete') {
+                        const uses = `${count} ${count === 1 ? 'check-in' : 'check-ins'}`;
+                        if (!confirm(`Remove #${tag} from ${uses}?`)) return;
+                        await deleteTag(tag);
+                        rerender(`Deleted #${tag} from ${uses}`);
+                    }
+                } catch (err) {
+                    showError(err.message);
+                }
+            });
         });
-    }
+    });
+
+    form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const { to, merged, count } = await renameTag(renaming, renameInput.value);
+            const uses = `${count} ${count === 1 ? 'check-in' : 'check-ins'}`;
+            rerender(merged ? `Merged #${renaming} into #${to} on ${uses}` : `Renamed #${renaming} to #${to} on ${uses}`);
+        } catch (err) {
+            showError(err.message);
+        }
+    });
 
-    // Most common mood
-    const emojiCounts = {};
-    moods.forEach(m => {
-        emojiCounts[m.emoji] = (emojiCounts[m.emoji] || 0) + 1;
+    document.getElementById('tagRenameCancel')?.addEventListener('click', () => {
+        form.hidden = true;
+        renaming = null;
     });
+}
 
-    const mostCommon = Object.entries(emojiCounts).sort((a, b) => b[1] - a[1])[0];
-    if (mostCommon) {
-        const percentage = Math.round((mostCommon[1] / moods.length) * 100);
-        insights.push({
-            type: 'stat',
-            text: `Your most frequent mood is ${mostCommon[0]} (<span class="insight-card__highlight">${percentage}%</span> of entries)`
-        });
-    }
+// ==========================================
+// INTENSITY AND EMOTIONS
+// ==========================================
 
-    // Streak insight
-    const streak = getCurrentStreakDays(moods);
-    if (streak >= 7) {
-        insights.push({
-            type: 'achievement',
-            text: `Amazing! You've logged your mood for <span class="insight-card__highlight">${streak} days</span> in a row!`
-        });
-    }
+// Intensity and secondary emotions of the check-in in the picker, kept here
+// so ones set before a mood is picked are saved with the new check-in
+let moodDetails = { intensity: null, emotions: [] };
 
-    return insights;
+/**
+ * Get the intensity and secondary emotions set in the picker
+ * @returns {Object} { intensity, emotions }, for saveMood's options
+ */
+export function getMoodDetails() {
+    return { intensity: moodDetails.intensity, emotions: [...moodDetails.emotions] };
 }
 
-function getCurrentStreakDays(moods) {
-    if (moods.length === 0) return 0;
+/**
+ * Render the intensity slider and secondary emotion chips of the mood picker
+ * @param {string} containerId - Element to render into
+ * @param {Object} details - { intensity, emotions } of the check-in being edited
+ * @param {Function} onChange - Called after either changes
+ */
+export function renderMoodDetailsSection(containerId, { intensity = null, emotions = [] } = {}, onChange = () => {}) {
+    moodDetails = { intensity: intensity ?? null, emotions: [...(emotions || [])] };
+
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    // Emotions picked from an imported file may not be in the list
+    const choices = [...new Set([...SECONDARY_EMOTIONS, ...moodDetails.emotions])];
+    const describe = value => (value ? `${value}/${MAX_INTENSITY}` : 'Not set');
 
-    const sorted = [...moods].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    container.innerHTML = `
+    <div class="mood-details">
+      <div class="mood-details__intensity">
+        <label class="mood-details__label" for="intensityInput">Intensity</label>
+        <input type="range" class="mood-details__slider ${intensity ? '' : 'mood-details__slider--unset'}" id="intensityInput"
+               min="${MIN_INTENSITY}" max="${MAX_INTENSITY}" step="1" value="${intensity ?? Math.ceil(MAX_INTENSITY / 2)}"
+               aria-valuetext="${describe(intensity)}">
+        <output class="mood-details__value" id="intensityValue" for="intensityInput">${describe(intensity)}</output>
+        <button type="button" class="mood-details__clear" id="intensityClear" ${intensity ? '' : 'hidden'}>Clear</button>
+      </div>
+      <div class="mood-details__label" id="emotionsLabel">Also feeling</div>
+      <div class="mood-details__emotions" role="group" aria-labelledby="emotionsLabel">
+        ${choices.map(emotion => {
+            const selected = moodDetails.emotions.includes(emotion);
+            return `<button type="button" class="emotion-chip ${selected ? 'emotion-chip--selected' : ''}"
+                    data-emotion="${escapeHTML(emotion)}" aria-pressed="${selected}">${escapeHTML(emotion)}</button>`;
+        }).join('')}
+      </div>
+    </div>
+  `;
 
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+    const slider = document.getElementById('intensityInput');
+    const output = document.getElementById('intensityValue');
+    const clearBtn = document.getElementById('intensityClear');
 
-    const latestDate = new Date(sorted[0].date);
-    latestDate.setHours(0, 0, 0, 0);
+    const showIntensity = value => {
+        output.textContent = describe(value);
+        slider.setAttribute('aria-valuetext', describe(value));
+        slider.classList.toggle('mood-details__slider--unset', !value);
+        clearBtn.hidden = !value;
+    };
 
-    if (latestDate < yesterday) return 0;
+    slider?.addEventListener('input', () => showIntensity(Number(slider.value)));
+    slider?.addEventListener('change', () => {
+        moodDetails.intensity = Number(slider.value);
+        showIntensity(moodDetails.intensity);
+        onChange();
+    });
 
-    let streak = 1;
-    let expectedDate = new Date(sorted[0].date);
+    clearBtn?.addEventListener('click', () => {
+        moodDetails.intensity = null;
+        slider.value = String(Math.ceil(MAX_INTENSITY / 2));
+        showIntensity(null);
+        onChange();
+    });
 
-    for (let i = 1; i < sorted.length; i++) {
-        expectedDate.setDate(expectedDate.getDate() - 1);
-        const currentDate = new Date(sorted[i].date);
-        currentDate.setHours(0, 0, 0, 0);
-        expectedDate.setHours(0, 0, 0, 0);
+    container.querySelectorAll('.emotion-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const emotion = chip.dataset.emotion;
+            const selected = !moodDetails.emotions.includes(emotion);
+            moodDetails.emotions = selected
+                ? [...moodDetails.emotions, emotion]
+                : moodDetails.emotions.filter(e => e !== emotion);
+
+            chip.classList.toggle('emotion-chip--selected', selected);
+            chip.setAttribute('aria-pressed', String(selected));
+            onChange();
+        });
+    });
+}
 
-        if (currentDate.getTime() === expectedDate.getTime()) {
-            streak++;
-        } else {
-            break;
-        }
-    }
+// ==========================================
+// PROMPTS AND TEMPLATES
+// ==========================================
+
+// Answered prompts of the check-in in the picker, and how many of the
+// day's prompts were skipped with "Another prompt"
+let promptAnswers = [];
+let promptSkip = 0;
 
-    return streak;
+/**
+ * Get the prompts answered in the picker
+ * @returns {Array} { prompt, answer }, for saveMood's `prompts` option
+ */
+export function getPromptAnswers() {
+    return promptAnswers.map(a => ({ ...a }));
 }
 
 /**
- * Render insights panel
+ * Render the journaling prompt for the picked mood, the answers given so
+ * far and the note template menu
+ * @param {string} containerId - Element to render into
+ * @param {Object} context - { emoji, date, answers }; answers replace the
+ *   ones in the picker when given (a different check-in was loaded)
+ * @param {Function} onChange - Called after an answer is typed or removed
+ * @param {Function} onTemplate - Called with the template picked from the menu
  */
-export function renderInsights(containerId) {
+export function renderPromptsSection(containerId, { emoji = null, date = todayISO(), answers } = {}, onChange = () => {}, onTemplate = () => {}) {
+    if (answers !== undefined) {
+        promptAnswers = (answers || []).map(a => ({ ...a }));
+        promptSkip = 0;
+    }
+
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    const insights = generateWeeklyInsights();
+    const rerender = () => renderPromptsSection(containerId, { emoji, date }, onChange, onTemplate);
+    const prompt = getDailyPrompt(emoji, date, promptSkip);
+    const answered = promptAnswers.some(a => a.prompt === prompt);
+    const templates = getTemplates();
 
-    if (insights.length === 0) {
-        container.innerHTML = `
-      <div class="insights">
-        <div class="insight-card">
-          <p class="insight-card__text">Log moods for at least a week to see personalized insights!</p>
+    container.innerHTML = `
+    <div class="prompts">
+      <div class="prompts__suggestion">
+        <p class="prompts__text"><span class="prompts__label">Prompt:</span> ${escapeHTML(prompt)}</p>
+        <div class="prompts__actions">
+          ${answered ? '' : '<button type="button" class="prompts__btn" id="promptAnswerBtn">Answer</button>'}
+          <button type="button" class="prompts__btn" id="promptNextBtn">Another prompt</button>
         </div>
       </div>
-    `;
-        return;
-    }
-
-    container.innerHTML = `
-    <div class="insights">
-      <div class="insights__title">Weekly Insights</div>
-      ${insights.map(insight => `
-        <div class="insight-card">
-          <p class="insight-card__text">${insight.text}</p>
+      ${promptAnswers.map((a, i) => `
+        <div class="prompts__answer" data-index="${i}">
+          <label class="prompts__question" for="promptAnswer-${i}">${escapeHTML(a.prompt)}</label>
+          <textarea class="prompts__input" id="promptAnswer-${i}" rows="2">${escapeHTML(a.answer)}</textarea>
+          <button type="button" class="prompts__remove" aria-label="Remove answer to: ${escapeHTML(a.prompt)}">&times;</button>
         </div>
       `).join('')}
+      ${templates.length > 0 ? `
+        <select class="prompts__templates" id="noteTemplateSelect" aria-label="Add a note template">
+          <option value="">Add a template to the note…</option>
+          ${templates.map(t => `<option value="${escapeHTML(t.id)}">${escapeHTML(t.name)}</option>`).join('')}
+        </select>
+      ` : ''}
     </div>
   `;
-}
 
-// ==========================================
-// MOOD PATTERNS
-// ==========================================
+    document.getElementById('promptAnswerBtn')?.addEventListener('click', () => {
+        promptAnswers.push({ prompt, answer: '' });
+        rerender();
+        document.getElementById(`promptAnswer-${promptAnswers.length - 1}`)?.focus();
+    });
 
-/**
- * Analyze mood patterns by day of week
- */
-export function getMoodPatterns() {
-    const moods = getAllMoods();
-    const patterns = WEEKDAYS.map(() => ({ emojis: {}, count: 0 }));
+    document.getElementById('promptNextBtn')?.addEventListener('click', () => {
+        promptSkip++;
+        rerender();
+    });
 
-    moods.forEach(m => {
-        const dayIndex = new Date(m.date).getDay();
-        patterns[dayIndex].emojis[m.emoji] = (patterns[dayIndex].emojis[m.emoji] || 0) + 1;
-        patterns[dayIndex].count++;
+    container.querySelectorAll('.prompts__answer').forEach(row => {
+        const index = Number(row.dataset.index);
+
+        row.querySelector('.prompts__input')?.addEventListener('input', (e) => {
+            promptAnswers[index].answer = e.target.value;
+            onChange();
+        });
+
+        row.querySelector('.prompts__remove')?.addEventListener('click', () => {
+            promptAnswers.splice(index, 1);
+            rerender();
+            onChange();
+        });
     });
 
-    return patterns.map((p, i) => {
-        const mostCommon = Object.entries(p.emojis).sort((a, b) => b[1] - a[1])[0];
-        return {
-            day: WEEKDAYS[i].slice(0, 3),
-            emoji: mostCommon ? mostCommon[0] : '—',
-            count: p.count
-        };
+    const templateSelect = document.getElementById('noteTemplateSelect');
+    templateSelect?.addEventListener('change', () => {
+        const template = templates.find(t => t.id === templateSelect.value);
+        templateSelect.value = '';
+        if (template) onTemplate(template);
     });
 }
 
 /**
- * Render patterns grid
+ * Render the note template list in settings, with a form to add one
+ * @param {string} containerId - Element to render into
+ * @param {Function} onChange - Called after a template is added or deleted
  */
-export function renderPatterns(containerId) {
+export function renderTemplateManager(containerId, onChange = () => {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    const patterns = getMoodPatterns();
-    const maxCount = Math.max(...patterns.map(p => p.count));
+    const rerender = () => {
+        renderTemplateManager(containerId, onChange);
+        onChange();
+    };
 
+    const templates = getTemplates();
     container.innerHTML = `
-    <div class="patterns-grid">
-      ${patterns.map(p => {
-        const isHighlight = p.count === maxCount && p.count > 0;
-        return `
-          <div class="pattern-day ${isHighlight ? 'pattern-day--highlight' : ''}">
-            <span class="pattern-day__label">${p.day}</span>
-            ${p.emoji}
+    <div class="template-manager">
+      ${templates.length === 0 ? '<p class="tag-manager__empty">No templates yet.</p>' : ''}
+      ${templates.map(t => `
+        <div class="template-manager__row" data-id="${escapeHTML(t.id)}">
+          <div class="template-manager__text">
+            <div class="template-manager__name">${escapeHTML(t.name)}</div>
+            <div class="template-manager__preview">${escapeHTML(t.body.replace(/\s+/g, ' '))}</div>
           </div>
-        `;
-    }).join('')}
+          <button class="emoji-manager__btn emoji-manager__btn--danger" data-action="delete"
+                  aria-label="Delete the ${escapeHTML(t.name)} template">&times;</button>
+        </div>
+      `).join('')}
+      <form class="template-manager__add" id="templateAddForm">
+        <input type="text" class="emoji-manager__input" id="templateNameInput" placeholder="Name, e.g. Morning pages"
+               maxlength="${MAX_TEMPLATE_NAME_LENGTH}" aria-label="Template name" required>
+        <textarea class="emoji-manager__input template-manager__body" id="templateBodyInput" rows="4"
+                  maxlength="${MAX_TEMPLATE_LENGTH}" placeholder="Text added to the note" aria-label="Template text" required></textarea>
+        <button type="submit" class="emoji-manager__btn">Add template</button>
+      </form>
+      <p class="emoji-manager__error" id="templateManagerError" role="alert"></p>
     </div>
   `;
+
+    container.querySelectorAll('.template-manager__row [data-action="delete"]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeTemplate(btn.closest('.template-manager__row').dataset.id);
+            rerender();
+        });
+    });
+
+    document.getElementById('templateAddForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            addTemplate(document.getElementById('templateNameInput').value, document.getElementById('templateBodyInput').value);
+            rerender();
+        } catch (err) {
+            const el = document.getElementById('templateManagerError');
+            if (el) el.textContent = err.message;
+        }
+    });
 }
 
 // ==========================================
-// YEAR IN REVIEW
+// FACTORS
 // ==========================================
 
-const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Factor values of the check-in in the picker, kept here so ones set before
+// a mood is picked are saved with the new check-in. Values of factors that
+// were since removed are carried along untouched.
+let factorValues = {};
 
 /**
- * Get year review data
+ * Get the factor values set in the picker
+ * @returns {Object} Factor ID -> value, for saveMood's `factors` option
  */
-export function getYearReview(year = new Date().getFullYear()) {
-    const moods = getAllMoods();
-    const yearMoods = moods.filter(m => new Date(m.date).getFullYear() === year);
-
-    const monthData = MONTHS.map((name, i) => {
-        const monthMoods = yearMoods.filter(m => new Date(m.date).getMonth() === i);
-        const emojiCounts = {};
-        monthMoods.forEach(m => {
-            emojiCounts[m.emoji] = (emojiCounts[m.emoji] || 0) + 1;
-        });
-        const dominant = Object.entries(emojiCounts).sort((a, b) => b[1] - a[1])[0];
+export function getFactorValues() {
+    return { ...factorValues };
+}
 
-        return {
-            name,
-            count: monthMoods.length,
-            emoji: dominant ? dominant[0] : null
-        };
-    });
+/**
+ * Render one factor's input: a number field, 1-5 buttons or yes/no buttons
+ */
+function renderFactorInput(factor, value) {
+    const labelId = `factorLabel-${factor.id}`;
 
-    // Calculate year stats
-    const emojiCounts = {};
-    yearMoods.forEach(m => {
-        emojiCounts[m.emoji] = (emojiCounts[m.emoji] || 0) + 1;
-    });
-    const topEmoji = Object.entries(emojiCounts).sort((a, b) => b[1] - a[1])[0];
+    if (factor.type === 'number') {
+        return `
+        <input type="number" class="factors__input" id="factorInput-${escapeHTML(factor.id)}"
+               min="${factor.min}" max="${factor.max}" step="${factor.step}" inputmode="decimal"
+               value="${value ?? ''}" aria-labelledby="${escapeHTML(labelId)}">
+        ${factor.unit ? `<span class="factors__unit">${escapeHTML(factor.unit)}</span>` : ''}`;
+    }
 
-    return {
-        year,
-        months: monthData,
-        totalEntries: yearMoods.length,
-        topEmoji: topEmoji ? topEmoji[0] : null,
-        daysLogged: yearMoods.length
-    };
+    const choices = factor.type === 'scale'
+        ? Array.from({ length: factor.max - factor.min + 1 }, (_, i) => ({ value: factor.min + i, label: String(factor.min + i) }))
+        : [{ value: true, label: 'Yes' }, { value: false, label: 'No' }];
+
+    return `
+        <div class="factors__choices" role="group" aria-labelledby="${escapeHTML(labelId)}">
+          ${choices.map(choice => `
+            <button type="button" class="factors__choice ${choice.value === value ? 'factors__choice--selected' : ''}"
+                    data-value="${choice.value}" aria-pressed="${choice.value === value}">${choice.label}</button>
+          `).join('')}
+        </div>`;
 }
 
 /**
- * Render year review modal content
+ * Render the factor inputs of the mood picker
+ * @param {string} containerId - Element to render into
+ * @param {Object} values - Factor values of the check-in being edited
+ * @param {Function} onChange - Called after a value is set or cleared
  */
-export function renderYearReview(containerId, year) {
+export function renderFactorsSection(containerId, values = {}, onChange = () => {}) {
+    factorValues = { ...values };
+
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    const data = getYearReview(year);
-
+    const factors = getFactors();
     container.innerHTML = `
-    <div class="year-review">
-      <div class="year-grid">
-        ${data.months.map(m => `
-          <div class="year-month ${m.emoji ? 'year-month--has-data' : ''}" 
-               title="${m.name}: ${m.count} entries">
-            ${m.emoji || m.name.slice(0, 1)}
+    <div class="factors">
+      <div class="factors__title">Sleep, energy &amp; activity</div>
+      <div class="factors__grid">
+        ${factors.map(factor => `
+          <div class="factors__item" data-factor="${escapeHTML(factor.id)}">
+            <span class="factors__label" id="factorLabel-${escapeHTML(factor.id)}">${escapeHTML(factor.label)}</span>
+            ${renderFactorInput(factor, factorValues[factor.id])}
           </div>
         `).join('')}
       </div>
-      <div class="year-stats">
-        <div class="year-stat">
-          <div class="year-stat__value">${data.totalEntries}</div>
-          <div class="year-stat__label">Days Logged</div>
-        </div>
-        <div class="year-stat">
-          <div class="year-stat__value">${data.topEmoji || '—'}</div>
-          <div class="year-stat__label">Top Mood</div>
-        </div>
-      </div>
     </div>
   `;
-}
 
-// ==========================================
-// DAILY REMINDERS
-// ==========================================
+    const setValue = (id, value) => {
+        if (value === null) {
+            delete factorValues[id];
+        } else {
+            factorValues[id] = value;
+        }
+        onChange();
+    };
 
-const REMINDER_KEY = 'moodpad_reminder';
+    container.querySelectorAll('.factors__item').forEach(item => {
+        const factor = factors.find(f => f.id === item.dataset.factor);
 
-/**
- * Check if notifications are supported and enabled
- */
-export function canNotify() {
-    return 'Notification' in window && Notification.permission === 'granted';
+        item.querySelector('.factors__input')?.addEventListener('change', (e) => {
+            const input = e.target;
+            try {
+                const value = normalizeFactorValue(factor, input.value.trim());
+                input.classList.remove('factors__input--invalid');
+                input.removeAttribute('title');
+                setValue(factor.id, value);
+            } catch (err) {
+                input.classList.add('factors__input--invalid');
+                input.setAttribute('title', err.message);
+            }
+        });
+
+        item.querySelectorAll('.factors__choice').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const value = factor.type === 'scale' ? Number(btn.dataset.value) : btn.dataset.value === 'true';
+                // Tapping the chosen value again clears it
+                const next = factorValues[factor.id] === value ? null : value;
+
+                item.querySelectorAll('.factors__choice').forEach(other => {
+                    const selected = other === btn && next !== null;
+                    other.classList.toggle('factors__choice--selected', selected);
+                    other.setAttribute('aria-pressed', String(selected));
+                });
+                setValue(factor.id, next);
+            });
+        });
+    });
 }
 
 /**
- * Request notification permission
+ * Render the factor list in settings: built-in factors, and the user's own
+ * with a button to stop tracking each, plus a form to add one
+ * @param {string} containerId - Element to render into
+ * @param {Function} onChange - Called after a factor is added or removed
  */
-export async function requestNotificationPermission() {
-    if (!('Notification' in window)) {
-        return false;
-    }
+export function renderFactorManager(containerId, onChange = () => {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-    const permission = await Notification.requestPermission();
-    return permission === 'granted';
-}
+    const rerender = () => {
+        renderFactorManager(containerId, onChange);
+        onChange();
+    };
+    const describeType = factor => ({
+        number: factor.unit ? `Number (${factor.unit})` : 'Number',
+        scale: `${factor.min}–${factor.max}`,
+        boolean: 'Yes or no'
+    })[factor.type];
+
+    container.innerHTML = `
+    <div class="factor-manager">
+      ${getFactors().map(factor => `
+        <div class="factor-manager__row" data-factor="${escapeHTML(factor.id)}">
+          <span class="factor-manager__label">${escapeHTML(factor.label)}</span>
+          <span class="factor-manager__type">${escapeHTML(describeType(factor))}</span>
+          ${factor.custom ? `<button class="emoji-manager__btn emoji-manager__btn--danger" data-action="remove"
+                  aria-label="Stop tracking ${escapeHTML(factor.label)}">&times;</button>` : ''}
+        </div>
+      `).join('')}
+      <form class="factor-manager__add" id="factorAddForm">
+        <input type="text" class="emoji-manager__input" id="factorLabelInput" placeholder="e.g. Meditation"
+               maxlength="${MAX_FACTOR_LABEL_LENGTH}" aria-label="New factor name" required>
+        <select class="emoji-manager__input" id="factorTypeInput" aria-label="New factor type">
+          <option value="number">Number</option>
+          <option value="boolean">Yes or no</option>
+        </select>
+        <input type="text" class="emoji-manager__input factor-manager__unit" id="factorUnitInput" placeholder="Unit"
+               maxlength="12" aria-label="Unit (optional)">
+        <button type="submit" class="emoji-manager__btn">Add</button>
+      </form>
+      <p class="emoji-manager__error" id="factorManagerError" role="alert"></p>
+    </div>
+  `;
+
+    const showError = (message) => {
+        const el = document.getElementById('factorManagerError');
+        if (el) el.textContent = message;
+    };
+
+    container.querySelectorAll('.factor-manager__row [data-action="remove"]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const id = btn.closest('.factor-manager__row').dataset.factor;
+            const factor = getFactors().find(f => f.id === id);
+            if (!confirm(`Stop tracking ${factor.label}? Values already logged are kept.`)) return;
+            removeCustomFactor(id);
+            rerender();
+        });
+    });
+
+    const typeInput = document.getElementById('factorTypeInput');
+    const unitInput = document.getElementById('factorUnitInput');
+    typeInput?.addEventListener('change', () => {
+        unitInput.hidden = typeInput.value !== 'number';
+    });
+
+    document.getElementById('factorAddForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            addCustomFactor(document.getElementById('factorLabelInput').value, typeInput.value, unitInput.value);
+            rerender();
+        } catch (err) {
+            showError(err.message);
+        }
+    });
+}
+
+// ==========================================
+// INSIGHTS
+// ==========================================
+
+const WINDOW_LABELS = { 0: 'All time', 365: 'Last year' };
+
+/**
+ * Generate insights from every check-in
+ */
+export async function generateInsights() {
+    return buildInsights(await getAllMoods());
+}
+
+/**
+ * Render one insight card with its pin and dismiss buttons
+ */
+function renderInsightCard(insight) {
+    return `
+    <div class="insight-card insight-card--${insight.severity} ${insight.pinned ? 'insight-card--pinned' : ''}"
+         data-id="${escapeHTML(insight.id)}">
+      <p class="insight-card__text">${insight.text}</p>
+      <div class="insight-card__actions">
+        <button type="button" class="insight-card__action ${insight.pinned ? 'insight-card__action--active' : ''}"
+                data-action="${insight.pinned ? 'unpin' : 'pin'}"
+                aria-label="${insight.pinned ? 'Unpin' : 'Pin'} insight" aria-pressed="${Boolean(insight.pinned)}"
+                title="${insight.pinned ? 'Unpin' : 'Pin to top'}">📌</button>
+        <button type="button" class="insight-card__action" data-action="dismiss"
+                aria-label="Dismiss insight" title="Dismiss">&times;</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render insights panel: pinned cards first, then new insights
+ */
+export async function renderInsights(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const moods = await getAllMoods();
+    const state = getInsightState();
+    const { pinned, active } = selectInsights(buildInsights(moods, todayISO(), state), state, moods);
+    const cards = [...pinned, ...active];
+
+    if (cards.length === 0) {
+        const message = getDailySummaries(moods).length < 7
+            ? 'Log moods for at least a week to see personalized insights!'
+            : 'No new insights right now. Check back in a few days.';
+        container.innerHTML = `
+      <div class="insights">
+        <div class="insight-card">
+          <p class="insight-card__text">${message}</p>
+        </div>
+      </div>
+    `;
+        return;
+    }
+
+    container.innerHTML = `
+    <div class="insights">
+      ${cards.map(renderInsightCard).join('')}
+    </div>
+  `;
+
+    container.querySelectorAll('.insight-card__action').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const id = btn.closest('.insight-card').dataset.id;
+            const { pinned: _, ...insight } = cards.find(c => c.id === id);
+
+            if (btn.dataset.action === 'pin') pinInsight(insight);
+            else if (btn.dataset.action === 'unpin') unpinInsight(id);
+            else dismissInsight(id);
+
+            renderInsights(containerId);
+        });
+    });
+}
+
+/**
+ * Render insight settings: which generators run and over what window
+ * @param {string} containerId - Container element ID
+ * @param {Function} onChange - Called after any change
+ */
+export function renderInsightSettings(containerId, onChange = () => {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const state = getInsightState();
+
+    container.innerHTML = `
+    <div class="insight-settings">
+      ${INSIGHT_GENERATORS.map(generator => {
+        const options = getGeneratorOptions(generator.id, state);
+        return `
+          <div class="insight-settings__row" data-generator="${generator.id}">
+            <label class="insight-settings__label">
+              <input type="checkbox" data-field="enabled" ${options.enabled ? 'checked' : ''}>
+              ${generator.label}
+            </label>
+            ${generator.windows ? `
+              <select class="lock-settings__input" data-field="days" aria-label="${generator.label} window"
+                      ${options.enabled ? '' : 'disabled'}>
+                ${generator.windows.map(days => `
+                  <option value="${days}" ${days === options.days ? 'selected' : ''}>${WINDOW_LABELS[days] || `${days} days`}</option>
+                `).join('')}
+              </select>
+            ` : ''}
+          </div>
+        `;
+    }).join('')}
+      <button type="button" class="btn btn--secondary" id="restoreInsightsBtn" ${state.dismissed.length === 0 ? 'disabled' : ''}>
+        Show dismissed insights again${state.dismissed.length > 0 ? ` (${state.dismissed.length})` : ''}
+      </button>
+    </div>
+  `;
+
+    container.querySelectorAll('.insight-settings__row').forEach(row => {
+        row.addEventListener('change', (e) => {
+            const { field } = e.target.dataset;
+            const value = field === 'enabled' ? e.target.checked : Number(e.target.value);
+            updateGeneratorOptions(row.dataset.generator, { [field]: value });
+            renderInsightSettings(containerId, onChange);
+            onChange();
+        });
+    });
+
+    container.querySelector('#restoreInsightsBtn')?.addEventListener('click', () => {
+        restoreDismissedInsights();
+        renderInsightSettings(containerId, onChange);
+        onChange();
+    });
+}
+
+// ==========================================
+// TAG CORRELATIONS
+// ==========================================
+
+/**
+ * Get tag correlations for the whole journal
+ */
+export async function getTagCorrelations() {
+    return buildTagCorrelations(await getAllMoods());
+}
+
+/**
+ * Format a score difference with its sign
+ */
+function formatDifference(difference) {
+    if (difference === null) return '—';
+    return `${difference > 0 ? '+' : difference < 0 ? '−' : '±'}${Math.abs(difference).toFixed(1)}`;
+}
+
+/**
+ * Draw a tag's monthly averages as a small line
+ */
+function renderSparkline(trend) {
+    const width = 60;
+    const height = 20;
+    const step = width / (trend.length - 1);
+    let path = '';
+    let drawing = false;
+
+    trend.forEach((t, i) => {
+        if (t.average === null) {
+            drawing = false;
+            return;
+        }
+        const y = height - ((t.average - 1) / 4) * height;
+        path += `${drawing ? 'L' : 'M'}${(i * step).toFixed(1)} ${y.toFixed(1)} `;
+        drawing = true;
+    });
+
+    return `<svg class="tag-impact__sparkline" viewBox="-2 -2 ${width + 4} ${height + 4}" aria-hidden="true">
+      <path d="${path.trim()}"></path>
+    </svg>`;
+}
+
+const DIRECTION_LABELS = { up: '↑ improving', down: '↓ declining', flat: '→ steady' };
+
+/**
+ * Render one tag's row
+ */
+function renderTagImpact(c) {
+    const tone = c.difference === null || c.confidence === 'low' ? 'neutral' : c.difference > 0 ? 'positive' : 'negative';
+    return `
+    <div class="tag-impact tag-impact--${tone}">
+      <div class="tag-impact__header">
+        <span class="tag">#${escapeHTML(c.tag)}</span>
+        <span class="tag-impact__difference">${formatDifference(c.difference)}</span>
+      </div>
+      <div class="tag-impact__details">
+        <span>${c.withAverage.toFixed(1)} with vs ${c.withoutAverage === null ? '—' : c.withoutAverage.toFixed(1)} without</span>
+        <span>${c.count} ${c.count === 1 ? 'check-in' : 'check-ins'}</span>
+        <span class="tag-impact__confidence tag-impact__confidence--${c.confidence}">${c.confidence} confidence</span>
+      </div>
+      <div class="tag-impact__trend">
+        ${renderSparkline(c.trend)}
+        <span>${c.direction ? DIRECTION_LABELS[c.direction] : 'Not enough months yet'}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the side-by-side comparison of two tags
+ */
+function renderTagComparison(comparison) {
+    if (!comparison) return '';
+    const { first, second, both } = comparison;
+    const rows = [
+        ['Average with tag', c => c.withAverage.toFixed(1)],
+        ['Difference', c => formatDifference(c.difference)],
+        ['Check-ins', c => c.count],
+        ['Confidence', c => c.confidence],
+        ['Trend', c => (c.direction ? DIRECTION_LABELS[c.direction] : '—')]
+    ];
+
+    return `
+    <table class="tag-compare__table">
+      <thead>
+        <tr><th></th><th>#${escapeHTML(first.tag)}</th><th>#${escapeHTML(second.tag)}</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(([label, value]) => `
+          <tr><th scope="row">${label}</th><td>${value(first)}</td><td>${value(second)}</td></tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <p class="tag-compare__both">
+      ${both.count > 0
+        ? `Together on ${both.count} ${both.count === 1 ? 'check-in' : 'check-ins'}, averaging ${both.average.toFixed(1)}.`
+        : 'Never used together.'}
+    </p>
+  `;
+}
+
+/**
+ * Render the "What affects my mood" panel
+ * @param {string} containerId - Container element ID
+ */
+export async function renderTagCorrelations(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const moods = await getAllMoods();
+    const correlations = buildTagCorrelations(moods);
+    const shown = correlations.filter(c => c.count >= MIN_TAG_COUNT);
+
+    if (shown.length === 0) {
+        container.innerHTML = `
+      <div class="insights">
+        <div class="insights__title">What Affects My Mood</div>
+        <div class="insight-card">
+          <p class="insight-card__text">Tag at least ${MIN_TAG_COUNT} check-ins with the same tag to see how it relates to your mood.</p>
+        </div>
+      </div>
+    `;
+        return;
+    }
+
+    const options = selected => shown.map(c => `
+      <option value="${escapeHTML(c.tag)}" ${c.tag === selected ? 'selected' : ''}>#${escapeHTML(c.tag)}</option>
+    `).join('');
+
+    container.innerHTML = `
+    <div class="insights">
+      <div class="insights__title">What Affects My Mood</div>
+      <p class="tag-impact__intro">Average mood (1–5) of check-ins with each tag compared to those without it.</p>
+      ${shown.map(renderTagImpact).join('')}
+      ${shown.length >= 2 ? `
+        <div class="tag-compare">
+          <div class="tag-compare__controls">
+            <select class="tag-compare__select" id="tagCompareFirst" aria-label="First tag">${options(shown[0].tag)}</select>
+            <span>vs</span>
+            <select class="tag-compare__select" id="tagCompareSecond" aria-label="Second tag">${options(shown[1].tag)}</select>
+          </div>
+          <div id="tagCompareResult">${renderTagComparison(compareTags(moods, shown[0].tag, shown[1].tag))}</div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+    const first = container.querySelector('#tagCompareFirst');
+    const second = container.querySelector('#tagCompareSecond');
+    const result = container.querySelector('#tagCompareResult');
+
+    [first, second].forEach(select => select?.addEventListener('change', () => {
+        result.innerHTML = renderTagComparison(compareTags(moods, first.value, second.value));
+    }));
+}
+
+// ==========================================
+// MOOD PATTERNS
+// ==========================================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Find each weekday's most common daily mood
+ * @param {Array} moods - Check-ins in any order
+ * @returns {Array} { day, emoji, count } per weekday, Sunday first
+ */
+export function buildMoodPatterns(moods) {
+    const days = getDailySummaries(moods);
+    const patterns = WEEKDAYS.map(() => ({ emojis: {}, count: 0 }));
+
+    days.forEach(m => {
+        const dayIndex = getWeekday(m.date);
+        patterns[dayIndex].emojis[m.emoji] = (patterns[dayIndex].emojis[m.emoji] || 0) + 1;
+        patterns[dayIndex].count++;
+    });
+
+    return patterns.map((p, i) => {
+        const mostCommon = Object.entries(p.emojis).sort((a, b) => b[1] - a[1])[0];
+        return {
+            day: WEEKDAYS[i].slice(0, 3),
+            emoji: mostCommon ? mostCommon[0] : '—',
+            count: p.count
+        };
+    });
+}
+
+/**
+ * Analyze mood patterns by day of week
+ */
+export async function getMoodPatterns() {
+    return buildMoodPatterns(await getAllMoods());
+}
+
+/**
+ * Render patterns grid
+ */
+export async function renderPatterns(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const patterns = await getMoodPatterns();
+    const maxCount = Math.max(...patterns.map(p => p.count));
+
+    container.innerHTML = `
+    <div class="patterns-grid">
+      ${patterns.map(p => {
+        const isHighlight = p.count === maxCount && p.count > 0;
+        return `
+          <div class="pattern-day ${isHighlight ? 'pattern-day--highlight' : ''}">
+            <span class="pattern-day__label">${p.day}</span>
+            ${escapeHTML(p.emoji)}
+          </div>
+        `;
+    }).join('')}
+    </div>
+  `;
+}
+
+// ==========================================
+// YEAR IN REVIEW
+// ==========================================
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HEATMAP_WEEKDAYS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+const TOP_TAG_COUNT = 5;
+
+/**
+ * Average a list of numbers, or null if it is empty
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Count values into [{ key, count }], most common first
+ */
+function countValues(values) {
+    const counts = {};
+    values.forEach(v => {
+        counts[v] = (counts[v] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => ({ key, count }));
+}
+
+/**
+ * Summarize the check-ins between two dates, inclusive
+ * Averages are per logged day, so a day with many check-ins counts once.
+ * @param {Array} moods - Check-ins in any order
+ * @param {string} from - First day in YYYY-MM-DD format
+ * @param {string} to - Last day in YYYY-MM-DD format
+ * @returns {Object} { from, to, days, totalEntries, topEmoji, daysLogged,
+ *   average, longestStreak, topTags, distribution }
+ */
+export function buildPeriodSummary(moods, from, to) {
+    const periodMoods = moods.filter(m => m.date >= from && m.date <= to);
+    const summaries = new Map(getDailySummaries(periodMoods).map(d => [d.date, d]));
+
+    // Every day of the period, logged or not
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const day = summaries.get(date);
+        days.push({
+            date,
+            value: day ? day.value : null,
+            emoji: day?.emoji || null,
+            count: day?.count || 0
+        });
+    }
+
+    const longestStreak = getStreakRuns([...summaries.values()])
+        .reduce((longest, run) => (!longest || run.length > longest.length ? run : longest), null);
+
+    const distribution = countValues(periodMoods.map(m => m.emoji)).map(({ key, count }) => ({
+        emoji: key,
+        count,
+        percent: Math.round((count / periodMoods.length) * 100)
+    }));
+
+    return {
+        from,
+        to,
+        days,
+        totalEntries: periodMoods.length,
+        topEmoji: distribution[0]?.emoji || null,
+        daysLogged: summaries.size,
+        average: average([...summaries.values()].map(d => d.value)),
+        longestStreak,
+        topTags: countValues(periodMoods.flatMap(m => m.tags || []))
+            .slice(0, TOP_TAG_COUNT)
+            .map(({ key, count }) => ({ tag: key, count })),
+        distribution
+    };
+}
+
+/**
+ * Summarize one calendar year of check-ins
+ * @param {Array} moods - Check-ins in any order
+ * @param {number} year - Year to summarize
+ * @returns {Object} buildPeriodSummary's fields for the year, plus { year,
+ *   months, bestMonth, worstMonth }
+ */
+export function buildYearReview(moods, year) {
+    const summary = buildPeriodSummary(moods, formatISODate(year, 0, 1), formatISODate(year, 11, 31));
+    const yearMoods = moods.filter(m => getDateParts(m.date).year === year);
+
+    const monthData = MONTHS.map((name, i) => {
+        const monthMoods = yearMoods.filter(m => getDateParts(m.date).month === i);
+        const dominant = countValues(monthMoods.map(m => m.emoji))[0];
+        const monthDays = summary.days.filter(d => d.value !== null && getDateParts(d.date).month === i);
+
+        return {
+            name,
+            count: monthMoods.length,
+            emoji: dominant ? dominant.key : null,
+            daysLogged: monthDays.length,
+            average: average(monthDays.map(d => d.value))
+        };
+    });
+
+    // Best and worst need at least one logged day; earlier months win ties
+    const ranked = monthData
+        .map((m, index) => ({ index, name: m.name, average: m.average }))
+        .filter(m => m.average !== null);
+    const bestMonth = ranked.reduce((best, m) => (!best || m.average > best.average ? m : best), null);
+    const worstMonth = ranked.reduce((worst, m) => (!worst || m.average < worst.average ? m : worst), null);
+
+    return {
+        ...summary,
+        year,
+        months: monthData,
+        bestMonth,
+        worstMonth
+    };
+}
+
+/**
+ * Get year review data
+ */
+export async function getYearReview(year = new Date().getFullYear()) {
+    return buildYearReview(await getAllMoods(), year);
+}
+
+/**
+ * Color for a 1-5 valence score, from red (low) through amber to green (high)
+ * @param {number} value - Average score
+ * @param {number} alpha - Opacity
+ * @returns {string} CSS color
+ */
+export function getValenceColor(value, alpha = 1) {
+    const hue = Math.round(((Math.min(Math.max(value, 1), 5) - 1) / 4) * 120);
+    return `hsla(${hue}, 65%, 50%, ${alpha})`;
+}
+
+/**
+ * Render the day-by-day heatmap: one column per week, Sunday at the top
+ */
+function renderYearHeatmap(data) {
+    const today = todayISO();
+    const offset = getWeekday(data.days[0].date);
+    const weeks = Math.ceil((offset + data.days.length) / 7);
+    const column = date => Math.floor((offset + data.days.findIndex(d => d.date === date)) / 7) + 1;
+
+    // Start focus on today in the current year, else the first logged day
+    const focusDate = data.days.some(d => d.date === today) ? today : data.days.find(d => d.value !== null)?.date || data.days[0].date;
+
+    const cells = data.days.map(d => {
+        const label = formatLongDate(d.date, { weekday: 'short', month: 'short', day: 'numeric' });
+        const future = d.date > today;
+        const description = d.value !== null
+            ? `${label}: ${d.emoji} ${getMoodDefinition(d.emoji).label}, ${d.value.toFixed(1)} of 5${d.count > 1 ? `, ${d.count} check-ins` : ''}`
+            : `${label}: no check-ins`;
+
+        return `
+        <button type="button"
+                class="year-heatmap__cell ${d.value !== null ? 'year-heatmap__cell--logged' : ''} ${future ? 'year-heatmap__cell--future' : ''}"
+                data-date="${d.date}"
+                ${d.value !== null ? `style="background: ${getValenceColor(d.value)};"` : ''}
+                tabindex="${d.date === focusDate ? 0 : -1}"
+                ${future ? 'disabled' : ''}
+                title="${escapeHTML(description)}"
+                aria-label="${escapeHTML(description)}"></button>
+      `;
+    }).join('');
+
+    return `
+    <div class="year-heatmap" style="--weeks: ${weeks};">
+      <div class="year-heatmap__months" aria-hidden="true">
+        ${MONTHS.map((name, i) => `
+          <span class="year-heatmap__month" style="grid-column: ${column(formatISODate(data.year, i, 1))};">${name}</span>
+        `).join('')}
+      </div>
+      <div class="year-heatmap__weekdays" aria-hidden="true">
+        ${HEATMAP_WEEKDAYS.map(day => `<span>${day}</span>`).join('')}
+      </div>
+      <div class="year-heatmap__grid" role="group"
+           aria-label="Mood by day in ${data.year}. Use the arrow keys to move between days.">
+        ${'<span class="year-heatmap__pad" aria-hidden="true"></span>'.repeat(offset)}
+        ${cells}
+      </div>
+      <div class="year-heatmap__legend" aria-hidden="true">
+        Low
+        ${[1, 2, 3, 4, 5].map(v => `<span class="year-heatmap__swatch" style="background: ${getValenceColor(v)};"></span>`).join('')}
+        High
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Describe a date range like "Mar 3 – Mar 20"
+ */
+function formatDateSpan(start, end) {
+    const format = date => formatLongDate(date, { month: 'short', day: 'numeric' });
+    return start === end ? format(start) : `${format(start)} – ${format(end)}`;
+}
+
+/**
+ * Render year review modal content
+ * @param {string} containerId - Container element ID
+ * @param {number} year - Year to show
+ * @param {Function} onDayClick - Called with a date string when a day is chosen
+ */
+export async function renderYearReview(containerId, year, onDayClick) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const moods = await getAllMoods();
+    const data = buildYearReview(moods, year);
+    const currentYear = getDateParts(todayISO()).year;
+    const firstYear = Math.min(currentYear, ...moods.map(m => getDateParts(m.date).year));
+    const format = value => (value === null ? '—' : value.toFixed(1));
+
+    container.innerHTML = `
+    <div class="year-review">
+      <div class="year-review__nav">
+        <button type="button" class="calendar__nav-btn" id="yearReviewPrev"
+                aria-label="Previous year" ${year <= firstYear ? 'disabled' : ''}>‹</button>
+        <span class="year-review__year">${data.year}</span>
+        <button type="button" class="calendar__nav-btn" id="yearReviewNext"
+                aria-label="Next year" ${year >= currentYear ? 'disabled' : ''}>›</button>
+      </div>
+
+      ${renderYearHeatmap(data)}
+
+      <div class="year-grid">
+        ${data.months.map(m => `
+          <div class="year-month ${m.emoji ? 'year-month--has-data' : ''}" 
+               title="${m.name}: ${m.count} entries${m.average !== null ? `, average ${m.average.toFixed(1)}` : ''}">
+            <span class="year-month__emoji">${m.emoji || m.name.slice(0, 1)}</span>
+            <span class="year-month__average" ${m.average !== null ? `style="color: ${getValenceColor(m.average)};"` : ''}>
+              ${format(m.average)}
+            </span>
+          </div>
+        `).join('')}
+      </div>
+
+      <div class="year-stats">
+        <div class="year-stat">
+          <div class="year-stat__value">${data.daysLogged}</div>
+          <div class="year-stat__label">Days Logged</div>
+        </div>
+        <div class="year-stat">
+          <div class="year-stat__value">${data.topEmoji || '—'}</div>
+          <div class="year-stat__label">Top Mood</div>
+        </div>
+        <div class="year-stat">
+          <div class="year-stat__value">${format(data.average)}</div>
+          <div class="year-stat__label">Average Score</div>
+        </div>
+        <div class="year-stat">
+          <div class="year-stat__value">${data.longestStreak ? data.longestStreak.length : 0}</div>
+          <div class="year-stat__label">
+            Longest Streak${data.longestStreak ? `<br>${formatDateSpan(data.longestStreak.start, data.longestStreak.end)}` : ''}
+          </div>
+        </div>
+        <div class="year-stat">
+          <div class="year-stat__value">${data.bestMonth ? data.bestMonth.name : '—'}</div>
+          <div class="year-stat__label">Best Month${data.bestMonth ? ` (${format(data.bestMonth.average)})` : ''}</div>
+        </div>
+        <div class="year-stat">
+          <div class="year-stat__value">${data.worstMonth ? data.worstMonth.name : '—'}</div>
+          <div class="year-stat__label">Toughest Month${data.worstMonth ? ` (${format(data.worstMonth.average)})` : ''}</div>
+        </div>
+      </div>
+
+      ${data.distribution.length > 0 ? `
+        <div class="year-review__section">
+          <div class="year-review__section-title">Mood Distribution</div>
+          ${data.distribution.map(d => `
+            <div class="year-distribution">
+              <span class="year-distribution__emoji">${escapeHTML(d.emoji)}</span>
+              <span class="year-distribution__bar">
+                <span class="year-distribution__fill"
+                      style="width: ${d.percent}%; background: ${escapeHTML(getMoodDefinition(d.emoji).color)};"></span>
+              </span>
+              <span class="year-distribution__count">${d.count} (${d.percent}%)</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+
+      ${data.topTags.length > 0 ? `
+        <div class="year-review__section">
+          <div class="year-review__section-title">Top Tags</div>
+          <div class="tags-container">
+            ${data.topTags.map(t => `<span class="tag">#${escapeHTML(t.tag)} · ${t.count}</span>`).join('')}
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+    container.querySelector('#yearReviewPrev')?.addEventListener('click', () => {
+        renderYearReview(containerId, year - 1, onDayClick);
+    });
+    container.querySelector('#yearReviewNext')?.addEventListener('click', () => {
+        renderYearReview(containerId, year + 1, onDayClick);
+    });
+
+    const grid = container.querySelector('.year-heatmap__grid');
+
+    grid?.addEventListener('click', (e) => {
+        const cell = e.target.closest('.year-heatmap__cell');
+        if (cell && !cell.disabled && onDayClick) onDayClick(cell.dataset.date);
+    });
+
+    // Up and down step a day, left and right a week, like the layout
+    grid?.addEventListener('keydown', (e) => {
+        const cell = e.target.closest('.year-heatmap__cell');
+        const steps = { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -7, ArrowRight: 7 };
+        if (!cell || !(e.key in steps)) return;
+
+        e.preventDefault();
+        const next = grid.querySelector(`.year-heatmap__cell[data-date="${addDays(cell.dataset.date, steps[e.key])}"]`);
+        if (next && !next.disabled) {
+            cell.setAttribute('tabindex', '-1');
+            next.setAttribute('tabindex', '0');
+            next.focus();
+        }
+    });
+}
+
+// ==========================================
+// REMINDERS
+// ==========================================
+
+// Reminder days are listed Monday first
+const REMINDER_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Check if notifications are supported and enabled
+ */
+export function canNotify() {
+    return 'Notification' in window && Notification.permission === 'granted';
+}
+
+/**
+ * Request notification permission
+ */
+export async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        return false;
+    }
+
+    const permission = await Notification.requestPermission();
+    return permission === 'granted';
+}
 
 /**
  * Check if reminder is enabled
  */
 export function isReminderEnabled() {
-    return localStorage.getItem(REMINDER_KEY) === 'true';
+    return getReminderSettings().enabled;
 }
 
 /**
- * Enable daily reminder
+ * Enable reminders once notifications are allowed
  */
 export async function enableReminder() {
     const granted = await requestNotificationPermission();
     if (granted) {
-        localStorage.setItem(REMINDER_KEY, 'true');
-        scheduleReminder();
+        updateReminderSettings({ enabled: true });
         return true;
     }
     return false;
@@ -518,180 +1726,769 @@ export async function enableReminder() {
  * Disable reminder
  */
 export function disableReminder() {
-    localStorage.removeItem(REMINDER_KEY);
+    updateReminderSettings({ enabled: false });
 }
 
 /**
- * Schedule reminder check
+ * Render reminder settings: times, days of the week and quiet days
+ * @param {string} containerId - Container element ID
  */
-function scheduleReminder() {
-    // Check every hour if we need to send reminder
-    setInterval(() => {
-        if (isReminderEnabled() && shouldSendReminder()) {
-            sendReminder();
+export function renderReminderSettings(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const settings = getReminderSettings();
+
+    container.innerHTML = `
+    <div class="reminder-settings">
+      <div class="reminder-settings__group">
+        <span class="reminder-settings__label">Times</span>
+        <div class="reminder-settings__times">
+          ${settings.times.map((time, i) => `
+            <span class="reminder-settings__time">
+              <input type="time" class="search__date" data-index="${i}" value="${time}" aria-label="Reminder time ${i + 1}">
+              ${settings.times.length > 1 ? `
+                <button type="button" class="reminder-settings__remove" data-remove-time="${i}" aria-label="Remove ${time}">&times;</button>
+              ` : ''}
+            </span>
+          `).join('')}
+          ${settings.times.length < MAX_REMINDER_TIMES ? `
+            <button type="button" class="btn btn--secondary" id="addReminderTimeBtn">+ Add time</button>
+          ` : ''}
+        </div>
+      </div>
+      <div class="reminder-settings__group" role="group" aria-label="Reminder days">
+        <span class="reminder-settings__label">Days</span>
+        <div class="reminder-settings__days">
+          ${REMINDER_WEEKDAYS.map(day => `
+            <label class="reminder-settings__day">
+              <input type="checkbox" data-day="${day}" ${settings.days.includes(day) ? 'checked' : ''}>
+              ${WEEKDAYS[day].slice(0, 3)}
+            </label>
+          `).join('')}
+        </div>
+      </div>
+      <div class="reminder-settings__group">
+        <span class="reminder-settings__label">Quiet days</span>
+        <div class="reminder-settings__quiet">
+          ${settings.quietDays.map(date => {
+            const label = formatLongDate(date, { weekday: 'short', month: 'short', day: 'numeric' });
+            return `
+              <button type="button" class="tag tag--removable" data-remove-quiet="${date}"
+                      aria-label="Remove quiet day ${label}">${label}</button>
+            `;
+        }).join('')}
+          <input type="date" class="search__date" id="reminderQuietDay" min="${todayISO()}" aria-label="Add a quiet day">
+        </div>
+      </div>
+      <p class="lock-settings__error" id="reminderSettingsError" role="alert"></p>
+    </div>
+  `;
+
+    const errorEl = container.querySelector('#reminderSettingsError');
+    const save = (changes) => {
+        try {
+            updateReminderSettings(changes);
+            renderReminderSettings(containerId);
+        } catch (err) {
+            errorEl.textContent = err.message;
         }
-    }, 60 * 60 * 1000); // Every hour
+    };
+
+    container.querySelectorAll('input[type="time"]').forEach(input => {
+        input.addEventListener('change', () => {
+            const times = [...settings.times];
+            times[Number(input.dataset.index)] = input.value;
+            save({ times });
+        });
+    });
+
+    container.querySelectorAll('[data-remove-time]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            save({ times: settings.times.filter((_, i) => i !== Number(btn.dataset.removeTime)) });
+        });
+    });
+
+    container.querySelector('#addReminderTimeBtn')?.addEventListener('click', () => {
+        // Suggest an hour after the latest time, wrapping past midnight
+        const [hours, minutes] = settings.times[settings.times.length - 1].split(':').map(Number);
+        save({ times: [...settings.times, `${String((hours + 1) % 24).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`] });
+    });
+
+    container.querySelectorAll('[data-day]').forEach(box => {
+        box.addEventListener('change', () => {
+            const day = Number(box.dataset.day);
+            save({ days: box.checked ? [...settings.days, day] : settings.days.filter(d => d !== day) });
+        });
+    });
+
+    container.querySelectorAll('[data-remove-quiet]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            save({ quietDays: settings.quietDays.filter(date => date !== btn.dataset.removeQuiet) });
+        });
+    });
+
+    container.querySelector('#reminderQuietDay')?.addEventListener('change', (e) => {
+        if (e.target.value) save({ quietDays: [...settings.quietDays, e.target.value] });
+    });
+}
+
+// ==========================================
+// MOOD MANAGER
+// ==========================================
+
+const SCORE_LABELS = { 1: '1 – Very bad', 2: '2 – Bad', 3: '3 – Okay', 4: '4 – Good', 5: '5 – Great' };
+
+/**
+ * Build score <option>s with one selected
+ */
+function scoreOptions(selected) {
+    return Object.entries(SCORE_LABELS).map(([value, label]) =>
+        `<option value="${value}" ${Number(value) === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
 }
 
 /**
- * Check if reminder should be sent
+ * Render the mood manager: add, reorder, relabel, recolor, hide and delete moods
+ * @param {string} containerId - Container element ID
+ * @param {Function} onChange - Called after any change to the registry or entries
  */
-function shouldSendReminder() {
-    const now = new Date();
-    const hour = now.getHours();
+export function renderMoodManager(containerId, onChange = () => {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-    // Send reminder between 8 PM and 9 PM if no mood logged today
-    if (hour >= 20 && hour < 21) {
-        const today = now.toISOString().split('T')[0];
-        const todayMood = getMood(today);
-        return !todayMood;
-    }
+    const moods = getMoods();
+    const rerender = () => {
+        renderMoodManager(containerId, onChange);
+        onChange();
+    };
 
-    return false;
+    container.innerHTML = `
+    <div class="emoji-manager">
+      <div class="emoji-manager__list">
+        ${moods.map((m, i) => `
+          <div class="emoji-manager__row ${m.hidden ? 'emoji-manager__row--hidden' : ''}" data-emoji="${escapeHTML(m.emoji)}">
+            <span class="emoji-manager__emoji">${escapeHTML(m.emoji)}</span>
+            <input type="text" class="emoji-manager__input" data-field="label" value="${escapeHTML(m.label)}"
+                   maxlength="24" aria-label="Label for ${escapeHTML(m.emoji)}">
+            <select class="emoji-manager__input" data-field="score" aria-label="Score for ${escapeHTML(m.emoji)}">
+              ${scoreOptions(m.score)}
+            </select>
+            <input type="color" class="emoji-manager__color" data-field="color" value="${escapeHTML(m.color)}"
+                   aria-label="Calendar color for ${escapeHTML(m.emoji)}">
+            <button class="emoji-manager__btn" data-action="up" aria-label="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+            <button class="emoji-manager__btn" data-action="down" aria-label="Move down" ${i === moods.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="emoji-manager__btn" data-action="hide" aria-pressed="${m.hidden}"
+                    aria-label="${m.hidden ? 'Show in picker' : 'Hide from picker'}">${m.hidden ? 'Show' : 'Hide'}</button>
+            <button class="emoji-manager__btn emoji-manager__btn--danger" data-action="delete" aria-label="Delete mood">&times;</button>
+          </div>
+        `).join('')}
+      </div>
+      <div class="emoji-manager__remap" id="moodRemap" hidden></div>
+      <form class="emoji-manager__add" id="moodAddForm">
+        <input type="text" class="emoji-manager__input emoji-manager__input--emoji" name="emoji"
+               placeholder="🙂" aria-label="New mood emoji" required>
+        <input type="text" class="emoji-manager__input" name="label" placeholder="Label"
+               maxlength="24" aria-label="New mood label">
+        <select class="emoji-manager__input" name="score" aria-label="New mood score">
+          ${scoreOptions(DEFAULT_CUSTOM_MOOD.score)}
+        </select>
+        <input type="color" class="emoji-manager__color" name="color" value="${DEFAULT_CUSTOM_MOOD.color}"
+               aria-label="New mood color">
+        <button type="submit" class="btn btn--primary">Add</button>
+      </form>
+      <p class="emoji-manager__error" id="moodManagerError" role="alert"></p>
+    </div>
+  `;
+
+    const showError = (message) => {
+        const el = document.getElementById('moodManagerError');
+        if (el) el.textContent = message;
+    };
+
+    container.querySelectorAll('.emoji-manager__row').forEach(row => {
+        const emoji = row.dataset.emoji;
+
+        row.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                let value = input.value;
+                if (field === 'label') {
+                    value = value.trim();
+                    if (!value) {
+                        showError('Labels cannot be empty');
+                        return;
+                    }
+                }
+                if (field === 'score') value = Number(value);
+                updateMood(emoji, { [field]: value });
+                rerender();
+            });
+        });
+
+        row.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const action = btn.dataset.action;
+                try {
+                    if (action === 'up' || action === 'down') {
+                        moveMood(emoji, action === 'up' ? -1 : 1);
+                    } else if (action === 'hide') {
+                        const mood = getMoods().find(m => m.emoji === emoji);
+                        if (!mood.hidden && getMoods().filter(m => !m.hidden).length === 1) {
+                            throw new Error('At least one mood must stay visible');
+                        }
+                        updateMood(emoji, { hidden: !mood.hidden });
+                    } else if (action === 'delete') {
+                        await handleMoodDelete(emoji, rerender, showError);
+                        return;
+                    }
+                    rerender();
+                } catch (err) {
+                    showError(err.message);
+                }
+            });
+        });
+    });
+
+    document.getElementById('moodAddForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const emoji = form.emoji.value.trim();
+
+        if (!isMoodEmoji(emoji)) {
+            showError('Enter a single emoji');
+            return;
+        }
+        if (getMoods().some(m => m.emoji === emoji)) {
+            showError(`${emoji} is already a mood`);
+            return;
+        }
+
+        addCustomEmoji(emoji, {
+            label: form.label.value.trim() || DEFAULT_CUSTOM_MOOD.label,
+            score: Number(form.score.value),
+            color: form.color.value
+        });
+        rerender();
+    });
 }
 
 /**
- * Send reminder notification
+ * Delete a mood, asking which mood to move its check-ins to if it is in use
  */
-function sendReminder() {
-    if (canNotify()) {
-        new Notification('MoodPad Reminder', {
-            body: 'How are you feeling today? Take a moment to log your mood.',
-            icon: '/icons/icon-192.png',
-            tag: 'moodpad-reminder'
-        });
+async function handleMoodDelete(emoji, rerender, showError) {
+    const inUse = await countEntriesWithEmoji(emoji);
+
+    if (inUse === 0) {
+        if (confirm(`Delete ${emoji}?`)) {
+            removeMood(emoji);
+            rerender();
+        }
+        return;
     }
+
+    const panel = document.getElementById('moodRemap');
+    if (!panel) return;
+
+    const targets = getMoods().filter(m => m.emoji !== emoji);
+    panel.hidden = false;
+    panel.innerHTML = `
+      <p>${inUse} ${inUse === 1 ? 'check-in uses' : 'check-ins use'} ${escapeHTML(emoji)}. Move ${inUse === 1 ? 'it' : 'them'} to:</p>
+      <select class="emoji-manager__input" id="moodRemapTarget" aria-label="Replacement mood">
+        ${targets.map(m => `<option value="${escapeHTML(m.emoji)}">${escapeHTML(m.emoji)} ${escapeHTML(m.label)}</option>`).join('')}
+      </select>
+      <button class="btn btn--primary" id="moodRemapConfirm">Move &amp; Delete</button>
+      <button class="btn btn--secondary" id="moodRemapCancel">Cancel</button>
+    `;
+
+    document.getElementById('moodRemapCancel')?.addEventListener('click', () => {
+        panel.hidden = true;
+        panel.innerHTML = '';
+    });
+
+    document.getElementById('moodRemapConfirm')?.addEventListener('click', async () => {
+        const target = document.getElementById('moodRemapTarget')?.value;
+        try {
+            await remapEmoji(emoji, target, { action: 'mood-remap' });
+            removeMood(emoji);
+            rerender();
+        } catch (err) {
+            showError(err.message);
+        }
+    });
 }
 
 // ==========================================
-// CUSTOM EMOJIS
+// APP LOCK
 // ==========================================
 
-const CUSTOM_EMOJIS_KEY = 'moodpad_custom_emojis';
-const DEFAULT_EMOJIS = ['😊', '😢', '😠', '😴', '😍', '😰', '😐'];
-
 /**
- * Get all emojis (default + custom)
+ * Check a new PIN and its confirmation
+ * @throws {Error} If they don't match or the PIN is not 4-8 digits
  */
-export function getAllEmojis() {
-    const custom = getCustomEmojis();
-    return [...DEFAULT_EMOJIS, ...custom];
+function checkNewPin(pin, confirmation) {
+    if (!isValidPin(pin)) throw new Error('PIN must be 4 to 8 digits');
+    if (pin !== confirmation) throw new Error('PINs do not match');
 }
 
 /**
- * Get custom emojis
+ * Render the app lock settings: set, change or remove the PIN and choose
+ * when the app locks itself
+ * @param {string} containerId - Container element ID
  */
-export function getCustomEmojis() {
-    try {
-        const data = localStorage.getItem(CUSTOM_EMOJIS_KEY);
-        return data ? JSON.parse(data) : [];
-    } catch {
-        return [];
+export function renderAppLockSettings(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const input = (name, label) => `
+        <input type="password" class="lock-settings__input" name="${name}" placeholder="${label}"
+               aria-label="${label}" inputmode="numeric" pattern="[0-9]*" maxlength="8" autocomplete="off" required>`;
+
+    if (!isPinEnabled()) {
+        container.innerHTML = `
+      <div class="lock-settings">
+        <div class="settings-item__desc">
+          Ask for a PIN whenever MoodPad opens, after it sits idle, or when you switch away from it.
+        </div>
+        <form class="lock-settings__form" data-action="set">
+          ${input('pin', 'New PIN (4–8 digits)')}
+          ${input('confirmation', 'Confirm PIN')}
+          <button type="submit" class="btn btn--primary">Set PIN</button>
+        </form>
+        <p class="lock-settings__error" id="appLockSettingsError" role="alert"></p>
+      </div>
+    `;
+    } else {
+        const { minutes, onHide } = getAutoLockSettings();
+        container.innerHTML = `
+      <div class="lock-settings">
+        <p class="lock-settings__status">PIN lock is on.</p>
+        <label class="lock-settings__option">
+          Lock after
+          <select class="lock-settings__input" id="autoLockMinutes">
+            ${AUTO_LOCK_OPTIONS.map(m => `
+              <option value="${m}" ${m === minutes ? 'selected' : ''}>
+                ${m === 0 ? 'Never' : `${m} ${m === 1 ? 'minute' : 'minutes'} idle`}
+              </option>
+            `).join('')}
+          </select>
+        </label>
+        <label class="lock-settings__option">
+          Lock when MoodPad goes to the background
+          <input type="checkbox" id="autoLockOnHide" ${onHide ? 'checked' : ''}>
+        </label>
+        <form class="lock-settings__form" data-action="change">
+          ${input('current', 'Current PIN')}
+          ${input('pin', 'New PIN (4–8 digits)')}
+          ${input('confirmation', 'Confirm new PIN')}
+          <button type="submit" class="btn btn--secondary">Change PIN</button>
+        </form>
+        <form class="lock-settings__form" data-action="remove">
+          ${input('current', 'Current PIN')}
+          <button type="submit" class="btn btn--secondary">Remove PIN</button>
+        </form>
+        <p class="lock-settings__error" id="appLockSettingsError" role="alert"></p>
+      </div>
+    `;
     }
+
+    const showError = (message) => {
+        const el = document.getElementById('appLockSettingsError');
+        if (el) el.textContent = message;
+    };
+
+    document.getElementById('autoLockMinutes')?.addEventListener('change', (e) => {
+        saveAutoLockSettings({ minutes: Number(e.target.value) });
+    });
+
+    document.getElementById('autoLockOnHide')?.addEventListener('change', (e) => {
+        saveAutoLockSettings({ onHide: e.target.checked });
+    });
+
+    container.querySelectorAll('.lock-settings__form').forEach(form => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const action = form.dataset.action;
+            const submit = form.querySelector('[type="submit"]');
+            const value = (name) => form.elements[name]?.value || '';
+
+            submit.disabled = true;
+            try {
+                if (action === 'set') {
+                    checkNewPin(value('pin'), value('confirmation'));
+                    await setPin(value('pin'));
+                } else if (action === 'change') {
+                    checkNewPin(value('pin'), value('confirmation'));
+                    await verifyPin(value('current'));
+                    await setPin(value('pin'));
+                } else {
+                    await verifyPin(value('current'));
+                    removePin();
+                }
+                renderAppLockSettings(containerId);
+            } catch (err) {
+                submit.disabled = false;
+                showError(err.message);
+            }
+        });
+    });
 }
 
+// ==========================================
+// JOURNAL LOCK
+// ==========================================
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
 /**
- * Add custom emoji
+ * Check a new passphrase and its confirmation
+ * @throws {Error} If they don't match or it is too short
  */
-export function addCustomEmoji(emoji) {
-    const custom = getCustomEmojis();
-    if (!custom.includes(emoji) && !DEFAULT_EMOJIS.includes(emoji)) {
-        custom.push(emoji);
-        localStorage.setItem(CUSTOM_EMOJIS_KEY, JSON.stringify(custom));
+function checkNewPassphrase(passphrase, confirmation) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (passphrase !== confirmation) {
+        throw new Error('Passphrases do not match');
     }
-    return getAllEmojis();
 }
 
 /**
- * Remove custom emoji
+ * Render the journal lock settings: turn passphrase encryption on or off,
+ * change the passphrase, or lock right away
+ * @param {string} containerId - Container element ID
+ * @param {Function} onLock - Called after "Lock now" locks the journal
  */
-export function removeCustomEmoji(emoji) {
-    const custom = getCustomEmojis().filter(e => e !== emoji);
-    localStorage.setItem(CUSTOM_EMOJIS_KEY, JSON.stringify(custom));
-    return getAllEmojis();
+export function renderLockSettings(containerId, onLock = () => {}) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const input = (name, label, autocomplete) => `
+        <input type="password" class="lock-settings__input" name="${name}" placeholder="${label}"
+               aria-label="${label}" autocomplete="${autocomplete}" required>`;
+
+    if (!isEncryptionEnabled()) {
+        container.innerHTML = `
+      <div class="lock-settings">
+        <div class="settings-item__desc">
+          Encrypt your check-ins on this device with a passphrase. MoodPad will ask for it every time it opens.
+          If you forget it, your entries cannot be recovered.
+        </div>
+        <form class="lock-settings__form" data-action="enable">
+          ${input('passphrase', 'New passphrase', 'new-password')}
+          ${input('confirmation', 'Confirm passphrase', 'new-password')}
+          <button type="submit" class="btn btn--primary">Turn on encryption</button>
+        </form>
+        <p class="lock-settings__error" id="lockSettingsError" role="alert"></p>
+      </div>
+    `;
+    } else {
+        container.innerHTML = `
+      <div class="lock-settings">
+        <p class="lock-settings__status">Your check-ins are encrypted. Backups are encrypted with the same passphrase.</p>
+        <div class="modal__actions">
+          <button type="button" class="btn btn--secondary" id="lockNowBtn">Lock now</button>
+        </div>
+        <form class="lock-settings__form" data-action="change">
+          ${input('current', 'Current passphrase', 'current-password')}
+          ${input('passphrase', 'New passphrase', 'new-password')}
+          ${input('confirmation', 'Confirm new passphrase', 'new-password')}
+          <button type="submit" class="btn btn--secondary">Change passphrase</button>
+        </form>
+        <form class="lock-settings__form" data-action="disable">
+          ${input('current', 'Current passphrase', 'current-password')}
+          <button type="submit" class="btn btn--secondary">Turn off encryption</button>
+        </form>
+        <p class="lock-settings__error" id="lockSettingsError" role="alert"></p>
+      </div>
+    `;
+    }
+
+    const showError = (message) => {
+        const el = document.getElementById('lockSettingsError');
+        if (el) el.textContent = message;
+    };
+
+    document.getElementById('lockNowBtn')?.addEventListener('click', () => {
+        lockStorage();
+        onLock();
+    });
+
+    container.querySelectorAll('.lock-settings__form').forEach(form => {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const action = form.dataset.action;
+            const submit = form.querySelector('[type="submit"]');
+            const label = submit.textContent;
+            const value = (name) => form.elements[name]?.value || '';
+
+            if (action === 'disable' && !confirm('Store your check-ins without encryption?')) return;
+
+            // Key derivation and re-encryption can take a moment
+            submit.disabled = true;
+            submit.textContent = 'Working…';
+            try {
+                if (action === 'enable') {
+                    checkNewPassphrase(value('passphrase'), value('confirmation'));
+                    // The service worker writes plaintext check-ins, so it stops
+                    // before the first entry is sealed
+                    await refreshReminders({ encrypted: true });
+                    await enableEncryption(value('passphrase'));
+                } else if (action === 'change') {
+                    checkNewPassphrase(value('passphrase'), value('confirmation'));
+                    await changePassphrase(value('current'), value('passphrase'));
+                } else {
+                    await disableEncryption(value('current'));
+                }
+                // Quick-log actions must stop (or may resume) once entries are sealed
+                refreshReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+                renderLockSettings(containerId, onLock);
+            } catch (err) {
+                submit.disabled = false;
+                submit.textContent = label;
+                showError(err.message);
+                // Offer quick-log actions again if encryption stayed off
+                refreshReminders().catch(e => console.error('MoodPad: Could not schedule reminders', e));
+            }
+        });
+    });
 }
 
 // ==========================================
 // CSV IMPORT
 // ==========================================
 
+const CSV_REQUIRED_COLUMNS = ['date', 'emoji'];
+
 /**
- * Import moods from CSV content
+ * Check a CSV row and turn it into check-in fields
+ * @returns {{entry: Object|null, error: string|null}}
  */
-export function importFromCSV(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    if (lines.length < 2) {
-        throw new Error('CSV file is empty or has no data rows');
+function parseImportRow(fields, columns) {
+    const value = (name) => columns[name] >= 0 ? (fields[columns[name]] || '').trim() : '';
+
+    const date = value('date');
+    const emoji = value('emoji');
+    const time = value('time');
+
+    if (!date) return { entry: null, error: 'Missing date' };
+    if (!isValidISODate(date)) return { entry: null, error: `Invalid date "${date}" (expected YYYY-MM-DD)` };
+    if (!emoji) return { entry: null, error: 'Missing emoji' };
+    if (!isMoodEmoji(emoji)) return { entry: null, error: `Invalid emoji "${emoji}" (expected a single emoji)` };
+    if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        return { entry: null, error: `Invalid time "${time}" (expected HH:MM)` };
     }
 
-    const header = lines[0].toLowerCase();
-    if (!header.includes('date') || !header.includes('emoji')) {
-        throw new Error('CSV must have Date and Emoji columns');
-    }
+    const note = columns.note >= 0 ? (fields[columns.note] || '') : '';
+    const tags = value('tags')
+        .split(';')
+        .map(t => t.trim().replace(/^#/, '').toLowerCase())
+        .filter(Boolean);
 
-    const headers = header.split(',').map(h => h.trim());
-    const dateIndex = headers.indexOf('date');
-    const emojiIndex = headers.indexOf('emoji');
-    const noteIndex = headers.indexOf('note');
+    // Intensity and emotions are left as they are when the file has no column for them
+    let intensity;
+    try {
+        intensity = columns.intensity >= 0 ? normalizeIntensity(value('intensity')) : undefined;
+    } catch {
+        return { entry: null, error: `Invalid intensity "${value('intensity')}" (expected ${MIN_INTENSITY}-${MAX_INTENSITY})` };
+    }
+    const emotions = columns.emotions >= 0 ? normalizeEmotions(value('emotions').split(';'), emoji) : undefined;
 
-    let imported = 0;
+    // Only the factor columns in the file are set; an empty cell clears one
+    const factors = {};
+    for (const factor of getFactors()) {
+        if (!(columns[`factor:${factor.id}`] >= 0)) continue;
+        const cell = value(`factor:${factor.id}`);
+        try {
+            factors[factor.id] = normalizeFactorValue(factor, parseFactorCell(factor, cell));
+        } catch {
+            return { entry: null, error: `Invalid ${factor.label} "${cell}"` };
+        }
+    }
 
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+    return {
+        entry: { id: value('id') || null, date, time: time || null, emoji, note: note.trim(), tags, intensity, emotions, factors },
+        error: null
+    };
+}
 
-        // Handle quoted values
-        const values = parseCSVLine(line);
+/**
+ * Read a factor cell as written by exportToCSV; yes/no cells also accept
+ * true/false and 1/0
+ */
+function parseFactorCell(factor, cell) {
+    if (cell === '' || factor.type !== 'boolean') return cell;
 
-        const date = values[dateIndex];
-        const emoji = values[emojiIndex];
-        const note = noteIndex >= 0 ? values[noteIndex] || '' : '';
+    const text = cell.toLowerCase();
+    if (['yes', 'true', '1'].includes(text)) return true;
+    if (['no', 'false', '0'].includes(text)) return false;
+    return cell;
+}
 
-        if (date && emoji && isValidDate(date)) {
-            saveMood(date, emoji, note.replace(/^"|"$/g, ''));
-            imported++;
+/**
+ * Apply an import row's factor columns to a check-in's factors
+ */
+function mergeImportedFactors(existing, imported) {
+    const merged = { ...existing };
+    Object.entries(imported).forEach(([id, value]) => {
+        if (value === null) {
+            delete merged[id];
+        } else {
+            merged[id] = value;
         }
-    }
+    });
+    return merged;
+}
+
+/**
+ * Find the stored check-in a CSV row refers to: by ID, then by date and
+ * time, then the only check-in on that date when the row has no time
+ */
+function findExistingEntry(entry, byId, byDate) {
+    if (entry.id && byId.has(entry.id)) return byId.get(entry.id);
 
-    return imported;
+    const sameDay = byDate.get(entry.date) || [];
+    if (entry.time) return sameDay.find(m => m.time === entry.time) || null;
+    return sameDay.length === 1 ? sameDay[0] : null;
 }
 
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
+/**
+ * Whether an imported note matches a stored one; exports carry notes as
+ * plain text, so a Markdown note matches its plain version
+ */
+function sameNote(existing, note) {
+    return (existing.note || '') === note || markdownToPlainText(existing.note) === note;
+}
 
-    for (const char of line) {
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
+/**
+ * Whether an import row would change a stored check-in
+ */
+function rowChangesEntry(entry, existing) {
+    const factors = existing.factors || {};
+    const merged = mergeImportedFactors(factors, entry.factors);
+
+    return existing.emoji !== entry.emoji ||
+        !sameNote(existing, entry.note) ||
+        (existing.tags || []).join('\n') !== entry.tags.join('\n') ||
+        (entry.intensity !== undefined && (existing.intensity ?? null) !== entry.intensity) ||
+        (entry.emotions !== undefined && (existing.emotions || []).join('\n') !== entry.emotions.join('\n')) ||
+        Object.keys(merged).length !== Object.keys(factors).length ||
+        Object.entries(merged).some(([id, value]) => factors[id] !== value);
+}
+
+/**
+ * Dry-run a CSV import: classify every row without writing anything
+ * @param {string} csvContent - CSV text
+ * @returns {Promise<Object>} { rows, counts } where each row is
+ *   { line, status: 'new'|'changed'|'unchanged'|'invalid', entry, existing, error }
+ */
+export async function previewCSVImport(csvContent) {
+    const records = parseCSV(csvContent);
+    if (records.length < 2) {
+        throw new Error('CSV file is empty or has no data rows');
     }
-    values.push(current.trim());
 
-    return values;
+    const header = records[0].fields.map(h => h.trim().toLowerCase());
+    if (!CSV_REQUIRED_COLUMNS.every(c => header.includes(c))) {
+        throw new Error('CSV must have Date and Emoji columns');
+    }
+
+    const columns = {};
+    ['date', 'time', 'emoji', 'note', 'tags', 'id', 'intensity', 'emotions'].forEach(name => {
+        columns[name] = header.indexOf(name);
+    });
+    // Factor columns are headed by the factor's label (as exported) or ID
+    getFactors().forEach(factor => {
+        const index = header.findIndex(h => h === factor.label.toLowerCase() || h === factor.id);
+        columns[`factor:${factor.id}`] = index;
+    });
+
+    const moods = await getAllMoods();
+    const byId = new Map(moods.map(m => [m.id, m]));
+    const byDate = groupByDay(moods);
+
+    const rows = records.slice(1).map(({ fields, line }) => {
+        const { entry, error } = parseImportRow(fields, columns);
+        if (error) {
+            return { line, status: 'invalid', entry: null, existing: null, error };
+        }
+
+        const existing = findExistingEntry(entry, byId, byDate);
+        let status = 'new';
+        if (existing) {
+            status = rowChangesEntry(entry, existing) ? 'changed' : 'unchanged';
+        }
+        return { line, status, entry, existing, error: null };
+    });
+
+    const counts = { new: 0, changed: 0, unchanged: 0, invalid: 0 };
+    rows.forEach(r => counts[r.status]++);
+
+    return { rows, counts };
+}
+
+/**
+ * Write the new and changed rows of a preview
+ * @param {Object} preview - Result of previewCSVImport
+ * @returns {Promise<number>} Number of check-ins written
+ */
+export async function commitCSVImport(preview) {
+    const now = new Date().toISOString();
+    const entries = preview.rows
+        .filter(r => r.status === 'new' || r.status === 'changed')
+        .map(({ entry, existing }) => {
+            const { id, time, factors, ...fields } = entry;
+            Object.keys(fields).forEach(key => {
+                if (fields[key] === undefined) delete fields[key];
+            });
+            if (existing) {
+                // Keep the Markdown of notes that come back as plain text
+                if (sameNote(existing, fields.note)) delete fields.note;
+                return {
+                    ...existing,
+                    ...fields,
+                    time: time || existing.time,
+                    factors: mergeImportedFactors(existing.factors || {}, factors),
+                    timestamp: now
+                };
+            }
+            return {
+                ...fields,
+                id: id || undefined,
+                time: time || '12:00',
+                factors: mergeImportedFactors({}, factors),
+                createdAt: now,
+                timestamp: now
+            };
+        });
+
+    // Emojis from other apps become custom moods so they show up in the picker
+    const known = new Set(getMoods().map(m => m.emoji));
+    new Set(entries.map(e => e.emoji)).forEach(emoji => {
+        if (!known.has(emoji)) addCustomEmoji(emoji);
+    });
+
+    await putEntries(entries, { action: 'import', revise: true });
+    return entries.length;
 }
 
-function isValidDate(dateStr) {
-    const d = new Date(dateStr);
-    return d instanceof Date && !isNaN(d);
+/**
+ * Import moods from CSV content, writing every valid row
+ */
+export async function importFromCSV(csvContent) {
+    return commitCSVImport(await previewCSVImport(csvContent));
 }
 
 /**
- * Handle file import
+ * Read an import file and preview its rows
  */
 export function handleFileImport(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
 
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
-                const count = importFromCSV(e.target.result);
-                resolve(count);
+                resolve(await previewCSVImport(e.target.result));
             } catch (err) {
                 reject(err);
             }
@@ -708,12 +2505,38 @@ export function handleFileImport(file) {
 
 /**
  * Register service worker for PWA support
+ * A new version's worker installs in the background and waits; the callback
+ * is given it so the app can offer a reload (see applyServiceWorkerUpdate).
+ * @param {Function} onUpdateAvailable - Called with the waiting worker
  */
-export async function registerServiceWorker() {
+export async function registerServiceWorker(onUpdateAvailable = () => {}) {
     if ('serviceWorker' in navigator) {
         try {
             const registration = await navigator.serviceWorker.register('/sw.js');
             console.log('MoodPad: Service Worker registered', registration.scope);
+
+            // Without a controller this is the first install, not an update
+            const offerUpdate = (worker) => {
+                if (worker && navigator.serviceWorker.controller) onUpdateAvailable(worker);
+            };
+
+            // Waiting since an earlier visit
+            offerUpdate(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') offerUpdate(worker);
+                });
+            });
+
+            // Installed apps can stay open for days; check again when shown
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') {
+                    registration.update().catch(() => {});
+                }
+            });
+
             return registration;
         } catch (err) {
             console.error('MoodPad: Service Worker registration failed', err);
@@ -721,6 +2544,17 @@ export async function registerServiceWorker() {
     }
 }
 
+/**
+ * Switch to a waiting service worker and reload once it has taken over
+ * @param {ServiceWorker} worker - From registerServiceWorker's callback
+ */
+export function applyServiceWorkerUpdate(worker) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        window.location.reload();
+    }, { once: true });
+    worker.postMessage({ type: 'skip-waiting' });
+}
+
 /**
  * Check if app is installed as PWA
  */
@@ -0,0 +1,203 @@
+/**
+ * MoodPad History Module
+ * Undo and redo for the last actions on check-ins, recorded from the
+ * storage change events of writes that name an action
+ */
+
+import { onEntriesChanged, restoreEntries } from './storage.js';
+
+export const MAX_ACTIONS = 50;
+// Saves of the same check-in this close together (a note being typed) are
+// undone in one step
+const MERGE_INTERVAL = 3000;
+
+export const ACTION_LABELS = {
+    save: 'Check-in saved',
+    delete: 'Check-in deleted',
+    'tag-add': 'Tag added',
+    'tag-remove': 'Tag removed',
+    'tag-rename': 'Tag renamed',
+    'tag-merge': 'Tags merged',
+    'tag-delete': 'Tag deleted',
+    'mood-remap': 'Mood replaced',
+    import: 'Import',
+    revert: 'Earlier version restored'
+};
+
+let undoStack = [];
+let redoStack = [];
+let unsubscribe = null;
+const historyListeners = new Set();
+
+// ==========================================
+// RECORDING
+// ==========================================
+
+/**
+ * Turn a storage change into an undoable action
+ * @param {Object} change - From onEntriesChanged
+ * @param {number} now - Time of the change in milliseconds
+ * @returns {Object} { action, time, changes }: changes map each check-in ID
+ *   to its { before, after } versions, null where it didn't exist
+ */
+export function buildAction({ saved, deleted, previous, action }, now = Date.now()) {
+    const before = new Map(previous.map(entry => [entry.id, entry]));
+    const changes = new Map();
+
+    saved.forEach(entry => {
+        changes.set(entry.id, { before: before.get(entry.id) || null, after: entry });
+    });
+    deleted.forEach(id => {
+        changes.set(id, { before: before.get(id) || null, after: null });
+    });
+
+    return { action, time: now, changes };
+}
+
+/**
+ * Whether a new action continues the last one rather than starting a step
+ */
+function continuesLast(last, next) {
+    if (!last || last.action !== 'save' || next.action !== 'save') return false;
+    if (next.time - last.time > MERGE_INTERVAL) return false;
+
+    const [id] = next.changes.keys();
+    return next.changes.size === 1 && last.changes.size === 1 && last.changes.has(id);
+}
+
+/**
+ * Add an action to the undo stack, merging typing into one step
+ * @param {Object} next - From buildAction
+ */
+export function recordAction(next) {
+    const last = undoStack[undoStack.length - 1];
+
+    if (continuesLast(last, next)) {
+        const [[id, { after }]] = next.changes;
+        last.changes.set(id, { before: last.changes.get(id).before, after });
+        last.time = next.time;
+    } else {
+        undoStack = [...undoStack, next].slice(-MAX_ACTIONS);
+    }
+
+    redoStack = [];
+    notifyHistory();
+}
+
+/**
+ * Record named writes and forget everything when the journal is cleared
+ */
+function handleChange(change) {
+    if (change.cleared) {
+        clearHistory();
+    } else if (change.action) {
+        recordAction(buildAction(change));
+    }
+}
+
+// ==========================================
+// UNDO / REDO
+// ==========================================
+
+/**
+ * Store one side of an action
+ */
+async function applySide(action, side) {
+    const entries = [];
+    const deletedIds = [];
+
+    action.changes.forEach((versions, id) => {
+        if (versions[side]) {
+            entries.push(versions[side]);
+        } else {
+            deletedIds.push(id);
+        }
+    });
+
+    await restoreEntries(entries, deletedIds);
+}
+
+/**
+ * Undo the last action
+ * @returns {Promise<string|null>} The undone action's name, or null if
+ *   there was nothing to undo
+ */
+export async function undo() {
+    const action = undoStack[undoStack.length - 1];
+    if (!action) return null;
+
+    await applySide(action, 'before');
+    undoStack = undoStack.slice(0, -1);
+    redoStack = [...redoStack, action];
+    notifyHistory();
+    return action.action;
+}
+
+/**
+ * Redo the last undone action
+ * @returns {Promise<string|null>} The redone action's name, or null if
+ *   there was nothing to redo
+ */
+export async function redo() {
+    const action = redoStack[redoStack.length - 1];
+    if (!action) return null;
+
+    await applySide(action, 'after');
+    redoStack = redoStack.slice(0, -1);
+    undoStack = [...undoStack, action];
+    notifyHistory();
+    return action.action;
+}
+
+/**
+ * Whether there is anything to undo or redo
+ * @returns {Object} { canUndo, canRedo, undoAction, redoAction }
+ */
+export function getHistoryState() {
+    return {
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoAction: undoStack[undoStack.length - 1]?.action || null,
+        redoAction: redoStack[redoStack.length - 1]?.action || null
+    };
+}
+
+/**
+ * Forget every action
+ */
+export function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    notifyHistory();
+}
+
+// ==========================================
+// SETUP
+// ==========================================
+
+/**
+ * Listen for changes to the undo and redo stacks
+ * @param {Function} listener - Called with getHistoryState()
+ * @returns {Function} Call to stop listening
+ */
+export function onHistoryChanged(listener) {
+    historyListeners.add(listener);
+    return () => historyListeners.delete(listener);
+}
+
+/**
+ * Tell listeners the stacks changed
+ */
+function notifyHistory() {
+    const state = getHistoryState();
+    historyListeners.forEach(listener => listener(state));
+}
+
+/**
+ * Start recording actions from storage changes
+ */
+export function initHistory() {
+    unsubscribe?.();
+    clearHistory();
+    unsubscribe = onEntriesChanged(handleChange);
+}
@@ -0,0 +1,662 @@
+/**
+ * MoodPad Insights Module
+ * Rule-based insight generators over configurable windows, tag-mood
+ * correlations, and the dismissed/pinned state of insight cards
+ */
+
+import { getDailySummaries, getStreakRuns } from './stats.js';
+import { getMoodScore } from './moods.js';
+import { escapeHTML } from './utils.js';
+import { todayISO, toISODate, addDays, daysBetween, getDateParts, getWeekday, formatLongDate } from './dates.js';
+
+const INSIGHTS_KEY = 'moodpad_insights';
+const MAX_DISMISSED = 500;
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SEVERITY_ORDER = ['warning', 'positive', 'info'];
+
+// A day at or below this average score counts as a low day
+const LOW_SCORE = 2;
+// Change in average score that counts as better or worse
+const CHANGE_THRESHOLD = 0.5;
+const STREAK_MILESTONES = [7, 14, 30, 60, 100, 180, 365];
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Average a list of numbers, or null if it is empty
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Sample standard deviation, or null with fewer than two values
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = average(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Day summaries between two dates, inclusive
+ */
+function daysBetweenDates(days, from, to) {
+    return days.filter(d => d.date >= from && d.date <= to);
+}
+
+/**
+ * Day summaries for the `days` days ending today; 0 means all time
+ */
+function lastDays(days, today, count) {
+    return count > 0 ? daysBetweenDates(days, addDays(today, -(count - 1)), today) : days.filter(d => d.date <= today);
+}
+
+/**
+ * Monday of the week a date falls in
+ */
+function startOfWeek(date) {
+    return addDays(date, -((getWeekday(date) + 6) % 7));
+}
+
+/**
+ * Format a date like "Mar 5"
+ */
+function shortDate(date) {
+    return formatLongDate(date, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Wrap text in the insight highlight
+ */
+function highlight(text) {
+    return `<span class="insight-card__highlight">${text}</span>`;
+}
+
+/**
+ * Stand-in for a tag in insight IDs, which are stored in plaintext even
+ * while the journal is encrypted: '#' and a hash of the tag (tags never
+ * start with '#', so hashed and older plain IDs can't be confused)
+ */
+function tagKey(tag) {
+    let hash = 0x811c9dc5;
+    for (const char of tag) {
+        hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0;
+    }
+    return `#${hash.toString(36)}`;
+}
+
+/**
+ * Describe a change in average score, e.g. "up 0.8"
+ */
+function describeChange(change) {
+    return `${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}`;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+function formatMinutes(minutes) {
+    const rounded = Math.round(minutes / 5) * 5 % (24 * 60);
+    return `${String(Math.floor(rounded / 60)).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+// ==========================================
+// TAG CORRELATIONS
+// ==========================================
+
+// Tagged check-ins needed before a difference is worth showing, and the
+// standard-error multiples that make it medium or high confidence
+export const MIN_TAG_COUNT = 3;
+const CONFIDENCE_LEVELS = [['high', 2], ['medium', 1]];
+const TREND_MONTHS = 6;
+const TREND_THRESHOLD = 0.5;
+
+/**
+ * Mean and variance of a list of scores
+ */
+function describeScores(scores) {
+    if (scores.length === 0) return { count: 0, average: null, variance: 0 };
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    const variance = scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / Math.max(1, scores.length - 1);
+    return { count: scores.length, average: mean, variance };
+}
+
+/**
+ * How sure we can be that a difference in averages isn't noise, from how
+ * many standard errors apart the two groups are
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+function rateConfidence(withTag, withoutTag) {
+    if (withTag.count < MIN_TAG_COUNT || withoutTag.count < MIN_TAG_COUNT) return 'low';
+
+    const error = Math.sqrt(withTag.variance / withTag.count + withoutTag.variance / withoutTag.count);
+    const difference = Math.abs(withTag.average - withoutTag.average);
+    const score = error === 0 ? (difference > 0 ? Infinity : 0) : difference / error;
+
+    return CONFIDENCE_LEVELS.find(([, threshold]) => score >= threshold)?.[0] || 'low';
+}
+
+/**
+ * Average score of a tag's check-ins per month, ending with the current month
+ * @returns {Array} { month: 'YYYY-MM', average, count }, oldest first
+ */
+function buildTagTrend(entries, today) {
+    const { year, month } = getDateParts(today);
+    const months = [];
+
+    for (let i = TREND_MONTHS - 1; i >= 0; i--) {
+        // toISODate normalizes months before January into the previous year
+        const key = toISODate(new Date(year, month - i, 1)).slice(0, 7);
+        const { average: monthAverage, count } = describeScores(
+            entries.filter(m => m.date.startsWith(key)).map(m => getMoodScore(m.emoji))
+        );
+        months.push({ month: key, average: monthAverage, count });
+    }
+
+    return months;
+}
+
+/**
+ * Whether a tag's monthly averages have been rising or falling
+ * @returns {string|null} 'up', 'down', 'flat', or null with under two months of data
+ */
+function getTrendDirection(trend) {
+    const points = trend.filter(t => t.average !== null);
+    if (points.length < 2) return null;
+
+    const change = points[points.length - 1].average - points[0].average;
+    if (change >= TREND_THRESHOLD) return 'up';
+    if (change <= -TREND_THRESHOLD) return 'down';
+    return 'flat';
+}
+
+/**
+ * Compare the mood of check-ins with and without each tag
+ * @param {Array} moods - Check-ins in any order
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Array} { tag, count, withAverage, withoutAverage, difference,
+ *   confidence, trend, direction } per tag, biggest mood lift first;
+ *   withoutAverage and difference are null when every check-in has the tag
+ */
+export function buildTagCorrelations(moods, today = todayISO()) {
+    const tags = [...new Set(moods.flatMap(m => m.tags || []))];
+
+    return tags.map(tag => {
+        const tagged = moods.filter(m => (m.tags || []).includes(tag));
+        const withTag = describeScores(tagged.map(m => getMoodScore(m.emoji)));
+        const withoutTag = describeScores(
+            moods.filter(m => !(m.tags || []).includes(tag)).map(m => getMoodScore(m.emoji))
+        );
+        const trend = buildTagTrend(tagged, today);
+
+        return {
+            tag,
+            count: withTag.count,
+            withAverage: withTag.average,
+            withoutAverage: withoutTag.average,
+            difference: withoutTag.average === null ? null : withTag.average - withoutTag.average,
+            confidence: rateConfidence(withTag, withoutTag),
+            trend,
+            direction: getTrendDirection(trend)
+        };
+    }).sort((a, b) => (b.difference ?? -Infinity) - (a.difference ?? -Infinity) || b.count - a.count);
+}
+
+/**
+ * Compare two tags side by side
+ * @param {Array} moods - Check-ins in any order
+ * @param {string} first - First tag
+ * @param {string} second - Second tag
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Object|null} { first, second, both: { count, average } }, or
+ *   null if either tag is unused
+ */
+export function compareTags(moods, first, second, today = todayISO()) {
+    const correlations = buildTagCorrelations(moods, today);
+    const a = correlations.find(c => c.tag === first);
+    const b = correlations.find(c => c.tag === second);
+    if (!a || !b) return null;
+
+    const both = describeScores(moods
+        .filter(m => (m.tags || []).includes(first) && (m.tags || []).includes(second))
+        .map(m => getMoodScore(m.emoji)));
+
+    return { first: a, second: b, both: { count: both.count, average: both.average } };
+}
+
+
+// ==========================================
+// GENERATORS
+// ==========================================
+
+/**
+ * Every generator has a stable `id`, a `label` for settings, default
+ * options (`days` is its look-back window, 0 for all time), the window
+ * choices offered in settings, and `generate(context, options)`, which
+ * returns insights: { id, generator, severity, text, data }. An insight's
+ * id names the finding (e.g. the week or the run it is about), so a
+ * dismissed card stays dismissed until something new is found.
+ * `context` is { moods, days (day summaries, oldest first), today }.
+ */
+export const INSIGHT_GENERATORS = [
+    {
+        id: 'week-over-week',
+        label: 'This week vs last week',
+        defaults: {},
+        generate({ days, today }) {
+            const weekStart = startOfWeek(today);
+            const thisWeek = daysBetweenDates(days, weekStart, today);
+            const lastWeek = daysBetweenDates(days, addDays(weekStart, -7), addDays(weekStart, -1));
+            if (thisWeek.length < 2 || lastWeek.length < 2) return [];
+
+            const current = average(thisWeek.map(d => d.value));
+            const previous = average(lastWeek.map(d => d.value));
+            const change = current - previous;
+            const data = { weekStart, current, previous, change };
+
+            if (Math.abs(change) < CHANGE_THRESHOLD) {
+                return [{
+                    id: `week-over-week:${weekStart}`,
+                    severity: 'info',
+                    text: `This week is going about the same as last week (average ${highlight(current.toFixed(1))}).`,
+                    data
+                }];
+            }
+            return [{
+                id: `week-over-week:${weekStart}`,
+                severity: change > 0 ? 'positive' : 'warning',
+                text: `Your mood this week is ${highlight(describeChange(change))} on last week (${current.toFixed(1)} vs ${previous.toFixed(1)}).`,
+                data
+            }];
+        }
+    },
+    {
+        id: 'month-over-month',
+        label: 'This month vs last month',
+        defaults: {},
+        generate({ days, today }) {
+            const { year, month } = getDateParts(today);
+            const monthStart = toISODate(new Date(year, month, 1));
+            const lastMonthStart = toISODate(new Date(year, month - 1, 1));
+            const thisMonth = daysBetweenDates(days, monthStart, today);
+            const lastMonth = daysBetweenDates(days, lastMonthStart, addDays(monthStart, -1));
+            if (thisMonth.length < 5 || lastMonth.length < 5) return [];
+
+            const current = average(thisMonth.map(d => d.value));
+            const previous = average(lastMonth.map(d => d.value));
+            const change = current - previous;
+            if (Math.abs(change) < CHANGE_THRESHOLD) return [];
+
+            const name = formatLongDate(monthStart, { month: 'long' });
+            return [{
+                id: `month-over-month:${monthStart.slice(0, 7)}`,
+                severity: change > 0 ? 'positive' : 'warning',
+                text: `${name} so far is ${highlight(describeChange(change))} on last month (${current.toFixed(1)} vs ${previous.toFixed(1)}).`,
+                data: { month: monthStart.slice(0, 7), current, previous, change }
+            }];
+        }
+    },
+    {
+        id: 'volatility',
+        label: 'Mood swings',
+        defaults: { days: 30 },
+        windows: [14, 30, 90],
+        generate({ days, today }, { days: window }) {
+            const recent = lastDays(days, today, window);
+            if (recent.length < 7) return [];
+
+            const spread = standardDeviation(recent.map(d => d.value));
+            const level = spread >= 1.2 ? 'high' : spread <= 0.5 ? 'low' : null;
+            if (!level) return [];
+
+            const data = { level, standardDeviation: spread, days: recent.length, window };
+            const id = `volatility:${level}:${today.slice(0, 7)}`;
+            return [level === 'high'
+                ? {
+                    id,
+                    severity: 'warning',
+                    text: `Your mood has ${highlight('swung a lot')} over the last ${window} days. Notes on the ups and downs can help spot what drives them.`,
+                    data
+                }
+                : {
+                    id,
+                    severity: 'positive',
+                    text: `Your mood has been ${highlight('steady')} over the last ${window} days.`,
+                    data
+                }];
+        }
+    },
+    {
+        id: 'low-run',
+        label: 'Runs of low days',
+        defaults: { days: 30, length: 3 },
+        windows: [14, 30, 90],
+        generate({ days, today }, { days: window, length }) {
+            const low = lastDays(days, today, window).filter(d => d.value <= LOW_SCORE);
+            const run = getStreakRuns(low).filter(r => r.length >= length).pop();
+            if (!run) return [];
+
+            const ongoing = daysBetween(run.end, today) <= 1;
+            return [{
+                id: `low-run:${run.start}`,
+                severity: 'warning',
+                text: ongoing
+                    ? `You've logged ${highlight(`${run.length} low days in a row`)}. Be gentle with yourself, and reach out to someone if it helps.`
+                    : `You had ${highlight(`${run.length} low days in a row`)} (${shortDate(run.start)} – ${shortDate(run.end)}).`,
+                data: { ...run, ongoing }
+            }];
+        }
+    },
+    {
+        id: 'tag-patterns',
+        label: 'Tag patterns',
+        defaults: { days: 90 },
+        windows: [30, 90, 365, 0],
+        generate({ moods, today }, { days: window }) {
+            const from = window > 0 ? addDays(today, -(window - 1)) : '';
+            const recent = moods.filter(m => m.date >= from && m.date <= today);
+
+            return buildTagCorrelations(recent, today)
+                .filter(c => c.count >= MIN_TAG_COUNT && c.confidence !== 'low' && Math.abs(c.difference) >= CHANGE_THRESHOLD)
+                .map(c => {
+                    const better = c.difference > 0;
+                    return {
+                        id: `tag-patterns:${tagKey(c.tag)}:${better ? 'better' : 'worse'}`,
+                        severity: better ? 'positive' : 'warning',
+                        text: `Check-ins tagged ${highlight(`#${escapeHTML(c.tag)}`)} average ${c.withAverage.toFixed(1)}, ` +
+                            `${Math.abs(c.difference).toFixed(1)} ${better ? 'higher' : 'lower'} than the rest.`,
+                        data: {
+                            tag: c.tag,
+                            count: c.count,
+                            withAverage: c.withAverage,
+                            withoutAverage: c.withoutAverage,
+                            difference: c.difference,
+                            confidence: c.confidence
+                        }
+                    };
+                });
+        }
+    },
+    {
+        id: 'logging-time',
+        label: 'Check-in time',
+        defaults: { days: 30 },
+        windows: [14, 30, 90],
+        generate({ days, today }, { days: window }) {
+            // The first check-in of each day
+            const minutes = lastDays(days, today, window)
+                .map(d => d.entries.find(e => e.time)?.time)
+                .filter(Boolean)
+                .map(time => {
+                    const [h, m] = time.split(':').map(Number);
+                    return h * 60 + m;
+                });
+            if (minutes.length < 7) return [];
+
+            const spread = standardDeviation(minutes);
+            const level = spread <= 60 ? 'consistent' : spread >= 180 ? 'irregular' : null;
+            if (!level) return [];
+
+            const usual = formatMinutes(average(minutes));
+            const data = { level, usualTime: usual, spreadMinutes: spread, days: minutes.length, window };
+            const id = `logging-time:${level}:${today.slice(0, 7)}`;
+            return [level === 'consistent'
+                ? { id, severity: 'positive', text: `You usually check in around ${highlight(usual)}. Nice routine!`, data }
+                : {
+                    id,
+                    severity: 'info',
+                    text: `Your check-in times ${highlight('vary a lot')}. A daily reminder can make it a habit.`,
+                    data
+                }];
+        }
+    },
+    {
+        id: 'weekdays',
+        label: 'Best and worst weekdays',
+        defaults: { days: 90 },
+        windows: [30, 90, 365, 0],
+        generate({ days, today }, { days: window }) {
+            const recent = lastDays(days, today, window);
+            if (recent.length < 7) return [];
+
+            const averages = WEEKDAYS.map((_, i) => {
+                const values = recent.filter(d => getWeekday(d.date) === i).map(d => d.value);
+                return values.length >= 2 ? average(values) : null;
+            });
+            const ranked = averages
+                .map((value, i) => ({ day: WEEKDAYS[i], value }))
+                .filter(d => d.value !== null);
+            if (ranked.length < 2) return [];
+
+            const best = ranked.reduce((a, b) => (b.value > a.value ? b : a));
+            const worst = ranked.reduce((a, b) => (b.value < a.value ? b : a));
+            if (best.value === worst.value) return [];
+
+            return [
+                {
+                    id: `weekdays:best:${best.day}`,
+                    severity: 'positive',
+                    text: `You tend to feel happiest on ${highlight(`${best.day}s`)}!`,
+                    data: { ...best, window }
+                },
+                {
+                    id: `weekdays:worst:${worst.day}`,
+                    severity: 'info',
+                    text: `${highlight(`${worst.day}s`)} tend to be tougher. Consider planning something nice!`,
+                    data: { ...worst, window }
+                }
+            ];
+        }
+    },
+    {
+        id: 'top-mood',
+        label: 'Most frequent mood',
+        defaults: { days: 30 },
+        windows: [7, 30, 90, 0],
+        generate({ moods, today }, { days: window }) {
+            const from = window > 0 ? addDays(today, -(window - 1)) : '';
+            const recent = moods.filter(m => m.date >= from && m.date <= today);
+            if (new Set(recent.map(m => m.date)).size < 7) return [];
+
+            const counts = {};
+            recent.forEach(m => {
+                counts[m.emoji] = (counts[m.emoji] || 0) + 1;
+            });
+            const [emoji, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+            const percent = Math.round((count / recent.length) * 100);
+
+            return [{
+                id: `top-mood:${emoji}`,
+                severity: 'info',
+                text: `Your most frequent mood is ${escapeHTML(emoji)} (${highlight(`${percent}%`)} of entries)`,
+                data: { emoji, count, percent, window }
+            }];
+        }
+    },
+    {
+        id: 'streak',
+        label: 'Logging streaks',
+        defaults: {},
+        generate({ days, today }) {
+            const run = getStreakRuns(days).pop();
+            if (!run || daysBetween(run.end, today) > 1) return [];
+
+            const milestone = STREAK_MILESTONES.filter(m => run.length >= m).pop();
+            if (!milestone) return [];
+
+            return [{
+                id: `streak:${run.start}:${milestone}`,
+                severity: 'positive',
+                text: `Amazing! You've logged your mood for ${highlight(`${run.length} days`)} in a row!`,
+                data: { ...run, milestone }
+            }];
+        }
+    }
+];
+
+// ==========================================
+// SETTINGS AND CARD STATE
+// ==========================================
+
+/**
+ * Read the insight settings and card state
+ * @returns {Object} { generators: { [id]: { enabled, days, ... } }, dismissed: [ids],
+ *   pinned: [{ id, pinnedAt }] }
+ */
+export function getInsightState() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(INSIGHTS_KEY));
+    } catch {
+        saved = null;
+    }
+    return {
+        generators: saved?.generators || {},
+        dismissed: Array.isArray(saved?.dismissed) ? saved.dismissed : [],
+        pinned: Array.isArray(saved?.pinned)
+            ? saved.pinned.filter(p => p?.id).map(({ id, pinnedAt }) => ({ id, pinnedAt }))
+            : []
+    };
+}
+
+/**
+ * Rewrite card state saved by older versions, which kept the text of pinned
+ * cards and named tags in plain text in card IDs; both stay readable while
+ * the journal is encrypted. Run once at startup.
+ */
+export function migrateInsightState() {
+    const raw = localStorage.getItem(INSIGHTS_KEY);
+    if (!raw) return;
+
+    const state = getInsightState();
+    const migrateId = id => String(id).replace(/^tag-patterns:([^#].*):(better|worse)$/, (_, tag, way) => `tag-patterns:${tagKey(tag)}:${way}`);
+    state.dismissed = state.dismissed.map(migrateId);
+    state.pinned = state.pinned.map(p => ({ ...p, id: migrateId(p.id) }));
+
+    if (JSON.stringify(state) !== raw) saveInsightState(state);
+}
+
+/**
+ * Save insight settings and card state
+ */
+function saveInsightState(state) {
+    localStorage.setItem(INSIGHTS_KEY, JSON.stringify(state));
+}
+
+/**
+ * Get a generator's options: its defaults with any saved changes
+ * @param {string} id - Generator ID
+ * @returns {Object} { enabled, ...options }
+ */
+export function getGeneratorOptions(id, state = getInsightState()) {
+    const generator = INSIGHT_GENERATORS.find(g => g.id === id);
+    return { enabled: true, ...generator?.defaults, ...state.generators[id] };
+}
+
+/**
+ * Change a generator's options, e.g. { enabled: false } or { days: 90 }
+ * @param {string} id - Generator ID
+ * @param {Object} changes - Options to change
+ */
+export function updateGeneratorOptions(id, changes) {
+    if (!INSIGHT_GENERATORS.some(g => g.id === id)) throw new Error(`Unknown insight: ${id}`);
+
+    const state = getInsightState();
+    state.generators[id] = { ...state.generators[id], ...changes };
+    saveInsightState(state);
+}
+
+/**
+ * Hide an insight card for good; unpins it too
+ * @param {string} id - Insight ID
+ */
+export function dismissInsight(id) {
+    const state = getInsightState();
+    state.dismissed = [...state.dismissed.filter(d => d !== id), id].slice(-MAX_DISMISSED);
+    state.pinned = state.pinned.filter(p => p.id !== id);
+    saveInsightState(state);
+}
+
+/**
+ * Keep an insight card at the top, even after it stops being generated.
+ * Only its ID and date are stored; the card is rebuilt from the check-ins.
+ * @param {Object} insight - The insight as generated
+ * @param {string} today - Date the insight was generated for
+ */
+export function pinInsight(insight, today = todayISO()) {
+    const state = getInsightState();
+    state.pinned = [...state.pinned.filter(p => p.id !== insight.id), { id: insight.id, pinnedAt: today }];
+    saveInsightState(state);
+}
+
+/**
+ * Unpin an insight card
+ * @param {string} id - Insight ID
+ */
+export function unpinInsight(id) {
+    const state = getInsightState();
+    state.pinned = state.pinned.filter(p => p.id !== id);
+    saveInsightState(state);
+}
+
+/**
+ * Show every dismissed card again
+ */
+export function restoreDismissedInsights() {
+    const state = getInsightState();
+    state.dismissed = [];
+    saveInsightState(state);
+}
+
+// ==========================================
+// ENGINE
+// ==========================================
+
+/**
+ * Run every enabled generator
+ * @param {Array} moods - Check-ins in any order
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @param {Object} state - Settings from getInsightState
+ * @returns {Array} Insights, most severe first
+ */
+export function buildInsights(moods, today = todayISO(), state = getInsightState()) {
+    const context = { moods, days: getDailySummaries(moods).reverse(), today };
+
+    return INSIGHT_GENERATORS
+        .filter(generator => getGeneratorOptions(generator.id, state).enabled)
+        .flatMap(generator => generator
+            .generate(context, getGeneratorOptions(generator.id, state))
+            .map(insight => ({ ...insight, generator: generator.id })))
+        .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+/**
+ * Split insights into what the panel shows
+ * @param {Array} insights - From buildInsights
+ * @param {Object} state - Card state from getInsightState
+ * @param {Array} moods - Check-ins, to rebuild pinned cards that are no
+ *   longer generated as they were on the day they were pinned
+ * @returns {Object} { pinned, active }: pinned cards first (the fresh copy
+ *   if the insight is still generated), then everything not dismissed
+ */
+export function selectInsights(insights, state = getInsightState(), moods = []) {
+    const pinnedIds = new Set(state.pinned.map(p => p.id));
+    const dismissed = new Set(state.dismissed);
+    const byDate = new Map();
+    const insightsOn = date => {
+        if (!byDate.has(date)) byDate.set(date, buildInsights(moods, date, state));
+        return byDate.get(date);
+    };
+
+    return {
+        pinned: state.pinned
+            .map(p => insights.find(i => i.id === p.id) || (p.pinnedAt && insightsOn(p.pinnedAt).find(i => i.id === p.id)))
+            .filter(Boolean)
+            .map(insight => ({ ...insight, pinned: true })),
+        active: insights.filter(i => !pinnedIds.has(i.id) && !dismissed.has(i.id))
+    };
+}
@@ -0,0 +1,206 @@
+/**
+ * MoodPad App Lock Module
+ * PIN lock with lockout after repeated wrong attempts, and auto-lock when
+ * the app sits idle or goes to the background. The PIN keeps others from
+ * reading the journal on a shared device; use the journal lock
+ * (passphrase encryption) to protect the stored data itself.
+ */
+
+import { createSalt, hashSecret, PBKDF2_ITERATIONS } from './crypto.js';
+
+const PIN_KEY = 'moodpad_pin';
+const ATTEMPTS_KEY = 'moodpad_pin_attempts';
+const AUTO_LOCK_KEY = 'moodpad_auto_lock';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Wrong attempts allowed before a lockout, and how long the first lockout
+// lasts; each further wrong attempt doubles it, up to the maximum
+export const MAX_ATTEMPTS = 5;
+const BASE_LOCKOUT_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+const IDLE_CHECK_INTERVAL = 15 * 1000;
+
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30];
+const DEFAULT_AUTO_LOCK = { minutes: 5, onHide: true };
+
+let lastActivity = Date.now();
+let idleTimer = null;
+
+/**
+ * Read a JSON value from localStorage
+ */
+function readJSON(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch {
+        return null;
+    }
+}
+
+// ==========================================
+// PIN
+// ==========================================
+
+/**
+ * Whether a PIN is set
+ */
+export function isPinEnabled() {
+    return readJSON(PIN_KEY) !== null;
+}
+
+/**
+ * Check that a PIN is 4-8 digits
+ */
+export function isValidPin(pin) {
+    return PIN_PATTERN.test(pin || '');
+}
+
+/**
+ * Set or replace the PIN
+ * @param {string} pin - New PIN (4-8 digits)
+ * @throws {Error} If the PIN is not 4-8 digits
+ */
+export async function setPin(pin) {
+    if (!isValidPin(pin)) throw new Error('PIN must be 4 to 8 digits');
+
+    const salt = createSalt();
+    const hash = await hashSecret(pin, salt, PBKDF2_ITERATIONS);
+    localStorage.setItem(PIN_KEY, JSON.stringify({ salt, iterations: PBKDF2_ITERATIONS, hash }));
+    localStorage.removeItem(ATTEMPTS_KEY);
+}
+
+/**
+ * Remove the PIN (and with it auto-lock)
+ */
+export function removePin() {
+    localStorage.removeItem(PIN_KEY);
+    localStorage.removeItem(ATTEMPTS_KEY);
+}
+
+/**
+ * How long a lockout lasts after a number of wrong attempts
+ * @param {number} failures - Consecutive wrong attempts
+ * @returns {number} Milliseconds, 0 if not locked out
+ */
+export function getLockoutDuration(failures) {
+    if (failures < MAX_ATTEMPTS) return 0;
+    return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - MAX_ATTEMPTS), MAX_LOCKOUT_MS);
+}
+
+/**
+ * Milliseconds until the PIN can be tried again
+ * @param {number} now - Current time in ms
+ */
+export function getLockoutRemaining(now = Date.now()) {
+    const attempts = readJSON(ATTEMPTS_KEY);
+    return attempts ? Math.max(0, (attempts.lockedUntil || 0) - now) : 0;
+}
+
+/**
+ * Describe a wait in words, e.g. "30 seconds" or "2 minutes"
+ */
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+/**
+ * Check a PIN. Wrong attempts are counted across reloads, and a lockout
+ * starts after MAX_ATTEMPTS of them.
+ * @param {string} pin - PIN to check
+ * @param {number} now - Current time in ms
+ * @throws {Error} If the PIN is wrong or attempts are locked out
+ */
+export async function verifyPin(pin, now = Date.now()) {
+    const settings = readJSON(PIN_KEY);
+    if (!settings) return;
+
+    const remaining = getLockoutRemaining(now);
+    if (remaining > 0) {
+        throw new Error(`Too many wrong attempts. Try again in ${formatWait(remaining)}.`);
+    }
+
+    const hash = await hashSecret(pin, settings.salt, settings.iterations);
+    if (hash === settings.hash) {
+        localStorage.removeItem(ATTEMPTS_KEY);
+        return;
+    }
+
+    const failures = (readJSON(ATTEMPTS_KEY)?.failures || 0) + 1;
+    const lockout = getLockoutDuration(failures);
+    localStorage.setItem(ATTEMPTS_KEY, JSON.stringify({ failures, lockedUntil: lockout ? now + lockout : 0 }));
+
+    if (lockout) {
+        throw new Error(`Too many wrong attempts. Try again in ${formatWait(lockout)}.`);
+    }
+    const left = MAX_ATTEMPTS - failures;
+    throw new Error(`Wrong PIN. ${left} ${left === 1 ? 'attempt' : 'attempts'} left before a lockout.`);
+}
+
+// ==========================================
+// AUTO-LOCK
+// ==========================================
+
+/**
+ * Get auto-lock settings
+ * @returns {{minutes: number, onHide: boolean}} minutes is 0 for never
+ */
+export function getAutoLockSettings() {
+    return { ...DEFAULT_AUTO_LOCK, ...readJSON(AUTO_LOCK_KEY) };
+}
+
+/**
+ * Update auto-lock settings
+ * @param {Object} changes - { minutes, onHide }
+ */
+export function saveAutoLockSettings(changes) {
+    localStorage.setItem(AUTO_LOCK_KEY, JSON.stringify({ ...getAutoLockSettings(), ...changes }));
+}
+
+/**
+ * Whether the app has been idle for longer than the auto-lock delay
+ * @param {number} now - Current time in ms
+ */
+export function isIdleTooLong(now = Date.now()) {
+    const { minutes } = getAutoLockSettings();
+    return minutes > 0 && now - lastActivity >= minutes * 60 * 1000;
+}
+
+/**
+ * Record user activity, resetting the idle timer
+ */
+export function markActivity() {
+    lastActivity = Date.now();
+}
+
+/**
+ * Call `onLock` when the app sits idle too long or goes to the background.
+ * Does nothing while no PIN is set, so it can be started unconditionally.
+ * @param {Function} onLock - Shows the lock screen
+ */
+export function startAutoLock(onLock) {
+    if (idleTimer) return;
+    markActivity();
+
+    ACTIVITY_EVENTS.forEach(type => {
+        document.addEventListener(type, markActivity, { passive: true, capture: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden && isPinEnabled() && getAutoLockSettings().onHide) {
+            onLock();
+        } else if (!document.hidden && isPinEnabled() && isIdleTooLong()) {
+            // Timers are throttled in the background; catch up on return
+            onLock();
+        }
+    });
+
+    idleTimer = setInterval(() => {
+        if (isPinEnabled() && isIdleTooLong()) onLock();
+    }, IDLE_CHECK_INTERVAL);
+}
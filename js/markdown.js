@@ -0,0 +1,144 @@
+/**
+ * MoodPad Markdown
+ * Lightweight Markdown for notes: **bold**, *italics*, lists, [links](url)
+ * and # headings. Notes are escaped before any markup is added, so the only
+ * tags in the output are the ones built here.
+ */
+
+import { escapeHTML } from './utils.js';
+
+// Links may only point to web pages and email addresses
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*+](?:\s+(.*))?$/;
+const NUMBERED = /^\s*(\d{1,9})[.)](?:\s+(.*))?$/;
+
+const LINK = /\[([^\]\n]+)\]\(([^)\s]+)\)/g;
+const STRONG = /(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g;
+const EMPHASIS = /(^|[^\w*])([*_])(?=\S)(.+?)(?<=\S)\2(?![\w*])/g;
+
+// Headings start at h3 so they stay below the page and modal titles
+const HEADING_OFFSET = 2;
+
+/**
+ * Sort a note's lines into headings, list items and text
+ * @param {string} text - Note text
+ * @returns {Array} { type: 'heading'|'bullet'|'numbered'|'text'|'blank', text, level, number }
+ */
+function parseLines(text) {
+    return String(text ?? '').replace(/\r\n?/g, '\n').replace(/\0/g, '').split('\n').map(line => {
+        if (!line.trim()) return { type: 'blank' };
+
+        let match = line.match(HEADING);
+        if (match) return { type: 'heading', level: match[1].length, text: match[2].trim() };
+
+        match = line.match(BULLET);
+        if (match) return { type: 'bullet', text: (match[1] || '').trim() };
+
+        match = line.match(NUMBERED);
+        if (match) return { type: 'numbered', number: Number(match[1]), text: (match[2] || '').trim() };
+
+        return { type: 'text', text: line.trim() };
+    });
+}
+
+/**
+ * Apply emphasis to escaped text
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(STRONG, '<strong>$2</strong>')
+        .replace(EMPHASIS, '$1<em>$3</em>');
+}
+
+/**
+ * Render the inline markup of one line; links are set aside first so
+ * emphasis can't reach into their addresses
+ */
+function renderInline(text) {
+    const links = [];
+    const html = escapeHTML(text).replace(LINK, (match, label, url) => {
+        const target = url.replace(/&amp;/g, '&');
+        links.push(SAFE_URL.test(target)
+            ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`
+            : renderEmphasis(label));
+        return `\0${links.length - 1}\0`;
+    });
+
+    return renderEmphasis(html).replace(/\0(\d+)\0/g, (match, index) => links[index]);
+}
+
+/**
+ * Render a note's Markdown as HTML that is safe to insert into the page
+ * @param {string} text - Note text
+ * @returns {string} HTML, or an empty string for an empty note
+ */
+export function renderMarkdown(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const closeList = () => {
+        if (list) blocks.push(`<${list.tag}${list.start}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    parseLines(text).forEach(line => {
+        if (line.type === 'bullet' || line.type === 'numbered') {
+            closeParagraph();
+            const tag = line.type === 'bullet' ? 'ul' : 'ol';
+            if (list?.tag !== tag) {
+                closeList();
+                list = { tag, start: line.number > 1 ? ` start="${line.number}"` : '', items: [] };
+            }
+            list.items.push(renderInline(line.text));
+            return;
+        }
+
+        closeList();
+        if (line.type === 'heading') {
+            closeParagraph();
+            const tag = `h${line.level + HEADING_OFFSET}`;
+            blocks.push(`<${tag}>${renderInline(line.text)}</${tag}>`);
+        } else if (line.type === 'text') {
+            paragraph.push(renderInline(line.text));
+        } else {
+            closeParagraph();
+        }
+    });
+
+    closeParagraph();
+    closeList();
+    return blocks.join('');
+}
+
+/**
+ * Remove the markup from one line, keeping link addresses after their text
+ */
+function stripInline(text) {
+    return text
+        .replace(LINK, (match, label, url) => label === url ? url : `${label} (${url})`)
+        .replace(STRONG, '$2')
+        .replace(EMPHASIS, '$1$3');
+}
+
+/**
+ * Turn a note's Markdown into plain text, as used in CSV exports
+ * @param {string} text - Note text
+ * @returns {string} Text without markup; list items keep their markers
+ */
+export function markdownToPlainText(text) {
+    return parseLines(text).map(line => {
+        switch (line.type) {
+            case 'blank': return '';
+            case 'bullet': return `- ${stripInline(line.text)}`.trimEnd();
+            case 'numbered': return `${line.number}. ${stripInline(line.text)}`.trimEnd();
+            default: return stripInline(line.text);
+        }
+    }).join('\n').trim();
+}
@@ -0,0 +1,337 @@
+/**
+ * MoodPad Mood Registry
+ * Single source of truth for mood definitions (default and custom)
+ */
+
+const REGISTRY_KEY = 'moodpad_mood_registry';
+const LEGACY_CUSTOM_EMOJIS_KEY = 'moodpad_custom_emojis';
+
+// Valence score (1 = worst, 5 = best) used for trends and insights,
+// and energy level (1 = low, 5 = high)
+export const DEFAULT_MOODS = [
+    { emoji: '😊', name: 'happy', label: 'Happy', score: 4, color: '#ffd93d', energy: 4 },
+    { emoji: '😢', name: 'sad', label: 'Sad', score: 1, color: '#6ecbf5', energy: 2 },
+    { emoji: '😠', name: 'angry', label: 'Angry', score: 1, color: '#ff6b6b', energy: 5 },
+    { emoji: '😴', name: 'tired', label: 'Tired', score: 2, color: '#9b7ed9', energy: 1 },
+    { emoji: '😍', name: 'love', label: 'Loving', score: 5, color: '#ff8fab', energy: 4 },
+    { emoji: '😰', name: 'anxious', label: 'Anxious', score: 2, color: '#ffa94d', energy: 4 },
+    { emoji: '😐', name: 'neutral', label: 'Neutral', score: 3, color: '#8b8b9b', energy: 3 }
+];
+
+// Used for custom moods until the user sets their own values,
+// and for emojis that are not in the registry at all (e.g. imported)
+export const DEFAULT_CUSTOM_MOOD = { label: 'Custom', score: 3, color: '#8b8b9b', energy: 3 };
+
+// Mood colors are written into style attributes, so only #rrggbb is kept
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// Mood names end up in class names (calendar__day--mood-<name>)
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+let cachedRaw;
+let cachedMoods = null;
+
+/**
+ * Fill in any missing fields on a stored mood definition
+ */
+function normalizeMood(mood) {
+    const normalized = {
+        ...DEFAULT_CUSTOM_MOOD,
+        name: 'custom',
+        custom: true,
+        hidden: false,
+        ...mood
+    };
+    if (!COLOR_PATTERN.test(normalized.color)) normalized.color = DEFAULT_CUSTOM_MOOD.color;
+    if (!NAME_PATTERN.test(normalized.name)) normalized.name = 'custom';
+    return normalized;
+}
+
+/**
+ * Build the initial registry: defaults plus any custom emojis saved by
+ * older versions as a plain list of strings
+ */
+function seedRegistry() {
+    let legacy = [];
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_CUSTOM_EMOJIS_KEY)) || [];
+    } catch {
+        legacy = [];
+    }
+
+    const defaults = DEFAULT_MOODS.map(m => ({ ...m, custom: false, hidden: false }));
+    const custom = legacy
+        .filter(emoji => typeof emoji === 'string' && !defaults.some(m => m.emoji === emoji))
+        .map(emoji => normalizeMood({ emoji }));
+
+    return [...defaults, ...custom];
+}
+
+/**
+ * Get every mood definition, in display order, including hidden ones
+ * @returns {Array<Object>} { emoji, name, label, score, color, energy, custom, hidden }
+ */
+export function getMoods() {
+    const raw = localStorage.getItem(REGISTRY_KEY);
+
+    // Re-parse only when the stored registry changed (e.g. after a restore)
+    if (cachedMoods && raw === cachedRaw) {
+        return cachedMoods;
+    }
+
+    let moods = null;
+    try {
+        moods = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Error reading mood registry:', e);
+    }
+
+    if (!Array.isArray(moods) || moods.length === 0) {
+        moods = seedRegistry();
+        saveMoodRegistry(moods);
+        return cachedMoods;
+    }
+
+    cachedRaw = raw;
+    cachedMoods = moods.map(normalizeMood);
+    return cachedMoods;
+}
+
+/**
+ * Persist the full registry
+ * @param {Array<Object>} moods - Mood definitions in display order
+ */
+export function saveMoodRegistry(moods) {
+    const normalized = moods.map(normalizeMood);
+    const raw = JSON.stringify(normalized);
+    localStorage.setItem(REGISTRY_KEY, raw);
+    localStorage.removeItem(LEGACY_CUSTOM_EMOJIS_KEY);
+    cachedRaw = raw;
+    cachedMoods = normalized;
+}
+
+/**
+ * Check a single stored mood definition
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMood(mood) {
+    if (!mood || typeof mood !== 'object') return 'is not an object';
+    if (!isMoodEmoji(mood.emoji)) return 'has an invalid emoji';
+    if (mood.color !== undefined && !COLOR_PATTERN.test(mood.color)) return 'has an invalid color';
+    if (mood.name !== undefined && !(typeof mood.name === 'string' && NAME_PATTERN.test(mood.name))) {
+        return 'has an invalid name';
+    }
+    if (mood.label !== undefined && typeof mood.label !== 'string') return 'has a non-text label';
+    if (['score', 'energy'].some(f => mood[f] !== undefined && !(Number.isInteger(mood[f]) && mood[f] >= 1 && mood[f] <= 5))) {
+        return 'has a score or energy outside 1-5';
+    }
+    return null;
+}
+
+/**
+ * Check a stored mood registry, such as one from a backup
+ * @param {string} raw - Registry JSON
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMoodRegistry(raw) {
+    let moods;
+    try {
+        moods = JSON.parse(raw);
+    } catch {
+        return 'is not valid JSON';
+    }
+    if (!Array.isArray(moods)) return 'is not a list';
+
+    for (const [i, mood] of moods.entries()) {
+        const error = validateMood(mood);
+        if (error) return `mood ${i + 1} ${error}`;
+        if (moods.findIndex(m => m.emoji === mood.emoji) !== i) return `mood ${i + 1} repeats ${mood.emoji}`;
+    }
+    return null;
+}
+
+/**
+ * Get the moods offered in the picker (hidden ones still render on past entries)
+ */
+export function getVisibleMoods() {
+    return getMoods().filter(m => !m.hidden);
+}
+
+/**
+ * Look up the definition for an emoji
+ * Emojis that are not registered get neutral custom defaults, so entries
+ * imported from elsewhere still render and score sensibly.
+ * @param {string} emoji - Mood emoji
+ * @returns {Object} Mood definition
+ */
+export function getMoodDefinition(emoji) {
+    return getMoods().find(m => m.emoji === emoji) || normalizeMood({ emoji });
+}
+
+/**
+ * Get the valence score (1-5) for an emoji
+ */
+export function getMoodScore(emoji) {
+    return getMoodDefinition(emoji).score;
+}
+
+/**
+ * Convert a #rrggbb color to rgba() with the given alpha
+ */
+export function toRgba(hex, alpha) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!match) return `rgba(139, 139, 155, ${alpha})`;
+    const [r, g, b] = match.slice(1).map(h => parseInt(h, 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Longest emoji sequence accepted, in UTF-16 code units (family and flag
+// sequences run to about a dozen)
+export const MAX_EMOJI_LENGTH = 16;
+
+/**
+ * Check that a string is a single emoji, as stored on check-ins; text,
+ * whitespace and markup characters are refused
+ * @param {*} value - Candidate emoji
+ * @returns {boolean}
+ */
+export function isMoodEmoji(value) {
+    if (typeof value !== 'string' || !value || value.length > MAX_EMOJI_LENGTH) return false;
+    if (/[\s<>"'&]/.test(value)) return false;
+    if (!/\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(value)) return false;
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        return [...new Intl.Segmenter().segment(value)].length === 1;
+    }
+    return true;
+}
+
+/**
+ * Get all emojis (default + custom), in display order
+ */
+export function getAllEmojis() {
+    return getMoods().map(m => m.emoji);
+}
+
+/**
+ * Get custom emojis
+ */
+export function getCustomEmojis() {
+    return getMoods().filter(m => m.custom).map(m => m.emoji);
+}
+
+/**
+ * Add custom emoji
+ * @param {string} emoji - The emoji to add
+ * @param {Object} fields - Optional { label, score, color, energy }
+ */
+export function addCustomEmoji(emoji, fields = {}) {
+    const moods = getMoods();
+    if (!moods.some(m => m.emoji === emoji)) {
+        saveMoodRegistry([...moods, normalizeMood({ ...fields, emoji })]);
+    }
+    return getAllEmojis();
+}
+
+/**
+ * Remove custom emoji
+ */
+export function removeCustomEmoji(emoji) {
+    saveMoodRegistry(getMoods().filter(m => !(m.custom && m.emoji === emoji)));
+    return getAllEmojis();
+}
+
+/**
+ * Update fields of a mood (label, score, color, energy, hidden)
+ * @param {string} emoji - The mood to update
+ * @param {Object} changes - Fields to change
+ */
+export function updateMood(emoji, changes) {
+    const { emoji: _ignored, ...fields } = changes;
+    saveMoodRegistry(getMoods().map(m => (m.emoji === emoji ? { ...m, ...fields } : m)));
+}
+
+/**
+ * Move a mood up (-1) or down (+1) in the display order
+ */
+export function moveMood(emoji, delta) {
+    const moods = [...getMoods()];
+    const from = moods.findIndex(m => m.emoji === emoji);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= moods.length) return;
+
+    [moods[from], moods[to]] = [moods[to], moods[from]];
+    saveMoodRegistry(moods);
+}
+
+/**
+ * Remove any mood, default or custom. Callers must remap entries that
+ * still use it first (see remapEmoji in storage.js).
+ * @throws {Error} If it is the last visible mood
+ */
+export function removeMood(emoji) {
+    const remaining = getMoods().filter(m => m.emoji !== emoji);
+    if (!remaining.some(m => !m.hidden)) {
+        throw new Error('At least one mood must stay visible');
+    }
+    saveMoodRegistry(remaining);
+}
+
+// How strongly a mood was felt, 1-10
+export const MIN_INTENSITY = 1;
+export const MAX_INTENSITY = 10;
+// An intensity that leaves a mood's score as it is, as does no intensity
+const NEUTRAL_INTENSITY = 5;
+// The score moods are weighted towards or away from
+const NEUTRAL_SCORE = 3;
+
+// Feelings that can be picked alongside the main mood
+export const SECONDARY_EMOTIONS = [
+    'anxious', 'excited', 'calm', 'grateful', 'stressed', 'proud',
+    'lonely', 'hopeful', 'frustrated', 'content', 'overwhelmed', 'bored'
+];
+
+/**
+ * Check an intensity before it is stored
+ * @param {*} intensity - Whole number from 1 to 10; null or '' means none
+ * @returns {number|null}
+ * @throws {Error} If it is out of range
+ */
+export function normalizeIntensity(intensity) {
+    if (intensity === null || intensity === undefined || intensity === '') return null;
+
+    const value = Number(intensity);
+    if (!Number.isInteger(value) || value < MIN_INTENSITY || value > MAX_INTENSITY) {
+        throw new Error(`Intensity must be a whole number from ${MIN_INTENSITY} to ${MAX_INTENSITY}`);
+    }
+    return value;
+}
+
+/**
+ * Check secondary emotions before they are stored: lowercase, no
+ * duplicates and never the same as the main mood's name
+ * @param {Array} emotions - Emotion names
+ * @param {string} emoji - Main mood of the check-in
+ * @returns {Array}
+ */
+export function normalizeEmotions(emotions, emoji = null) {
+    const main = emoji ? getMoodDefinition(emoji).name : null;
+    const names = (emotions || [])
+        .map(e => String(e).trim().toLowerCase())
+        .filter(e => e && e !== main);
+    return [...new Set(names)];
+}
+
+/**
+ * Get a check-in's score weighted by how strongly the mood was felt:
+ * intensity 5 (or none) keeps the score, 10 doubles its distance from
+ * neutral and 1 shrinks it to a fifth, within 1-5
+ * @param {string} emoji - Mood emoji
+ * @param {number|null} intensity - 1-10, or null
+ * @returns {number}
+ */
+export function getWeightedScore(emoji, intensity = null) {
+    const score = getMoodScore(emoji);
+    if (!intensity) return score;
+
+    const weighted = NEUTRAL_SCORE + (score - NEUTRAL_SCORE) * intensity / NEUTRAL_INTENSITY;
+    return Math.min(5, Math.max(1, weighted));
+}
@@ -0,0 +1,156 @@
+/**
+ * MoodPad Journaling Prompts
+ * Daily prompts picked by mood, and reusable note templates. Answered
+ * prompts are stored on check-ins in `prompts` as { prompt, answer }.
+ */
+
+import { getMoodScore } from './moods.js';
+import { daysBetween, todayISO } from './dates.js';
+
+const TEMPLATES_KEY = 'moodpad_note_templates';
+
+export const MAX_TEMPLATE_NAME_LENGTH = 40;
+export const MAX_TEMPLATE_LENGTH = 1000;
+
+// Mood scores at or above which a day is a good one, and at or below which
+// it calls for coping
+const GOOD_SCORE = 4;
+const LOW_SCORE = 2;
+
+export const PROMPTS = {
+    gratitude: [
+        'What are you grateful for today?',
+        'Who made today better, and how?',
+        'What went well today, and what part did you play in it?',
+        'What small moment from today would you like to remember?',
+        'What is something you are looking forward to?'
+    ],
+    coping: [
+        'What is weighing on you right now?',
+        'What is one small thing that would help you feel a little better?',
+        'What would you say to a friend who felt this way?',
+        'What is in your control today, and what isn\'t?',
+        'Who or what could support you right now?'
+    ],
+    reflection: [
+        'What took up most of your energy today?',
+        'What is one thing you learned today?',
+        'What would make tomorrow a good day?',
+        'What are you still thinking about from today?',
+        'How did you take care of yourself today?'
+    ]
+};
+
+export const DEFAULT_TEMPLATES = [
+    { id: 'wins-lesson', name: '3 wins / 1 lesson', body: 'Wins:\n1. \n2. \n3. \n\nLesson: ' }
+];
+
+// ==========================================
+// PROMPTS
+// ==========================================
+
+/**
+ * Choose the kind of prompt for a mood: gratitude on good days, coping on
+ * low ones (such as sad or anxious) and reflection otherwise
+ * @param {string|null} emoji - Mood of the check-in, or null before one is picked
+ * @returns {string} 'gratitude', 'coping' or 'reflection'
+ */
+export function getPromptCategory(emoji) {
+    if (!emoji) return 'reflection';
+
+    const score = getMoodScore(emoji);
+    if (score >= GOOD_SCORE) return 'gratitude';
+    if (score <= LOW_SCORE) return 'coping';
+    return 'reflection';
+}
+
+/**
+ * Get the prompt for a mood on a date; it changes every day, and `skip`
+ * moves on to the next one in the same category
+ * @param {string|null} emoji - Mood of the check-in
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} skip - How many prompts to move past
+ * @returns {string} Prompt text
+ */
+export function getDailyPrompt(emoji, date = todayISO(), skip = 0) {
+    const prompts = PROMPTS[getPromptCategory(emoji)];
+    const index = (daysBetween('1970-01-01', date) + skip) % prompts.length;
+    return prompts[(index + prompts.length) % prompts.length];
+}
+
+/**
+ * Clean answered prompts before they are stored, dropping unanswered ones
+ * and repeats of the same prompt
+ * @param {Array} answers - { prompt, answer }
+ * @returns {Array} { prompt, answer } with trimmed text
+ */
+export function normalizePromptAnswers(answers) {
+    const seen = new Set();
+    return (answers || [])
+        .map(a => ({ prompt: String(a?.prompt ?? '').trim(), answer: String(a?.answer ?? '').trim() }))
+        .filter(a => {
+            if (!a.prompt || !a.answer || seen.has(a.prompt)) return false;
+            seen.add(a.prompt);
+            return true;
+        });
+}
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+/**
+ * Get the note templates; the built-in one is offered until the list is changed
+ * @returns {Array} { id, name, body }
+ */
+export function getTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY));
+        return Array.isArray(saved) ? saved.filter(t => t && t.id && t.name) : DEFAULT_TEMPLATES;
+    } catch {
+        return DEFAULT_TEMPLATES;
+    }
+}
+
+/**
+ * Add a note template
+ * @param {string} name - Name shown in the template menu
+ * @param {string} body - Text inserted into the note
+ * @returns {Object} The new template
+ * @throws {Error} If the name or text is empty or the name is taken
+ */
+export function addTemplate(name, body) {
+    const templates = getTemplates();
+    const template = {
+        id: `${Date.now().toString(36)}-${templates.length}`,
+        name: String(name ?? '').trim().slice(0, MAX_TEMPLATE_NAME_LENGTH),
+        body: String(body ?? '').replace(/\s+$/, '').slice(0, MAX_TEMPLATE_LENGTH)
+    };
+
+    if (!template.name) throw new Error('Enter a name for the template');
+    if (!template.body.trim()) throw new Error('Enter the text of the template');
+    if (templates.some(t => t.name.toLowerCase() === template.name.toLowerCase())) {
+        throw new Error(`There is already a template called "${template.name}"`);
+    }
+
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify([...templates, template]));
+    return template;
+}
+
+/**
+ * Delete a note template
+ */
+export function removeTemplate(id) {
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(getTemplates().filter(t => t.id !== id)));
+}
+
+/**
+ * Add a template's text to a note, on a new paragraph when the note has text
+ * @param {string} note - Current note
+ * @param {Object} template - From getTemplates
+ * @returns {string} The note with the template added
+ */
+export function applyTemplate(note, template) {
+    const text = String(note || '').replace(/\s+$/, '');
+    return text ? `${text}\n\n${template.body}` : template.body;
+}
@@ -0,0 +1,226 @@
+/**
+ * MoodPad Reminders Module
+ * Reminder schedule (times, days of the week, quiet days) and its delivery
+ * through the service worker, which shows the notifications
+ */
+
+import { getAllMoods, getEntriesForDate, onEntriesChanged, isEncryptionEnabled } from './storage.js';
+import { getVisibleMoods } from './moods.js';
+import { todayISO, toISODate, addDays, getDateParts, getWeekday, isValidISODate } from './dates.js';
+
+const REMINDER_KEY = 'moodpad_reminder';
+// Also the periodic sync tag; sw.js uses the same name
+const REMINDER_TAG = 'moodpad-reminder';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const MAX_REMINDER_TIMES = 6;
+// How far ahead the service worker is given reminders; reopening the app extends it
+export const SCHEDULE_DAYS = 14;
+const SYNC_INTERVAL = 60 * 60 * 1000;
+// Reminders offer the most used moods of the last month as one-tap actions
+export const QUICK_LOG_COUNT = 3;
+const QUICK_LOG_DAYS = 30;
+
+export const DEFAULT_REMINDER_SETTINGS = {
+    enabled: false,
+    times: ['20:00'],
+    days: [0, 1, 2, 3, 4, 5, 6],
+    quietDays: []
+};
+
+let reminderTimer = null;
+let unsubscribe = null;
+
+// ==========================================
+// SETTINGS
+// ==========================================
+
+/**
+ * Get the reminder settings
+ * The old setting was just "true" for an 8 PM reminder every day.
+ * @returns {Object} { enabled, times, days, quietDays }
+ */
+export function getReminderSettings() {
+    const saved = localStorage.getItem(REMINDER_KEY);
+    if (saved === 'true') return { ...DEFAULT_REMINDER_SETTINGS, enabled: true };
+
+    try {
+        return { ...DEFAULT_REMINDER_SETTINGS, ...JSON.parse(saved) };
+    } catch {
+        return { ...DEFAULT_REMINDER_SETTINGS };
+    }
+}
+
+/**
+ * Validate and save changes to the reminder settings, then reschedule
+ * @param {Object} changes - Any of { enabled, times, days, quietDays }
+ * @param {string} today - Today's date; past quiet days are dropped
+ * @returns {Object} The saved settings
+ */
+export function updateReminderSettings(changes, today = todayISO()) {
+    const settings = { ...getReminderSettings(), ...changes };
+
+    if (settings.times.some(time => !TIME_PATTERN.test(time))) {
+        throw new Error('Reminder times must be in HH:MM format');
+    }
+    const times = [...new Set(settings.times)].sort();
+    if (times.length === 0) {
+        throw new Error('Add at least one reminder time');
+    }
+    if (times.length > MAX_REMINDER_TIMES) {
+        throw new Error(`At most ${MAX_REMINDER_TIMES} reminder times are allowed`);
+    }
+
+    if (settings.quietDays.some(date => !isValidISODate(date))) {
+        throw new Error('Quiet days must be valid dates');
+    }
+
+    const saved = {
+        enabled: Boolean(settings.enabled),
+        times,
+        days: [...new Set(settings.days)].filter(d => Number.isInteger(d) && d >= 0 && d <= 6).sort(),
+        quietDays: [...new Set(settings.quietDays)].filter(date => date >= today).sort()
+    };
+
+    localStorage.setItem(REMINDER_KEY, JSON.stringify(saved));
+    refreshReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+    return saved;
+}
+
+// ==========================================
+// SCHEDULE
+// ==========================================
+
+/**
+ * List the reminders due from the start of today
+ * @param {Object} settings - From getReminderSettings
+ * @param {Object} options - { now, days, loggedToday }; today's reminders
+ *   are left out once today has a check-in
+ * @returns {Array} { date, time, timestamp, expires } oldest first; a
+ *   reminder that is missed can still be shown until `expires` (midnight)
+ */
+export function buildReminderSchedule(settings, { now = new Date(), days = SCHEDULE_DAYS, loggedToday = false } = {}) {
+    if (!settings.enabled) return [];
+
+    const today = toISODate(now);
+    const quietDays = new Set(settings.quietDays);
+    const reminders = [];
+
+    for (let i = loggedToday ? 1 : 0; i < days; i++) {
+        const date = addDays(today, i);
+        if (!settings.days.includes(getWeekday(date)) || quietDays.has(date)) continue;
+
+        const { year, month, day } = getDateParts(date);
+        const expires = new Date(year, month, day + 1).getTime();
+
+        settings.times.forEach(time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            reminders.push({ date, time, timestamp: new Date(year, month, day, hours, minutes).getTime(), expires });
+        });
+    }
+
+    return reminders;
+}
+
+/**
+ * Pick the moods a reminder offers as quick-log actions
+ * @param {Array} moods - Check-ins in any order
+ * @param {Array} visibleMoods - Mood definitions in picker order
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Array} { emoji, label }: the most used picker moods of the last
+ *   month, topped up in picker order; ties keep picker order
+ */
+export function buildQuickLogMoods(moods, visibleMoods, today = todayISO(), count = QUICK_LOG_COUNT) {
+    const since = addDays(today, -(QUICK_LOG_DAYS - 1));
+    const counts = {};
+    moods
+        .filter(m => m.date >= since && m.date <= today)
+        .forEach(m => {
+            counts[m.emoji] = (counts[m.emoji] || 0) + 1;
+        });
+
+    return visibleMoods
+        .map((mood, index) => ({ mood, index, count: counts[mood.emoji] || 0 }))
+        .sort((a, b) => b.count - a.count || a.index - b.index)
+        .slice(0, count)
+        .map(({ mood }) => ({ emoji: mood.emoji, label: mood.label }));
+}
+
+/**
+ * Whether this browser can schedule notifications ahead of time
+ */
+function canScheduleTriggers() {
+    return 'Notification' in globalThis && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * While the app is open, ask the service worker to show each reminder on time
+ * Not needed where the service worker can schedule notifications itself.
+ */
+function startReminderTimer(registration, schedule) {
+    clearTimeout(reminderTimer);
+
+    const next = schedule.find(r => r.timestamp > Date.now());
+    if (!next) return;
+
+    reminderTimer = setTimeout(() => {
+        registration.active?.postMessage({ type: 'show-reminder' });
+        startReminderTimer(registration, schedule);
+    }, next.timestamp - Date.now());
+}
+
+/**
+ * Recompute the schedule and quick-log moods and hand them to the service
+ * worker, which stores them for periodic sync and schedules Notification
+ * Triggers where supported
+ * @param {Object} options - { encrypted }: whether the journal is (or is
+ *   about to be) encrypted; defaults to its current state
+ */
+export async function refreshReminders({ encrypted = isEncryptionEnabled() } = {}) {
+    clearTimeout(reminderTimer);
+
+    const registration = await globalThis.navigator?.serviceWorker?.getRegistration();
+    if (!registration) return;
+    await navigator.serviceWorker.ready;
+
+    const settings = getReminderSettings();
+    const loggedToday = (await getEntriesForDate(todayISO())).length > 0;
+    const schedule = buildReminderSchedule(settings, { loggedToday });
+
+    // The service worker has no journal key, so an encrypted journal only
+    // gets the plain "Log Mood" action
+    const quickMoods = settings.enabled && !encrypted
+        ? buildQuickLogMoods(await getAllMoods(), getVisibleMoods())
+        : [];
+
+    registration.active?.postMessage({ type: 'schedule-reminders', reminders: schedule, quickMoods, encrypted });
+
+    if (!canScheduleTriggers()) {
+        startReminderTimer(registration, schedule);
+    }
+
+    // Periodic sync needs an installed app and is skipped silently elsewhere
+    if ('periodicSync' in registration) {
+        try {
+            if (settings.enabled) {
+                await registration.periodicSync.register(REMINDER_TAG, { minInterval: SYNC_INTERVAL });
+            } else {
+                await registration.periodicSync.unregister(REMINDER_TAG);
+            }
+        } catch {
+            // Not installed or not allowed; the timer and triggers still remind
+        }
+    }
+}
+
+/**
+ * Schedule reminders now and again whenever check-ins change, so logging
+ * today cancels today's remaining reminders
+ */
+export function initReminders() {
+    unsubscribe?.();
+    unsubscribe = onEntriesChanged(() => {
+        refreshReminders().catch(err => console.error('MoodPad: Could not schedule reminders', err));
+    });
+    return refreshReminders();
+}
@@ -0,0 +1,509 @@
+/**
+ * MoodPad Report Module
+ * Printable summaries of any date range, built from the same data as the
+ * calendar, trend chart and year review, saved as HTML or printed to PDF
+ */
+
+import { getAllMoods } from './storage.js';
+import { getDailySummaries, calculateCurrentStreak, buildTrendData, buildTrendSVG, resolveTrendRange, ROLLING_WINDOW } from './stats.js';
+import { buildMonthGrid, WEEKDAYS, MONTHS } from './calendar.js';
+import { buildPeriodSummary } from './features.js';
+import { buildInsights, getInsightState } from './insights.js';
+import { getMoodDefinition } from './moods.js';
+import { escapeHTML } from './utils.js';
+import { todayISO, toISODate, addDays, daysBetween, getDateParts, getWeekday, formatLongDate } from './dates.js';
+
+const REPORT_KEY = 'moodpad_report';
+const TREND_WIDTH = 680;
+
+export const REPORT_PERIODS = [
+    { id: 'this-week', label: 'This week' },
+    { id: 'last-week', label: 'Last week' },
+    { id: 'this-month', label: 'This month' },
+    { id: 'last-month', label: 'Last month' },
+    { id: 'custom', label: 'Custom range' }
+];
+
+// Notes are private by default; they are only printed when picked one by one
+export const REPORT_SECTIONS = [
+    { id: 'overview', label: 'Overview', default: true },
+    { id: 'calendar', label: 'Calendar', default: true },
+    { id: 'trend', label: 'Trend chart', default: true },
+    { id: 'distribution', label: 'Mood distribution', default: true },
+    { id: 'streaks', label: 'Streaks', default: true },
+    { id: 'tags', label: 'Top tags', default: true },
+    { id: 'insights', label: 'Insights', default: true },
+    { id: 'notes', label: 'Notes', default: false }
+];
+
+const DEFAULT_OPTIONS = {
+    period: 'last-month',
+    sections: REPORT_SECTIONS.filter(s => s.default).map(s => s.id)
+};
+
+// Paper-friendly styles, embedded so a downloaded report stands alone
+const REPORT_STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px; line-height: 1.5; color: #1a1a2e; background: #fff; }
+  h1 { margin: 0; font-size: 24px; }
+  h2 { margin: 0 0 12px; font-size: 16px; border-bottom: 1px solid #e2e2ea; padding-bottom: 4px; }
+  .report__header { margin-bottom: 24px; }
+  .report__period { margin: 4px 0 0; font-size: 16px; }
+  .report__generated { margin: 2px 0 0; font-size: 12px; color: #6a6a7a; }
+  .report__section { margin-bottom: 24px; break-inside: avoid; page-break-inside: avoid; }
+  .report__section--flow { break-inside: auto; page-break-inside: auto; }
+  .report__empty { color: #6a6a7a; }
+  .report-stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .report-stat { padding: 8px; border: 1px solid #e2e2ea; border-radius: 8px; text-align: center; }
+  .report-stat__value { font-size: 20px; font-weight: 600; }
+  .report-stat__label { font-size: 12px; color: #6a6a7a; }
+  .report-calendar { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 16px; }
+  .report-calendar__month { break-inside: avoid; page-break-inside: avoid; }
+  .report-calendar__title { margin: 0 0 4px; font-size: 13px; font-weight: 600; }
+  .report-calendar__grid { display: grid; grid-template-columns: repeat(7, 1fr); gap: 2px; }
+  .report-calendar__weekday { font-size: 10px; text-align: center; color: #6a6a7a; }
+  .calendar__day { position: relative; aspect-ratio: 1; display: flex; align-items: center; justify-content: center;
+    border: 1px solid #e2e2ea; border-radius: 4px; font-size: 11px; }
+  .calendar__day--has-mood { font-size: 15px; }
+  .calendar__day--empty { border: none; }
+  .calendar__day--outside { color: #c8c8d0; border-style: dashed; }
+  .calendar__day-number { position: absolute; top: 0; right: 2px; font-size: 8px; color: #6a6a7a; }
+  .calendar__day-count { position: absolute; bottom: 0; left: 2px; font-size: 8px; color: #6a6a7a; }
+  .trend-chart__svg { width: 100%; height: auto; }
+  .trend-chart__bar { fill: #667eea; }
+  .trend-chart__gap { fill: #6a6a7a; opacity: 0.3; }
+  .trend-chart__average { fill: none; stroke: #1a1a2e; stroke-width: 2; stroke-linecap: round; stroke-linejoin: round; }
+  .report__legend { font-size: 12px; color: #6a6a7a; }
+  .report-distribution { display: grid; grid-template-columns: 32px 1fr 96px; align-items: center; gap: 8px; margin-bottom: 4px; }
+  .report-distribution__emoji { font-size: 18px; }
+  .report-distribution__bar { height: 10px; background: #f0f0f5; border-radius: 5px; overflow: hidden; }
+  .report-distribution__fill { display: block; height: 100%; }
+  .report-distribution__count { font-size: 12px; color: #6a6a7a; text-align: right; }
+  .report__list { margin: 0; padding-left: 20px; }
+  .report-tags { display: flex; flex-wrap: wrap; gap: 8px; }
+  .report-tag { padding: 2px 10px; border: 1px solid #e2e2ea; border-radius: 12px; font-size: 13px; }
+  .report-note { padding: 8px 0; border-bottom: 1px solid #f0f0f5; break-inside: avoid; page-break-inside: avoid; }
+  .report-note__meta { font-size: 12px; color: #6a6a7a; }
+  .report-note__text { margin: 4px 0 0; white-space: pre-wrap; }
+  @page { margin: 15mm; }
+  @media print {
+    body { padding: 0; font-size: 12px; }
+    .calendar__day, .report-stat, .report-tag { border-color: #bbb; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+// ==========================================
+// PERIODS AND OPTIONS
+// ==========================================
+
+/**
+ * Resolve a report period to concrete dates
+ * Weeks start on Monday; the current week and month end today.
+ * @param {Object} options - { period } or { period: 'custom', from, to }
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Object} { from, to }
+ */
+export function resolveReportPeriod({ period, from, to }, today = todayISO()) {
+    const { year, month } = getDateParts(today);
+    const monday = addDays(today, -((getWeekday(today) + 6) % 7));
+
+    switch (period) {
+        case 'this-week':
+            return { from: monday, to: today };
+        case 'last-week':
+            return { from: addDays(monday, -7), to: addDays(monday, -1) };
+        case 'this-month':
+            return { from: toISODate(new Date(year, month, 1)), to: today };
+        case 'last-month':
+            return { from: toISODate(new Date(year, month - 1, 1)), to: toISODate(new Date(year, month, 0)) };
+        case 'custom': {
+            if (!from || !to) throw new Error('Choose a start and end date for the report');
+            const range = resolveTrendRange({ from, to }, today);
+            return { from: range.from, to: range.to };
+        }
+        default:
+            throw new Error(`Unknown report period: ${period}`);
+    }
+}
+
+/**
+ * Get the saved report choices
+ * @returns {Object} { period, sections }
+ */
+export function getReportOptions() {
+    try {
+        return { ...DEFAULT_OPTIONS, ...JSON.parse(localStorage.getItem(REPORT_KEY)) };
+    } catch {
+        return { ...DEFAULT_OPTIONS };
+    }
+}
+
+/**
+ * Remember the period and sections for next time; picked notes are never saved
+ * @param {Object} options - { period, sections }
+ */
+export function saveReportOptions({ period, sections }) {
+    localStorage.setItem(REPORT_KEY, JSON.stringify({ period, sections }));
+}
+
+// ==========================================
+// REPORT DATA
+// ==========================================
+
+/**
+ * Check-ins with a note between two dates, oldest first
+ */
+export function getReportNotes(moods, from, to) {
+    return moods
+        .filter(m => m.note && m.date >= from && m.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+}
+
+/**
+ * Build everything a report shows
+ * @param {Array} moods - Every check-in, in any order
+ * @param {Object} options - { from, to, sections, noteIds }; only notes
+ *   whose IDs are listed are included
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Object} { from, to, generated, sections, summary, currentStreak,
+ *   months, trend, insights, notes }
+ */
+export function buildReport(moods, { from, to, sections = DEFAULT_OPTIONS.sections, noteIds = [] }, today = todayISO()) {
+    // Nothing after the period may leak into streaks or insights
+    const untilEnd = moods.filter(m => m.date <= to);
+    const picked = new Set(noteIds);
+    const dismissed = new Set(getInsightState().dismissed);
+
+    // Every calendar month the period touches
+    const months = [];
+    const last = getDateParts(to);
+    let { year, month } = getDateParts(from);
+    while (year < last.year || (year === last.year && month <= last.month)) {
+        months.push({ year, month });
+        month++;
+        if (month > 11) {
+            month = 0;
+            year++;
+        }
+    }
+
+    return {
+        from,
+        to,
+        generated: today,
+        sections: REPORT_SECTIONS.map(s => s.id).filter(id => sections.includes(id)),
+        summary: buildPeriodSummary(moods, from, to),
+        currentStreak: calculateCurrentStreak(getDailySummaries(untilEnd), to),
+        months,
+        trend: buildTrendData(moods, daysBetween(from, to) + 1, to),
+        insights: buildInsights(untilEnd, to).filter(i => !dismissed.has(i.id)),
+        notes: getReportNotes(moods, from, to).filter(m => picked.has(m.id))
+    };
+}
+
+// ==========================================
+// REPORT DOCUMENT
+// ==========================================
+
+/**
+ * Format a date like "Mar 3, 2024"
+ */
+function formatShortDate(date) {
+    return formatLongDate(date, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Render one report section, or an empty-state line when it has no data
+ */
+function renderSection(title, content, modifier = '') {
+    return `
+    <section class="report__section ${modifier}">
+      <h2>${title}</h2>
+      ${content || '<p class="report__empty">Nothing logged in this period.</p>'}
+    </section>
+  `;
+}
+
+const SECTION_RENDERERS = {
+    overview: ({ summary }) => renderSection('Overview', `
+      <div class="report-stats">
+        <div class="report-stat">
+          <div class="report-stat__value">${summary.daysLogged} / ${summary.days.length}</div>
+          <div class="report-stat__label">Days Logged</div>
+        </div>
+        <div class="report-stat">
+          <div class="report-stat__value">${summary.totalEntries}</div>
+          <div class="report-stat__label">Check-ins</div>
+        </div>
+        <div class="report-stat">
+          <div class="report-stat__value">${summary.average === null ? '—' : summary.average.toFixed(1)}</div>
+          <div class="report-stat__label">Average Score (of 5)</div>
+        </div>
+        <div class="report-stat">
+          <div class="report-stat__value">${summary.topEmoji ? escapeHTML(summary.topEmoji) : '—'}</div>
+          <div class="report-stat__label">${summary.topEmoji ? escapeHTML(getMoodDefinition(summary.topEmoji).label) : 'Top Mood'}</div>
+        </div>
+      </div>
+    `),
+
+    calendar: ({ from, to, summary, months }) => {
+        const moodMap = new Map(summary.days.filter(d => d.value !== null).map(d => [d.date, d]));
+        return renderSection('Calendar', `
+      <div class="report-calendar">
+        ${months.map(({ year, month }) => `
+          <div class="report-calendar__month">
+            <p class="report-calendar__title">${MONTHS[month]} ${year}</p>
+            <div class="report-calendar__grid">
+              ${WEEKDAYS.map(day => `<span class="report-calendar__weekday">${day.slice(0, 2)}</span>`).join('')}
+              ${buildMonthGrid(year, month, moodMap, { interactive: false, from, to })}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `);
+    },
+
+    trend: ({ trend, summary }) => renderSection('Trend', summary.daysLogged > 0 && `
+      ${buildTrendSVG(trend, TREND_WIDTH, { interactive: false })}
+      <p class="report__legend">Bars show each day's average score (1–5); the line is the ${ROLLING_WINDOW}-day average.</p>
+    `),
+
+    distribution: ({ summary }) => renderSection('Mood Distribution', summary.distribution.map(d => `
+      <div class="report-distribution">
+        <span class="report-distribution__emoji">${escapeHTML(d.emoji)}</span>
+        <span class="report-distribution__bar">
+          <span class="report-distribution__fill" style="width: ${d.percent}%; background: ${escapeHTML(getMoodDefinition(d.emoji).color)};"></span>
+        </span>
+        <span class="report-distribution__count">${d.count} (${d.percent}%)</span>
+      </div>
+    `).join('')),
+
+    streaks: ({ summary, currentStreak }) => renderSection('Streaks', summary.daysLogged > 0 && `
+      <ul class="report__list">
+        <li>Longest streak: ${summary.longestStreak.length} ${summary.longestStreak.length === 1 ? 'day' : 'days'}
+          (${formatShortDate(summary.longestStreak.start)} – ${formatShortDate(summary.longestStreak.end)})</li>
+        <li>Streak at the end of the period: ${currentStreak} ${currentStreak === 1 ? 'day' : 'days'}</li>
+      </ul>
+    `),
+
+    tags: ({ summary }) => renderSection('Top Tags', summary.topTags.length > 0 && `
+      <div class="report-tags">
+        ${summary.topTags.map(t => `<span class="report-tag">#${escapeHTML(t.tag)} · ${t.count}</span>`).join('')}
+      </div>
+    `),
+
+    insights: ({ insights }) => renderSection('Insights', insights.length > 0 && `
+      <ul class="report__list">
+        ${insights.map(i => `<li>${i.text}</li>`).join('')}
+      </ul>
+    `),
+
+    notes: ({ notes }) => renderSection('Notes', notes.length > 0 ? notes.map(n => `
+      <div class="report-note">
+        <div class="report-note__meta">
+          ${escapeHTML(n.emoji)} ${escapeHTML(formatLongDate(n.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }))}
+          ${n.time ? `· ${escapeHTML(n.time)}` : ''}
+        </div>
+        <p class="report-note__text">${escapeHTML(n.note)}</p>
+      </div>
+    `).join('') : '<p class="report__empty">No notes selected.</p>', 'report__section--flow')
+};
+
+/**
+ * Render a report as a standalone HTML document with its own print styles
+ * @param {Object} report - From buildReport
+ * @returns {string} HTML document
+ */
+export function renderReportDocument(report) {
+    const period = `${formatShortDate(report.from)} – ${formatShortDate(report.to)}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>MoodPad Report · ${period}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <main class="report">
+    <header class="report__header">
+      <h1>MoodPad Report</h1>
+      <p class="report__period">${period}</p>
+      <p class="report__generated">Generated ${formatShortDate(report.generated)}</p>
+    </header>
+    ${report.sections.map(id => SECTION_RENDERERS[id](report)).join('')}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download a report as an HTML file
+ * @param {Object} report - From buildReport
+ */
+export function downloadReport(report) {
+    const blob = new Blob([renderReportDocument(report)], { type: 'text/html;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', `moodpad_report_${report.from}_${report.to}.html`);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+// ==========================================
+// REPORT BUILDER
+// ==========================================
+
+/**
+ * Render the report builder: period, sections and notes on the left of a
+ * live preview that prints or downloads exactly what it shows
+ * @param {string} containerId - Container element ID
+ */
+export async function renderReportBuilder(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const moods = await getAllMoods();
+    const saved = getReportOptions();
+    const options = { ...saved, from: null, to: null, noteIds: new Set() };
+    let report = null;
+
+    container.innerHTML = `
+    <div class="report-builder">
+      <div class="report-builder__period">
+        <label>Period
+          <select class="lock-settings__input" id="reportPeriod">
+            ${REPORT_PERIODS.map(p => `
+              <option value="${p.id}" ${p.id === options.period ? 'selected' : ''}>${p.label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <span class="report-builder__custom" id="reportCustomRange" ${options.period === 'custom' ? '' : 'hidden'}>
+          <label>From <input type="date" class="search__date" id="reportFrom"></label>
+          <label>To <input type="date" class="search__date" id="reportTo"></label>
+        </span>
+      </div>
+      <fieldset class="report-builder__sections">
+        <legend>Include</legend>
+        ${REPORT_SECTIONS.map(s => `
+          <label class="report-builder__option">
+            <input type="checkbox" data-section="${s.id}" ${options.sections.includes(s.id) ? 'checked' : ''}> ${s.label}
+          </label>
+        `).join('')}
+      </fieldset>
+      <div class="report-builder__notes" id="reportNotes"></div>
+      <p class="lock-settings__error" id="reportError" role="alert"></p>
+      <iframe class="report-builder__preview" id="reportPreview" title="Report preview"></iframe>
+      <div class="report-builder__actions">
+        <button type="button" class="btn btn--primary" id="reportPrintBtn">Print / Save as PDF</button>
+        <button type="button" class="btn btn--secondary" id="reportDownloadBtn">Download HTML</button>
+      </div>
+    </div>
+  `;
+
+    const errorEl = document.getElementById('reportError');
+    const notesEl = document.getElementById('reportNotes');
+    const preview = document.getElementById('reportPreview');
+    const printBtn = document.getElementById('reportPrintBtn');
+    const downloadBtn = document.getElementById('reportDownloadBtn');
+
+    const renderNotePicker = () => {
+        if (!report || !options.sections.includes('notes')) {
+            notesEl.innerHTML = '';
+            return;
+        }
+
+        const notes = getReportNotes(moods, report.from, report.to);
+        notesEl.innerHTML = notes.length === 0 ? '<p class="settings-item__desc">No notes in this period.</p>' : `
+        <div class="settings-item__desc">Only the notes you tick are printed.
+          <button type="button" class="report-builder__link" data-notes="all">Select all</button> ·
+          <button type="button" class="report-builder__link" data-notes="none">None</button>
+        </div>
+        ${notes.map(n => `
+          <label class="report-builder__note">
+            <input type="checkbox" data-note="${escapeHTML(n.id)}" ${options.noteIds.has(n.id) ? 'checked' : ''}>
+            <span>${escapeHTML(n.emoji)} ${escapeHTML(formatShortDate(n.date))} — ${escapeHTML(n.note)}</span>
+          </label>
+        `).join('')}
+      `;
+    };
+
+    const update = ({ notes = false } = {}) => {
+        try {
+            const { from, to } = resolveReportPeriod(options);
+            errorEl.textContent = '';
+            report = buildReport(moods, { from, to, sections: options.sections, noteIds: [...options.noteIds] });
+            preview.srcdoc = renderReportDocument(report);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            report = null;
+            preview.srcdoc = '';
+        }
+
+        printBtn.disabled = !report;
+        downloadBtn.disabled = !report;
+        if (notes) renderNotePicker();
+    };
+
+    document.getElementById('reportPeriod').addEventListener('change', (e) => {
+        options.period = e.target.value;
+        document.getElementById('reportCustomRange').hidden = options.period !== 'custom';
+        saveReportOptions(options);
+        update({ notes: true });
+    });
+
+    ['from', 'to'].forEach(bound => {
+        const el = document.getElementById(bound === 'from' ? 'reportFrom' : 'reportTo');
+        el.addEventListener('change', () => {
+            options[bound] = el.value || null;
+            update({ notes: true });
+        });
+    });
+
+    container.querySelectorAll('[data-section]').forEach(box => {
+        box.addEventListener('change', () => {
+            options.sections = REPORT_SECTIONS
+                .map(s => s.id)
+                .filter(id => container.querySelector(`[data-section="${id}"]`).checked);
+            saveReportOptions(options);
+            update({ notes: box.dataset.section === 'notes' });
+        });
+    });
+
+    notesEl.addEventListener('change', (e) => {
+        const id = e.target.dataset.note;
+        if (!id) return;
+        if (e.target.checked) options.noteIds.add(id);
+        else options.noteIds.delete(id);
+        update();
+    });
+
+    notesEl.addEventListener('click', (e) => {
+        const choice = e.target.dataset.notes;
+        if (!choice || !report) return;
+        options.noteIds = choice === 'all'
+            ? new Set(getReportNotes(moods, report.from, report.to).map(n => n.id))
+            : new Set();
+        update({ notes: true });
+    });
+
+    printBtn.addEventListener('click', () => {
+        preview.contentWindow?.focus();
+        preview.contentWindow?.print();
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        if (report) downloadReport(report);
+    });
+
+    update({ notes: true });
+}
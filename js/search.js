@@ -0,0 +1,388 @@
+/**
+ * MoodPad Search Module
+ * Full-text search of notes with mood, tag and date range filters, backed
+ * by an in-memory inverted index that follows storage changes
+ */
+
+import { getAllMoods, onEntriesChanged } from './storage.js';
+import { getMoodDefinition } from './moods.js';
+import { formatLongDate } from './dates.js';
+import { escapeHTML } from './utils.js';
+import { markdownToPlainText } from './markdown.js';
+
+const MAX_RESULTS = 100;
+const SNIPPET_RADIUS = 60;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+let searchIndexPromise = null;
+
+// ==========================================
+// TEXT
+// ==========================================
+
+/**
+ * Lowercase text and strip accents, so "Café" matches "cafe"
+ */
+export function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into folded words
+ * @returns {Array<string>} Words in order, with repeats
+ */
+export function tokenize(text) {
+    return foldText(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Fold text one character at a time, remembering where each folded
+ * character came from so matches can be mapped back to the original
+ */
+function foldWithOffsets(text) {
+    let folded = '';
+    const offsets = [];
+
+    for (let i = 0; i < text.length;) {
+        const char = String.fromCodePoint(text.codePointAt(i));
+        const foldedChar = foldText(char);
+        for (let k = 0; k < foldedChar.length; k++) offsets.push(i);
+        folded += foldedChar;
+        i += char.length;
+    }
+    offsets.push(text.length);
+
+    return { folded, offsets };
+}
+
+/**
+ * Find every place in the text where a word starts with one of the terms
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges
+ */
+export function findMatches(text, terms) {
+    if (!text || terms.length === 0) return [];
+
+    const { folded, offsets } = foldWithOffsets(text);
+    const ranges = [];
+
+    for (const word of folded.matchAll(WORD_PATTERN)) {
+        const term = terms
+            .filter(t => word[0].startsWith(t))
+            .sort((a, b) => b.length - a.length)[0];
+        if (term) {
+            ranges.push([offsets[word.index], offsets[word.index + term.length]]);
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Cut a snippet of a note around the first match, without its Markdown
+ * @param {string} note - Note text
+ * @param {Array<string>} terms - Folded query terms
+ * @param {number} radius - Characters of context on each side
+ * @returns {Array<{text: string, match: boolean}>} Snippet segments
+ */
+export function buildSnippet(note, terms, radius = SNIPPET_RADIUS) {
+    const text = markdownToPlainText(note).replace(/\s+/g, ' ').trim();
+    if (!text) return [];
+
+    const matches = findMatches(text, terms);
+    const first = matches[0]?.[0] ?? 0;
+
+    // Start and end on word boundaries where possible
+    let start = Math.max(0, first - radius);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space >= 0 && space < first ? space + 1 : start;
+    }
+    let end = Math.min(text.length, first + radius * 2);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first ? space : end;
+    }
+
+    const segments = [];
+    if (start > 0) segments.push({ text: '…', match: false });
+
+    let cursor = start;
+    matches
+        .filter(([s, e]) => s >= start && e <= end)
+        .forEach(([s, e]) => {
+            if (s > cursor) segments.push({ text: text.slice(cursor, s), match: false });
+            segments.push({ text: text.slice(s, e), match: true });
+            cursor = e;
+        });
+    if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+
+    if (end < text.length) segments.push({ text: '…', match: false });
+    return segments;
+}
+
+// ==========================================
+// INDEX
+// ==========================================
+
+/**
+ * Count values into a sorted [{ key, count }] list
+ */
+function countBy(values) {
+    const counts = new Map();
+    values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .map(([key, count]) => ({ key, count }));
+}
+
+/**
+ * Create an empty inverted index of note words to check-in IDs
+ */
+export function createSearchIndex() {
+    const entries = new Map();
+    const postings = new Map();
+
+    const remove = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return;
+
+        new Set(tokenize(entry.note)).forEach(word => {
+            const ids = postings.get(word);
+            ids.delete(id);
+            if (ids.size === 0) postings.delete(word);
+        });
+        entries.delete(id);
+    };
+
+    const add = (entry) => {
+        remove(entry.id);
+        entries.set(entry.id, entry);
+
+        new Set(tokenize(entry.note)).forEach(word => {
+            if (!postings.has(word)) postings.set(word, new Set());
+            postings.get(word).add(entry.id);
+        });
+    };
+
+    const clear = () => {
+        entries.clear();
+        postings.clear();
+    };
+
+    // IDs of check-ins with a word starting with the term
+    const lookup = (term) => {
+        const ids = new Set();
+        postings.forEach((wordIds, word) => {
+            if (word.startsWith(term)) wordIds.forEach(id => ids.add(id));
+        });
+        return ids;
+    };
+
+    /**
+     * Search notes; every term must match the start of a word
+     * @param {string} query - Search text (may be empty to list everything)
+     * @param {Object} filters - { emoji, tag, from, to }, each optional
+     * @returns {Object} { terms, total, results: [{ entry, snippet }], facets: { moods, tags } }
+     *   where facet counts apply every other filter, so choices stay visible
+     */
+    const search = (query = '', filters = {}, limit = MAX_RESULTS) => {
+        const terms = [...new Set(tokenize(query))];
+
+        let ids = null;
+        terms.forEach(term => {
+            const matches = lookup(term);
+            ids = ids ? new Set([...ids].filter(id => matches.has(id))) : matches;
+        });
+
+        const candidates = ids ? [...ids].map(id => entries.get(id)) : [...entries.values()];
+        const passes = (entry, skip) =>
+            (skip === 'emoji' || !filters.emoji || entry.emoji === filters.emoji) &&
+            (skip === 'tag' || !filters.tag || (entry.tags || []).includes(filters.tag)) &&
+            (!filters.from || entry.date >= filters.from) &&
+            (!filters.to || entry.date <= filters.to);
+
+        const results = candidates
+            .filter(entry => passes(entry))
+            .sort((a, b) => b.date.localeCompare(a.date) || (b.time || '').localeCompare(a.time || ''));
+
+        return {
+            terms,
+            total: results.length,
+            results: results.slice(0, limit).map(entry => ({ entry, snippet: buildSnippet(entry.note, terms) })),
+            facets: {
+                moods: countBy(candidates.filter(e => passes(e, 'emoji')).map(e => e.emoji))
+                    .map(({ key, count }) => ({ emoji: key, count })),
+                tags: countBy(candidates.filter(e => passes(e, 'tag')).flatMap(e => e.tags || []))
+                    .map(({ key, count }) => ({ tag: key, count }))
+            }
+        };
+    };
+
+    return {
+        add,
+        remove,
+        clear,
+        search,
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * Build the search index from storage once, then keep it in step with
+ * every save and delete
+ * @returns {Promise<Object>} The index
+ */
+export function initSearch() {
+    if (!searchIndexPromise) {
+        searchIndexPromise = (async () => {
+            const index = createSearchIndex();
+
+            // Subscribe first so nothing saved while loading is missed
+            const unsubscribe = onEntriesChanged(({ saved, deleted, cleared }) => {
+                if (cleared) index.clear();
+                deleted.forEach(id => index.remove(id));
+                saved.forEach(entry => index.add(entry));
+            });
+
+            try {
+                (await getAllMoods()).forEach(entry => index.add(entry));
+            } catch (error) {
+                unsubscribe();
+                throw error;
+            }
+            return index;
+        })();
+
+        // Let a later call retry, e.g. after the journal is unlocked
+        searchIndexPromise.catch(() => {
+            searchIndexPromise = null;
+        });
+    }
+    return searchIndexPromise;
+}
+
+/**
+ * Search the journal
+ * @param {string} query - Search text
+ * @param {Object} filters - { emoji, tag, from, to }
+ */
+export async function searchEntries(query, filters = {}) {
+    return (await initSearch()).search(query, filters);
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+/**
+ * Render snippet segments as HTML with matches highlighted
+ */
+function renderSnippet(segments) {
+    return segments.map(({ text, match }) =>
+        match ? `<mark class="search-result__match">${escapeHTML(text)}</mark>` : escapeHTML(text)
+    ).join('');
+}
+
+/**
+ * Render the search view: query box, date range, mood and tag facets and results
+ * @param {string} containerId - Container element ID
+ * @param {Function} onOpen - Called with the check-in a result refers to
+ */
+export function renderSearchPanel(containerId, onOpen) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const filters = { emoji: null, tag: null, from: null, to: null };
+
+    container.innerHTML = `
+    <div class="search">
+      <input type="search" class="search__input" id="searchInput" placeholder="Search notes…"
+             aria-label="Search notes" autocomplete="off">
+      <div class="search__range">
+        <label>From <input type="date" class="search__date" id="searchFrom"></label>
+        <label>To <input type="date" class="search__date" id="searchTo"></label>
+      </div>
+      <div class="search__facets" id="searchFacets"></div>
+      <p class="search__summary" id="searchSummary" aria-live="polite"></p>
+      <div class="search__results" id="searchResults"></div>
+    </div>
+  `;
+
+    const input = document.getElementById('searchInput');
+    const facetsEl = document.getElementById('searchFacets');
+    const summaryEl = document.getElementById('searchSummary');
+    const resultsEl = document.getElementById('searchResults');
+    let latest = [];
+
+    const update = async () => {
+        const { total, results, facets, terms } = await searchEntries(input.value, filters);
+        latest = results;
+
+        const chip = (type, value, label, count) => {
+            const active = filters[type] === value;
+            return `<button type="button" class="search__facet ${active ? 'search__facet--active' : ''}"
+                data-type="${type}" data-value="${escapeHTML(value)}" aria-pressed="${active}">
+                ${label} <span class="search__facet-count">${count}</span></button>`;
+        };
+
+        facetsEl.innerHTML = `
+      <div class="search__facet-group" role="group" aria-label="Filter by mood">
+        ${facets.moods.map(({ emoji, count }) =>
+            chip('emoji', emoji, `${escapeHTML(emoji)} ${escapeHTML(getMoodDefinition(emoji).label)}`, count)).join('')}
+      </div>
+      ${facets.tags.length > 0 ? `
+        <div class="search__facet-group" role="group" aria-label="Filter by tag">
+          ${facets.tags.map(({ tag, count }) => chip('tag', tag, `#${escapeHTML(tag)}`, count)).join('')}
+        </div>
+      ` : ''}
+    `;
+
+        const anyFilter = terms.length > 0 || Object.values(filters).some(Boolean);
+        summaryEl.textContent = anyFilter
+            ? `${total} ${total === 1 ? 'check-in' : 'check-ins'} found${total > results.length ? `, showing the newest ${results.length}` : ''}`
+            : `${total} check-ins. Type to search your notes.`;
+
+        resultsEl.innerHTML = results.map(({ entry, snippet }, i) => `
+        <button type="button" class="search-result" data-index="${i}">
+          <span class="search-result__emoji">${escapeHTML(entry.emoji)}</span>
+          <span class="search-result__body">
+            <span class="search-result__date">
+              ${escapeHTML(formatLongDate(entry.date, { year: 'numeric', month: 'short', day: 'numeric' }))} · ${escapeHTML(entry.time || '')}
+            </span>
+            ${snippet.length > 0 ? `<span class="search-result__snippet">${renderSnippet(snippet)}</span>` : ''}
+            ${(entry.tags || []).length > 0 ? `
+              <span class="search-result__tags">${entry.tags.map(t => `#${escapeHTML(t)}`).join(' ')}</span>
+            ` : ''}
+          </span>
+        </button>
+      `).join('');
+    };
+
+    input.addEventListener('input', update);
+
+    ['from', 'to'].forEach(bound => {
+        const el = document.getElementById(bound === 'from' ? 'searchFrom' : 'searchTo');
+        el.addEventListener('change', () => {
+            filters[bound] = el.value || null;
+            update();
+        });
+    });
+
+    facetsEl.addEventListener('click', (e) => {
+        const chip = e.target.closest('.search__facet');
+        if (!chip) return;
+        const { type, value } = chip.dataset;
+        filters[type] = filters[type] === value ? null : value;
+        update();
+    });
+
+    resultsEl.addEventListener('click', (e) => {
+        const result = e.target.closest('.search-result');
+        if (result) onOpen(latest[Number(result.dataset.index)].entry);
+    });
+
+    update();
+    input.focus();
+}
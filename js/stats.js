@@ -4,28 +4,102 @@
  */
 
 import { getAllMoods, getMoodsForMonth } from './storage.js';
+import { getMoodScore, getMoodDefinition, getWeightedScore } from './moods.js';
+import { getFactors, formatFactorValue } from './factors.js';
+import { todayISO, addDays, daysBetween, isValidISODate, formatLongDate } from './dates.js';
+import { escapeHTML } from './utils.js';
+import { markdownToPlainText } from './markdown.js';
+
+// Preset chart ranges in days, and the longest custom range allowed
+export const TREND_RANGES = [7, 30, 90, 365];
+const MAX_TREND_DAYS = 3 * 366;
+export const ROLLING_WINDOW = 7;
+const NOTE_EXCERPT_LENGTH = 80;
+// Check-ins a factor must be logged on before its link to mood is shown
+export const MIN_FACTOR_COUNT = 5;
+
+const TREND_RANGE_KEY = 'moodpad_trend_range';
+const DEFAULT_TREND_RANGE = { days: 30 };
+
+let onTrendDayClick = null;
+let trendPoints = [];
+let activePoint = null;
+let chartContainer = null;
 
-// Emoji to numeric value mapping for trend calculation
-const emojiToValue = {
-    '😍': 5,  // Love - best
-    '😊': 4,  // Happy
-    '😐': 3,  // Neutral
-    '😴': 2,  // Tired
-    '😰': 2,  // Anxious
-    '😢': 1,  // Sad
-    '😠': 1   // Angry - worst
-};
+/**
+ * Group check-ins by date
+ * @param {Array} moods - Check-ins in any order
+ * @returns {Map<string, Array>} Date string to that day's check-ins
+ */
+export function groupByDay(moods) {
+    const days = new Map();
+    moods.forEach(m => {
+        if (!days.has(m.date)) days.set(m.date, []);
+        days.get(m.date).push(m);
+    });
+    return days;
+}
 
 /**
- * Get the most common mood for a month
+ * Summarize one day's check-ins
+ * The dominant emoji is the most frequent one, with ties going to the
+ * latest check-in; the value is the average of all check-ins.
+ * @param {Array} entries - Check-ins for a single date
+ * @returns {Object|null} { date, emoji, value, weightedValue, intensity,
+ *   count, entries }: weightedValue averages scores weighted by intensity
+ *   (see getWeightedScore), and intensity is the average of the check-ins
+ *   that have one, or null
  */
-export function getMostCommonMood(year, month) {
-    const moods = getMoodsForMonth(year, month);
-    if (moods.length === 0) return null;
+export function summarizeDay(entries) {
+    if (!entries || entries.length === 0) return null;
 
+    const ordered = [...entries].sort((a, b) => (a.time || '').localeCompare(b.time || ''));
     const counts = {};
-    moods.forEach(m => {
+    let emoji = null;
+
+    ordered.forEach(m => {
         counts[m.emoji] = (counts[m.emoji] || 0) + 1;
+        if (emoji === null || counts[m.emoji] >= counts[emoji]) {
+            emoji = m.emoji;
+        }
+    });
+
+    const total = ordered.reduce((sum, m) => sum + getMoodScore(m.emoji), 0);
+    const weightedTotal = ordered.reduce((sum, m) => sum + getWeightedScore(m.emoji, m.intensity), 0);
+    const intensities = ordered.map(m => m.intensity).filter(Boolean);
+
+    return {
+        date: ordered[0].date,
+        emoji,
+        value: total / ordered.length,
+        weightedValue: weightedTotal / ordered.length,
+        intensity: intensities.length ? intensities.reduce((sum, i) => sum + i, 0) / intensities.length : null,
+        count: ordered.length,
+        entries: ordered
+    };
+}
+
+/**
+ * Get one summary per logged day
+ * @param {Array} moods - Check-ins in any order
+ * @returns {Array} Day summaries, newest first
+ */
+export function getDailySummaries(moods) {
+    return [...groupByDay(moods).values()]
+        .map(summarizeDay)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Get the most common mood for a month (counting each day's dominant mood once)
+ */
+export async function getMostCommonMood(year, month) {
+    const days = getDailySummaries(await getMoodsForMonth(year, month));
+    if (days.length === 0) return null;
+
+    const counts = {};
+    days.forEach(d => {
+        counts[d.emoji] = (counts[d.emoji] || 0) + 1;
     });
 
     let maxCount = 0;
@@ -42,172 +116,626 @@ export function getMostCommonMood(year, month) {
 }
 
 /**
- * Calculate current streak (consecutive days with moods logged)
+ * Split logged days into runs of consecutive dates
+ * @param {Array} days - Day summaries (or anything with a date), in any order
+ * @returns {Array} { start, end, length } runs, oldest first
  */
-export function getCurrentStreak() {
-    const moods = getAllMoods();
-    if (moods.length === 0) return 0;
+export function getStreakRuns(days) {
+    const dates = [...new Set(days.map(d => d.date))].sort();
+    const runs = [];
+
+    dates.forEach((date, i) => {
+        const run = runs[runs.length - 1];
+        if (i > 0 && daysBetween(run.end, date) === 1) {
+            run.end = date;
+            run.length++;
+        } else {
+            runs.push({ start: date, end: date, length: 1 });
+        }
+    });
 
-    // Sort by date descending
-    const sorted = [...moods].sort((a, b) => new Date(b.date) - new Date(a.date));
+    return runs;
+}
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+/**
+ * Length of the streak that is still active (last logged today or yesterday)
+ * @param {Array} days - Day summaries, in any order
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ */
+export function calculateCurrentStreak(days, today = todayISO()) {
+    const latest = getStreakRuns(days).pop();
+    return latest && daysBetween(latest.end, today) <= 1 ? latest.length : 0;
+}
+
+/**
+ * Length of the longest streak ever
+ * @param {Array} days - Day summaries, in any order
+ */
+export function calculateLongestStreak(days) {
+    return getStreakRuns(days).reduce((max, run) => Math.max(max, run.length), 0);
+}
+
+/**
+ * Calculate current streak (consecutive days with moods logged)
+ */
+export async function getCurrentStreak() {
+    return calculateCurrentStreak(getDailySummaries(await getAllMoods()));
+}
 
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+/**
+ * Calculate longest streak ever
+ */
+export async function getLongestStreak() {
+    return calculateLongestStreak(getDailySummaries(await getAllMoods()));
+}
+
+/**
+ * Get total check-ins count
+ */
+export async function getTotalEntries() {
+    return (await getAllMoods()).length;
+}
 
-    // Check if streak is active (logged today or yesterday)
-    const latestDate = new Date(sorted[0].date);
-    latestDate.setHours(0, 0, 0, 0);
+/**
+ * Build one averaged trend point per day for the days ending on `endDate`
+ * @param {Array} moods - Check-ins in any order
+ * @param {number} days - Number of days to include
+ * @param {string} endDate - Last day in YYYY-MM-DD format
+ * @returns {Array} { date, value, emoji, count, note } points, oldest first;
+ *   value is the day's intensity-weighted average; value, emoji and note
+ *   (the day's latest note) are null on days without check-ins
+ */
+export function buildTrendData(moods, days = 30, endDate = todayISO()) {
+    const summaries = new Map(getDailySummaries(moods).map(d => [d.date, d]));
+    const data = [];
 
-    if (latestDate < yesterday) {
-        return 0; // Streak broken
+    for (let i = days - 1; i >= 0; i--) {
+        const dateStr = addDays(endDate, -i);
+        const day = summaries.get(dateStr);
+        data.push({
+            date: dateStr,
+            value: day ? day.weightedValue : null,
+            emoji: day?.emoji || null,
+            count: day?.count || 0,
+            note: day?.entries.findLast(e => e.note)?.note || null
+        });
     }
 
-    let streak = 1;
-    let expectedDate = new Date(sorted[0].date);
+    return data;
+}
 
-    for (let i = 1; i < sorted.length; i++) {
-        expectedDate.setDate(expectedDate.getDate() - 1);
-        const currentDate = new Date(sorted[i].date);
-        currentDate.setHours(0, 0, 0, 0);
-        expectedDate.setHours(0, 0, 0, 0);
+/**
+ * Get mood trend data for chart (last 30 days), one intensity-weighted
+ * point per day
+ */
+export async function getTrendData(days = 30) {
+    return buildTrendData(await getAllMoods(), days);
+}
 
-        if (currentDate.getTime() === expectedDate.getTime()) {
-            streak++;
-        } else {
-            break;
-        }
+/**
+ * Average each point with the logged days before it in a trailing window
+ * @param {Array} data - Trend points, oldest first, one per day
+ * @param {number} window - Window size in days
+ * @returns {Array<number|null>} One value per point; null where the whole
+ *   window is unlogged, which breaks the line
+ */
+export function calculateRollingAverage(data, window = ROLLING_WINDOW) {
+    return data.map((_, i) => {
+        const values = data
+            .slice(Math.max(0, i - window + 1), i + 1)
+            .filter(d => d.value !== null)
+            .map(d => d.value);
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    });
+}
+
+/**
+ * Resolve a chart range to concrete dates
+ * @param {Object} range - { days } for the days ending today, or { from, to }
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Object} { from, to, days }; custom ranges are put in order and
+ *   capped at MAX_TREND_DAYS, keeping the end date
+ */
+export function resolveTrendRange(range, today = todayISO()) {
+    if (range?.from && range?.to && isValidISODate(range.from) && isValidISODate(range.to)) {
+        const [from, to] = [range.from, range.to].sort();
+        const days = Math.min(daysBetween(from, to) + 1, MAX_TREND_DAYS);
+        return { from: addDays(to, -(days - 1)), to, days };
     }
 
-    return streak;
+    const days = TREND_RANGES.includes(range?.days) ? range.days : DEFAULT_TREND_RANGE.days;
+    return { from: addDays(today, -(days - 1)), to: today, days };
 }
 
 /**
- * Calculate longest streak ever
+ * Get the saved chart range
+ * @returns {Object} { days } or { from, to }
  */
-export function getLongestStreak() {
-    const moods = getAllMoods();
-    if (moods.length === 0) return 0;
+export function getTrendRange() {
+    try {
+        return JSON.parse(localStorage.getItem(TREND_RANGE_KEY)) || DEFAULT_TREND_RANGE;
+    } catch {
+        return DEFAULT_TREND_RANGE;
+    }
+}
 
-    // Sort by date ascending
-    const sorted = [...moods].sort((a, b) => new Date(a.date) - new Date(b.date));
+/**
+ * Save the chart range and redraw
+ * @param {Object} range - { days } or { from, to }
+ */
+export async function setTrendRange(range) {
+    localStorage.setItem(TREND_RANGE_KEY, JSON.stringify(range));
+    renderTrendControls();
+    await renderTrendChart();
+}
 
-    let maxStreak = 1;
-    let currentStreak = 1;
+/**
+ * Set up the trend chart's range controls and day clicks
+ * @param {Function} onDayClick - Called with a date string when a day is chosen
+ */
+export function initTrendChart(onDayClick) {
+    onTrendDayClick = onDayClick;
+    renderTrendControls();
+}
+
+/**
+ * Render the range buttons and custom range form
+ */
+function renderTrendControls() {
+    const controls = document.getElementById('trendChartControls');
+    if (!controls) return;
+
+    const range = getTrendRange();
+    const custom = !range.days;
+    const { from, to } = resolveTrendRange(range);
+    const label = days => (days === 365 ? '1Y' : `${days}D`);
+
+    controls.innerHTML = `
+    <div class="trend-chart__ranges" role="group" aria-label="Chart range">
+      ${TREND_RANGES.map(days => `
+        <button type="button" class="trend-chart__range ${range.days === days ? 'trend-chart__range--active' : ''}"
+                data-days="${days}" aria-pressed="${range.days === days}" aria-label="Last ${days} days">${label(days)}</button>
+      `).join('')}
+      <button type="button" class="trend-chart__range ${custom ? 'trend-chart__range--active' : ''}"
+              data-days="custom" aria-pressed="${custom}">Custom</button>
+    </div>
+    <form class="trend-chart__custom" id="trendCustomForm" ${custom ? '' : 'hidden'}>
+      <input type="date" class="trend-chart__date" name="from" value="${from}" aria-label="From" required>
+      <span aria-hidden="true">–</span>
+      <input type="date" class="trend-chart__date" name="to" value="${to}" aria-label="To" required>
+      <button type="submit" class="btn btn--secondary">Apply</button>
+    </form>
+  `;
+
+    const form = document.getElementById('trendCustomForm');
+
+    controls.querySelectorAll('.trend-chart__range').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.days === 'custom') {
+                form.hidden = false;
+                form.elements.from.focus();
+            } else {
+                setTrendRange({ days: Number(btn.dataset.days) });
+            }
+        });
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        setTrendRange({ from: form.elements.from.value, to: form.elements.to.value });
+    });
+}
+
+/**
+ * Describe a chart range for the title
+ */
+function describeTrendRange(range, { from, to }) {
+    if (range.days) return `Last ${range.days} Days Mood Trend`;
+    const format = date => formatLongDate(date, { year: 'numeric', month: 'short', day: 'numeric' });
+    return `Mood Trend: ${format(from)} – ${format(to)}`;
+}
 
-    for (let i = 1; i < sorted.length; i++) {
-        const prevDate = new Date(sorted[i - 1].date);
-        const currDate = new Date(sorted[i].date);
+/**
+ * Shorten a note for the tooltip
+ */
+function excerpt(note, length = NOTE_EXCERPT_LENGTH) {
+    const text = markdownToPlainText(note).replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
 
-        const diffDays = Math.round((currDate - prevDate) / (1000 * 60 * 60 * 24));
+/**
+ * Describe a trend point in words, for screen readers
+ */
+function describePoint(point) {
+    const date = formatLongDate(point.date, { weekday: 'short', month: 'short', day: 'numeric' });
+    const checkins = point.count > 1 ? `, ${point.count} check-ins` : '';
+    return `${date}: ${point.emoji} ${getMoodDefinition(point.emoji).label}, ${point.value.toFixed(1)} of 5${checkins}`;
+}
 
-        if (diffDays === 1) {
-            currentStreak++;
-            maxStreak = Math.max(maxStreak, currentStreak);
-        } else if (diffDays > 1) {
-            currentStreak = 1;
+/**
+ * Build an SVG path through the points, lifting the pen at nulls
+ * @param {Array<Array<number>|null>} points - [x, y] pairs or null for gaps
+ */
+function buildLinePath(points) {
+    let path = '';
+    let drawing = false;
+
+    points.forEach(point => {
+        if (!point) {
+            drawing = false;
+            return;
         }
-        // diffDays === 0 means same day, ignore duplicate entries
-    }
+        path += `${drawing ? 'L' : 'M'}${point[0].toFixed(1)} ${point[1].toFixed(1)} `;
+        drawing = true;
+    });
 
-    return maxStreak;
+    return path.trim();
 }
 
 /**
- * Get total entries count
+ * Show the tooltip above a point's bar
  */
-export function getTotalEntries() {
-    return getAllMoods().length;
+function showTrendTooltip(index) {
+    const bar = chartContainer?.querySelector(`.trend-chart__bar[data-index="${index}"]`);
+    const tooltip = chartContainer?.querySelector('.trend-chart__tooltip');
+    const point = trendPoints[index];
+    if (!bar || !tooltip || !point) return;
+
+    activePoint = index;
+    tooltip.innerHTML = `
+    <div class="trend-chart__tooltip-date">${escapeHTML(formatLongDate(point.date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }))}</div>
+    <div class="trend-chart__tooltip-mood">
+      ${escapeHTML(point.emoji)} ${escapeHTML(getMoodDefinition(point.emoji).label)}
+      <span class="trend-chart__tooltip-value">${point.value.toFixed(1)}${point.count > 1 ? ` · ${point.count} check-ins` : ''}</span>
+    </div>
+    ${point.note ? `<div class="trend-chart__tooltip-note">${escapeHTML(excerpt(point.note))}</div>` : ''}
+  `;
+    tooltip.hidden = false;
+
+    // Centre over the bar, kept inside the chart
+    const box = chartContainer.getBoundingClientRect();
+    const rect = bar.getBoundingClientRect();
+    const half = tooltip.offsetWidth / 2;
+    const center = rect.left - box.left + rect.width / 2;
+    tooltip.style.left = `${Math.min(Math.max(center, half), box.width - half)}px`;
+    tooltip.style.top = `${rect.top - box.top}px`;
 }
 
 /**
- * Get mood trend data for chart (last 30 days)
+ * Hide the tooltip
  */
-export function getTrendData(days = 30) {
-    const moods = getAllMoods();
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+function hideTrendTooltip() {
+    activePoint = null;
+    const tooltip = chartContainer?.querySelector('.trend-chart__tooltip');
+    if (tooltip) tooltip.hidden = true;
+}
 
-    const data = [];
+/**
+ * Move keyboard focus to a point's bar
+ */
+function focusTrendPoint(index) {
+    const bars = chartContainer.querySelectorAll('.trend-chart__bar');
+    bars.forEach(bar => bar.setAttribute('tabindex', bar.dataset.index === String(index) ? '0' : '-1'));
+    chartContainer.querySelector(`.trend-chart__bar[data-index="${index}"]`)?.focus();
+}
 
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateStr = date.toISOString().split('T')[0];
+/**
+ * Open the chosen day
+ */
+function openTrendPoint(index) {
+    hideTrendTooltip();
+    if (onTrendDayClick && trendPoints[index]) onTrendDayClick(trendPoints[index].date);
+}
 
-        const mood = moods.find(m => m.date === dateStr);
-        data.push({
-            date: dateStr,
-            value: mood ? (emojiToValue[mood.emoji] || 3) : null,
-            emoji: mood?.emoji || null
-        });
-    }
+/**
+ * Wire pointer and keyboard handling once; bars are found by delegation so
+ * redraws need no rebinding
+ */
+function bindTrendChart(container) {
+    if (chartContainer === container) return;
+    chartContainer = container;
+
+    const indexOf = (e) => {
+        const bar = e.target.closest?.('.trend-chart__bar');
+        return bar ? Number(bar.dataset.index) : null;
+    };
+
+    container.addEventListener('pointerover', (e) => {
+        const index = indexOf(e);
+        if (index !== null && e.pointerType !== 'touch') showTrendTooltip(index);
+    });
 
-    return data;
+    container.addEventListener('pointerleave', () => {
+        if (!container.contains(document.activeElement)) hideTrendTooltip();
+    });
+
+    container.addEventListener('focusin', (e) => {
+        const index = indexOf(e);
+        if (index !== null) showTrendTooltip(index);
+    });
+
+    container.addEventListener('focusout', (e) => {
+        if (!container.contains(e.relatedTarget)) hideTrendTooltip();
+    });
+
+    // On touch, the first tap shows the tooltip and a second tap opens the day
+    container.addEventListener('click', (e) => {
+        const index = indexOf(e);
+        if (index === null) return;
+        if (e.pointerType === 'touch' && activePoint !== index) {
+            showTrendTooltip(index);
+        } else {
+            openTrendPoint(index);
+        }
+    });
+
+    container.addEventListener('keydown', (e) => {
+        const index = indexOf(e);
+        if (index === null) return;
+
+        const logged = trendPoints.map((d, i) => (d.value !== null ? i : null)).filter(i => i !== null);
+        const position = logged.indexOf(index);
+        const targets = {
+            ArrowLeft: logged[Math.max(0, position - 1)],
+            ArrowRight: logged[Math.min(logged.length - 1, position + 1)],
+            Home: logged[0],
+            End: logged[logged.length - 1]
+        };
+
+        if (e.key in targets) {
+            e.preventDefault();
+            focusTrendPoint(targets[e.key]);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            openTrendPoint(index);
+        } else if (e.key === 'Escape') {
+            hideTrendTooltip();
+        }
+    });
+}
+
+/**
+ * Build the trend chart SVG: one bar per logged day, a marker on the
+ * baseline for missing days, and the rolling average as a line
+ * @param {Array} data - Points from buildTrendData
+ * @param {number} width - Chart width in pixels
+ * @param {Object} options - { interactive: false } leaves the bars out of the tab order
+ * @returns {string} SVG markup
+ */
+export function buildTrendSVG(data, width, { interactive = true } = {}) {
+    const height = 120;
+    const padding = 20;
+    const step = (width - padding * 2) / data.length;
+    const barWidth = Math.max(1, step > 4 ? step - 2 : step);
+    const x = i => padding + i * step;
+    const y = value => height - padding - (value / 5) * (height - padding * 2);
+
+    // The most recent logged day is the keyboard entry point
+    const lastIndex = data.findLastIndex(d => d.value !== null);
+
+    let svg = `<svg class="trend-chart__svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet"
+        role="${interactive ? 'group' : 'img'}"
+        aria-label="Mood by day.${interactive ? ' Use the arrow keys to move between days and Enter to open one.' : ''}">`;
+
+    data.forEach((d, i) => {
+        if (d.value === null) {
+            svg += `<rect class="trend-chart__gap" x="${x(i)}" y="${height - padding - 2}" width="${barWidth}" height="2" aria-hidden="true"></rect>`;
+            return;
+        }
+
+        svg += `
+        <rect 
+          class="trend-chart__bar" 
+          data-index="${i}"
+          x="${x(i)}" 
+          y="${y(d.value)}" 
+          width="${barWidth}" 
+          height="${height - padding - y(d.value)}"
+          rx="2"
+          ${interactive ? `role="button" tabindex="${i === lastIndex ? 0 : -1}"` : ''}
+          aria-label="${escapeHTML(describePoint(d))}"
+        ></rect>
+      `;
+    });
+
+    const average = calculateRollingAverage(data)
+        .map((value, i) => (value === null ? null : [x(i) + barWidth / 2, y(value)]));
+    svg += `<path class="trend-chart__average" d="${buildLinePath(average)}" aria-hidden="true"></path>`;
+
+    svg += '</svg>';
+    return svg;
 }
 
 /**
- * Render the trend chart as SVG
+ * Render the trend chart for the saved range
  */
-export function renderTrendChart() {
+export async function renderTrendChart() {
     const container = document.getElementById('trendChart');
     if (!container) return;
 
-    const data = getTrendData(30);
+    const range = getTrendRange();
+    const resolved = resolveTrendRange(range);
+    const data = buildTrendData(await getAllMoods(), resolved.days, resolved.to);
     const validData = data.filter(d => d.value !== null);
 
+    const title = document.getElementById('trendChartTitle');
+    if (title) title.textContent = describeTrendRange(range, resolved);
+
+    trendPoints = data;
+    activePoint = null;
+    bindTrendChart(container);
+
     if (validData.length === 0) {
         container.innerHTML = `
       <div class="trend-chart__empty" style="text-align: center; padding: 20px; color: var(--text-muted);">
-        Log some moods to see your trend!
+        No moods logged in this range yet.
       </div>
     `;
         return;
     }
 
-    const width = container.clientWidth || 300;
-    const height = 120;
-    const padding = 20;
-    const barWidth = Math.max(4, (width - padding * 2) / data.length - 2);
+    container.innerHTML = `
+    ${buildTrendSVG(data, container.clientWidth || 300)}
+    <div class="trend-chart__tooltip" role="tooltip" hidden></div>
+    <div class="trend-chart__legend" aria-hidden="true">
+      <span class="trend-chart__legend-bar"></span> Daily average
+      <span class="trend-chart__legend-line"></span> ${ROLLING_WINDOW}-day average
+    </div>
+  `;
+}
 
-    let svg = `<svg class="trend-chart__svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">`;
+/**
+ * Pearson correlation of two equally long lists of numbers
+ * @returns {number|null} -1 to 1, or null if either list never varies
+ */
+export function calculateCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        varianceX += (xs[i] - meanX) ** 2;
+        varianceY += (ys[i] - meanY) ** 2;
+    }
 
-    // Draw bars
-    data.forEach((d, i) => {
-        if (d.value !== null) {
-            const barHeight = ((d.value / 5) * (height - padding * 2));
-            const x = padding + i * ((width - padding * 2) / data.length);
-            const y = height - padding - barHeight;
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
 
-            svg += `
-        <rect 
-          class="trend-chart__bar" 
-          x="${x}" 
-          y="${y}" 
-          width="${barWidth}" 
-          height="${barHeight}"
-          rx="2"
-        >
-          <title>${d.date}: ${d.emoji}</title>
-        </rect>
-      `;
+/**
+ * Average of a list of numbers, or null if it is empty
+ */
+function average(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Relate each factor to the mood score of the check-ins it was logged on
+ * @param {Array} moods - Check-ins in any order
+ * @param {Array} factors - Factor definitions (see factors.js)
+ * @returns {Array} { factor, count, correlation, averageValue, yesAverage,
+ *   noAverage, difference } per factor, in factor order. Number and 1-5
+ *   factors get the correlation with mood score (null if either never
+ *   varies) and their average value; yes/no factors get the average mood on
+ *   yes and no check-ins and the difference (null unless both were logged).
+ */
+export function buildFactorCorrelations(moods, factors = getFactors()) {
+    return factors.map(factor => {
+        const logged = moods.filter(m => m.factors?.[factor.id] !== undefined && m.factors?.[factor.id] !== null);
+        const result = {
+            factor,
+            count: logged.length,
+            correlation: null,
+            averageValue: null,
+            yesAverage: null,
+            noAverage: null,
+            difference: null
+        };
+
+        if (factor.type === 'boolean') {
+            const scoresWhen = value => logged
+                .filter(m => m.factors[factor.id] === value)
+                .map(m => getMoodScore(m.emoji));
+            result.yesAverage = average(scoresWhen(true));
+            result.noAverage = average(scoresWhen(false));
+            if (result.yesAverage !== null && result.noAverage !== null) {
+                result.difference = result.yesAverage - result.noAverage;
+            }
+        } else {
+            const values = logged.map(m => m.factors[factor.id]);
+            result.averageValue = average(values);
+            result.correlation = calculateCorrelation(values, logged.map(m => getMoodScore(m.emoji)));
         }
+
+        return result;
     });
+}
 
-    svg += '</svg>';
-    container.innerHTML = svg;
+/**
+ * Put a correlation into words
+ * @param {string} label - Factor name as used mid-sentence, e.g. 'sleep'
+ * @param {number|null} correlation - From calculateCorrelation
+ * @returns {string} e.g. 'Moderate link: more sleep, better mood'
+ */
+export function describeCorrelation(label, correlation) {
+    if (correlation === null) return `Not enough variation in ${label} yet`;
+
+    const strength = Math.abs(correlation);
+    if (strength < 0.1) return `No clear link between ${label} and mood`;
+
+    const word = strength < 0.3 ? 'Weak' : strength < 0.5 ? 'Moderate' : 'Strong';
+    return `${word} link: more ${label}, ${correlation > 0 ? 'better' : 'worse'} mood`;
+}
+
+/**
+ * Render one factor's link to mood
+ */
+function renderFactorImpact(c) {
+    const { factor } = c;
+    const isYesNo = factor.type === 'boolean';
+    const tone = isYesNo
+        ? (c.difference === null ? 'neutral' : c.difference > 0 ? 'positive' : 'negative')
+        : (c.correlation === null || Math.abs(c.correlation) < 0.1 ? 'neutral' : c.correlation > 0 ? 'positive' : 'negative');
+
+    let summary;
+    let details;
+    if (isYesNo) {
+        summary = c.difference === null
+            ? `Log both yes and no for ${factor.label.toLowerCase()} to compare`
+            : `Mood ${c.difference >= 0 ? '+' : '−'}${Math.abs(c.difference).toFixed(1)} on ${factor.label.toLowerCase()} days`;
+        details = `${c.yesAverage === null ? '—' : c.yesAverage.toFixed(1)} with vs ${c.noAverage === null ? '—' : c.noAverage.toFixed(1)} without`;
+    } else {
+        summary = describeCorrelation(factor.label.toLowerCase(), c.correlation);
+        details = `Average ${formatFactorValue(factor, Math.round(c.averageValue * 10) / 10)}` +
+            (c.correlation === null ? '' : ` · r = ${c.correlation.toFixed(2)}`);
+    }
+
+    return `
+    <div class="factor-impact factor-impact--${tone}">
+      <div class="factor-impact__summary">${escapeHTML(summary)}</div>
+      <div class="factor-impact__details">
+        <span>${escapeHTML(details)}</span>
+        <span>${c.count} ${c.count === 1 ? 'check-in' : 'check-ins'}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render how each logged factor relates to mood
+ */
+export async function renderFactorStats(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const shown = buildFactorCorrelations(await getAllMoods()).filter(c => c.count >= MIN_FACTOR_COUNT);
+
+    if (shown.length === 0) {
+        container.innerHTML = `
+      <p class="factor-impact__empty">Log sleep, energy or another factor on at least ${MIN_FACTOR_COUNT} check-ins to see how it relates to your mood.</p>
+    `;
+        return;
+    }
+
+    container.innerHTML = shown.map(renderFactorImpact).join('');
 }
 
 /**
  * Render all stats
  */
-export function renderStats(year, month) {
-    const mostCommon = getMostCommonMood(year, month);
-    const currentStreak = getCurrentStreak();
-    const longestStreak = getLongestStreak();
-    const totalEntries = getTotalEntries();
+export async function renderStats(year, month) {
+    const [mostCommon, currentStreak, longestStreak, totalEntries] = await Promise.all([
+        getMostCommonMood(year, month),
+        getCurrentStreak(),
+        getLongestStreak(),
+        getTotalEntries()
+    ]);
 
     // Update DOM
     const mostCommonEl = document.getElementById('mostCommonMood');
@@ -231,6 +759,7 @@ export function renderStats(year, month) {
         totalEntriesEl.textContent = totalEntries;
     }
 
-    // Render trend chart
-    renderTrendChart();
+    // Render trend chart and factor links
+    await renderTrendChart();
+    await renderFactorStats('factorStatsContainer');
 }
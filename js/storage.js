@@ -1,17 +1,190 @@
 /**
  * MoodPad Storage Module
- * Handles localStorage operations for mood data
+ * IndexedDB-backed repository for mood data, with a localStorage fallback
  */
 
-const STORAGE_KEY = 'moodpad_moods';
+import { toCSV } from './csv.js';
+import { todayISO, formatTime } from './dates.js';
+import { createSalt, deriveKey, encryptJSON, decryptJSON, PBKDF2_ITERATIONS } from './crypto.js';
+import { getFactors, normalizeFactors } from './factors.js';
+import { normalizeIntensity, normalizeEmotions } from './moods.js';
+import { normalizePromptAnswers } from './prompts.js';
+import { markdownToPlainText } from './markdown.js';
+
+const DB_NAME = 'moodpad';
+const DB_VERSION = 2;
+const STORE_NAME = 'entries';
+const LEGACY_STORE_NAME = 'moods';
+const DATE_INDEX = 'date';
+const LEGACY_STORAGE_KEY = 'moodpad_moods';
+const ENCRYPTION_KEY = 'moodpad_encryption';
+
+// Encrypted with the journal key so a passphrase can be checked on unlock
+const VERIFIER_TEXT = 'moodpad';
+
+// Earlier versions kept on each check-in, oldest first
+export const MAX_REVISIONS = 20;
+// A version replaced sooner than this after it was saved is a draft (such as
+// a note being typed) and isn't kept
+const REVISION_INTERVAL = 60 * 1000;
+// Fields a revision keeps; changing any of them records one
+const REVISION_FIELDS = ['date', 'time', 'emoji', 'note', 'prompts', 'tags', 'intensity', 'emotions', 'factors'];
+
+let rawBackendPromise = null;
+let backendPromise = null;
+
+const changeListeners = new Set();
+
+// Journal key while unlocked; never persisted
+let encryptionKey = null;
+
+// ==========================================
+// ENTRY HELPERS
+// ==========================================
+
+/**
+ * Generate a unique ID for a check-in
+ */
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Give a pre-check-in entry (one per date, no ID) the fields check-ins carry
+ */
+function upgradeLegacyEntry(entry) {
+    const timestamp = entry.timestamp || new Date().toISOString();
+    const loggedAt = new Date(timestamp);
+    return {
+        ...entry,
+        id: entry.id || createId(),
+        time: entry.time || (isNaN(loggedAt) ? '12:00' : formatTime(loggedAt)),
+        tags: entry.tags || [],
+        createdAt: entry.createdAt || timestamp,
+        timestamp
+    };
+}
+
+/**
+ * Add the version being replaced to a check-in's revision history
+ * @param {Object|null} existing - Stored version, if any
+ * @param {Object} updated - Version about to be stored
+ * @param {Date} now - Time of the save
+ * @returns {Array} Revisions for the updated version
+ */
+function addRevision(existing, updated, now) {
+    const revisions = existing?.revisions || [];
+    if (!existing) return revisions;
+
+    const changed = REVISION_FIELDS.some(field =>
+        JSON.stringify(existing[field] ?? null) !== JSON.stringify(updated[field] ?? null));
+    const savedAt = new Date(existing.timestamp);
+    if (!changed || now - savedAt < REVISION_INTERVAL) return revisions;
+
+    const revision = { timestamp: existing.timestamp };
+    REVISION_FIELDS.forEach(field => {
+        revision[field] = existing[field];
+    });
+    return [...revisions, revision].slice(-MAX_REVISIONS);
+}
+
+// ==========================================
+// BACKENDS
+// ==========================================
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wrap an IDBTransaction in a promise that settles when it completes
+ */
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open the MoodPad database, creating or upgrading object stores.
+ * v1 keyed one entry per date; v2 keys check-ins by ID with a
+ * non-unique date index, so a day can hold several check-ins.
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const tx = request.transaction;
+
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex(DATE_INDEX, 'date', { unique: false });
+            }
+
+            if (db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+                const entries = tx.objectStore(STORE_NAME);
+                tx.objectStore(LEGACY_STORE_NAME).getAll().onsuccess = (e) => {
+                    e.target.result.forEach(entry => entries.put(upgradeLegacyEntry(entry)));
+                    db.deleteObjectStore(LEGACY_STORE_NAME);
+                };
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+}
 
 /**
- * Get all mood entries from localStorage
- * @returns {Array} Array of mood objects
+ * Create the IndexedDB backend
  */
-export function getAllMoods() {
+function createIndexedDBBackend(db) {
+    const store = (mode) => db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    const dateIndex = () => store('readonly').index(DATE_INDEX);
+
+    return {
+        getAll: () => promisifyRequest(store('readonly').getAll()),
+        get: async (id) => (await promisifyRequest(store('readonly').get(id))) || null,
+        getByDate: (date) => promisifyRequest(dateIndex().getAll(date)),
+        getRange: (from, to) => promisifyRequest(dateIndex().getAll(IDBKeyRange.bound(from, to))),
+        put: (entry) => promisifyRequest(store('readwrite').put(entry)),
+        delete: (id) => promisifyRequest(store('readwrite').delete(id)),
+        clear: () => promisifyRequest(store('readwrite').clear()),
+        putAll: (entries) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const objectStore = tx.objectStore(STORE_NAME);
+            entries.forEach(entry => objectStore.put(entry));
+            return promisifyTransaction(tx);
+        },
+        deleteAll: (ids) => {
+            const tx = db.transaction(STORE_NAME, 'readwrite');
+            const objectStore = tx.objectStore(STORE_NAME);
+            ids.forEach(id => objectStore.delete(id));
+            return promisifyTransaction(tx);
+        }
+    };
+}
+
+/**
+ * Read the legacy localStorage blob
+ */
+function readLegacyMoods() {
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
+        const data = localStorage.getItem(LEGACY_STORAGE_KEY);
         return data ? JSON.parse(data) : [];
     } catch (e) {
         console.error('Error reading moods from storage:', e);
@@ -20,120 +193,726 @@ export function getAllMoods() {
 }
 
 /**
- * Save all moods to localStorage
- * @param {Array} moods - Array of mood objects
+ * Write the legacy localStorage blob
  */
-function saveMoods(moods) {
+function writeLegacyMoods(moods) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(moods));
+        localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(moods));
     } catch (e) {
         console.error('Error saving moods to storage:', e);
     }
 }
 
 /**
- * Get mood for a specific date
+ * Create the localStorage backend, used when IndexedDB is unavailable
+ * (e.g. some private browsing modes)
+ */
+function createLocalStorageBackend() {
+    // Entries written before check-ins existed get their IDs assigned once
+    const read = () => {
+        const moods = readLegacyMoods();
+        if (moods.every(m => m.id)) return moods;
+        const upgraded = moods.map(upgradeLegacyEntry);
+        writeLegacyMoods(upgraded);
+        return upgraded;
+    };
+
+    return {
+        getAll: async () => read(),
+        get: async (id) => read().find(m => m.id === id) || null,
+        getByDate: async (date) => read().filter(m => m.date === date),
+        getRange: async (from, to) => read().filter(m => m.date >= from && m.date <= to),
+        put: async (entry) => {
+            writeLegacyMoods([...read().filter(m => m.id !== entry.id), entry]);
+        },
+        delete: async (id) => {
+            writeLegacyMoods(read().filter(m => m.id !== id));
+        },
+        clear: async () => {
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        },
+        putAll: async (entries) => {
+            const ids = new Set(entries.map(e => e.id));
+            writeLegacyMoods([...read().filter(m => !ids.has(m.id)), ...entries]);
+        },
+        deleteAll: async (ids) => {
+            const removed = new Set(ids);
+            writeLegacyMoods(read().filter(m => !removed.has(m.id)));
+        }
+    };
+}
+
+/**
+ * Move moods from the legacy localStorage blob into IndexedDB.
+ * The blob is only removed once the IndexedDB transaction has committed.
+ */
+async function migrateLegacyMoods(backend) {
+    const legacy = readLegacyMoods();
+    if (legacy.length > 0) {
+        await backend.putAll(legacy.filter(m => m && m.date).map(upgradeLegacyEntry));
+    }
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Open the underlying backend on first use. Records come back exactly as
+ * stored, so encrypted entries are still sealed.
+ */
+function openBackend() {
+    if (!rawBackendPromise) {
+        rawBackendPromise = (async () => {
+            if (typeof indexedDB === 'undefined') {
+                return createLocalStorageBackend();
+            }
+
+            try {
+                const backend = createIndexedDBBackend(await openDatabase());
+                if (localStorage.getItem(LEGACY_STORAGE_KEY) !== null) {
+                    await migrateLegacyMoods(backend);
+                }
+                return backend;
+            } catch (e) {
+                console.error('IndexedDB unavailable, falling back to localStorage:', e);
+                return createLocalStorageBackend();
+            }
+        })();
+    }
+    return rawBackendPromise;
+}
+
+/**
+ * Resolve the active backend, which encrypts and decrypts entries when
+ * the journal lock is on
+ */
+function getBackend() {
+    if (!backendPromise) {
+        backendPromise = openBackend().then(createEncryptingBackend);
+    }
+    return backendPromise;
+}
+
+// ==========================================
+// ENCRYPTION
+// ==========================================
+
+/**
+ * Read the journal lock settings: { salt, iterations, verifier }, or null
+ * when encryption is off. `pending` holds the new settings while a
+ * passphrase change is under way
+ */
+function readEncryptionSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(ENCRYPTION_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Derive a key for a new passphrase, with fresh settings to store
+ */
+async function createEncryptionSettings(passphrase) {
+    if (!passphrase) throw new Error('Passphrase cannot be empty');
+
+    const salt = createSalt();
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const verifier = await encryptJSON(key, VERIFIER_TEXT);
+    return { key, settings: { salt, iterations: PBKDF2_ITERATIONS, verifier } };
+}
+
+/**
+ * Derive the key for a passphrase and check it against stored settings
+ * @throws {Error} If the passphrase is wrong
+ */
+async function verifyPassphrase(passphrase, settings) {
+    const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+    try {
+        await decryptJSON(key, settings.verifier);
+    } catch {
+        throw new Error('Wrong passphrase');
+    }
+    return key;
+}
+
+/**
+ * Seal an entry: only the ID and date stay readable (they key the
+ * database and its date index); everything else is encrypted
+ */
+async function sealEntry(entry, key) {
+    if (!key) return entry;
+    const { id, date, ...content } = entry;
+    return { id, date, encrypted: await encryptJSON(key, content) };
+}
+
+/**
+ * Open a stored record. Plaintext records pass through unchanged.
+ */
+async function openEntry(record, key) {
+    if (!record || !record.encrypted) return record;
+    if (!key) throw new Error('Journal is locked');
+    return { ...(await decryptJSON(key, record.encrypted)), id: record.id, date: record.date };
+}
+
+/**
+ * Wrap a backend so entries are sealed on write and opened on read
+ */
+function createEncryptingBackend(backend) {
+    const currentKey = () => {
+        if (!encryptionKey && isEncryptionEnabled()) {
+            throw new Error('Journal is locked');
+        }
+        return encryptionKey;
+    };
+    const openAll = (records) => {
+        const key = currentKey();
+        return Promise.all(records.map(r => openEntry(r, key)));
+    };
+
+    return {
+        getAll: async () => openAll(await backend.getAll()),
+        get: async (id) => openEntry(await backend.get(id), currentKey()),
+        getByDate: async (date) => openAll(await backend.getByDate(date)),
+        getRange: async (from, to) => openAll(await backend.getRange(from, to)),
+        put: async (entry) => backend.put(await sealEntry(entry, currentKey())),
+        delete: (id) => backend.delete(id),
+        clear: () => backend.clear(),
+        // Sealed before the write so IndexedDB can use a single transaction
+        putAll: async (entries) => {
+            const key = currentKey();
+            await backend.putAll(await Promise.all(entries.map(e => sealEntry(e, key))));
+        },
+        deleteAll: (ids) => backend.deleteAll(ids)
+    };
+}
+
+/**
+ * Re-encrypt every stored entry in a single write
+ * @param {CryptoKey|null} fromKey - Key entries are sealed with now (null for plaintext)
+ * @param {CryptoKey|null} toKey - Key to seal them with (null for plaintext)
+ */
+async function resealEntries(fromKey, toKey) {
+    const backend = await openBackend();
+    const records = await backend.getAll();
+    const resealed = await Promise.all(records.map(async r => sealEntry(await openEntry(r, fromKey), toKey)));
+    await backend.putAll(resealed);
+}
+
+/**
+ * Whether the journal lock (passphrase encryption) is on
+ */
+export function isEncryptionEnabled() {
+    return readEncryptionSettings() !== null;
+}
+
+/**
+ * Whether entries can be read: encryption is off, or the passphrase was entered
+ */
+export function isUnlocked() {
+    return encryptionKey !== null || !isEncryptionEnabled();
+}
+
+/**
+ * Unlock the journal for this session
+ * @param {string} passphrase - Journal passphrase
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlockStorage(passphrase) {
+    const settings = readEncryptionSettings();
+    if (!settings) return;
+    encryptionKey = settings.pending
+        ? await finishPassphraseChange(passphrase, settings)
+        : await verifyPassphrase(passphrase, settings);
+}
+
+/**
+ * Whether stored entries are sealed with a key (true when none are sealed)
+ */
+async function entriesOpenWith(key) {
+    const backend = await openBackend();
+    const record = (await backend.getAll()).find(r => r.encrypted);
+    if (!record) return true;
+    try {
+        await decryptJSON(key, record.encrypted);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Settle a passphrase change that was interrupted. Entries are resealed in
+ * one write, so they are all under either the old or the new key; the
+ * settings for whichever passphrase opens them are kept.
+ * @throws {Error} If the passphrase matches neither, or not the one in use
+ */
+async function finishPassphraseChange(passphrase, { pending, ...current }) {
+    let matched = false;
+    for (const settings of [pending, current]) {
+        let key;
+        try {
+            key = await verifyPassphrase(passphrase, settings);
+        } catch {
+            continue;
+        }
+        matched = true;
+        if (await entriesOpenWith(key)) {
+            localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(settings));
+            return key;
+        }
+    }
+    throw new Error(matched
+        ? 'A passphrase change was interrupted; enter the other passphrase'
+        : 'Wrong passphrase');
+}
+
+/**
+ * Forget the journal key; entries can't be read until unlocked again
+ */
+export function lockStorage() {
+    encryptionKey = null;
+}
+
+/**
+ * Turn on encryption and encrypt every existing entry
+ * There is no way to recover entries if the passphrase is forgotten.
+ * @param {string} passphrase - New passphrase
+ */
+export async function enableEncryption(passphrase) {
+    if (isEncryptionEnabled()) throw new Error('Encryption is already on');
+
+    const { key, settings } = await createEncryptionSettings(passphrase);
+
+    // Settings go first: plaintext records stay readable, so an interrupted
+    // migration never leaves entries sealed with a key nobody can derive
+    localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(settings));
+    try {
+        await resealEntries(null, key);
+    } catch (e) {
+        localStorage.removeItem(ENCRYPTION_KEY);
+        throw e;
+    }
+    encryptionKey = key;
+}
+
+/**
+ * Change the passphrase, re-encrypting every entry with the new key
+ * @param {string} currentPassphrase - Passphrase in use now
+ * @param {string} newPassphrase - Replacement passphrase
+ * @throws {Error} If the current passphrase is wrong
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+    const current = readEncryptionSettings();
+    if (!current) throw new Error('Encryption is not on');
+
+    const oldKey = await verifyPassphrase(currentPassphrase, current);
+    const { key, settings } = await createEncryptionSettings(newPassphrase);
+
+    // The new settings are stored beside the current ones until every entry
+    // is resealed, so an interrupted change is settled on the next unlock
+    // (see finishPassphraseChange) instead of losing the journal
+    localStorage.setItem(ENCRYPTION_KEY, JSON.stringify({ ...current, pending: settings }));
+    try {
+        await resealEntries(oldKey, key);
+    } catch (e) {
+        localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(current));
+        throw e;
+    }
+    localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(settings));
+    encryptionKey = key;
+}
+
+/**
+ * Turn off encryption, storing every entry as plaintext again
+ * @param {string} passphrase - Current passphrase
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function disableEncryption(passphrase) {
+    const settings = readEncryptionSettings();
+    if (!settings) return;
+
+    const key = await verifyPassphrase(passphrase, settings);
+    await resealEntries(key, null);
+    localStorage.removeItem(ENCRYPTION_KEY);
+    encryptionKey = null;
+}
+
+/**
+ * Delete every entry and turn encryption off, for when the passphrase or
+ * PIN is lost
+ */
+export async function eraseJournal() {
+    const backend = await openBackend();
+    await backend.clear();
+    localStorage.removeItem(ENCRYPTION_KEY);
+    encryptionKey = null;
+    notifyChange({ cleared: true });
+}
+
+/**
+ * Encrypt a value with the journal key (e.g. for encrypted backups)
+ * @returns {Promise<Object>} { salt, iterations, iv, data } — everything
+ *   needed to decrypt it again with the passphrase
+ * @throws {Error} If encryption is off or the journal is locked
+ */
+export async function encryptWithJournalKey(value) {
+    const settings = readEncryptionSettings();
+    if (!settings) throw new Error('Encryption is not on');
+    if (!encryptionKey) throw new Error('Journal is locked');
+
+    const { iv, data } = await encryptJSON(encryptionKey, value);
+    return { salt: settings.salt, iterations: settings.iterations, iv, data };
+}
+
+// ==========================================
+// CHANGE EVENTS
+// ==========================================
+
+/**
+ * Listen for changes to stored check-ins
+ * @param {Function} listener - Called with { saved, deleted, cleared,
+ *   previous, action }: the check-ins written, the IDs removed, whether
+ *   everything was removed, the stored versions the write replaced or
+ *   removed, and the user action the caller named (see history.js)
+ * @returns {Function} Call to stop listening
+ */
+export function onEntriesChanged(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+}
+
+/**
+ * Tell listeners about check-ins another context wrote straight to the
+ * database, such as a quick-log from a reminder in the service worker
+ * @param {Object} change - { saved, deleted, cleared }
+ */
+export function announceExternalChange(change) {
+    notifyChange(change);
+}
+
+/**
+ * Tell listeners what changed
+ */
+function notifyChange({ saved = [], deleted = [], cleared = false, previous = [], action = null }) {
+    changeListeners.forEach(listener => {
+        try {
+            listener({ saved, deleted, cleared, previous, action });
+        } catch (e) {
+            console.error('Error in storage change listener:', e);
+        }
+    });
+}
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Open storage and migrate legacy data. Safe to call more than once.
+ * @returns {Promise<void>}
+ */
+export async function initStorage() {
+    await getBackend();
+}
+
+/**
+ * Sort check-ins newest first (by date, then time of day)
+ */
+function sortByDateDesc(moods) {
+    return moods.sort((a, b) => b.date.localeCompare(a.date) || (b.time || '').localeCompare(a.time || ''));
+}
+
+/**
+ * Sort check-ins in the order they happened
+ */
+function sortByTimeAsc(moods) {
+    return moods.sort((a, b) => (a.time || '').localeCompare(b.time || '') || (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Get all mood check-ins
+ * @returns {Promise<Array>} Array of mood objects, newest first
+ */
+export async function getAllMoods() {
+    try {
+        const backend = await getBackend();
+        return sortByDateDesc(await backend.getAll());
+    } catch (e) {
+        console.error('Error reading moods from storage:', e);
+        return [];
+    }
+}
+
+/**
+ * Get a single check-in by ID
+ * @param {string} id - Check-in ID
+ * @returns {Promise<Object|null>} Mood object or null if not found
+ */
+export async function getEntry(id) {
+    if (!id) return null;
+    const backend = await getBackend();
+    return backend.get(id);
+}
+
+/**
+ * Get every check-in logged on a date
  * @param {string} date - Date string in YYYY-MM-DD format
- * @returns {Object|null} Mood object or null if not found
+ * @returns {Promise<Array>} Check-ins in time-of-day order
  */
-export function getMood(date) {
-    const moods = getAllMoods();
-    return moods.find(m => m.date === date) || null;
+export async function getEntriesForDate(date) {
+    const backend = await getBackend();
+    return sortByTimeAsc(await backend.getByDate(date));
 }
 
 /**
- * Save or update a mood entry
+ * Get the latest check-in for a specific date
+ * @param {string} date - Date string in YYYY-MM-DD format
+ * @returns {Promise<Object|null>} Mood object or null if nothing was logged
+ */
+export async function getMood(date) {
+    const entries = await getEntriesForDate(date);
+    return entries[entries.length - 1] || null;
+}
+
+/**
+ * Save a new check-in, or update an existing one when `options.id` is given
  * @param {string} date - Date string in YYYY-MM-DD format
  * @param {string} emoji - The emoji representing the mood
  * @param {string} note - Optional note text
  * @param {Array} tags - Optional array of tags
+ * @param {Object} options - Optional { id, time } of the check-in, its
+ *   `intensity` (1-10, or null), secondary `emotions`, answered `prompts`
+ *   ({ prompt, answer }), `factors` (factor ID -> value, see factors.js)
+ *   and the `action` to record for undo
+ * @returns {Promise<Object>} The saved mood entry
+ * @throws {Error} If the intensity or a factor value is out of range
  */
-export function saveMood(date, emoji, note = '', tags = null) {
-    const moods = getAllMoods();
-    const existingIndex = moods.findIndex(m => m.date === date);
+export async function saveMood(date, emoji, note = '', tags = null, options = {}) {
+    const backend = await getBackend();
+    const existing = options.id ? await backend.get(options.id) : null;
+    const now = new Date();
 
-    // Preserve existing tags if not provided
-    const existingMood = existingIndex >= 0 ? moods[existingIndex] : null;
-    const moodTags = tags !== null ? tags : (existingMood?.tags || []);
+    // Preserve existing tags, intensity, emotions, prompts and factors if not provided
+    const pick = (field, fallback) => (options[field] !== undefined ? options[field] : existing?.[field] ?? fallback);
+    const moodTags = tags !== null ? tags : (existing?.tags || []);
+    const intensity = normalizeIntensity(pick('intensity', null));
+    const emotions = normalizeEmotions(pick('emotions', []), emoji);
+    const prompts = normalizePromptAnswers(pick('prompts', []));
+    const factors = normalizeFactors(pick('factors', {}));
 
     const moodEntry = {
+        ...existing,
+        id: existing?.id || options.id || createId(),
         date,
+        time: options.time || existing?.time || formatTime(now),
         emoji,
         note: note.trim(),
+        prompts,
         tags: moodTags,
-        timestamp: new Date().toISOString()
+        intensity,
+        emotions,
+        factors,
+        createdAt: existing?.createdAt || now.toISOString(),
+        timestamp: now.toISOString()
     };
+    moodEntry.revisions = addRevision(existing, moodEntry, now);
+
+    await backend.put(moodEntry);
+    notifyChange({ saved: [moodEntry], previous: existing ? [existing] : [], action: options.action });
+    return moodEntry;
+}
+
+/**
+ * Delete a single check-in
+ * @param {string} id - Check-in ID
+ * @param {Object} options - Optional `action` to record for undo
+ * @returns {Promise<void>}
+ */
+export async function deleteEntry(id, options = {}) {
+    const backend = await getBackend();
+    const existing = await backend.get(id);
+    await backend.delete(id);
+    notifyChange({ deleted: [id], previous: existing ? [existing] : [], action: options.action });
+}
+
+/**
+ * Delete every check-in on a date
+ * @param {string} date - Date string in YYYY-MM-DD format
+ * @param {Object} options - Optional `action` to record for undo
+ * @returns {Promise<void>}
+ */
+export async function deleteMood(date, options = {}) {
+    const backend = await getBackend();
+    const existing = await backend.getByDate(date);
+    const ids = existing.map(e => e.id);
+    await backend.deleteAll(ids);
+    notifyChange({ deleted: ids, previous: existing, action: options.action });
+}
+
+/**
+ * Write complete check-ins (used by backup restore and imports) in a single
+ * transaction
+ * @param {Array} entries - Check-in objects with IDs
+ * @param {Object} options - Optional `action` to record for undo, and
+ *   `revise` to keep the versions they replace in their revision history
+ *   as saveMood does (restored backups carry their own history instead)
+ * @returns {Promise<void>}
+ */
+export async function putEntries(entries, options = {}) {
+    const backend = await getBackend();
+    const now = new Date();
+    const normalized = entries.map(upgradeLegacyEntry);
+    const ids = new Set(normalized.map(e => e.id));
+    const previous = options.action || options.revise ? (await backend.getAll()).filter(m => ids.has(m.id)) : [];
 
-    if (existingIndex >= 0) {
-        moods[existingIndex] = moodEntry;
-    } else {
-        moods.push(moodEntry);
+    if (options.revise) {
+        const byId = new Map(previous.map(m => [m.id, m]));
+        normalized.forEach(entry => {
+            entry.revisions = addRevision(byId.get(entry.id) || null, entry, now);
+        });
     }
 
-    // Sort by date descending
-    moods.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await backend.putAll(normalized);
+    notifyChange({ saved: normalized, previous, action: options.action });
+}
 
-    saveMoods(moods);
-    return moodEntry;
+/**
+ * Put check-ins back exactly as they were and remove ones that didn't
+ * exist yet, for undo and redo. Not itself recorded as an action.
+ * @param {Array} entries - Complete check-ins to store
+ * @param {Array} deletedIds - IDs of check-ins to remove
+ * @returns {Promise<void>}
+ */
+export async function restoreEntries(entries, deletedIds = []) {
+    const backend = await getBackend();
+    await backend.putAll(entries);
+    await backend.deleteAll(deletedIds);
+    notifyChange({ saved: entries, deleted: deletedIds });
 }
 
 /**
- * Delete a mood entry
- * @param {string} date - Date string in YYYY-MM-DD format
+ * Change the emoji on every check-in that uses `from`
+ * @param {string} from - Emoji being replaced
+ * @param {string} to - Emoji to use instead
+ * @param {Object} options - Optional `action` to record for undo
+ * @returns {Promise<number>} Number of check-ins changed
+ */
+export async function remapEmoji(from, to, options = {}) {
+    const backend = await getBackend();
+    const now = new Date().toISOString();
+    const changed = (await backend.getAll())
+        .filter(m => m.emoji === from)
+        .map(m => ({ ...m, emoji: to, timestamp: now }));
+
+    await putEntries(changed, { action: options.action, revise: true });
+    return changed.length;
+}
+
+/**
+ * Rename a tag on every check-in that has it, merging it into `to` where
+ * both are present, or remove it when `to` is null
+ * @param {string} from - Tag being replaced
+ * @param {string|null} to - Tag to use instead, or null to delete
+ * @param {Object} options - Optional `action` to record for undo
+ * @returns {Promise<number>} Number of check-ins changed
  */
-export function deleteMood(date) {
-    const moods = getAllMoods();
-    const filtered = moods.filter(m => m.date !== date);
-    saveMoods(filtered);
+export async function replaceTag(from, to, options = {}) {
+    const backend = await getBackend();
+    const now = new Date().toISOString();
+    const changed = (await backend.getAll())
+        .filter(m => (m.tags || []).includes(from))
+        .map(m => ({
+            ...m,
+            tags: [...new Set(m.tags.map(tag => (tag === from ? to : tag)).filter(Boolean))],
+            timestamp: now
+        }));
+
+    await putEntries(changed, { action: options.action, revise: true });
+    return changed.length;
+}
+
+/**
+ * Count check-ins that use an emoji
+ * @returns {Promise<number>}
+ */
+export async function countEntriesWithEmoji(emoji) {
+    const backend = await getBackend();
+    return (await backend.getAll()).filter(m => m.emoji === emoji).length;
 }
 
 /**
  * Clear all mood data
+ * @returns {Promise<void>}
  */
-export function clearAll() {
-    localStorage.removeItem(STORAGE_KEY);
+export async function clearAll() {
+    const backend = await getBackend();
+    await backend.clear();
+    notifyChange({ cleared: true });
 }
 
 /**
  * Get moods for a specific month
  * @param {number} year - Year
  * @param {number} month - Month (0-11)
- * @returns {Array} Array of mood objects for that month
+ * @returns {Promise<Array>} Array of mood objects for that month
  */
-export function getMoodsForMonth(year, month) {
-    const moods = getAllMoods();
-    return moods.filter(m => {
-        const d = new Date(m.date);
-        return d.getFullYear() === year && d.getMonth() === month;
-    });
+export async function getMoodsForMonth(year, month) {
+    const prefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+    const backend = await getBackend();
+    return sortByDateDesc(await backend.getRange(`${prefix}-01`, `${prefix}-31`));
 }
 
 /**
- * Export moods to CSV format
- * @returns {string} CSV string
+ * Export moods to CSV format (RFC 4180, one row per check-in); notes are
+ * written as plain text, without their Markdown
+ * @returns {Promise<string>} CSV string
  */
-export function exportToCSV() {
-    const moods = getAllMoods();
+export async function exportToCSV() {
+    const moods = await getAllMoods();
     if (moods.length === 0) return '';
 
-    const headers = ['Date', 'Emoji', 'Note'];
+    // One column per factor, plus any still logged on check-ins after the
+    // factor was removed
+    const factors = getFactors();
+    const factorIds = factors.map(f => f.id);
+    moods.forEach(m => Object.keys(m.factors || {}).forEach(id => {
+        if (!factorIds.includes(id)) factorIds.push(id);
+    }));
+    const factorLabel = id => factors.find(f => f.id === id)?.label || id;
+    const factorCell = value => {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return String(value);
+    };
+
+    const headers = [
+        'Date', 'Time', 'Emoji', 'Note', 'Tags', 'ID', 'Intensity', 'Emotions', 'Prompts',
+        ...factorIds.map(factorLabel)
+    ];
     const rows = moods.map(m => [
         m.date,
+        m.time || '',
         m.emoji,
-        `"${(m.note || '').replace(/"/g, '""')}"`
+        markdownToPlainText(m.note),
+        (m.tags || []).join('; '),
+        m.id,
+        m.intensity ?? '',
+        (m.emotions || []).join('; '),
+        (m.prompts || []).map(p => `${p.prompt}\n${p.answer}`).join('\n\n'),
+        ...factorIds.map(id => factorCell(m.factors?.[id]))
     ]);
 
-    return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    return toCSV([headers, ...rows]);
 }
 
 /**
  * Download CSV file
+ * @returns {Promise<boolean>} Whether there was data to export
  */
-export function downloadCSV() {
-    const csv = exportToCSV();
+export async function downloadCSV() {
+    const csv = await exportToCSV();
     if (!csv) {
         alert('No mood data to export!');
-        return;
+        return false;
     }
 
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -141,10 +920,11 @@ export function downloadCSV() {
     const url = URL.createObjectURL(blob);
 
     link.setAttribute('href', url);
-    link.setAttribute('download', `moodpad_export_${new Date().toISOString().split('T')[0]}.csv`);
+    link.setAttribute('download', `moodpad_export_${todayISO()}.csv`);
     link.style.visibility = 'hidden';
 
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
+    return true;
 }
@@ -0,0 +1,228 @@
+/**
+ * MoodPad Tag Registry
+ * Tag spelling, colors and categories, plus the rankings behind tag
+ * autocomplete and suggestions. Check-ins store tags as plain strings;
+ * this module only keeps what is known about each tag.
+ */
+
+import { getWeekday, addDays, todayISO } from './dates.js';
+
+const TAG_SETTINGS_KEY = 'moodpad_tags';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export const MAX_TAG_LENGTH = 32;
+export const MAX_CATEGORY_LENGTH = 24;
+// Starting value of the color picker for a tag without a color
+export const DEFAULT_TAG_COLOR = '#667eea';
+
+// How much each kind of past use counts towards a suggestion
+const SUGGESTION_WEIGHTS = { overall: 1, sameMood: 3, sameWeekday: 1, recent: 2 };
+const RECENT_DAYS = 14;
+
+// ==========================================
+// SPELLING
+// ==========================================
+
+/**
+ * Turn typed text into a tag: no leading #, lowercase, dashes for spaces
+ * @param {string} text - What the user typed
+ * @returns {string} The tag, or '' if nothing is left
+ */
+export function normalizeTag(text) {
+    return String(text ?? '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+// ==========================================
+// COLORS AND CATEGORIES
+// ==========================================
+
+/**
+ * Get the stored details of every tag that has any
+ * @returns {Object} tag -> { color, category }
+ */
+export function getTagSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TAG_SETTINGS_KEY));
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Save tag details, leaving out tags with nothing set
+ */
+function saveTagSettings(settings) {
+    const kept = Object.fromEntries(Object.entries(settings).filter(([, info]) => info.color || info.category));
+    localStorage.setItem(TAG_SETTINGS_KEY, JSON.stringify(kept));
+}
+
+/**
+ * Get a tag's color and category; a stored color that is not #rrggbb is
+ * treated as unset
+ * @returns {Object} { color, category }, each null when unset
+ */
+export function getTagInfo(tag) {
+    const info = getTagSettings()[tag] || {};
+    return {
+        color: COLOR_PATTERN.test(info.color) ? info.color : null,
+        category: typeof info.category === 'string' && info.category ? info.category : null
+    };
+}
+
+/**
+ * Check stored tag details, such as those from a backup
+ * @param {string} raw - Tag settings JSON
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTagSettings(raw) {
+    let settings;
+    try {
+        settings = JSON.parse(raw);
+    } catch {
+        return 'is not valid JSON';
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'is not an object';
+
+    for (const [tag, info] of Object.entries(settings)) {
+        if (!info || typeof info !== 'object') return `tag ${tag} is not an object`;
+        if (info.color != null && !COLOR_PATTERN.test(info.color)) return `tag ${tag} has an invalid color`;
+        if (info.category != null && typeof info.category !== 'string') return `tag ${tag} has a non-text category`;
+    }
+    return null;
+}
+
+/**
+ * Set a tag's color or category; null or '' clears it
+ * @param {string} tag - Tag to change
+ * @param {Object} fields - Any of { color, category }
+ * @returns {Object} The tag's details
+ */
+export function updateTagInfo(tag, fields) {
+    const info = { ...getTagInfo(tag), ...fields };
+
+    if (info.color && !COLOR_PATTERN.test(info.color)) {
+        throw new Error('Tag colors must be #rrggbb');
+    }
+    info.category = String(info.category || '').trim().slice(0, MAX_CATEGORY_LENGTH) || null;
+    info.color = info.color || null;
+
+    saveTagSettings({ ...getTagSettings(), [tag]: info });
+    return info;
+}
+
+/**
+ * Carry a tag's details over when it is renamed or merged; a merge target
+ * keeps any color and category of its own
+ */
+export function moveTagInfo(from, to) {
+    const settings = getTagSettings();
+    const source = settings[from] || {};
+    const target = settings[to] || {};
+    delete settings[from];
+
+    settings[to] = {
+        color: target.color || source.color || null,
+        category: target.category || source.category || null
+    };
+    saveTagSettings(settings);
+}
+
+/**
+ * Forget a deleted tag's details
+ */
+export function removeTagInfo(tag) {
+    const settings = getTagSettings();
+    delete settings[tag];
+    saveTagSettings(settings);
+}
+
+/**
+ * List the categories in use, alphabetically
+ */
+export function getTagCategories() {
+    const categories = Object.values(getTagSettings()).map(info => info.category).filter(Boolean);
+    return [...new Set(categories)].sort((a, b) => a.localeCompare(b));
+}
+
+// ==========================================
+// COUNTS AND SUGGESTIONS
+// ==========================================
+
+/**
+ * Count how often each tag is used
+ * @param {Array} moods - Check-ins
+ * @returns {Array} { tag, count }, most used first, then alphabetically
+ */
+export function countTags(moods) {
+    const counts = {};
+    moods.forEach(m => {
+        (m.tags || []).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([tag, count]) => ({ tag, count }));
+}
+
+/**
+ * Complete a partly typed tag
+ * @param {string} text - What has been typed so far
+ * @param {Array} tagCounts - From countTags
+ * @param {Array} exclude - Tags already on the check-in
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} Tags starting with the text, then tags containing it,
+ *   each group most used first
+ */
+export function completeTag(text, tagCounts, exclude = [], limit = 6) {
+    const query = normalizeTag(text);
+    if (!query) return [];
+
+    const candidates = tagCounts.filter(({ tag }) => !exclude.includes(tag) && tag.includes(query));
+    const starts = candidates.filter(({ tag }) => tag.startsWith(query));
+    const contains = candidates.filter(({ tag }) => !tag.startsWith(query));
+
+    return [...starts, ...contains].slice(0, limit).map(({ tag }) => tag);
+}
+
+/**
+ * Suggest tags for a check-in from what was tagged in similar check-ins:
+ * the same mood, the same day of the week and the last two weeks count
+ * more than older use
+ * @param {Array} moods - Check-ins
+ * @param {Object} context - { emoji, date, exclude }; emoji may be null
+ *   before a mood is picked
+ * @param {number} count - How many tags to suggest
+ * @returns {Array} { tag, count }, best match first
+ */
+export function suggestTags(moods, { emoji = null, date = todayISO(), exclude = [] } = {}, count = 5) {
+    const weekday = getWeekday(date);
+    const recentFrom = addDays(date, -RECENT_DAYS);
+    const scores = {};
+    const counts = {};
+
+    moods.forEach(m => {
+        const weight = SUGGESTION_WEIGHTS.overall +
+            (emoji && m.emoji === emoji ? SUGGESTION_WEIGHTS.sameMood : 0) +
+            (getWeekday(m.date) === weekday ? SUGGESTION_WEIGHTS.sameWeekday : 0) +
+            (m.date >= recentFrom && m.date <= date ? SUGGESTION_WEIGHTS.recent : 0);
+
+        (m.tags || []).forEach(tag => {
+            scores[tag] = (scores[tag] || 0) + weight;
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+
+    return Object.keys(scores)
+        .filter(tag => !exclude.includes(tag))
+        .sort((a, b) => scores[b] - scores[a] || counts[b] - counts[a] || a.localeCompare(b))
+        .slice(0, count)
+        .map(tag => ({ tag, count: counts[tag] }));
+}
@@ -0,0 +1,21 @@
+/**
+ * MoodPad Utilities
+ * Small helpers shared across modules
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use inside HTML markup or attribute values
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHTML(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
@@ -0,0 +1,31 @@
+// Generated by scripts/precache.js - do not edit by hand
+self.PRECACHE_MANIFEST = [
+    { url: '/', revision: '78e626df656b' },
+    { url: '/css/styles.css', revision: 'bb92041b7199' },
+    { url: '/icons/icon-192.svg', revision: '76c17304ce0d' },
+    { url: '/icons/icon-512.svg', revision: 'f78e01c3d75a' },
+    { url: '/index.html', revision: '78e626df656b' },
+    { url: '/js/app.js', revision: '886c07f08106' },
+    { url: '/js/backup.js', revision: '46f19705a635' },
+    { url: '/js/calendar.js', revision: '392669ab6d5b' },
+    { url: '/js/crypto.js', revision: '737676a9d579' },
+    { url: '/js/csv.js', revision: '0c2250903ac9' },
+    { url: '/js/dates.js', revision: '9a841ab3addf' },
+    { url: '/js/demo.js', revision: '7cdb4eb1c64d' },
+    { url: '/js/factors.js', revision: 'a0fb232a5279' },
+    { url: '/js/features.js', revision: '13bee9ff2357' },
+    { url: '/js/history.js', revision: '3ca4521f1a3a' },
+    { url: '/js/insights.js', revision: '12f7278a38d2' },
+    { url: '/js/lock.js', revision: '21821217f242' },
+    { url: '/js/markdown.js', revision: '5f7fb65c6b88' },
+    { url: '/js/moods.js', revision: '4de4888fb623' },
+    { url: '/js/prompts.js', revision: 'b80db2cdd5cd' },
+    { url: '/js/reminders.js', revision: 'ca529d663650' },
+    { url: '/js/report.js', revision: '8fb0a93d87d2' },
+    { url: '/js/search.js', revision: '6922f078c6e4' },
+    { url: '/js/stats.js', revision: '676be92cb020' },
+    { url: '/js/storage.js', revision: '17a473337066' },
+    { url: '/js/tags.js', revision: '94a16c7f4128' },
+    { url: '/js/utils.js', revision: '26d4e3a4d3cc' },
+    { url: '/manifest.json', revision: '7ca18602b800' }
+];
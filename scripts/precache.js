@@ -0,0 +1,101 @@
+/**
+ * MoodPad Precache Manifest Generator
+ * Hashes the app's files into precache-manifest.js, which the service worker
+ * imports. Run after changing any of them:
+ *
+ *     node scripts/precache.js           # rewrite the manifest
+ *     node scripts/precache.js --check   # exit 1 if it is out of date
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, writeFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const MANIFEST_FILE = 'precache-manifest.js';
+
+// Files at the root, and directories whose files all belong to the app
+const ROOT_FILES = ['index.html', 'manifest.json'];
+const ASSET_DIRS = { css: '.css', js: '.js', icons: '.svg' };
+
+/**
+ * First 12 hex digits of a SHA-256, enough to tell revisions apart
+ */
+function hash(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * List the app's files as URL paths, sorted so the manifest is stable
+ * @param {string} root - Repository root
+ * @returns {Array} e.g. ['/css/styles.css', '/index.html', ...]
+ */
+export function listAppFiles(root = ROOT) {
+    const files = ROOT_FILES.map(name => `/${name}`);
+
+    Object.entries(ASSET_DIRS).forEach(([dir, extension]) => {
+        readdirSync(join(root, dir))
+            .filter(name => name.endsWith(extension))
+            .forEach(name => files.push(`/${dir}/${name}`));
+    });
+
+    return files.sort();
+}
+
+/**
+ * Hash every app file
+ * @param {string} root - Repository root
+ * @returns {Array} { url, revision }; `/` shares the revision of `/index.html`
+ */
+export function buildPrecacheManifest(root = ROOT) {
+    const entries = listAppFiles(root).map(url => ({
+        url,
+        revision: hash(readFileSync(join(root, url)))
+    }));
+
+    const index = entries.find(entry => entry.url === '/index.html');
+    entries.unshift({ url: '/', revision: index.revision });
+
+    return entries;
+}
+
+/**
+ * Write the manifest as a classic script for the service worker's importScripts
+ * @param {Array} entries - From buildPrecacheManifest
+ * @returns {string} Script source
+ */
+export function renderPrecacheManifest(entries) {
+    const lines = entries.map(({ url, revision }) => `    { url: '${url}', revision: '${revision}' }`);
+
+    return [
+        '// Generated by scripts/precache.js - do not edit by hand',
+        'self.PRECACHE_MANIFEST = [',
+        lines.join(',\n'),
+        '];',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Whether the committed manifest matches the app's files
+ * @param {string} root - Repository root
+ */
+export function isPrecacheManifestCurrent(root = ROOT) {
+    const path = join(root, MANIFEST_FILE);
+    return existsSync(path) &&
+        readFileSync(path, 'utf8') === renderPrecacheManifest(buildPrecacheManifest(root));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    if (process.argv.includes('--check')) {
+        if (!isPrecacheManifestCurrent()) {
+            console.error(`${MANIFEST_FILE} is out of date; run node scripts/precache.js`);
+            process.exit(1);
+        }
+    } else {
+        const entries = buildPrecacheManifest();
+        writeFileSync(join(ROOT, MANIFEST_FILE), renderPrecacheManifest(entries));
+        console.log(`Wrote ${MANIFEST_FILE} (${entries.length} files)`);
+    }
+}
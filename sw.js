@@ -1,91 +1,359 @@
-const CACHE_NAME = 'moodpad-v1';
-const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/css/styles.css',
-    '/js/app.js',
-    '/js/storage.js',
-    '/js/calendar.js',
-    '/js/stats.js',
-    '/js/demo.js',
-    '/js/features.js',
-    '/manifest.json'
-];
-
-// Install event - cache assets
+// The app's files and their content hashes, generated by scripts/precache.js
+importScripts('/precache-manifest.js');
+
+// App files, keyed by URL and revision so unchanged files carry over to the
+// next version and only changed ones are downloaded again
+const PRECACHE = 'moodpad-precache';
+// Anything else the app fetches (such as web fonts), served stale-while-revalidate
+const RUNTIME_CACHE = 'moodpad-runtime';
+// Holds the reminder schedule the app sends; kept across cache cleanups
+const REMINDER_CACHE = 'moodpad-reminders';
+const REMINDER_STATE_URL = '/reminder-state';
+const REMINDER_TAG = 'moodpad-reminder';
+// The app's journal database, written directly by quick-log actions
+const DB_NAME = 'moodpad';
+const ENTRIES_STORE = 'entries';
+
+// Every other cache, including the old fixed 'moodpad-v1', is deleted on activate
+const EXPECTED_CACHES = [PRECACHE, RUNTIME_CACHE, REMINDER_CACHE];
+
+// URL path -> cache key of its current revision
+const precacheKeys = new Map(self.PRECACHE_MANIFEST.map(({ url, revision }) =>
+    [url, new URL(`${url}?__rev=${revision}`, self.location).href]));
+
+/**
+ * Download the files of this version that aren't cached yet
+ */
+async function precacheAssets() {
+    const cache = await caches.open(PRECACHE);
+
+    await Promise.all([...precacheKeys].map(async ([url, key]) => {
+        if (await cache.match(key)) return;
+
+        // Skip the HTTP cache so the stored file is the hashed revision
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) {
+            throw new Error(`Could not precache ${url}: ${response.status}`);
+        }
+        await cache.put(key, response);
+    }));
+}
+
+/**
+ * Delete unknown caches, revisions this version doesn't list, and runtime
+ * responses fetched by the previous version
+ */
+async function cleanUpCaches() {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter((name) => !EXPECTED_CACHES.includes(name) || name === RUNTIME_CACHE)
+        .map((name) => caches.delete(name)));
+
+    const current = new Set(precacheKeys.values());
+    const cache = await caches.open(PRECACHE);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter((request) => !current.has(request.url))
+        .map((request) => cache.delete(request)));
+}
+
+/**
+ * Serve a precached file, or the network if it is missing
+ */
+async function servePrecached(path, request) {
+    const cached = await caches.match(precacheKeys.get(path), { cacheName: PRECACHE });
+    return cached || fetch(request);
+}
+
+/**
+ * Serve the precached shell at once, then fetch it from the network; if the
+ * network copy differs, a new version is out, so check for its service worker
+ * (which waits until the app's reload prompt is accepted)
+ */
+async function serveShell(event) {
+    const cached = await caches.match(precacheKeys.get('/index.html'), { cacheName: PRECACHE });
+    const network = fetch(event.request);
+    if (!cached) return network;
+
+    const copy = cached.clone();
+    event.waitUntil(network
+        .then(async (response) => {
+            if (!response.ok) return;
+            const [current, latest] = await Promise.all([copy.text(), response.text()]);
+            if (current !== latest) await self.registration.update();
+        })
+        // Offline: the cached shell is all there is
+        .catch(() => {}));
+
+    return cached;
+}
+
+/**
+ * Answer from the runtime cache when possible and refresh it in the background
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    return cached || network;
+}
+
+// Install event - cache this version's files; the new worker then waits
+// until the app asks it to take over, so open pages never mix versions
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                console.log('MoodPad: Caching assets');
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-            .then(() => self.skipWaiting())
-    );
+    event.waitUntil(precacheAssets());
 });
 
 // Activate event - clean old caches
 self.addEventListener('activate', (event) => {
-    event.waitUntil(
-        caches.keys()
-            .then((cacheNames) => {
-                return Promise.all(
-                    cacheNames
-                        .filter((name) => name !== CACHE_NAME)
-                        .map((name) => caches.delete(name))
-                );
-            })
-            .then(() => self.clients.claim())
-    );
+    event.waitUntil(cleanUpCaches().then(() => self.clients.claim()));
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - app files from the precache, navigations from the cached
+// shell, everything else stale-while-revalidate
 self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Cache successful responses
-                        if (networkResponse && networkResponse.status === 200) {
-                            const responseClone = networkResponse.clone();
-                            caches.open(CACHE_NAME)
-                                .then((cache) => {
-                                    cache.put(event.request, responseClone);
-                                });
-                        }
-                        return networkResponse;
-                    });
-            })
-            .catch(() => {
-                // Return offline fallback if available
-                return caches.match('/index.html');
-            })
-    );
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate' && sameOrigin) {
+        event.respondWith(serveShell(event));
+    } else if (sameOrigin && precacheKeys.has(url.pathname)) {
+        event.respondWith(servePrecached(url.pathname, request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
 });
 
-// Handle push notifications for reminders
-self.addEventListener('push', (event) => {
-    const options = {
+// Reminders: the app sends its schedule, and the worker shows each reminder
+// through a Notification Trigger, periodic sync or a nudge from the open app
+const canScheduleTriggers = 'Notification' in self && 'showTrigger' in Notification.prototype;
+
+/**
+ * Read the stored reminder schedule and the last reminder shown
+ */
+async function getReminderState() {
+    const cache = await caches.open(REMINDER_CACHE);
+    const response = await cache.match(REMINDER_STATE_URL);
+    return response ? response.json() : { reminders: [], quickMoods: [], encrypted: false, lastShown: 0 };
+}
+
+/**
+ * Store the reminder schedule and the last reminder shown
+ */
+async function setReminderState(state) {
+    const cache = await caches.open(REMINDER_CACHE);
+    await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+/**
+ * Notification actions: one per quick-log mood (as many as the platform
+ * shows), or "Log Mood" and "Dismiss" when the app sent none
+ */
+function reminderActions(quickMoods = []) {
+    if (quickMoods.length === 0) {
+        return [
+            { action: 'log', title: 'Log Mood' },
+            { action: 'dismiss', title: 'Dismiss' }
+        ];
+    }
+
+    const maxActions = ('Notification' in self && Notification.maxActions) || 2;
+    return quickMoods
+        .slice(0, maxActions)
+        .map((mood) => ({ action: `log:${mood.emoji}`, title: `${mood.emoji} ${mood.label}` }));
+}
+
+/**
+ * Notification options for a reminder; tapping it opens today's picker
+ */
+function reminderOptions(quickMoods, extra = {}) {
+    return {
         body: 'How are you feeling today? Take a moment to log your mood.',
-        icon: '/icons/icon-192.png',
-        badge: '/icons/icon-192.png',
+        icon: '/icons/icon-192.svg',
+        badge: '/icons/icon-192.svg',
         vibrate: [100, 50, 100],
+        tag: REMINDER_TAG,
         data: {
-            dateOfArrival: Date.now(),
-            url: '/'
+            dateOfArrival: Date.now()
         },
-        actions: [
-            { action: 'open', title: 'Log Mood' },
-            { action: 'dismiss', title: 'Dismiss' }
-        ]
+        actions: reminderActions(quickMoods),
+        ...extra
     };
+}
+
+/**
+ * Show the latest reminder that is due and not yet shown, if any
+ * Reminders expire at midnight, so a late sync never nags about yesterday.
+ */
+async function showDueReminder(now = Date.now()) {
+    const state = await getReminderState();
+    const due = state.reminders
+        .filter((r) => r.timestamp <= now && now < r.expires && r.timestamp > state.lastShown)
+        .pop();
+    if (!due) return;
+
+    await setReminderState({ ...state, lastShown: due.timestamp });
+    await self.registration.showNotification('MoodPad Reminder', reminderOptions(state.quickMoods));
+}
+
+/**
+ * Store a new schedule from the app and, where supported, replace the
+ * scheduled notifications with Notification Triggers for it
+ */
+async function scheduleReminders(reminders, quickMoods = [], encrypted = false) {
+    const state = await getReminderState();
+    await setReminderState({ reminders, quickMoods, encrypted, lastShown: state.lastShown });
+
+    if (!canScheduleTriggers) return;
+
+    const existing = await self.registration.getNotifications({ includeTriggered: true });
+    existing
+        .filter((notification) => notification.tag.startsWith(`${REMINDER_TAG}:`))
+        .forEach((notification) => notification.close());
+
+    const now = Date.now();
+    await Promise.all(reminders
+        .filter((r) => r.timestamp > now)
+        .map((r) => self.registration.showNotification('MoodPad Reminder', reminderOptions(quickMoods, {
+            tag: `${REMINDER_TAG}:${r.timestamp}`,
+            showTrigger: new TimestampTrigger(r.timestamp)
+        }))));
+}
+
+/**
+ * Focus an open MoodPad window on today's picker, or open one
+ * @param {string} emoji - Mood to log there, if any
+ */
+async function openLogPicker(emoji = null) {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows[0].postMessage({ type: 'log-mood', emoji });
+        await windows[0].focus();
+        return;
+    }
+    await clients.openWindow(emoji ? `/?log=${encodeURIComponent(emoji)}` : '/?log');
+}
+
+/**
+ * Open the app's journal database at whatever version the app created
+ */
+function openJournal() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Save a check-in for now, shaped like the app's saveMood entries. Refused
+ * once the app has reported the journal encrypted: this worker has no key
+ * and would store the check-in in plaintext.
+ */
+async function saveQuickLog(emoji, now = new Date()) {
+    const { encrypted } = await getReminderState();
+    if (encrypted) throw new Error('Journal is encrypted');
+
+    const db = await openJournal();
+    try {
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+            throw new Error('Journal has not been set up yet');
+        }
+
+        const pad = (n) => String(n).padStart(2, '0');
+        const entry = {
+            id: self.crypto.randomUUID(),
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+            emoji,
+            note: '',
+            tags: [],
+            createdAt: now.toISOString(),
+            timestamp: now.toISOString()
+        };
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(ENTRIES_STORE, 'readwrite');
+            tx.objectStore(ENTRIES_STORE).put(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        return entry;
+    } finally {
+        db.close();
+    }
+}
 
+/**
+ * Log a mood from a reminder action without opening the app, then drop the
+ * rest of today's reminders and tell open windows. Falls back to opening the
+ * app when the mood wasn't offered by the app (e.g. the journal is now encrypted).
+ */
+async function quickLog(emoji) {
+    const state = await getReminderState();
+
+    try {
+        if (!state.quickMoods.some((mood) => mood.emoji === emoji)) {
+            throw new Error('Quick-log is not available for this mood');
+        }
+
+        const entry = await saveQuickLog(emoji);
+        await scheduleReminders(state.reminders.filter((r) => r.date !== entry.date), state.quickMoods, state.encrypted);
+
+        const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windows.forEach((client) => client.postMessage({ type: 'entry-saved', entry }));
+
+        await self.registration.showNotification('MoodPad', {
+            body: `Logged ${emoji} for today.`,
+            icon: '/icons/icon-192.svg',
+            tag: 'moodpad-logged',
+            silent: true
+        });
+    } catch (err) {
+        console.error('MoodPad: Quick log failed', err);
+        await openLogPicker(emoji);
+    }
+}
+
+// Messages from the app: a new schedule, or a reminder that is due now
+self.addEventListener('message', (event) => {
+    const { type, reminders, quickMoods, encrypted } = event.data || {};
+
+    if (type === 'schedule-reminders') {
+        event.waitUntil(scheduleReminders(reminders, quickMoods, encrypted));
+    } else if (type === 'show-reminder') {
+        event.waitUntil(showDueReminder());
+    } else if (type === 'skip-waiting') {
+        // The user accepted the update prompt; the app reloads on controllerchange
+        self.skipWaiting();
+    }
+});
+
+// Check for due reminders while the app is closed, where triggers aren't available
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_TAG && !canScheduleTriggers) {
+        event.waitUntil(showDueReminder());
+    }
+});
+
+// Handle push notifications for reminders
+self.addEventListener('push', (event) => {
     event.waitUntil(
-        self.registration.showNotification('MoodPad Reminder', options)
+        getReminderState().then((state) =>
+            self.registration.showNotification('MoodPad Reminder', reminderOptions(state.quickMoods)))
     );
 });
 
@@ -93,9 +361,9 @@ self.addEventListener('push', (event) => {
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
 
-    if (event.action === 'open' || !event.action) {
-        event.waitUntil(
-            clients.openWindow('/')
-        );
+    if (event.action.startsWith('log:')) {
+        event.waitUntil(quickLog(event.action.slice('log:'.length)));
+    } else if (event.action !== 'dismiss') {
+        event.waitUntil(openLogPicker());
     }
 });
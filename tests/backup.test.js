@@ -0,0 +1,180 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, getAllMoods } from '../js/storage.js';
+import { BACKUP_FORMAT, BACKUP_VERSION, parseBackup, planRestore, restoreBackup } from '../js/backup.js';
+import { isMoodEmoji, getMoodDefinition } from '../js/moods.js';
+import { buildMonthGrid } from '../js/calendar.js';
+import { getTagInfo } from '../js/tags.js';
+import { renderTagChip } from '../js/features.js';
+
+/**
+ * Serialize a backup holding the given entries and settings
+ */
+function backupText(entries, settings = {}) {
+    return JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, entries, settings });
+}
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('backup validation', () => {
+    test('accept single emojis only', () => {
+        assert.ok(isMoodEmoji('😊'));
+        assert.ok(isMoodEmoji('👩‍👩‍👧'));
+        assert.ok(isMoodEmoji('🇳🇱'));
+        assert.ok(isMoodEmoji('❤️'));
+        assert.ok(!isMoodEmoji('😊😊'));
+        assert.ok(!isMoodEmoji('happy'));
+        assert.ok(!isMoodEmoji('<img src=x onerror=alert(1)>'));
+        assert.ok(!isMoodEmoji('😊"'));
+        assert.ok(!isMoodEmoji(''));
+        assert.ok(!isMoodEmoji(null));
+    });
+
+    test('refuse entries with markup in the emoji or id', () => {
+        assert.throws(
+            () => parseBackup(backupText([{ id: 'a', date: '2024-03-01', emoji: '<img src=x onerror=alert(1)>' }])),
+            /Entry 1 has an invalid emoji/
+        );
+        assert.throws(
+            () => parseBackup(backupText([{ id: '"><script>', date: '2024-03-01', emoji: '😊' }])),
+            /Entry 1 has an invalid id/
+        );
+        assert.equal(parseBackup(backupText([{ id: 'a-1', date: '2024-03-01', emoji: '😊' }])).entries.length, 1);
+    });
+
+    test('refuse entries with times that are not on the clock', () => {
+        assert.throws(() => parseBackup(backupText([{ id: 'a', date: '2024-03-01', time: '25:99', emoji: '😊' }])), /invalid time/);
+        assert.equal(parseBackup(backupText([{ id: 'a', date: '2024-03-01', time: '23:59', emoji: '😊' }])).entries.length, 1);
+    });
+
+    test('check earlier versions like the entries themselves', () => {
+        const entry = revision => ({
+            id: 'a',
+            date: '2024-03-01',
+            emoji: '😊',
+            revisions: [{ timestamp: '2024-03-01T09:00:00.000Z', date: '2024-03-01', emoji: '😢', ...revision }]
+        });
+
+        assert.throws(
+            () => parseBackup(backupText([entry({ emoji: '<img src=x onerror=alert(1)>' })])),
+            /Entry 1 revision 1 has an invalid emoji/
+        );
+        assert.throws(() => parseBackup(backupText([entry({ tags: '<b>' })])), /revision 1 has invalid tags/);
+        assert.throws(() => parseBackup(backupText([entry({ timestamp: 'soon' })])), /revision 1 has an invalid timestamp/);
+        assert.throws(() => parseBackup(backupText([{ ...entry(), revisions: 'x' }])), /has invalid revisions/);
+        assert.equal(parseBackup(backupText([entry({ note: 'earlier', tags: ['work'] })])).entries.length, 1);
+    });
+
+    test('escape emojis in the calendar', () => {
+        const day = { date: '2024-03-05', emoji: '<b>', count: 1 };
+        const html = buildMonthGrid(2024, 2, new Map([[day.date, day]]), { interactive: false });
+        assert.doesNotMatch(html, /<b>/);
+        assert.match(html, /&lt;b&gt;/);
+    });
+});
+
+describe('restored settings', () => {
+    test('refuse a mood list with unsafe colors or emojis', () => {
+        const registry = color => JSON.stringify([{ emoji: '😊', label: 'Happy', score: 4, color }]);
+
+        assert.throws(
+            () => parseBackup(backupText([], { moodpad_mood_registry: registry('red" onmouseover="alert(1)') })),
+            /moodpad_mood_registry mood 1 has an invalid color/
+        );
+        assert.throws(
+            () => parseBackup(backupText([], { moodpad_mood_registry: JSON.stringify([{ emoji: '<b>' }]) })),
+            /mood 1 has an invalid emoji/
+        );
+        assert.throws(
+            () => parseBackup(backupText([], { moodpad_mood_registry: JSON.stringify([{ emoji: '😊', name: 'x" onmouseover="alert(1)' }]) })),
+            /mood 1 has an invalid name/
+        );
+        assert.throws(() => parseBackup(backupText([], { moodpad_mood_registry: '{' })), /not valid JSON/);
+        assert.ok(parseBackup(backupText([], { moodpad_mood_registry: registry('#112233') })).settings.moodpad_mood_registry);
+    });
+
+    test('fall back to the default color for stored colors that are not hex', () => {
+        localStorage.setItem('moodpad_mood_registry', JSON.stringify([{ emoji: '😊', color: 'red;x' }]));
+        assert.equal(getMoodDefinition('😊').color, '#8b8b9b');
+    });
+
+    test('refuse tag details with unsafe colors', () => {
+        assert.throws(
+            () => parseBackup(backupText([], { moodpad_tags: JSON.stringify({ work: { color: 'red; background: url(x)' } }) })),
+            /Backup setting moodpad_tags tag work has an invalid color/
+        );
+        assert.throws(() => parseBackup(backupText([], { moodpad_tags: '[]' })), /is not an object/);
+        assert.ok(parseBackup(backupText([], { moodpad_tags: JSON.stringify({ work: { color: '#112233', category: 'Life' } }) })));
+    });
+
+    test('treat stored tag colors that are not hex as unset', () => {
+        localStorage.setItem('moodpad_tags', JSON.stringify({ work: { color: 'red;x', category: 'Life' } }));
+
+        assert.deepEqual(getTagInfo('work'), { color: null, category: 'Life' });
+        assert.doesNotMatch(renderTagChip('work'), /style=/);
+    });
+
+    test('keep stored mood names out of calendar markup', () => {
+        localStorage.setItem('moodpad_mood_registry', JSON.stringify([{ emoji: '😊', name: 'x" onmouseover="alert(1)' }]));
+        const html = buildMonthGrid(2024, 2, new Map([['2024-03-05', { date: '2024-03-05', emoji: '😊', count: 1 }]]), { interactive: false });
+
+        assert.doesNotMatch(html, /onmouseover/);
+        assert.match(html, /calendar__day--mood-custom/);
+    });
+});
+
+describe('merge restore', () => {
+    /**
+     * Save a check-in, then restore a backup of it with some fields changed
+     */
+    async function restoreEdited(options, changes) {
+        const entry = await saveMood('2024-03-01', '😊', 'note', [], { time: '09:00', ...options });
+        const edited = { ...entry, ...changes, timestamp: new Date(Date.now() + 60000).toISOString() };
+        const backup = parseBackup(backupText([edited]));
+
+        const plan = await planRestore(backup);
+        const result = await restoreBackup(backup, 'merge');
+        return { plan, result, restored: (await getAllMoods())[0] };
+    }
+
+    test('restore check-ins whose factors changed', async () => {
+        const { plan, result, restored } = await restoreEdited({ factors: { sleep: 6 } }, { factors: { sleep: 8, exercise: true } });
+
+        assert.equal(plan.unchanged, 0);
+        assert.equal(plan.conflicts.length, 1);
+        assert.deepEqual(result, { written: 1, conflicts: 1 });
+        assert.deepEqual(restored.factors, { sleep: 8, exercise: true });
+    });
+
+    test('restore check-ins whose intensity changed', async () => {
+        const { plan, restored } = await restoreEdited({ intensity: 4, emotions: ['calm'] }, { intensity: 9 });
+        assert.equal(plan.conflicts.length, 1);
+        assert.equal(restored.intensity, 9);
+    });
+
+    test('restore check-ins whose emotions changed', async () => {
+        const { plan, restored } = await restoreEdited({ intensity: 4, emotions: ['calm'] }, { emotions: ['calm', 'proud'] });
+        assert.equal(plan.conflicts.length, 1);
+        assert.deepEqual(restored.emotions, ['calm', 'proud']);
+    });
+
+    test('restore check-ins whose prompt answers changed', async () => {
+        const { plan, restored } = await restoreEdited(
+            { prompts: [{ prompt: 'Q1', answer: 'draft' }] },
+            { prompts: [{ prompt: 'Q1', answer: 'final' }] }
+        );
+        assert.equal(plan.conflicts.length, 1);
+        assert.deepEqual(restored.prompts, [{ prompt: 'Q1', answer: 'final' }]);
+    });
+
+    test('count check-ins with the same factors in another order as unchanged', async () => {
+        const { plan } = await restoreEdited({ factors: { sleep: 6, exercise: true } }, { factors: { exercise: true, sleep: 6 } });
+        assert.equal(plan.unchanged, 1);
+    });
+});
@@ -0,0 +1,138 @@
+import { resetEnvironment, setClock, downloads, alerts } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCSV, toCSV } from '../js/csv.js';
+import { saveMood, getAllMoods, exportToCSV, downloadCSV } from '../js/storage.js';
+import { previewCSVImport, commitCSVImport, importFromCSV } from '../js/features.js';
+import { getMoods } from '../js/moods.js';
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('parseCSV', () => {
+    test('handles quotes, commas, line breaks and escaped quotes', () => {
+        const records = parseCSV('a,b\r\n"x, y","line 1\nline 2"\n"say ""hi""",\n');
+        assert.deepEqual(records, [
+            { fields: ['a', 'b'], line: 1 },
+            { fields: ['x, y', 'line 1\nline 2'], line: 2 },
+            { fields: ['say "hi"', ''], line: 4 }
+        ]);
+    });
+
+    test('strips a byte order mark and skips blank lines', () => {
+        const records = parseCSV('\uFEFFDate\n\n2024-03-15\n');
+        assert.deepEqual(records.map(r => r.fields), [['Date'], ['2024-03-15']]);
+    });
+
+    test('reports unterminated quotes with a line number', () => {
+        assert.throws(() => parseCSV('a\n"open\nfield'), /starting on line 2/);
+    });
+});
+
+describe('toCSV', () => {
+    test('round-trips through parseCSV', () => {
+        const rows = [['Note', 'Tags'], ['He said "no", then\nleft', ' padded '], ['', 'a; b']];
+        assert.deepEqual(parseCSV(toCSV(rows)).map(r => r.fields), rows);
+    });
+});
+
+describe('export', () => {
+    test('exportToCSV writes one row per check-in', async () => {
+        await saveMood('2024-03-15', '😊', 'Dinner, with "friends"', ['social', 'food'], { time: '20:00' });
+
+        const [header, row] = parseCSV(await exportToCSV()).map(r => r.fields);
+        assert.deepEqual(header.slice(0, 6), ['Date', 'Time', 'Emoji', 'Note', 'Tags', 'ID']);
+        assert.deepEqual(row.slice(0, 5), ['2024-03-15', '20:00', '😊', 'Dinner, with "friends"', 'social; food']);
+    });
+
+    test('exportToCSV is empty without data', async () => {
+        assert.equal(await exportToCSV(), '');
+    });
+
+    test('downloadCSV saves a dated file', async () => {
+        setClock('2024-03-15', '23:30');
+        await saveMood('2024-03-15', '😊');
+
+        assert.equal(await downloadCSV(), true);
+        assert.equal(downloads.length, 1);
+        assert.equal(downloads[0].filename, 'moodpad_export_2024-03-15.csv');
+        assert.match(await downloads[0].blob.text(), /^Date,Time,Emoji/);
+    });
+
+    test('downloadCSV alerts when there is nothing to export', async () => {
+        assert.equal(await downloadCSV(), false);
+        assert.equal(downloads.length, 0);
+        assert.equal(alerts.length, 1);
+    });
+});
+
+describe('import', () => {
+    test('previews new, changed, unchanged and invalid rows', async () => {
+        const kept = await saveMood('2024-03-14', '😊', 'same', [], { time: '09:00' });
+        await saveMood('2024-03-15', '😢', 'before', [], { time: '20:00' });
+
+        const csv = toCSV([
+            ['Date', 'Time', 'Emoji', 'Note', 'Tags', 'ID'],
+            ['2024-03-14', '09:00', '😊', 'same', '', kept.id],
+            ['2024-03-15', '20:00', '😢', 'after', '', ''],
+            ['2024-03-16', '', '😐', 'new', '#Work; home', ''],
+            ['2024-02-30', '', '😐', '', '', ''],
+            ['2024-03-17', '25:00', '😐', '', '', '']
+        ]);
+
+        const preview = await previewCSVImport(csv);
+        assert.deepEqual(preview.counts, { new: 1, changed: 1, unchanged: 1, invalid: 2 });
+        assert.deepEqual(preview.rows.map(r => r.status), ['unchanged', 'changed', 'new', 'invalid', 'invalid']);
+        assert.deepEqual(preview.rows[2].entry.tags, ['work', 'home']);
+        assert.match(preview.rows[3].error, /Invalid date/);
+        assert.match(preview.rows[4].error, /Invalid time/);
+        assert.equal((await getAllMoods()).length, 2, 'preview writes nothing');
+    });
+
+    test('commit writes new and changed rows only', async () => {
+        await saveMood('2024-03-15', '😢', 'before', [], { time: '20:00' });
+
+        const written = await importFromCSV('Date,Time,Emoji,Note\n2024-03-15,20:00,😢,after\n2024-03-16,,😐,new\n');
+        assert.equal(written, 2);
+
+        const moods = await getAllMoods();
+        assert.deepEqual(moods.map(m => [m.date, m.time, m.note]), [
+            ['2024-03-16', '12:00', 'new'],
+            ['2024-03-15', '20:00', 'after']
+        ]);
+        assert.ok(moods.every(m => m.id));
+    });
+
+    test('unknown emojis become custom moods', async () => {
+        await commitCSVImport(await previewCSVImport('Date,Emoji\n2024-03-15,🦄\n'));
+        const unicorn = getMoods().find(m => m.emoji === '🦄');
+        assert.ok(unicorn);
+        assert.equal(unicorn.custom, true);
+    });
+
+    test('rows whose emoji is not a single emoji are invalid', async () => {
+        const preview = await previewCSVImport('Date,Emoji\n2024-03-15,"<img src=x onerror=alert(1)>"\n2024-03-16,happy\n');
+        assert.deepEqual(preview.counts, { new: 0, changed: 0, unchanged: 0, invalid: 2 });
+        assert.match(preview.rows[0].error, /Invalid emoji/);
+
+        await commitCSVImport(preview);
+        assert.equal((await getAllMoods()).length, 0);
+        assert.ok(getMoods().every(m => !m.emoji.includes('<')));
+    });
+
+    test('re-importing an export changes nothing', async () => {
+        await saveMood('2024-03-14', '😊', 'multi\nline, "note"', ['a'], { time: '09:00' });
+        await saveMood('2024-03-14', '😢', '', [], { time: '21:00' });
+
+        const preview = await previewCSVImport(await exportToCSV());
+        assert.deepEqual(preview.counts, { new: 0, changed: 0, unchanged: 2, invalid: 0 });
+    });
+
+    test('rejects files without the required columns', async () => {
+        await assert.rejects(previewCSVImport('Date\n'), /empty/);
+        await assert.rejects(previewCSVImport('Day,Mood\n2024-03-15,😊\n'), /Date and Emoji/);
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    formatISODate,
+    toISODate,
+    todayISO,
+    formatTime,
+    isValidISODate,
+    getDateParts,
+    parseISODate,
+    addDays,
+    daysBetween,
+    getWeekday,
+    formatLongDate
+} from '../js/dates.js';
+
+// Negative, positive, half-hour and far-from-UTC offsets, plus zones with DST
+const TIME_ZONES = [
+    'UTC',
+    'America/New_York',
+    'America/Los_Angeles',
+    'Pacific/Pago_Pago',
+    'Europe/London',
+    'Asia/Kolkata',
+    'Pacific/Auckland',
+    'Pacific/Kiritimati'
+];
+
+const originalTZ = process.env.TZ;
+
+function setTimeZone(tz) {
+    process.env.TZ = tz;
+}
+
+afterEach(() => {
+    mock.timers.reset();
+    if (originalTZ === undefined) {
+        delete process.env.TZ;
+    } else {
+        process.env.TZ = originalTZ;
+    }
+});
+
+describe('formatISODate', () => {
+    test('pads month and day', () => {
+        assert.equal(formatISODate(2024, 0, 5), '2024-01-05');
+        assert.equal(formatISODate(2024, 11, 31), '2024-12-31');
+    });
+});
+
+describe('toISODate and todayISO', () => {
+    for (const tz of TIME_ZONES) {
+        test(`uses the local date late in the evening (${tz})`, () => {
+            setTimeZone(tz);
+            assert.equal(toISODate(new Date(2024, 2, 15, 21, 0)), '2024-03-15');
+            assert.equal(toISODate(new Date(2024, 2, 15, 23, 59)), '2024-03-15');
+            assert.equal(toISODate(new Date(2024, 2, 16, 0, 1)), '2024-03-16');
+        });
+    }
+
+    test('9 PM in UTC-5 is still today', () => {
+        setTimeZone('America/New_York');
+        // 2024-01-16T02:00Z is 21:00 on the 15th in New York
+        mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-16T02:00:00Z') });
+        assert.equal(todayISO(), '2024-01-15');
+    });
+
+    test('early morning in UTC+14 is already tomorrow', () => {
+        setTimeZone('Pacific/Kiritimati');
+        // 2024-01-15T11:00Z is 01:00 on the 16th in Kiritimati
+        mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-15T11:00:00Z') });
+        assert.equal(todayISO(), '2024-01-16');
+    });
+
+    test('half-hour offsets', () => {
+        setTimeZone('Asia/Kolkata');
+        // 2024-01-15T18:45Z is 00:15 on the 16th in Kolkata
+        mock.timers.enable({ apis: ['Date'], now: new Date('2024-01-15T18:45:00Z') });
+        assert.equal(todayISO(), '2024-01-16');
+        assert.equal(formatTime(new Date()), '00:15');
+    });
+});
+
+describe('isValidISODate', () => {
+    test('accepts real dates', () => {
+        assert.equal(isValidISODate('2024-02-29'), true);
+        assert.equal(isValidISODate('2023-12-31'), true);
+    });
+
+    test('rejects impossible dates and other formats', () => {
+        assert.equal(isValidISODate('2023-02-29'), false);
+        assert.equal(isValidISODate('2024-13-01'), false);
+        assert.equal(isValidISODate('2024-04-31'), false);
+        assert.equal(isValidISODate('2024-1-5'), false);
+        assert.equal(isValidISODate('01/05/2024'), false);
+        assert.equal(isValidISODate(''), false);
+        assert.equal(isValidISODate(undefined), false);
+    });
+
+    for (const tz of TIME_ZONES) {
+        test(`does not depend on the time zone (${tz})`, () => {
+            setTimeZone(tz);
+            assert.equal(isValidISODate('2024-03-10'), true);
+            assert.equal(isValidISODate('2024-11-03'), true);
+            assert.equal(isValidISODate('2024-01-01'), true);
+        });
+    }
+});
+
+describe('getDateParts and parseISODate', () => {
+    test('splits into a 0-based month', () => {
+        assert.deepEqual(getDateParts('2024-03-09'), { year: 2024, month: 2, day: 9 });
+    });
+
+    for (const tz of TIME_ZONES) {
+        test(`parses as local midnight (${tz})`, () => {
+            setTimeZone(tz);
+            const date = parseISODate('2024-01-01');
+            assert.equal(date.getFullYear(), 2024);
+            assert.equal(date.getMonth(), 0);
+            assert.equal(date.getDate(), 1);
+            assert.equal(date.getHours(), 0);
+        });
+    }
+});
+
+describe('addDays and daysBetween', () => {
+    test('cross month, year and leap day boundaries', () => {
+        assert.equal(addDays('2024-01-31', 1), '2024-02-01');
+        assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDays('2023-02-28', 1), '2023-03-01');
+        assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+        assert.equal(addDays('2024-01-01', -1), '2023-12-31');
+        assert.equal(addDays('2024-03-15', 0), '2024-03-15');
+        assert.equal(daysBetween('2024-01-01', '2025-01-01'), 366);
+        assert.equal(daysBetween('2024-03-15', '2024-03-10'), -5);
+    });
+
+    for (const tz of TIME_ZONES) {
+        test(`are exact across DST transitions (${tz})`, () => {
+            setTimeZone(tz);
+            // US spring forward / fall back
+            assert.equal(addDays('2024-03-09', 1), '2024-03-10');
+            assert.equal(addDays('2024-03-10', 1), '2024-03-11');
+            assert.equal(addDays('2024-11-03', -1), '2024-11-02');
+            assert.equal(daysBetween('2024-03-09', '2024-03-11'), 2);
+            assert.equal(daysBetween('2024-11-02', '2024-11-04'), 2);
+            // EU change and southern hemisphere change
+            assert.equal(daysBetween('2024-03-30', '2024-04-01'), 2);
+            assert.equal(daysBetween('2024-04-06', '2024-04-08'), 2);
+            assert.equal(addDays('2024-09-28', 2), '2024-09-30');
+        });
+    }
+
+    test('walking back a year day by day visits every date once', () => {
+        setTimeZone('America/New_York');
+        const seen = new Set();
+        let date = '2024-12-31';
+        for (let i = 0; i < 366; i++) {
+            seen.add(date);
+            date = addDays(date, -1);
+        }
+        assert.equal(seen.size, 366);
+        assert.equal(date, '2023-12-31');
+    });
+});
+
+describe('getWeekday', () => {
+    for (const tz of TIME_ZONES) {
+        test(`matches the calendar weekday (${tz})`, () => {
+            setTimeZone(tz);
+            assert.equal(getWeekday('2024-03-10'), 0); // Sunday, US DST starts
+            assert.equal(getWeekday('2024-11-03'), 0); // Sunday, US DST ends
+            assert.equal(getWeekday('2024-01-01'), 1); // Monday
+            assert.equal(getWeekday('1970-01-01'), 4); // Thursday
+            assert.equal(getWeekday('1969-12-31'), 3); // Wednesday
+        });
+    }
+});
+
+describe('formatLongDate', () => {
+    for (const tz of TIME_ZONES) {
+        test(`shows the stored date (${tz})`, () => {
+            setTimeZone(tz);
+            assert.equal(formatLongDate('2024-03-10'), 'Sunday, March 10, 2024');
+            assert.equal(formatLongDate('2024-01-01', { month: 'short', day: 'numeric' }), 'Jan 1');
+        });
+    }
+});
@@ -0,0 +1,168 @@
+import { resetEnvironment, downloads } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSalt, deriveKey, encryptJSON, decryptJSON, toBase64, fromBase64 } from '../js/crypto.js';
+import {
+    saveMood,
+    getAllMoods,
+    getEntriesForDate,
+    isEncryptionEnabled,
+    isUnlocked,
+    enableEncryption,
+    unlockStorage,
+    lockStorage,
+    changePassphrase,
+    disableEncryption,
+    eraseJournal
+} from '../js/storage.js';
+import { downloadBackup, isEncryptedBackup, decryptBackup, parseBackup } from '../js/backup.js';
+
+const NOTE = 'private thoughts';
+
+beforeEach(() => {
+    lockStorage();
+    resetEnvironment();
+});
+
+describe('crypto helpers', () => {
+    test('base64 round-trips bytes', () => {
+        const bytes = Uint8Array.from({ length: 70000 }, (_, i) => i % 256);
+        assert.deepEqual(fromBase64(toBase64(bytes)), bytes);
+    });
+
+    test('encryptJSON round-trips and uses a fresh IV each time', async () => {
+        const key = await deriveKey('correct horse', createSalt(), 1000);
+        const a = await encryptJSON(key, { note: NOTE });
+        const b = await encryptJSON(key, { note: NOTE });
+
+        assert.notEqual(a.iv, b.iv);
+        assert.notEqual(a.data, b.data);
+        assert.deepEqual(await decryptJSON(key, a), { note: NOTE });
+    });
+
+    test('decryptJSON rejects the wrong key', async () => {
+        const salt = createSalt();
+        const payload = await encryptJSON(await deriveKey('right', salt, 1000), 'secret');
+        await assert.rejects(decryptJSON(await deriveKey('wrong', salt, 1000), payload), /Could not decrypt/);
+    });
+});
+
+describe('encrypted storage', () => {
+    test('entries are sealed at rest and readable while unlocked', async () => {
+        await saveMood('2024-03-15', '😊', NOTE, ['health'], { time: '09:00' });
+        await enableEncryption('correct horse');
+        await saveMood('2024-03-15', '😢', 'second', null, { time: '20:00' });
+
+        const stored = localStorage.getItem('moodpad_moods');
+        assert.ok(!stored.includes(NOTE));
+        assert.ok(!stored.includes('health'));
+        assert.ok(!stored.includes('😢'));
+        assert.ok(stored.includes('2024-03-15'), 'dates stay readable for the date index');
+
+        const entries = await getEntriesForDate('2024-03-15');
+        assert.deepEqual(entries.map(e => [e.time, e.emoji, e.note]), [['09:00', '😊', NOTE], ['20:00', '😢', 'second']]);
+        assert.deepEqual(entries[0].tags, ['health']);
+    });
+
+    test('locking hides entries until the right passphrase is entered', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+
+        lockStorage();
+        assert.equal(isEncryptionEnabled(), true);
+        assert.equal(isUnlocked(), false);
+        await assert.rejects(getEntriesForDate('2024-03-15'), /locked/);
+        await assert.rejects(saveMood('2024-03-16', '😊'), /locked/);
+
+        await assert.rejects(unlockStorage('wrong horse'), /Wrong passphrase/);
+        assert.equal(isUnlocked(), false);
+
+        await unlockStorage('correct horse');
+        assert.equal(isUnlocked(), true);
+        assert.equal((await getAllMoods())[0].note, NOTE);
+    });
+
+    test('changing the passphrase re-encrypts every entry', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+        const before = localStorage.getItem('moodpad_moods');
+
+        await assert.rejects(changePassphrase('wrong horse', 'battery staple'), /Wrong passphrase/);
+        await changePassphrase('correct horse', 'battery staple');
+        assert.notEqual(localStorage.getItem('moodpad_moods'), before);
+
+        lockStorage();
+        await assert.rejects(unlockStorage('correct horse'), /Wrong passphrase/);
+        await unlockStorage('battery staple');
+        assert.equal((await getAllMoods())[0].note, NOTE);
+        assert.equal(JSON.parse(localStorage.getItem('moodpad_encryption')).pending, undefined);
+    });
+
+    test('an interrupted passphrase change is settled on the next unlock', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+        const oldSettings = localStorage.getItem('moodpad_encryption');
+        await changePassphrase('correct horse', 'battery staple');
+        const newSettings = JSON.parse(localStorage.getItem('moodpad_encryption'));
+
+        // The tab closed after the entries were resealed but before the new
+        // settings replaced the old ones
+        localStorage.setItem('moodpad_encryption', JSON.stringify({ ...JSON.parse(oldSettings), pending: newSettings }));
+        lockStorage();
+
+        await assert.rejects(unlockStorage('correct horse'), /interrupted; enter the other passphrase/);
+        await assert.rejects(unlockStorage('wrong horse'), /Wrong passphrase/);
+        await unlockStorage('battery staple');
+        assert.equal((await getAllMoods())[0].note, NOTE);
+        assert.deepEqual(JSON.parse(localStorage.getItem('moodpad_encryption')), newSettings);
+    });
+
+    test('turning encryption off stores plaintext again', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+        await disableEncryption('correct horse');
+
+        assert.equal(isEncryptionEnabled(), false);
+        assert.ok(localStorage.getItem('moodpad_moods').includes(NOTE));
+        lockStorage();
+        assert.equal((await getAllMoods())[0].note, NOTE);
+    });
+
+    test('erasing a journal with a lost passphrase starts over', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+        lockStorage();
+
+        await eraseJournal();
+        assert.equal(isUnlocked(), true);
+        assert.deepEqual(await getAllMoods(), []);
+    });
+});
+
+describe('encrypted backups', () => {
+    test('backups made while encrypted need the passphrase to restore', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        await enableEncryption('correct horse');
+
+        assert.deepEqual(await downloadBackup(), { count: 1, encrypted: true });
+        const text = await downloads[0].blob.text();
+
+        assert.ok(!text.includes(NOTE));
+        assert.ok(!text.includes('moodpad_encryption'));
+        assert.equal(isEncryptedBackup(text), true);
+        assert.throws(() => parseBackup(text), /encrypted/);
+        await assert.rejects(decryptBackup(text, 'wrong horse'), /Wrong passphrase/);
+
+        const backup = parseBackup(await decryptBackup(text, 'correct horse'));
+        assert.equal(backup.entries[0].note, NOTE);
+        assert.equal(backup.settings.moodpad_encryption, undefined);
+    });
+
+    test('plain backups stay plain', async () => {
+        await saveMood('2024-03-15', '😊', NOTE);
+        assert.deepEqual(await downloadBackup(), { count: 1, encrypted: false });
+        assert.equal(isEncryptedBackup(await downloads[0].blob.text()), false);
+    });
+});
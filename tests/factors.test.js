@@ -0,0 +1,176 @@
+import { resetEnvironment, addElement } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, getAllMoods, exportToCSV } from '../js/storage.js';
+import {
+    getFactors,
+    addCustomFactor,
+    removeCustomFactor,
+    normalizeFactors,
+    describeFactors
+} from '../js/factors.js';
+import {
+    calculateCorrelation,
+    buildFactorCorrelations,
+    describeCorrelation,
+    renderFactorStats
+} from '../js/stats.js';
+import { previewCSVImport, commitCSVImport, renderFactorsSection, getFactorValues } from '../js/features.js';
+import { parseCSV } from '../js/csv.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('factor registry', () => {
+    test('start with sleep, energy, exercise and caffeine', () => {
+        assert.deepEqual(getFactors().map(f => [f.id, f.type]), [
+            ['sleep', 'number'], ['energy', 'scale'], ['exercise', 'boolean'], ['caffeine', 'number']
+        ]);
+    });
+
+    test('add and remove number and yes/no factors', () => {
+        addCustomFactor(' Screen time ', 'number', 'h');
+        addCustomFactor('Meditated', 'boolean');
+
+        const custom = getFactors().filter(f => f.custom);
+        assert.deepEqual(custom.map(f => [f.id, f.label, f.type]), [
+            ['screen-time', 'Screen time', 'number'], ['meditated', 'Meditated', 'boolean']
+        ]);
+        assert.equal(custom[0].unit, 'h');
+
+        removeCustomFactor('screen-time');
+        assert.deepEqual(getFactors().filter(f => f.custom).map(f => f.id), ['meditated']);
+    });
+
+    test('reject empty, taken and reserved names and unknown types', () => {
+        assert.throws(() => addCustomFactor('  '), /Enter a name/);
+        assert.throws(() => addCustomFactor('sleep'), /already a field/);
+        assert.throws(() => addCustomFactor('Note'), /already a field/);
+        assert.throws(() => addCustomFactor('Mood', 'text'), /numbers or yes\/no/);
+    });
+});
+
+describe('factor values', () => {
+    test('keep logged values and drop empty ones', () => {
+        assert.deepEqual(
+            normalizeFactors({ sleep: '7.5', energy: 4, exercise: false, caffeine: '', removed: 3 }),
+            { sleep: 7.5, energy: 4, exercise: false, removed: 3 }
+        );
+    });
+
+    test('reject values that do not fit', () => {
+        assert.throws(() => normalizeFactors({ sleep: 30 }), /Sleep must be a number from 0 to 24/);
+        assert.throws(() => normalizeFactors({ energy: 2.5 }), /whole number/);
+        assert.throws(() => normalizeFactors({ exercise: 'yes' }), /yes or no/);
+    });
+
+    test('describe values in factor order', () => {
+        assert.equal(describeFactors({ exercise: true, sleep: 8, energy: 3 }), 'Sleep 8 h · Energy 3/5 · Exercise Yes');
+        assert.equal(describeFactors({}), '');
+    });
+});
+
+describe('saving factors', () => {
+    test('store factors and keep them when a save leaves them out', async () => {
+        const entry = await saveMood('2024-03-01', '😊', '', [], { factors: { sleep: 7, exercise: true } });
+        assert.deepEqual(entry.factors, { sleep: 7, exercise: true });
+
+        const edited = await saveMood('2024-03-01', '😢', 'rough', null, { id: entry.id });
+        assert.deepEqual(edited.factors, { sleep: 7, exercise: true });
+
+        const cleared = await saveMood('2024-03-01', '😢', 'rough', null, { id: entry.id, factors: {} });
+        assert.deepEqual(cleared.factors, {});
+    });
+
+    test('refuse values that do not fit', async () => {
+        await assert.rejects(() => saveMood('2024-03-01', '😊', '', [], { factors: { energy: 9 } }), /Energy/);
+        assert.equal((await getAllMoods()).length, 0);
+    });
+
+    test('the picker hands over the values it was given', () => {
+        addElement('factorsContainer');
+        renderFactorsSection('factorsContainer', { sleep: 6, old: true });
+        assert.deepEqual(getFactorValues(), { sleep: 6, old: true });
+    });
+});
+
+describe('factors in CSV', () => {
+    test('export one column per factor', async () => {
+        addCustomFactor('Meditated', 'boolean');
+        await saveMood('2024-03-01', '😊', '', [], { time: '09:00', factors: { sleep: 7.5, exercise: true, meditated: false } });
+
+        const [header, row] = parseCSV(await exportToCSV()).map(r => r.fields);
+        assert.deepEqual(header.slice(9), ['Sleep', 'Energy', 'Exercise', 'Caffeine', 'Meditated']);
+        assert.deepEqual(row.slice(9), ['7.5', '', 'yes', '', 'no']);
+    });
+
+    test('re-importing an export changes nothing', async () => {
+        await saveMood('2024-03-01', '😊', '', [], { time: '09:00', factors: { sleep: 7.5, exercise: false } });
+
+        const preview = await previewCSVImport(await exportToCSV());
+        assert.deepEqual(preview.counts, { new: 0, changed: 0, unchanged: 1, invalid: 0 });
+    });
+
+    test('import factor columns, leaving factors without a column alone', async () => {
+        await saveMood('2024-03-01', '😊', '', [], { time: '09:00', factors: { sleep: 6, caffeine: 2 } });
+
+        const preview = await previewCSVImport(
+            'Date,Time,Emoji,Sleep,Exercise\n2024-03-01,09:00,😊,8,yes\n2024-03-02,,😐,,no\n2024-03-03,,😐,lots,\n'
+        );
+        assert.deepEqual(preview.counts, { new: 1, changed: 1, unchanged: 0, invalid: 1 });
+        assert.match(preview.rows[2].error, /Invalid Sleep "lots"/);
+
+        await commitCSVImport(preview);
+        const byDate = Object.fromEntries((await getAllMoods()).map(m => [m.date, m.factors]));
+        assert.deepEqual(byDate['2024-03-01'], { sleep: 8, caffeine: 2, exercise: true });
+        assert.deepEqual(byDate['2024-03-02'], { exercise: false });
+    });
+});
+
+describe('factor correlations', () => {
+    test('correlate numbers and compare yes/no with mood score', () => {
+        const moods = [
+            { emoji: '😢', factors: { sleep: 5, exercise: false } },
+            { emoji: '😐', factors: { sleep: 6, exercise: false } },
+            { emoji: '😊', factors: { sleep: 7, exercise: true } },
+            { emoji: '😍', factors: { sleep: 8, exercise: true } },
+            { emoji: '😊' }
+        ];
+
+        const [sleep, energy, exercise] = buildFactorCorrelations(moods);
+        assert.equal(sleep.count, 4);
+        assert.equal(sleep.averageValue, 6.5);
+        assert.ok(sleep.correlation > 0.9);
+        assert.equal(energy.count, 0);
+        assert.equal(energy.correlation, null);
+        assert.deepEqual([exercise.yesAverage, exercise.noAverage, exercise.difference], [4.5, 2, 2.5]);
+    });
+
+    test('have no correlation when values never vary', () => {
+        assert.equal(calculateCorrelation([7, 7, 7], [1, 3, 5]), null);
+        assert.equal(calculateCorrelation([1, 2, 3], [3, 2, 1]), -1);
+    });
+
+    test('put correlations into words', () => {
+        assert.equal(describeCorrelation('sleep', 0.6), 'Strong link: more sleep, better mood');
+        assert.equal(describeCorrelation('caffeine', -0.2), 'Weak link: more caffeine, worse mood');
+        assert.equal(describeCorrelation('sleep', 0.05), 'No clear link between sleep and mood');
+    });
+
+    test('show factors logged often enough', async () => {
+        const container = addElement('factorStatsContainer');
+        await renderFactorStats('factorStatsContainer');
+        assert.match(container.innerHTML, /at least 5 check-ins/);
+
+        for (const [i, emoji] of ['😢', '😐', '😊', '😍', '😊'].entries()) {
+            await saveMood(`2024-03-0${i + 1}`, emoji, '', [], { factors: { sleep: 5 + i } });
+        }
+        await renderFactorStats('factorStatsContainer');
+        assert.match(container.innerHTML, /Strong link: more sleep, better mood/);
+        assert.doesNotMatch(container.innerHTML, /Energy/);
+    });
+});
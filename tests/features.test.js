@@ -0,0 +1,201 @@
+import { resetEnvironment, setClock, addElement } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { saveMood } from '../js/storage.js';
+import { addDays, getWeekday } from '../js/dates.js';
+import {
+    renderInsights,
+    buildMoodPatterns,
+    getMoodPatterns,
+    buildYearReview,
+    getYearReview,
+    renderYearReview,
+    getValenceColor,
+    renderTagCorrelations
+} from '../js/features.js';
+
+/**
+ * Two weeks from Monday 2024-03-04: Mondays sad, Saturdays loving, otherwise happy
+ */
+function twoWeeks() {
+    const moods = [];
+    for (let i = 0; i < 14; i++) {
+        const date = addDays('2024-03-04', i);
+        const weekday = getWeekday(date);
+        const emoji = weekday === 1 ? '😢' : weekday === 6 ? '😍' : '😊';
+        moods.push({ id: `m${i}`, date, time: '20:00', emoji });
+    }
+    return moods;
+}
+
+async function store(moods) {
+    for (const m of moods) {
+        await saveMood(m.date, m.emoji, m.note || '', m.tags || null, { time: m.time });
+    }
+}
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('insights panel', () => {
+    test('renders pinned and new insight cards', async () => {
+        await store(twoWeeks());
+        setClock('2024-03-17', '21:00');
+
+        const container = addElement('insightsContainer');
+        await renderInsights('insightsContainer');
+        assert.match(container.innerHTML, /data-id="streak:2024-03-04:14"/);
+        assert.match(container.innerHTML, /data-id="weekdays:best:Saturday"/);
+        assert.equal(
+            container.innerHTML.match(/class="insight-card /g).length,
+            container.innerHTML.match(/data-action="dismiss"/g).length
+        );
+    });
+
+    test('asks for a week of check-ins first', async () => {
+        await store(twoWeeks().slice(0, 3));
+        setClock('2024-03-07', '21:00');
+
+        const container = addElement('insightsContainer');
+        await renderInsights('insightsContainer');
+        assert.match(container.innerHTML, /at least a week/);
+    });
+});
+
+describe('mood patterns', () => {
+    test('pick each weekday\'s most common daily mood', () => {
+        const patterns = buildMoodPatterns(twoWeeks());
+        assert.equal(patterns.length, 7);
+        assert.deepEqual(patterns[0], { day: 'Sun', emoji: '😊', count: 2 });
+        assert.deepEqual(patterns[1], { day: 'Mon', emoji: '😢', count: 2 });
+        assert.deepEqual(patterns[6], { day: 'Sat', emoji: '😍', count: 2 });
+    });
+
+    test('count a day with several check-ins once', async () => {
+        await saveMood('2024-03-10', '😢', '', null, { time: '08:00' });
+        await saveMood('2024-03-10', '😊', '', null, { time: '12:00' });
+        await saveMood('2024-03-10', '😊', '', null, { time: '20:00' });
+
+        const patterns = await getMoodPatterns();
+        assert.deepEqual(patterns[0], { day: 'Sun', emoji: '😊', count: 1 });
+        assert.ok(patterns.slice(1).every(p => p.emoji === '—' && p.count === 0));
+    });
+});
+
+describe('year review', () => {
+    test('summarize months, top mood and days logged', () => {
+        const moods = [
+            { date: '2023-12-31', time: '20:00', emoji: '😢' },
+            { date: '2024-01-01', time: '09:00', emoji: '😊' },
+            { date: '2024-01-01', time: '20:00', emoji: '😊' },
+            { date: '2024-01-02', time: '20:00', emoji: '😐' },
+            { date: '2024-12-31', time: '23:59', emoji: '😍' }
+        ];
+
+        const review = buildYearReview(moods, 2024);
+        assert.equal(review.year, 2024);
+        assert.equal(review.totalEntries, 4);
+        assert.equal(review.daysLogged, 3);
+        assert.equal(review.topEmoji, '😊');
+        assert.deepEqual(review.months[0], { name: 'Jan', count: 3, emoji: '😊', daysLogged: 2, average: 3.5 });
+        assert.deepEqual(review.months[11], { name: 'Dec', count: 1, emoji: '😍', daysLogged: 1, average: 5 });
+        assert.deepEqual(review.months[5], { name: 'Jun', count: 0, emoji: null, daysLogged: 0, average: null });
+    });
+
+    test('cover every day of the year', () => {
+        const review = buildYearReview([{ date: '2024-02-29', time: '09:00', emoji: '😊' }], 2024);
+
+        assert.equal(review.days.length, 366);
+        assert.equal(review.days[0].date, '2024-01-01');
+        assert.equal(review.days[365].date, '2024-12-31');
+        assert.deepEqual(review.days[59], { date: '2024-02-29', value: 4, emoji: '😊', count: 1 });
+        assert.equal(buildYearReview([], 2023).days.length, 365);
+    });
+
+    test('rank months, find the longest streak and count tags and moods', () => {
+        const moods = [
+            { date: '2024-03-01', time: '09:00', emoji: '😢', tags: ['work'] },
+            { date: '2024-03-02', time: '09:00', emoji: '😢', tags: ['work', 'sleep'] },
+            { date: '2024-05-10', time: '09:00', emoji: '😍', tags: ['social'] },
+            { date: '2024-05-11', time: '09:00', emoji: '😊', tags: ['social'] },
+            { date: '2024-05-12', time: '09:00', emoji: '😊', tags: ['work'] },
+            { date: '2024-07-01', time: '09:00', emoji: '😐' }
+        ];
+        const review = buildYearReview(moods, 2024);
+
+        assert.deepEqual(review.bestMonth, { index: 4, name: 'May', average: 13 / 3 });
+        assert.deepEqual(review.worstMonth, { index: 2, name: 'Mar', average: 1 });
+        assert.deepEqual(review.longestStreak, { start: '2024-05-10', end: '2024-05-12', length: 3 });
+        assert.deepEqual(review.topTags, [
+            { tag: 'work', count: 3 },
+            { tag: 'social', count: 2 },
+            { tag: 'sleep', count: 1 }
+        ]);
+        assert.deepEqual(review.distribution.map(d => [d.emoji, d.count, d.percent]), [
+            ['😢', 2, 33],
+            ['😊', 2, 33],
+            ['😍', 1, 17],
+            ['😐', 1, 17]
+        ]);
+    });
+
+    test('an empty year has no highlights', () => {
+        const review = buildYearReview([], 2024);
+        assert.equal(review.average, null);
+        assert.equal(review.bestMonth, null);
+        assert.equal(review.longestStreak, null);
+        assert.deepEqual(review.topTags, []);
+        assert.deepEqual(review.distribution, []);
+    });
+
+    test('valence colors run from red to green', () => {
+        assert.equal(getValenceColor(1), 'hsla(0, 65%, 50%, 1)');
+        assert.equal(getValenceColor(3, 0.5), 'hsla(60, 65%, 50%, 0.5)');
+        assert.equal(getValenceColor(9), 'hsla(120, 65%, 50%, 1)');
+    });
+
+    test('render a heatmap cell per day with future days disabled', async () => {
+        await saveMood('2024-03-15', '😊', '', ['<b>']);
+        setClock('2024-03-15', '20:00');
+        const container = addElement('yearReviewContent');
+
+        await renderYearReview('yearReviewContent', 2024);
+
+        assert.equal(container.innerHTML.match(/class="year-heatmap__cell /g).length, 366);
+        assert.equal(container.innerHTML.match(/disabled/g).length, 2 + 291);
+        assert.match(container.innerHTML, /aria-label="Fri, Mar 15: 😊 Happy, 4\.0 of 5"/);
+        assert.match(container.innerHTML, /#&lt;b&gt;/);
+    });
+
+    test('default to the current local year', async () => {
+        await saveMood('2024-12-31', '😍');
+        await saveMood('2025-01-01', '😊');
+        setClock('2024-12-31', '23:30');
+
+        const review = await getYearReview();
+        assert.equal(review.year, 2024);
+        assert.equal(review.totalEntries, 1);
+        assert.equal(review.topEmoji, '😍');
+    });
+});
+
+describe('tag correlations panel', () => {
+    test('render the panel with escaped tags', async () => {
+        setClock('2024-03-15', '20:00');
+        for (const day of [1, 2, 3]) {
+            await saveMood(`2024-03-0${day}`, '😍', '', ['<walk>']);
+        }
+        await saveMood('2024-03-04', '😢');
+        const container = addElement('tagCorrelationsContainer');
+
+        await renderTagCorrelations('tagCorrelationsContainer');
+
+        assert.match(container.innerHTML, /What Affects My Mood/);
+        assert.match(container.innerHTML, /#&lt;walk&gt;/);
+        assert.match(container.innerHTML, /\+4\.0/);
+        assert.doesNotMatch(container.innerHTML, /<walk>/);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Browser stand-ins for running MoodPad modules under node --test
+ * Import this before any module under test. Without indexedDB, storage.js
+ * falls back to its localStorage backend, so every test runs against the
+ * in-memory localStorage below.
+ */
+
+import { mock } from 'node:test';
+
+/**
+ * In-memory implementation of the Web Storage API
+ */
+class MemoryStorage {
+    #items = new Map();
+
+    get length() {
+        return this.#items.size;
+    }
+
+    key(index) {
+        return [...this.#items.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.#items.has(key) ? this.#items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.#items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.#items.delete(key);
+    }
+
+    clear() {
+        this.#items.clear();
+    }
+}
+
+/**
+ * Just enough of an element for the modules' rendering and download code
+ */
+class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.attributes = {};
+        this.style = {};
+        this.children = [];
+        this.innerHTML = '';
+        this.textContent = '';
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        return child;
+    }
+
+    addEventListener() {}
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    click() {
+        if (this.tagName === 'A' && this.attributes.download) {
+            downloads.push({
+                filename: this.attributes.download,
+                blob: blobs.get(this.attributes.href)
+            });
+        }
+    }
+}
+
+const elements = new Map();
+const blobs = new Map();
+
+/** Files "downloaded" via a link click: { filename, blob } */
+export const downloads = [];
+
+/** Messages passed to alert() */
+export const alerts = [];
+
+globalThis.localStorage = new MemoryStorage();
+
+globalThis.document = {
+    body: new FakeElement('body'),
+    documentElement: new FakeElement('html'),
+    createElement: (tagName) => new FakeElement(tagName),
+    getElementById: (id) => elements.get(id) || null,
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+
+globalThis.alert = (message) => alerts.push(message);
+
+URL.createObjectURL = (blob) => {
+    const url = `blob:moodpad-test/${blobs.size + 1}`;
+    blobs.set(url, blob);
+    return url;
+};
+URL.revokeObjectURL = () => {};
+
+/**
+ * Add an element that document.getElementById can find
+ * @param {string} id - Element ID
+ * @returns {FakeElement}
+ */
+export function addElement(id, tagName = 'div') {
+    const element = new FakeElement(tagName, id);
+    elements.set(id, element);
+    return element;
+}
+
+/**
+ * Freeze the clock at a local date and time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ */
+export function setClock(date, time = '12:00') {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    mock.timers.reset();
+    mock.timers.enable({ apis: ['Date'], now: new Date(year, month - 1, day, hours, minutes) });
+}
+
+/**
+ * Clear storage, elements, captured output and the frozen clock
+ */
+export function resetEnvironment() {
+    mock.timers.reset();
+    localStorage.clear();
+    elements.clear();
+    blobs.clear();
+    downloads.length = 0;
+    alerts.length = 0;
+}
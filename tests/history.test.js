@@ -0,0 +1,145 @@
+import { resetEnvironment, setClock } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, deleteEntry, putEntries, getAllMoods, getEntry, clearAll, remapEmoji } from '../js/storage.js';
+import { initHistory, undo, redo, getHistoryState, MAX_ACTIONS } from '../js/history.js';
+import { addTagToMood, removeTagFromMood, renameTag, previewCSVImport, commitCSVImport } from '../js/features.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+    initHistory();
+});
+
+describe('undo and redo', () => {
+    test('bring back a deleted check-in and delete it again', async () => {
+        const entry = await saveMood('2024-03-15', '😊', 'keep me');
+        await deleteEntry(entry.id, { action: 'delete' });
+
+        assert.equal(await undo(), 'delete');
+        assert.deepEqual(await getEntry(entry.id), entry);
+
+        assert.equal(await redo(), 'delete');
+        assert.equal(await getEntry(entry.id), null);
+    });
+
+    test('undo a new check-in and the note typed into it in one step', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '😊', '', null, { action: 'save' });
+        await saveMood('2024-03-15', '😊', 'Slept', null, { id: entry.id, action: 'save' });
+        await saveMood('2024-03-15', '😊', 'Slept well', null, { id: entry.id, action: 'save' });
+
+        await undo();
+        assert.deepEqual(await getAllMoods(), []);
+        assert.equal(getHistoryState().canUndo, false);
+
+        await redo();
+        assert.equal((await getEntry(entry.id)).note, 'Slept well');
+    });
+
+    test('saves minutes apart are separate steps', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '😊', 'first', null, { action: 'save' });
+        setClock('2024-03-15', '09:05');
+        await saveMood('2024-03-15', '😊', 'overwritten', null, { id: entry.id, action: 'save' });
+
+        await undo();
+        assert.equal((await getEntry(entry.id)).note, 'first');
+    });
+
+    test('undo tag changes', async () => {
+        const entry = await saveMood('2024-03-15', '😊', '', ['work']);
+        await addTagToMood(entry.id, 'gym');
+        await removeTagFromMood(entry.id, 'work');
+
+        assert.equal(getHistoryState().undoAction, 'tag-remove');
+        await undo();
+        assert.deepEqual((await getEntry(entry.id)).tags, ['work', 'gym']);
+        await undo();
+        assert.deepEqual((await getEntry(entry.id)).tags, ['work']);
+    });
+
+    test('undo an import, restoring the check-ins it overwrote', async () => {
+        const existing = await saveMood('2024-03-15', '😊', 'mine');
+        await putEntries([
+            { ...existing, note: 'imported' },
+            { id: 'new', date: '2024-03-16', time: '20:00', emoji: '😢' }
+        ], { action: 'import' });
+
+        await undo();
+        assert.deepEqual(await getAllMoods(), [existing]);
+    });
+
+    test('undo a tag rename and keep the old tags in the edit history', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '😊', '', ['work']);
+        setClock('2024-03-15', '10:00');
+        await renameTag('work', 'job');
+
+        const renamed = await getEntry(entry.id);
+        assert.deepEqual(renamed.tags, ['job']);
+        assert.deepEqual(renamed.revisions.map(r => r.tags), [['work']]);
+
+        assert.equal(await undo(), 'tag-rename');
+        assert.deepEqual((await getEntry(entry.id)).tags, ['work']);
+    });
+
+    test('undo replacing a mood and keep the old mood in the edit history', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '🦄', 'odd day');
+        setClock('2024-03-15', '10:00');
+        await remapEmoji('🦄', '😐', { action: 'mood-remap' });
+
+        assert.deepEqual((await getEntry(entry.id)).revisions.map(r => r.emoji), ['🦄']);
+        assert.equal(await undo(), 'mood-remap');
+        assert.equal((await getEntry(entry.id)).emoji, '🦄');
+    });
+
+    test('keep the versions a CSV import overwrote in the edit history', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '😊', 'mine', [], { time: '09:00' });
+        setClock('2024-03-15', '10:00');
+        await commitCSVImport(await previewCSVImport('Date,Time,Emoji,Note\n2024-03-15,09:00,😊,imported\n'));
+
+        assert.deepEqual((await getEntry(entry.id)).revisions.map(r => r.note), ['mine']);
+        assert.equal(await undo(), 'import');
+        assert.equal((await getEntry(entry.id)).note, 'mine');
+    });
+
+    test('a new action clears redo', async () => {
+        await saveMood('2024-03-15', '😊', '', null, { action: 'save' });
+        await undo();
+        assert.equal(getHistoryState().canRedo, true);
+
+        await saveMood('2024-03-16', '😢', '', null, { action: 'save' });
+        assert.deepEqual(getHistoryState(), { canUndo: true, canRedo: false, undoAction: 'save', redoAction: null });
+    });
+});
+
+describe('recording', () => {
+    test('ignore writes without an action and stop at nothing to undo', async () => {
+        await saveMood('2024-03-15', '😊');
+        assert.equal(await undo(), null);
+        assert.equal(await redo(), null);
+        assert.equal((await getAllMoods()).length, 1);
+    });
+
+    test('forget everything when the journal is cleared', async () => {
+        await saveMood('2024-03-15', '😊', '', null, { action: 'save' });
+        await clearAll();
+        assert.equal(getHistoryState().canUndo, false);
+    });
+
+    test('keep the last actions only', async () => {
+        for (let i = 0; i < MAX_ACTIONS + 5; i++) {
+            await saveMood('2024-03-15', '😊', '', null, { action: 'save' });
+        }
+
+        let undone = 0;
+        while (await undo()) undone++;
+        assert.equal(undone, MAX_ACTIONS);
+        assert.equal((await getAllMoods()).length, 5);
+    });
+});
@@ -0,0 +1,342 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { addDays, getWeekday } from '../js/dates.js';
+import {
+    INSIGHT_GENERATORS,
+    buildInsights,
+    selectInsights,
+    buildTagCorrelations,
+    compareTags,
+    getInsightState,
+    migrateInsightState,
+    getGeneratorOptions,
+    updateGeneratorOptions,
+    dismissInsight,
+    pinInsight,
+    unpinInsight,
+    restoreDismissedInsights
+} from '../js/insights.js';
+
+/**
+ * Two weeks from Monday 2024-03-04: Mondays sad, Saturdays loving, otherwise happy
+ */
+function twoWeeks() {
+    const moods = [];
+    for (let i = 0; i < 14; i++) {
+        const date = addDays('2024-03-04', i);
+        const weekday = getWeekday(date);
+        const emoji = weekday === 1 ? '😢' : weekday === 6 ? '😍' : '😊';
+        moods.push({ id: `m${i}`, date, time: '20:00', emoji });
+    }
+    return moods;
+}
+
+/**
+ * One check-in per day from `start`, cycling through the emojis
+ */
+function daily(start, emojis, time = '20:00') {
+    return emojis.map((emoji, i) => ({ id: `${start}-${i}`, date: addDays(start, i), time, emoji }));
+}
+
+/**
+ * Run a single generator with its default options
+ */
+function run(id, moods, today, changes = {}) {
+    const state = { generators: { [id]: changes }, dismissed: [], pinned: [] };
+    INSIGHT_GENERATORS.filter(g => g.id !== id).forEach(g => {
+        state.generators[g.id] = { enabled: false };
+    });
+    return buildInsights(moods, today, state);
+}
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('generators', () => {
+    test('every generator has a unique ID and label', () => {
+        const ids = INSIGHT_GENERATORS.map(g => g.id);
+        assert.equal(new Set(ids).size, ids.length);
+        INSIGHT_GENERATORS.forEach(g => assert.ok(g.label));
+    });
+
+    test('this week vs last week compares calendar weeks', () => {
+        // Last week happy, this week (Mon-Wed) loving
+        const moods = [...daily('2024-03-04', Array(7).fill('😊')), ...daily('2024-03-11', ['😍', '😍', '😍'])];
+        const [insight] = run('week-over-week', moods, '2024-03-13');
+
+        assert.equal(insight.id, 'week-over-week:2024-03-11');
+        assert.equal(insight.generator, 'week-over-week');
+        assert.equal(insight.severity, 'positive');
+        assert.deepEqual(insight.data, { weekStart: '2024-03-11', current: 5, previous: 4, change: 1 });
+        assert.match(insight.text, /up 1\.0/);
+
+        assert.deepEqual(run('week-over-week', moods, '2024-03-11'), [], 'needs two days this week');
+    });
+
+    test('month over month needs five days in each month and a real change', () => {
+        const moods = [...daily('2024-02-01', Array(10).fill('😊')), ...daily('2024-03-01', Array(6).fill('😢'))];
+        const [insight] = run('month-over-month', moods, '2024-03-06');
+
+        assert.equal(insight.id, 'month-over-month:2024-03');
+        assert.equal(insight.severity, 'warning');
+        assert.equal(insight.data.change, -3);
+        assert.match(insight.text, /March so far is .*down 3\.0/);
+
+        const steady = [...daily('2024-02-01', Array(10).fill('😊')), ...daily('2024-03-01', Array(6).fill('😊'))];
+        assert.deepEqual(run('month-over-month', steady, '2024-03-06'), []);
+    });
+
+    test('volatility flags swings and steadiness within its window', () => {
+        const swings = daily('2024-03-01', ['😍', '😢', '😍', '😢', '😍', '😢', '😍', '😢']);
+        const [high] = run('volatility', swings, '2024-03-08');
+        assert.equal(high.id, 'volatility:high:2024-03');
+        assert.equal(high.severity, 'warning');
+        assert.equal(high.data.days, 8);
+
+        const [low] = run('volatility', daily('2024-03-01', Array(8).fill('😊')), '2024-03-08');
+        assert.equal(low.id, 'volatility:low:2024-03');
+        assert.equal(low.severity, 'positive');
+
+        assert.deepEqual(run('volatility', swings, '2024-03-08', { days: 14 }).length, 1);
+        assert.deepEqual(run('volatility', swings, '2024-04-30', { days: 14 }), [], 'outside the window');
+    });
+
+    test('low-mood runs of three or more days', () => {
+        const moods = daily('2024-03-01', ['😊', '😢', '😴', '😠', '😊', '😢', '😢']);
+
+        const [past] = run('low-run', moods, '2024-03-10');
+        assert.equal(past.id, 'low-run:2024-03-02');
+        assert.equal(past.data.length, 3);
+        assert.equal(past.data.ongoing, false);
+        assert.match(past.text, /Mar 2 – Mar 4/);
+
+        const [ongoing] = run('low-run', [...moods, ...daily('2024-03-08', ['😢'])], '2024-03-08');
+        assert.equal(ongoing.id, 'low-run:2024-03-06');
+        assert.equal(ongoing.data.ongoing, true);
+
+        assert.deepEqual(run('low-run', moods, '2024-03-10', { length: 4 }), []);
+    });
+
+    test('tag patterns report confident differences', () => {
+        const moods = [
+            ...daily('2024-03-01', ['😍', '😍', '😊', '😍']).map(m => ({ ...m, tags: ['<run>'] })),
+            ...daily('2024-03-05', ['😢', '😐', '😢', '😴'])
+        ];
+        const [insight] = run('tag-patterns', moods, '2024-03-10');
+
+        assert.match(insight.id, /^tag-patterns:#\w+:better$/);
+        assert.ok(!insight.id.includes('run'));
+        assert.equal(insight.severity, 'positive');
+        assert.equal(insight.data.tag, '<run>');
+        assert.match(insight.text, /#&lt;run&gt;/);
+        assert.deepEqual(run('tag-patterns', moods, '2024-06-30', { days: 30 }), [], 'outside the window');
+    });
+
+    test('logging time consistency uses the first check-in of each day', () => {
+        const moods = [
+            ...daily('2024-03-01', Array(7).fill('😊'), '08:10'),
+            ...daily('2024-03-01', Array(7).fill('😊'), '23:00')
+        ];
+        const [consistent] = run('logging-time', moods, '2024-03-07');
+        assert.equal(consistent.id, 'logging-time:consistent:2024-03');
+        assert.equal(consistent.data.usualTime, '08:10');
+
+        const times = ['06:00', '23:00', '07:00', '22:00', '12:00', '06:30', '21:30'];
+        const irregular = daily('2024-03-01', Array(7).fill('😊')).map((m, i) => ({ ...m, time: times[i] }));
+        assert.equal(run('logging-time', irregular, '2024-03-07')[0].id, 'logging-time:irregular:2024-03');
+    });
+
+    test('best and worst weekdays, most frequent mood and streaks', () => {
+        const insights = buildInsights(twoWeeks(), '2024-03-18', { generators: {}, dismissed: [], pinned: [] });
+        const byId = Object.fromEntries(insights.map(i => [i.id, i]));
+
+        assert.match(byId['weekdays:best:Saturday'].text, />Saturdays</);
+        assert.match(byId['weekdays:worst:Monday'].text, />Mondays</);
+        assert.match(byId['top-mood:😊'].text, /😊 \(<span[^>]*>71%</);
+        assert.match(byId['streak:2024-03-04:14'].text, />14 days</);
+    });
+
+    test('nothing is generated from less than a week', () => {
+        assert.deepEqual(buildInsights(twoWeeks().slice(0, 6), '2024-03-09'), []);
+    });
+
+    test('most severe insights come first', () => {
+        const moods = daily('2024-03-01', ['😍', '😢', '😢', '😢', '😍', '😊', '😊']);
+        const severities = buildInsights(moods, '2024-03-07').map(i => i.severity);
+        assert.deepEqual(severities, [...severities].sort((a, b) =>
+            ['warning', 'positive', 'info'].indexOf(a) - ['warning', 'positive', 'info'].indexOf(b)));
+        assert.equal(severities[0], 'warning');
+    });
+});
+
+describe('settings and card state', () => {
+    test('generators can be turned off and given another window', () => {
+        assert.deepEqual(getGeneratorOptions('volatility'), { enabled: true, days: 30 });
+
+        updateGeneratorOptions('volatility', { days: 90 });
+        updateGeneratorOptions('streak', { enabled: false });
+        assert.deepEqual(getGeneratorOptions('volatility'), { enabled: true, days: 90 });
+
+        const insights = buildInsights(twoWeeks(), '2024-03-18');
+        assert.ok(!insights.some(i => i.generator === 'streak'));
+        assert.throws(() => updateGeneratorOptions('nope', {}), /Unknown insight/);
+    });
+
+    test('dismissed insights stay hidden until restored', () => {
+        const insights = buildInsights(twoWeeks(), '2024-03-18');
+        dismissInsight('weekdays:best:Saturday');
+
+        const { active } = selectInsights(insights);
+        assert.equal(active.length, insights.length - 1);
+        assert.ok(!active.some(i => i.id === 'weekdays:best:Saturday'));
+
+        restoreDismissedInsights();
+        assert.equal(selectInsights(insights).active.length, insights.length);
+    });
+
+    test('pinned insights come first and outlive their data', () => {
+        const insights = buildInsights(twoWeeks(), '2024-03-18');
+        const streak = insights.find(i => i.generator === 'streak');
+        pinInsight(streak, '2024-03-18');
+
+        const { pinned, active } = selectInsights(insights);
+        assert.deepEqual(pinned.map(p => p.id), [streak.id]);
+        assert.equal(pinned[0].pinned, true);
+        assert.ok(!active.some(i => i.id === streak.id));
+
+        // A week later the streak is over, but the pinned card is rebuilt
+        // as it was on the day it was pinned
+        const later = selectInsights(buildInsights(twoWeeks(), '2024-03-25'), getInsightState(), twoWeeks());
+        assert.deepEqual(later.pinned.map(p => p.text), [streak.text]);
+
+        unpinInsight(streak.id);
+        assert.deepEqual(getInsightState().pinned, []);
+    });
+
+    test('store only the IDs of pinned insights', () => {
+        const [insight] = buildInsights(twoWeeks(), '2024-03-18');
+        pinInsight(insight, '2024-03-18');
+
+        const stored = localStorage.getItem('moodpad_insights');
+        assert.ok(!stored.includes(insight.text));
+        assert.deepEqual(JSON.parse(stored).pinned, [{ id: insight.id, pinnedAt: '2024-03-18' }]);
+    });
+
+    test('drop the text older versions kept with pinned insights', () => {
+        const saved = JSON.stringify({
+            pinned: [{ id: 'streak:2024-03-05:7', text: 'You logged <b>7 days</b>', pinnedAt: '2024-03-11' }]
+        });
+        localStorage.setItem('moodpad_insights', saved);
+
+        assert.deepEqual(getInsightState().pinned, [{ id: 'streak:2024-03-05:7', pinnedAt: '2024-03-11' }]);
+        assert.equal(localStorage.getItem('moodpad_insights'), saved, 'reading writes nothing');
+
+        migrateInsightState();
+        assert.ok(!localStorage.getItem('moodpad_insights').includes('7 days'));
+    });
+
+    test('hash the tag in tag-pattern IDs saved by older versions', () => {
+        const moods = [
+            ...daily('2024-03-01', ['😍', '😍', '😊', '😍']).map(m => ({ ...m, tags: ['therapy'] })),
+            ...daily('2024-03-05', ['😢', '😐', '😢', '😴'])
+        ];
+        localStorage.setItem('moodpad_insights', JSON.stringify({ dismissed: ['tag-patterns:therapy:better'] }));
+
+        migrateInsightState();
+        migrateInsightState();
+        assert.ok(!localStorage.getItem('moodpad_insights').includes('therapy'));
+
+        const [insight] = run('tag-patterns', moods, '2024-03-10');
+        assert.deepEqual(getInsightState().dismissed, [insight.id]);
+    });
+
+    test('dismissing a pinned insight unpins it', () => {
+        const [insight] = buildInsights(twoWeeks(), '2024-03-18');
+        pinInsight(insight);
+        dismissInsight(insight.id);
+
+        assert.deepEqual(getInsightState().pinned, []);
+        assert.deepEqual(getInsightState().dismissed, [insight.id]);
+    });
+});
+
+describe('tag correlations', () => {
+    // Exercise days are loving or happy, work days sad, one day has both
+    const moods = [
+        { date: '2024-01-10', emoji: '😊', tags: ['exercise'] },
+        { date: '2024-02-10', emoji: '😍', tags: ['exercise'] },
+        { date: '2024-03-01', emoji: '😍', tags: ['exercise'] },
+        { date: '2024-03-02', emoji: '😍', tags: ['exercise'] },
+        { date: '2024-03-03', emoji: '😢', tags: ['work'] },
+        { date: '2024-03-04', emoji: '😢', tags: ['work'] },
+        { date: '2024-03-05', emoji: '😴', tags: ['work', 'exercise'] },
+        { date: '2024-03-06', emoji: '😐' },
+        { date: '2024-03-07', emoji: '😐' }
+    ];
+
+    test('compare the average with and without each tag', () => {
+        const [exercise, work] = buildTagCorrelations(moods, '2024-03-15');
+
+        assert.equal(exercise.tag, 'exercise');
+        assert.equal(exercise.count, 5);
+        assert.equal(exercise.withAverage, 21 / 5);
+        assert.equal(exercise.withoutAverage, 8 / 4);
+        assert.ok(Math.abs(exercise.difference - 2.2) < 1e-9);
+
+        assert.equal(work.tag, 'work');
+        assert.equal(work.withAverage, 4 / 3);
+        assert.ok(work.difference < -2);
+    });
+
+    test('rate confidence by count and spread', () => {
+        const correlations = buildTagCorrelations(moods, '2024-03-15');
+        assert.deepEqual(correlations.map(c => [c.tag, c.confidence]), [['exercise', 'high'], ['work', 'high']]);
+
+        const few = buildTagCorrelations([
+            { date: '2024-03-01', emoji: '😍', tags: ['rare'] },
+            { date: '2024-03-02', emoji: '😢' },
+            { date: '2024-03-03', emoji: '😢' },
+            { date: '2024-03-04', emoji: '😢' }
+        ], '2024-03-15');
+        assert.equal(few[0].confidence, 'low');
+
+        const noisy = buildTagCorrelations([
+            ...['😍', '😢', '😍', '😢'].map((emoji, i) => ({ date: `2024-03-0${i + 1}`, emoji, tags: ['mixed'] })),
+            ...['😍', '😢', '😊', '😢'].map((emoji, i) => ({ date: `2024-03-1${i + 1}`, emoji }))
+        ], '2024-03-15');
+        assert.equal(noisy[0].confidence, 'low');
+    });
+
+    test('track each tag by month over the last six months', () => {
+        const [exercise] = buildTagCorrelations(moods, '2024-03-15');
+
+        assert.deepEqual(exercise.trend.map(t => t.month), ['2023-10', '2023-11', '2023-12', '2024-01', '2024-02', '2024-03']);
+        assert.deepEqual(exercise.trend.slice(3).map(t => [t.average, t.count]), [[4, 1], [5, 1], [4, 3]]);
+        assert.equal(exercise.trend[0].average, null);
+        assert.equal(exercise.direction, 'flat');
+
+        const [work] = buildTagCorrelations(moods, '2024-03-15').slice(1);
+        assert.equal(work.direction, null);
+    });
+
+    test('a tag on every check-in has nothing to compare against', () => {
+        const [all] = buildTagCorrelations([{ date: '2024-03-01', emoji: '😊', tags: ['daily'] }], '2024-03-15');
+        assert.equal(all.withoutAverage, null);
+        assert.equal(all.difference, null);
+        assert.equal(all.confidence, 'low');
+    });
+
+    test('compare two tags side by side', () => {
+        const comparison = compareTags(moods, 'exercise', 'work', '2024-03-15');
+
+        assert.equal(comparison.first.tag, 'exercise');
+        assert.equal(comparison.second.tag, 'work');
+        assert.deepEqual(comparison.both, { count: 1, average: 2 });
+        assert.equal(compareTags(moods, 'exercise', 'missing'), null);
+    });
+
+});
@@ -0,0 +1,127 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, getAllMoods, exportToCSV } from '../js/storage.js';
+import { normalizeIntensity, normalizeEmotions, getWeightedScore } from '../js/moods.js';
+import { summarizeDay, buildTrendData } from '../js/stats.js';
+import { buildMonthGrid, getMoodAlpha } from '../js/calendar.js';
+import { previewCSVImport, commitCSVImport, renderMoodDetailsSection, getMoodDetails } from '../js/features.js';
+import { parseCSV } from '../js/csv.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('intensity and emotions', () => {
+    test('accept whole intensities from 1 to 10', () => {
+        assert.equal(normalizeIntensity('7'), 7);
+        assert.equal(normalizeIntensity(''), null);
+        assert.throws(() => normalizeIntensity(11), /1 to 10/);
+        assert.throws(() => normalizeIntensity(2.5), /whole number/);
+    });
+
+    test('lowercase emotions, drop duplicates and the main mood', () => {
+        assert.deepEqual(normalizeEmotions([' Excited', 'anxious', 'excited', ''], '😰'), ['excited']);
+        assert.deepEqual(normalizeEmotions(['calm']), ['calm']);
+    });
+
+    test('weight scores away from neutral by intensity', () => {
+        // Tired and anxious both score 2
+        assert.equal(getWeightedScore('😴'), 2);
+        assert.equal(getWeightedScore('😴', 5), 2);
+        assert.equal(getWeightedScore('😰', 10), 1);
+        assert.equal(getWeightedScore('😴', 1), 2.8);
+        // Within 1-5, and neutral stays neutral
+        assert.equal(getWeightedScore('😍', 10), 5);
+        assert.equal(getWeightedScore('😐', 10), 3);
+    });
+});
+
+describe('saving intensity and emotions', () => {
+    test('store them and keep them when a save leaves them out', async () => {
+        const entry = await saveMood('2024-03-01', '😰', '', [], { intensity: 8, emotions: ['excited', 'anxious'] });
+        assert.equal(entry.intensity, 8);
+        assert.deepEqual(entry.emotions, ['excited']);
+
+        const edited = await saveMood('2024-03-01', '😰', 'big day', null, { id: entry.id });
+        assert.equal(edited.intensity, 8);
+        assert.deepEqual(edited.emotions, ['excited']);
+
+        const cleared = await saveMood('2024-03-01', '😰', 'big day', null, { id: entry.id, intensity: null, emotions: [] });
+        assert.equal(cleared.intensity, null);
+        assert.deepEqual(cleared.emotions, []);
+    });
+
+    test('refuse an intensity out of range', async () => {
+        await assert.rejects(() => saveMood('2024-03-01', '😊', '', [], { intensity: 0 }), /Intensity/);
+    });
+
+    test('the picker hands over the details it was given', () => {
+        renderMoodDetailsSection('moodDetailsContainer', { intensity: 3, emotions: ['calm'] });
+        assert.deepEqual(getMoodDetails(), { intensity: 3, emotions: ['calm'] });
+    });
+});
+
+describe('intensity in trends and the calendar', () => {
+    test('weight the trend by intensity', () => {
+        const moods = [
+            { date: '2024-03-01', time: '09:00', emoji: '😴', intensity: 2 },
+            { date: '2024-03-02', time: '09:00', emoji: '😰', intensity: 10 },
+            { date: '2024-03-03', time: '09:00', emoji: '😰' }
+        ];
+
+        assert.deepEqual(buildTrendData(moods, 3, '2024-03-03').map(d => d.value), [2.6, 1, 2]);
+    });
+
+    test('summarize the average intensity of a day', () => {
+        const day = summarizeDay([
+            { date: '2024-03-01', time: '09:00', emoji: '😊', intensity: 4 },
+            { date: '2024-03-01', time: '12:00', emoji: '😊', intensity: 8 },
+            { date: '2024-03-01', time: '18:00', emoji: '😊' }
+        ]);
+        assert.equal(day.intensity, 6);
+        assert.equal(day.value, 4);
+    });
+
+    test('tint stronger moods more strongly', () => {
+        assert.equal(getMoodAlpha(null), 0.2);
+        assert.ok(getMoodAlpha(1) < getMoodAlpha(10));
+
+        const day = summarizeDay([{ date: '2024-03-05', time: '09:00', emoji: '😊', intensity: 10 }]);
+        const html = buildMonthGrid(2024, 2, new Map([[day.date, day]]), { interactive: false });
+        assert.match(html, /rgba\(255, 217, 61, 0\.5\)/);
+        assert.match(html, /intensity 10 of 10/);
+    });
+});
+
+describe('intensity and emotions in CSV', () => {
+    test('export and re-import without changes', async () => {
+        await saveMood('2024-03-01', '😊', '', [], { time: '09:00', intensity: 6, emotions: ['calm', 'proud'] });
+
+        const csv = await exportToCSV();
+        const [header, row] = parseCSV(csv).map(r => r.fields);
+        assert.deepEqual(header.slice(6, 8), ['Intensity', 'Emotions']);
+        assert.deepEqual(row.slice(6, 8), ['6', 'calm; proud']);
+
+        const preview = await previewCSVImport(csv);
+        assert.deepEqual(preview.counts, { new: 0, changed: 0, unchanged: 1, invalid: 0 });
+    });
+
+    test('leave them alone when the file has no column for them', async () => {
+        await saveMood('2024-03-01', '😊', 'before', [], { time: '09:00', intensity: 6, emotions: ['calm'] });
+
+        await commitCSVImport(await previewCSVImport('Date,Time,Emoji,Note\n2024-03-01,09:00,😊,after\n'));
+        const [entry] = await getAllMoods();
+        assert.equal(entry.note, 'after');
+        assert.equal(entry.intensity, 6);
+        assert.deepEqual(entry.emotions, ['calm']);
+    });
+
+    test('reject intensities out of range', async () => {
+        const preview = await previewCSVImport('Date,Emoji,Intensity\n2024-03-01,😊,12\n');
+        assert.match(preview.rows[0].error, /Invalid intensity "12"/);
+    });
+});
@@ -0,0 +1,136 @@
+import { resetEnvironment, setClock } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    isPinEnabled,
+    isValidPin,
+    setPin,
+    removePin,
+    verifyPin,
+    getLockoutDuration,
+    getLockoutRemaining,
+    getAutoLockSettings,
+    saveAutoLockSettings,
+    isIdleTooLong,
+    markActivity,
+    MAX_ATTEMPTS
+} from '../js/lock.js';
+import { createBackup } from '../js/backup.js';
+
+const NOW = Date.UTC(2024, 2, 15, 12, 0, 0);
+
+async function failAttempts(count, now = NOW) {
+    for (let i = 0; i < count; i++) {
+        await assert.rejects(verifyPin('0000', now));
+    }
+}
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('PIN', () => {
+    test('only 4-8 digit PINs are valid', async () => {
+        assert.equal(isValidPin('1234'), true);
+        assert.equal(isValidPin('12345678'), true);
+        assert.equal(isValidPin('123'), false);
+        assert.equal(isValidPin('123456789'), false);
+        assert.equal(isValidPin('12a4'), false);
+        await assert.rejects(setPin('12'), /4 to 8 digits/);
+    });
+
+    test('is stored hashed and verified', async () => {
+        await setPin('2468');
+        assert.equal(isPinEnabled(), true);
+        assert.ok(!localStorage.getItem('moodpad_pin').includes('2468'));
+
+        await verifyPin('2468', NOW);
+        await assert.rejects(verifyPin('1357', NOW), /Wrong PIN\. 4 attempts left/);
+    });
+
+    test('does nothing once removed', async () => {
+        await setPin('2468');
+        removePin();
+        assert.equal(isPinEnabled(), false);
+        await verifyPin('anything', NOW);
+    });
+
+    test('is not included in backups', async () => {
+        await setPin('2468');
+        await assert.rejects(verifyPin('1357', NOW));
+        saveAutoLockSettings({ minutes: 15 });
+
+        const { settings } = await createBackup();
+        assert.equal(settings.moodpad_pin, undefined);
+        assert.equal(settings.moodpad_pin_attempts, undefined);
+        assert.ok(settings.moodpad_auto_lock);
+    });
+});
+
+describe('lockout', () => {
+    test('durations start after MAX_ATTEMPTS and double up to an hour', () => {
+        assert.equal(getLockoutDuration(MAX_ATTEMPTS - 1), 0);
+        assert.equal(getLockoutDuration(MAX_ATTEMPTS), 30 * 1000);
+        assert.equal(getLockoutDuration(MAX_ATTEMPTS + 1), 60 * 1000);
+        assert.equal(getLockoutDuration(MAX_ATTEMPTS + 20), 60 * 60 * 1000);
+    });
+
+    test('blocks even the right PIN until it expires', async () => {
+        await setPin('2468');
+        await failAttempts(MAX_ATTEMPTS - 1);
+        await assert.rejects(verifyPin('0000', NOW), /Try again in 30 seconds/);
+
+        assert.equal(getLockoutRemaining(NOW + 10 * 1000), 20 * 1000);
+        await assert.rejects(verifyPin('2468', NOW + 10 * 1000), /Try again in 20 seconds/);
+
+        await verifyPin('2468', NOW + 30 * 1000);
+        assert.equal(getLockoutRemaining(NOW + 30 * 1000), 0);
+    });
+
+    test('each wrong attempt after a lockout doubles it', async () => {
+        await setPin('2468');
+        await failAttempts(MAX_ATTEMPTS);
+
+        const later = NOW + 30 * 1000;
+        await assert.rejects(verifyPin('0000', later), /Try again in 1 minute/);
+        assert.equal(getLockoutRemaining(later), 60 * 1000);
+    });
+
+    test('a correct PIN resets the count', async () => {
+        await setPin('2468');
+        await failAttempts(MAX_ATTEMPTS - 1);
+        await verifyPin('2468', NOW);
+        await assert.rejects(verifyPin('0000', NOW), /4 attempts left/);
+    });
+});
+
+describe('auto-lock', () => {
+    test('defaults to five minutes and locking in the background', () => {
+        assert.deepEqual(getAutoLockSettings(), { minutes: 5, onHide: true });
+        saveAutoLockSettings({ onHide: false });
+        assert.deepEqual(getAutoLockSettings(), { minutes: 5, onHide: false });
+    });
+
+    test('locks once idle for longer than the delay', () => {
+        setClock('2024-03-15', '12:00');
+        markActivity();
+
+        setClock('2024-03-15', '12:04');
+        assert.equal(isIdleTooLong(), false);
+        setClock('2024-03-15', '12:05');
+        assert.equal(isIdleTooLong(), true);
+
+        markActivity();
+        assert.equal(isIdleTooLong(), false);
+    });
+
+    test('never locks when set to never', () => {
+        saveAutoLockSettings({ minutes: 0 });
+        setClock('2024-03-15', '12:00');
+        markActivity();
+        setClock('2024-03-16', '12:00');
+        assert.equal(isIdleTooLong(), false);
+    });
+});
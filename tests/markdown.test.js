@@ -0,0 +1,89 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, getAllMoods, exportToCSV } from '../js/storage.js';
+import { renderMarkdown, markdownToPlainText } from '../js/markdown.js';
+import { previewCSVImport, commitCSVImport } from '../js/features.js';
+import { buildSnippet } from '../js/search.js';
+import { parseCSV } from '../js/csv.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('rendering Markdown', () => {
+    test('format emphasis, headings and line breaks', () => {
+        assert.equal(
+            renderMarkdown('# Today\nA **good** day, *mostly*.\nStill tired.\n\nsnake_case stays'),
+            '<h3>Today</h3><p>A <strong>good</strong> day, <em>mostly</em>.<br>Still tired.</p><p>snake_case stays</p>'
+        );
+        assert.equal(renderMarkdown(''), '');
+    });
+
+    test('group list items into lists', () => {
+        assert.equal(
+            renderMarkdown('Wins:\n1. Walk\n2. Call mum\n- tea\n* cake'),
+            '<p>Wins:</p><ol><li>Walk</li><li>Call mum</li></ol><ul><li>tea</li><li>cake</li></ul>'
+        );
+        assert.equal(renderMarkdown('3. third\n4. fourth'), '<ol start="3"><li>third</li><li>fourth</li></ol>');
+    });
+
+    test('link to web pages and email addresses only', () => {
+        assert.equal(
+            renderMarkdown('[my_notes](https://example.com/a_b?x=1&y=2)'),
+            '<p><a href="https://example.com/a_b?x=1&amp;y=2" target="_blank" rel="noopener noreferrer">my_notes</a></p>'
+        );
+        assert.match(renderMarkdown('[me](mailto:me@example.com)'), /href="mailto:me@example.com"/);
+        assert.equal(renderMarkdown('[click](javascript:alert(1))'), '<p>click)</p>');
+        assert.equal(renderMarkdown('[data](data:text/html,hi)'), '<p>data</p>');
+    });
+
+    test('never let markup from the note through', () => {
+        const html = renderMarkdown('<script>alert(1)</script>\n**<img src=x onerror=alert(1)>**\n[x](https://a.com/"onclick="alert(1))');
+
+        assert.doesNotMatch(html, /<script|<img/);
+        assert.match(html, /&lt;script&gt;/);
+        assert.match(html, /<strong>&lt;img src=x onerror=alert\(1\)&gt;<\/strong>/);
+        assert.match(html, /href="https:\/\/a.com\/&quot;onclick=&quot;alert\(1"/);
+    });
+});
+
+describe('plain text notes', () => {
+    test('drop the markup and keep link addresses', () => {
+        assert.equal(
+            markdownToPlainText('## Today\n**Good** day, see [photos](https://example.com)\n\n* tea\n1. walk'),
+            'Today\nGood day, see photos (https://example.com)\n\n- tea\n1. walk'
+        );
+        assert.equal(markdownToPlainText(null), '');
+    });
+
+    test('keep search snippets free of markup', () => {
+        const [segment] = buildSnippet('A **great** walk', []);
+        assert.equal(segment.text, 'A great walk');
+    });
+});
+
+describe('Markdown notes in exports', () => {
+    test('write plain text to CSV and Markdown to the store', async () => {
+        await saveMood('2024-03-01', '😊', '**Great** day\n- walk', [], { time: '09:00' });
+
+        const [, row] = parseCSV(await exportToCSV()).map(r => r.fields);
+        assert.equal(row[3], 'Great day\n- walk');
+        assert.equal((await getAllMoods())[0].note, '**Great** day\n- walk');
+    });
+
+    test('keep the Markdown when an export is imported again', async () => {
+        await saveMood('2024-03-01', '😊', '**Great** day', ['walk'], { time: '09:00' });
+
+        const csv = await exportToCSV();
+        assert.deepEqual((await previewCSVImport(csv)).counts, { new: 0, changed: 0, unchanged: 1, invalid: 0 });
+
+        await commitCSVImport(await previewCSVImport(csv.replace('walk', 'run')));
+        const [entry] = await getAllMoods();
+        assert.deepEqual(entry.tags, ['run']);
+        assert.equal(entry.note, '**Great** day');
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+    ROOT,
+    listAppFiles,
+    buildPrecacheManifest,
+    renderPrecacheManifest,
+    isPrecacheManifestCurrent
+} from '../scripts/precache.js';
+
+/**
+ * A minimal app tree in a temporary directory
+ */
+function makeApp(files) {
+    const root = mkdtempSync(join(tmpdir(), 'moodpad-'));
+    ['css', 'js', 'icons'].forEach(dir => mkdirSync(join(root, dir)));
+    Object.entries(files).forEach(([path, content]) => writeFileSync(join(root, path), content));
+    return root;
+}
+
+const APP = {
+    'index.html': '<html></html>',
+    'manifest.json': '{}',
+    'css/styles.css': 'body {}',
+    'js/app.js': 'init();',
+    'js/notes.txt': 'not part of the app',
+    'icons/icon-192.svg': '<svg></svg>'
+};
+
+describe('precache manifest', () => {
+    test('is up to date with the app files (run node scripts/precache.js)', () => {
+        assert.ok(isPrecacheManifestCurrent());
+    });
+
+    test('lists the app files and serves / as index.html', () => {
+        const root = makeApp(APP);
+        try {
+            const entries = buildPrecacheManifest(root);
+
+            assert.deepEqual(entries.map(e => e.url), [
+                '/', '/css/styles.css', '/icons/icon-192.svg', '/index.html', '/js/app.js', '/manifest.json'
+            ]);
+            assert.equal(entries[0].revision, entries.find(e => e.url === '/index.html').revision);
+            assert.match(renderPrecacheManifest(entries), /self\.PRECACHE_MANIFEST = \[/);
+        } finally {
+            rmSync(root, { recursive: true });
+        }
+    });
+
+    test('changing a file changes its revision only', () => {
+        const root = makeApp(APP);
+        try {
+            const before = buildPrecacheManifest(root);
+            writeFileSync(join(root, 'js/app.js'), 'init(); update();');
+            const after = buildPrecacheManifest(root);
+
+            const changed = after.filter((entry, i) => entry.revision !== before[i].revision);
+            assert.deepEqual(changed.map(e => e.url), ['/js/app.js']);
+            assert.equal(isPrecacheManifestCurrent(root), false);
+        } finally {
+            rmSync(root, { recursive: true });
+        }
+    });
+
+    test('covers every module and icon the app references', () => {
+        const files = listAppFiles();
+        ['/js/app.js', '/js/reminders.js', '/css/styles.css', '/icons/icon-192.svg'].forEach(file => {
+            assert.ok(files.includes(file), file);
+        });
+
+        const sources = ['sw.js', 'index.html', 'manifest.json']
+            .map(file => readFileSync(join(ROOT, file), 'utf8'))
+            .join('\n');
+        const icons = [...new Set(sources.match(/icons\/[\w.-]+/g))];
+
+        assert.ok(icons.length > 0);
+        icons.forEach(icon => assert.ok(existsSync(join(ROOT, icon)), `${icon} is missing`));
+    });
+});
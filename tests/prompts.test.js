@@ -0,0 +1,114 @@
+import { resetEnvironment, addElement } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, exportToCSV } from '../js/storage.js';
+import {
+    PROMPTS,
+    DEFAULT_TEMPLATES,
+    getPromptCategory,
+    getDailyPrompt,
+    normalizePromptAnswers,
+    getTemplates,
+    addTemplate,
+    removeTemplate,
+    applyTemplate
+} from '../js/prompts.js';
+import { previewCSVImport, renderPromptsSection, getPromptAnswers } from '../js/features.js';
+import { parseCSV } from '../js/csv.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('daily prompts', () => {
+    test('ask for gratitude on good days and coping on sad or anxious ones', () => {
+        assert.equal(getPromptCategory('😊'), 'gratitude');
+        assert.equal(getPromptCategory('😢'), 'coping');
+        assert.equal(getPromptCategory('😰'), 'coping');
+        assert.equal(getPromptCategory('😐'), 'reflection');
+        assert.equal(getPromptCategory(null), 'reflection');
+    });
+
+    test('rotate daily, and skip to the next prompt on request', () => {
+        const today = getDailyPrompt('😊', '2024-03-01');
+        const tomorrow = getDailyPrompt('😊', '2024-03-02');
+
+        assert.ok(PROMPTS.gratitude.includes(today));
+        assert.notEqual(today, tomorrow);
+        assert.equal(getDailyPrompt('😊', '2024-03-01', 1), tomorrow);
+        assert.equal(getDailyPrompt('😊', '2024-03-01', PROMPTS.gratitude.length), today);
+    });
+
+    test('keep answered prompts only, once each', () => {
+        assert.deepEqual(normalizePromptAnswers([
+            { prompt: 'Q1', answer: ' yes ' },
+            { prompt: 'Q2', answer: '  ' },
+            { prompt: 'Q1', answer: 'again' }
+        ]), [{ prompt: 'Q1', answer: 'yes' }]);
+    });
+});
+
+describe('note templates', () => {
+    test('offer the built-in template until the list changes', () => {
+        assert.deepEqual(getTemplates(), DEFAULT_TEMPLATES);
+
+        const added = addTemplate(' Evening ', 'Best part:\n');
+        assert.deepEqual(getTemplates().map(t => t.name), ['3 wins / 1 lesson', 'Evening']);
+        assert.equal(added.body, 'Best part:');
+
+        removeTemplate(DEFAULT_TEMPLATES[0].id);
+        removeTemplate(added.id);
+        assert.deepEqual(getTemplates(), []);
+    });
+
+    test('reject empty or taken names and empty text', () => {
+        assert.throws(() => addTemplate('', 'text'), /name/);
+        assert.throws(() => addTemplate('Empty', '  '), /text/);
+        assert.throws(() => addTemplate('3 WINS / 1 LESSON', 'text'), /already a template/);
+    });
+
+    test('add the template on a new paragraph', () => {
+        const template = { body: 'Lesson: ' };
+        assert.equal(applyTemplate('', template), 'Lesson: ');
+        assert.equal(applyTemplate('Long day.\n', template), 'Long day.\n\nLesson: ');
+    });
+});
+
+describe('answered prompts', () => {
+    test('store them on the check-in and keep them when a save leaves them out', async () => {
+        const entry = await saveMood('2024-03-01', '😊', '', [], {
+            prompts: [{ prompt: 'What are you grateful for today?', answer: 'Sunshine' }, { prompt: 'Skipped', answer: '' }]
+        });
+        assert.deepEqual(entry.prompts, [{ prompt: 'What are you grateful for today?', answer: 'Sunshine' }]);
+
+        const edited = await saveMood('2024-03-01', '😊', 'note', null, { id: entry.id });
+        assert.deepEqual(edited.prompts, entry.prompts);
+    });
+
+    test('export them in a Prompts column that imports leave alone', async () => {
+        await saveMood('2024-03-01', '😊', '', [], {
+            time: '09:00',
+            prompts: [{ prompt: 'Q1', answer: 'A1' }, { prompt: 'Q2', answer: 'A2' }]
+        });
+
+        const csv = await exportToCSV();
+        const [header, row] = parseCSV(csv).map(r => r.fields);
+        assert.equal(header[8], 'Prompts');
+        assert.equal(row[8], 'Q1\nA1\n\nQ2\nA2');
+
+        const preview = await previewCSVImport(csv);
+        assert.deepEqual(preview.counts, { new: 0, changed: 0, unchanged: 1, invalid: 0 });
+    });
+
+    test('the picker hands over the answers it was given and escapes them', () => {
+        const container = addElement('promptsContainer');
+        renderPromptsSection('promptsContainer', { emoji: '😢', date: '2024-03-01', answers: [{ prompt: '<b>Q</b>', answer: 'A' }] });
+
+        assert.deepEqual(getPromptAnswers(), [{ prompt: '<b>Q</b>', answer: 'A' }]);
+        assert.match(container.innerHTML, /&lt;b&gt;Q&lt;\/b&gt;/);
+        assert.ok(PROMPTS.coping.some(p => container.innerHTML.includes(p.replace(/'/g, '&#39;'))));
+    });
+});
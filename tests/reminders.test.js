@@ -0,0 +1,148 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_MOODS } from '../js/moods.js';
+import {
+    getReminderSettings,
+    updateReminderSettings,
+    buildReminderSchedule,
+    buildQuickLogMoods,
+    refreshReminders,
+    DEFAULT_REMINDER_SETTINGS
+} from '../js/reminders.js';
+
+const WEEKDAYS_ONLY = {
+    enabled: true,
+    times: ['08:00', '20:00'],
+    days: [1, 2, 3, 4, 5],
+    quietDays: ['2024-03-13']
+};
+
+// Monday 2024-03-11 at noon
+const NOW = new Date(2024, 2, 11, 12, 0);
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('reminder settings', () => {
+    test('default to 8 PM every day, switched off', () => {
+        assert.deepEqual(getReminderSettings(), DEFAULT_REMINDER_SETTINGS);
+    });
+
+    test('read the old on/off setting as 8 PM every day', () => {
+        localStorage.setItem('moodpad_reminder', 'true');
+        assert.deepEqual(getReminderSettings(), { ...DEFAULT_REMINDER_SETTINGS, enabled: true });
+    });
+
+    test('sort times and days and drop past quiet days', () => {
+        const saved = updateReminderSettings({
+            enabled: true,
+            times: ['21:30', '07:00', '21:30'],
+            days: [5, 1, 1, 9],
+            quietDays: ['2024-03-20', '2024-03-01', '2024-03-15']
+        }, '2024-03-11');
+
+        assert.deepEqual(saved, {
+            enabled: true,
+            times: ['07:00', '21:30'],
+            days: [1, 5],
+            quietDays: ['2024-03-15', '2024-03-20']
+        });
+        assert.deepEqual(getReminderSettings(), saved);
+    });
+
+    test('reject bad or too many times and bad quiet days', () => {
+        assert.throws(() => updateReminderSettings({ times: ['8pm'] }), /HH:MM/);
+        assert.throws(() => updateReminderSettings({ times: ['24:00'] }), /HH:MM/);
+        assert.throws(() => updateReminderSettings({ times: [] }), /at least one/);
+        assert.throws(
+            () => updateReminderSettings({ times: ['01:00', '02:00', '03:00', '04:00', '05:00', '06:00', '07:00'] }),
+            /At most 6/
+        );
+        assert.throws(() => updateReminderSettings({ quietDays: ['2024-02-30'] }), /valid dates/);
+        assert.deepEqual(getReminderSettings(), DEFAULT_REMINDER_SETTINGS);
+    });
+
+    test('rescheduling without a service worker does nothing', async () => {
+        await refreshReminders();
+    });
+
+    test('take quick-log moods off reminders once the journal is encrypted', async () => {
+        updateReminderSettings({ enabled: true });
+        const messages = [];
+        const registration = { active: { postMessage: message => messages.push(message) } };
+        globalThis.navigator = { serviceWorker: { getRegistration: async () => registration, ready: Promise.resolve(registration) } };
+
+        try {
+            await refreshReminders();
+            await refreshReminders({ encrypted: true });
+        } finally {
+            delete globalThis.navigator;
+            // Stops the reminder timer started above
+            await refreshReminders();
+        }
+
+        assert.equal(messages.length, 2);
+        assert.equal(messages[0].encrypted, false);
+        assert.ok(messages[0].quickMoods.length > 0);
+        assert.equal(messages[1].encrypted, true);
+        assert.deepEqual(messages[1].quickMoods, []);
+    });
+});
+
+describe('reminder schedule', () => {
+    test('list every time on the chosen days, skipping quiet days', () => {
+        const schedule = buildReminderSchedule(WEEKDAYS_ONLY, { now: NOW, days: 7 });
+
+        assert.deepEqual(schedule.map(r => `${r.date} ${r.time}`), [
+            '2024-03-11 08:00', '2024-03-11 20:00',
+            '2024-03-12 08:00', '2024-03-12 20:00',
+            '2024-03-14 08:00', '2024-03-14 20:00',
+            '2024-03-15 08:00', '2024-03-15 20:00'
+        ]);
+    });
+
+    test('use local times and expire at the next midnight', () => {
+        const [morning] = buildReminderSchedule(WEEKDAYS_ONLY, { now: NOW, days: 1 });
+
+        assert.equal(morning.timestamp, new Date(2024, 2, 11, 8, 0).getTime());
+        assert.equal(morning.expires, new Date(2024, 2, 12).getTime());
+    });
+
+    test('skip today once it has a check-in', () => {
+        const schedule = buildReminderSchedule(WEEKDAYS_ONLY, { now: NOW, days: 3, loggedToday: true });
+        assert.deepEqual([...new Set(schedule.map(r => r.date))], ['2024-03-12']);
+    });
+
+    test('is empty while reminders are off', () => {
+        assert.deepEqual(buildReminderSchedule({ ...WEEKDAYS_ONLY, enabled: false }, { now: NOW }), []);
+    });
+});
+
+describe('quick-log moods', () => {
+    test('offer the most used moods of the last 30 days', () => {
+        const moods = [
+            { date: '2024-03-10', emoji: '😢' },
+            { date: '2024-03-09', emoji: '😢' },
+            { date: '2024-03-08', emoji: '😐' },
+            // Too long ago to count
+            { date: '2024-02-01', emoji: '😴' },
+            { date: '2024-02-01', emoji: '😴' },
+            { date: '2024-02-01', emoji: '😴' }
+        ];
+
+        assert.deepEqual(buildQuickLogMoods(moods, DEFAULT_MOODS, '2024-03-11'), [
+            { emoji: '😢', label: 'Sad' },
+            { emoji: '😐', label: 'Neutral' },
+            { emoji: '😊', label: 'Happy' }
+        ]);
+    });
+
+    test('fall back to picker order without check-ins', () => {
+        const visible = DEFAULT_MOODS.filter(m => m.emoji !== '😊');
+        assert.deepEqual(buildQuickLogMoods([], visible, '2024-03-11', 2).map(m => m.emoji), ['😢', '😠']);
+    });
+});
@@ -0,0 +1,142 @@
+import { resetEnvironment, downloads } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    resolveReportPeriod,
+    getReportOptions,
+    saveReportOptions,
+    getReportNotes,
+    buildReport,
+    renderReportDocument,
+    downloadReport
+} from '../js/report.js';
+import { buildPeriodSummary } from '../js/features.js';
+
+const MOODS = [
+    { id: 'a', date: '2024-02-27', time: '20:00', emoji: '😊', note: 'before' },
+    { id: 'b', date: '2024-02-28', time: '20:00', emoji: '😢', note: '<b>private</b>', tags: ['work'] },
+    { id: 'c', date: '2024-02-29', time: '09:00', emoji: '😊', note: 'Shared & <ok>', tags: ['social'] },
+    { id: 'd', date: '2024-03-01', time: '20:00', emoji: '😊', note: '' },
+    { id: 'e', date: '2024-03-02', time: '20:00', emoji: '😍' },
+    { id: 'f', date: '2024-03-05', time: '20:00', emoji: '😢', note: 'after' }
+];
+
+const RANGE = { from: '2024-02-28', to: '2024-03-02' };
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('report periods', () => {
+    test('weeks run Monday to Sunday and the current ones end today', () => {
+        // 2024-03-13 is a Wednesday
+        assert.deepEqual(resolveReportPeriod({ period: 'this-week' }, '2024-03-13'), { from: '2024-03-11', to: '2024-03-13' });
+        assert.deepEqual(resolveReportPeriod({ period: 'last-week' }, '2024-03-13'), { from: '2024-03-04', to: '2024-03-10' });
+        assert.deepEqual(resolveReportPeriod({ period: 'this-week' }, '2024-03-10'), { from: '2024-03-04', to: '2024-03-10' });
+    });
+
+    test('months are calendar months, across year ends', () => {
+        assert.deepEqual(resolveReportPeriod({ period: 'this-month' }, '2024-03-13'), { from: '2024-03-01', to: '2024-03-13' });
+        assert.deepEqual(resolveReportPeriod({ period: 'last-month' }, '2024-03-13'), { from: '2024-02-01', to: '2024-02-29' });
+        assert.deepEqual(resolveReportPeriod({ period: 'last-month' }, '2024-01-15'), { from: '2023-12-01', to: '2023-12-31' });
+    });
+
+    test('custom ranges are put in order and need both dates', () => {
+        assert.deepEqual(
+            resolveReportPeriod({ period: 'custom', from: '2024-03-10', to: '2024-03-01' }, '2024-03-13'),
+            { from: '2024-03-01', to: '2024-03-10' }
+        );
+        assert.throws(() => resolveReportPeriod({ period: 'custom', from: '2024-03-01' }), /start and end date/);
+        assert.throws(() => resolveReportPeriod({ period: 'yearly' }), /Unknown report period/);
+    });
+
+    test('remember the period and sections', () => {
+        assert.equal(getReportOptions().period, 'last-month');
+        assert.ok(!getReportOptions().sections.includes('notes'));
+
+        saveReportOptions({ period: 'this-week', sections: ['trend'], noteIds: new Set(['a']) });
+        assert.deepEqual(getReportOptions(), { period: 'this-week', sections: ['trend'] });
+    });
+});
+
+describe('report data', () => {
+    test('period summaries cover every day between the dates', () => {
+        const summary = buildPeriodSummary(MOODS, RANGE.from, RANGE.to);
+
+        assert.deepEqual(summary.days.map(d => d.date), ['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+        assert.equal(summary.totalEntries, 4);
+        assert.equal(summary.daysLogged, 4);
+        assert.deepEqual(summary.longestStreak, { start: '2024-02-28', end: '2024-03-02', length: 4 });
+        assert.deepEqual(summary.topTags, [{ tag: 'work', count: 1 }, { tag: 'social', count: 1 }]);
+    });
+
+    test('notes are those with text in the period, oldest first', () => {
+        assert.deepEqual(getReportNotes(MOODS, RANGE.from, RANGE.to).map(m => m.id), ['b', 'c']);
+    });
+
+    test('build the months, trend and streak for the period', () => {
+        const report = buildReport(MOODS, { ...RANGE, sections: ['notes', 'overview'] }, '2024-03-13');
+
+        assert.deepEqual(report.sections, ['overview', 'notes']);
+        assert.deepEqual(report.months, [{ year: 2024, month: 1 }, { year: 2024, month: 2 }]);
+        assert.equal(report.trend.length, 4);
+        assert.equal(report.trend[0].date, '2024-02-28');
+        // The streak started before the period
+        assert.equal(report.currentStreak, 5);
+        assert.equal(report.generated, '2024-03-13');
+    });
+
+    test('only include notes that were picked', () => {
+        assert.deepEqual(buildReport(MOODS, RANGE).notes, []);
+        assert.deepEqual(buildReport(MOODS, { ...RANGE, noteIds: ['c', 'f', 'a'] }).notes.map(m => m.id), ['c']);
+    });
+});
+
+describe('report document', () => {
+    test('render the chosen sections only', () => {
+        const html = renderReportDocument(buildReport(MOODS, { ...RANGE, sections: ['calendar', 'trend'] }, '2024-03-13'));
+
+        assert.match(html, /<h2>Calendar<\/h2>/);
+        assert.match(html, /<h2>Trend<\/h2>/);
+        assert.doesNotMatch(html, /<h2>Notes<\/h2>/);
+        assert.doesNotMatch(html, /<h2>Overview<\/h2>/);
+        assert.match(html, /Feb 28, 2024 – Mar 2, 2024/);
+        assert.match(html, /@media print/);
+        // Days outside the period are drawn without their moods
+        assert.match(html, /calendar__day--outside">27</);
+        assert.doesNotMatch(html, /tabindex/);
+    });
+
+    test('escape picked notes and leave the rest out', () => {
+        const report = buildReport(MOODS, { ...RANGE, sections: ['notes'], noteIds: ['c'] });
+        const html = renderReportDocument(report);
+
+        assert.match(html, /Shared &amp; &lt;ok&gt;/);
+        assert.doesNotMatch(html, /private/);
+    });
+
+    test('only write hex mood colors into the distribution bars', () => {
+        localStorage.setItem('moodpad_mood_registry', JSON.stringify([{ emoji: '😊', color: 'red" onmouseover="alert(1)' }]));
+        const html = renderReportDocument(buildReport(MOODS, { ...RANGE, sections: ['distribution'] }));
+
+        assert.doesNotMatch(html, /onmouseover/);
+        assert.match(html, /background: #8b8b9b;/);
+    });
+
+    test('show an empty state for a period without check-ins', () => {
+        const report = buildReport(MOODS, { from: '2024-01-01', to: '2024-01-07', sections: ['trend', 'streaks'] });
+        const html = renderReportDocument(report);
+
+        assert.equal((html.match(/Nothing logged in this period/g) || []).length, 2);
+    });
+
+    test('download as an HTML file named after the period', async () => {
+        downloadReport(buildReport(MOODS, RANGE));
+
+        assert.equal(downloads.length, 1);
+        assert.equal(downloads[0].filename, 'moodpad_report_2024-02-28_2024-03-02.html');
+        assert.match(await downloads[0].blob.text(), /MoodPad Report/);
+    });
+});
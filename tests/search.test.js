@@ -0,0 +1,150 @@
+import { resetEnvironment } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { tokenize, findMatches, buildSnippet, createSearchIndex, searchEntries } from '../js/search.js';
+import { saveMood, deleteEntry, putEntries, clearAll, onEntriesChanged, announceExternalChange } from '../js/storage.js';
+
+const ENTRIES = [
+    { id: 'a', date: '2024-03-01', time: '09:00', emoji: '😊', note: 'Coffee with Anna at the café', tags: ['social'] },
+    { id: 'b', date: '2024-03-05', time: '20:00', emoji: '😢', note: 'Long day at work, skipped coffee', tags: ['work'] },
+    { id: 'c', date: '2024-03-10', time: '08:30', emoji: '😊', note: 'Morning run, felt great', tags: ['health', 'social'] },
+    { id: 'd', date: '2024-03-10', time: '21:00', emoji: '😐', note: '', tags: ['work'] }
+];
+
+function buildIndex(entries = ENTRIES) {
+    const index = createSearchIndex();
+    entries.forEach(entry => index.add(entry));
+    return index;
+}
+
+const ids = (result) => result.results.map(r => r.entry.id);
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('text', () => {
+    test('tokenize lowercases, strips accents and splits on punctuation', () => {
+        assert.deepEqual(tokenize('Café, CRÈME-brûlée! 2nd'), ['cafe', 'creme', 'brulee', '2nd']);
+        assert.deepEqual(tokenize(''), []);
+        assert.deepEqual(tokenize(null), []);
+    });
+
+    test('findMatches maps folded matches back to the original text', () => {
+        const text = 'Un café crème';
+        const ranges = findMatches(text, ['cafe', 'cr']);
+        assert.deepEqual(ranges.map(([s, e]) => text.slice(s, e)), ['café', 'cr']);
+    });
+
+    test('findMatches only matches word starts', () => {
+        assert.deepEqual(findMatches('decaf coffee', ['caf']), []);
+    });
+
+    test('buildSnippet highlights matches and trims long notes', () => {
+        const note = `${'before '.repeat(20)}the coffee was good ${'after '.repeat(30)}`;
+        const segments = buildSnippet(note, ['coffee'], 20);
+
+        assert.equal(segments[0].text, '…');
+        assert.equal(segments.at(-1).text, '…');
+        assert.deepEqual(segments.filter(s => s.match).map(s => s.text), ['coffee']);
+        assert.ok(segments.map(s => s.text).join('').length < note.length);
+    });
+
+    test('buildSnippet shows the start of the note without a query', () => {
+        assert.deepEqual(buildSnippet('Short\nnote', []), [{ text: 'Short note', match: false }]);
+        assert.deepEqual(buildSnippet('', ['x']), []);
+    });
+});
+
+describe('index', () => {
+    test('every query word must match the start of a word', () => {
+        const index = buildIndex();
+        assert.deepEqual(ids(index.search('coffee')), ['b', 'a']);
+        assert.deepEqual(ids(index.search('COF ann')), ['a']);
+        assert.deepEqual(ids(index.search('cafe')), ['a']);
+        assert.deepEqual(ids(index.search('offee')), []);
+    });
+
+    test('an empty query lists everything newest first', () => {
+        assert.deepEqual(ids(buildIndex().search('')), ['d', 'c', 'b', 'a']);
+    });
+
+    test('filters by mood, tag and date range', () => {
+        const index = buildIndex();
+        assert.deepEqual(ids(index.search('', { emoji: '😊' })), ['c', 'a']);
+        assert.deepEqual(ids(index.search('', { tag: 'work' })), ['d', 'b']);
+        assert.deepEqual(ids(index.search('', { from: '2024-03-05', to: '2024-03-09' })), ['b']);
+        assert.deepEqual(ids(index.search('coffee', { tag: 'social' })), ['a']);
+    });
+
+    test('facet counts ignore their own filter but apply the others', () => {
+        const { facets } = buildIndex().search('', { emoji: '😊', tag: 'social' });
+
+        assert.deepEqual(facets.moods, [{ emoji: '😊', count: 2 }]);
+        assert.deepEqual(facets.tags, [
+            { tag: 'social', count: 2 },
+            { tag: 'health', count: 1 }
+        ]);
+    });
+
+    test('limits results but reports the total', () => {
+        const result = buildIndex().search('', {}, 2);
+        assert.equal(result.total, 4);
+        assert.deepEqual(ids(result), ['d', 'c']);
+    });
+
+    test('re-adding an entry replaces its words', () => {
+        const index = buildIndex();
+        index.add({ ...ENTRIES[0], note: 'Tea instead' });
+
+        assert.deepEqual(ids(index.search('coffee')), ['b']);
+        assert.deepEqual(ids(index.search('tea')), ['a']);
+        assert.equal(index.size, 4);
+
+        index.remove('a');
+        assert.deepEqual(ids(index.search('tea')), []);
+        assert.equal(index.size, 3);
+    });
+});
+
+describe('storage change events', () => {
+    test('report saves, deletes and clears', async () => {
+        const events = [];
+        const unsubscribe = onEntriesChanged(event => events.push(event));
+
+        const entry = await saveMood('2024-03-15', '😊', 'hello');
+        await deleteEntry(entry.id);
+        await putEntries([ENTRIES[0]]);
+        await clearAll();
+        unsubscribe();
+        await saveMood('2024-03-16', '😊');
+
+        assert.equal(events.length, 4);
+        assert.equal(events[0].saved[0].note, 'hello');
+        assert.deepEqual(events[1].deleted, [entry.id]);
+        assert.equal(events[2].saved[0].id, 'a');
+        assert.equal(events[3].cleared, true);
+    });
+
+    test('keep the journal search index up to date', async () => {
+        await putEntries(ENTRIES);
+        assert.deepEqual(ids(await searchEntries('coffee')), ['b', 'a']);
+
+        const entry = await saveMood('2024-03-20', '😊', 'More coffee');
+        await deleteEntry('b');
+        assert.deepEqual(ids(await searchEntries('coffee')), [entry.id, 'a']);
+
+        await clearAll();
+        assert.equal((await searchEntries('')).total, 0);
+    });
+
+    test('pick up check-ins saved outside the page', async () => {
+        await putEntries(ENTRIES);
+        await searchEntries('');
+
+        announceExternalChange({ saved: [{ id: 'sw', date: '2024-03-21', time: '20:00', emoji: '😊', note: 'Logged from a reminder', tags: [] }] });
+        assert.deepEqual(ids(await searchEntries('reminder')), ['sw']);
+    });
+});
@@ -0,0 +1,216 @@
+import { resetEnvironment, setClock, addElement } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { saveMood } from '../js/storage.js';
+import {
+    summarizeDay,
+    getDailySummaries,
+    getStreakRuns,
+    calculateCurrentStreak,
+    calculateLongestStreak,
+    getCurrentStreak,
+    getLongestStreak,
+    buildTrendData,
+    getTrendData,
+    calculateRollingAverage,
+    resolveTrendRange,
+    getTrendRange,
+    setTrendRange,
+    renderTrendChart,
+    getMostCommonMood,
+    renderStats
+} from '../js/stats.js';
+
+const days = (...dates) => dates.map(date => ({ date }));
+
+async function logDays(dates, emoji = '😊') {
+    for (const date of dates) {
+        await saveMood(date, emoji);
+    }
+}
+
+beforeEach(() => {
+    resetEnvironment();
+});
+
+describe('day summaries', () => {
+    test('average every check-in and break ties with the latest', () => {
+        const summary = summarizeDay([
+            { date: '2024-03-15', time: '20:00', emoji: '😢' },
+            { date: '2024-03-15', time: '09:00', emoji: '😊' }
+        ]);
+        assert.equal(summary.emoji, '😢');
+        assert.equal(summary.value, 2.5);
+        assert.equal(summary.count, 2);
+        assert.deepEqual(summary.entries.map(e => e.time), ['09:00', '20:00']);
+    });
+
+    test('the most frequent emoji wins', () => {
+        const summary = summarizeDay([
+            { date: '2024-03-15', time: '08:00', emoji: '😊' },
+            { date: '2024-03-15', time: '12:00', emoji: '😊' },
+            { date: '2024-03-15', time: '20:00', emoji: '😢' }
+        ]);
+        assert.equal(summary.emoji, '😊');
+    });
+
+    test('getDailySummaries returns one per day, newest first', () => {
+        const summaries = getDailySummaries([
+            { date: '2024-03-14', time: '09:00', emoji: '😊' },
+            { date: '2024-03-15', time: '09:00', emoji: '😊' },
+            { date: '2024-03-14', time: '20:00', emoji: '😐' }
+        ]);
+        assert.deepEqual(summaries.map(s => [s.date, s.count]), [['2024-03-15', 1], ['2024-03-14', 2]]);
+    });
+});
+
+describe('streaks', () => {
+    test('getStreakRuns groups consecutive dates in any order', () => {
+        const runs = getStreakRuns(days('2024-03-05', '2024-03-01', '2024-03-02', '2024-03-02', '2024-03-04'));
+        assert.deepEqual(runs, [
+            { start: '2024-03-01', end: '2024-03-02', length: 2 },
+            { start: '2024-03-04', end: '2024-03-05', length: 2 }
+        ]);
+    });
+
+    test('current streak counts from today or yesterday', () => {
+        const logged = days('2024-03-12', '2024-03-13', '2024-03-14');
+        assert.equal(calculateCurrentStreak(logged, '2024-03-14'), 3);
+        assert.equal(calculateCurrentStreak(logged, '2024-03-15'), 3);
+        assert.equal(calculateCurrentStreak(logged, '2024-03-16'), 0);
+        assert.equal(calculateCurrentStreak([], '2024-03-16'), 0);
+    });
+
+    test('longest streak spans month, year and DST boundaries', () => {
+        assert.equal(calculateLongestStreak(days('2023-12-30', '2023-12-31', '2024-01-01', '2024-01-03')), 3);
+        assert.equal(calculateLongestStreak(days('2024-03-09', '2024-03-10', '2024-03-11', '2024-03-12')), 4);
+        assert.equal(calculateLongestStreak(days('2024-02-28', '2024-02-29', '2024-03-01')), 3);
+        assert.equal(calculateLongestStreak([]), 0);
+    });
+
+    test('stored streaks use the local date', async () => {
+        // One check-in per day across the US spring-forward change
+        await logDays(['2024-03-08', '2024-03-09', '2024-03-10', '2024-03-11']);
+        await saveMood('2024-03-11', '😢', '', null, { time: '22:00' });
+        await logDays(['2024-03-01', '2024-03-02']);
+
+        setClock('2024-03-12', '21:30');
+        assert.equal(await getCurrentStreak(), 4);
+        assert.equal(await getLongestStreak(), 4);
+
+        setClock('2024-03-13', '00:05');
+        assert.equal(await getCurrentStreak(), 0);
+        assert.equal(await getLongestStreak(), 4);
+    });
+});
+
+describe('trend data', () => {
+    test('one averaged point per day with gaps as null', () => {
+        const data = buildTrendData([
+            { date: '2024-03-14', time: '09:00', emoji: '😊', note: 'morning' },
+            { date: '2024-03-14', time: '20:00', emoji: '😢', note: '' },
+            { date: '2024-03-12', time: '09:00', emoji: '😍' },
+            { date: '2024-03-01', time: '09:00', emoji: '😍' }
+        ], 3, '2024-03-14');
+
+        assert.deepEqual(data, [
+            { date: '2024-03-12', value: 5, emoji: '😍', count: 1, note: null },
+            { date: '2024-03-13', value: null, emoji: null, count: 0, note: null },
+            { date: '2024-03-14', value: 2.5, emoji: '😢', count: 2, note: 'morning' }
+        ]);
+    });
+
+    test('rolling average skips missing days and is null when the window is empty', () => {
+        const values = [1, null, 3, null, null, null, null, null, null, 5];
+        const data = values.map(value => ({ value }));
+
+        assert.deepEqual(calculateRollingAverage(data, 3), [1, 1, 2, 3, 3, null, null, null, null, 5]);
+        assert.equal(calculateRollingAverage(data)[6], 2);
+    });
+
+    test('getTrendData ends on the local today', async () => {
+        await saveMood('2024-03-15', '😊');
+        setClock('2024-03-15', '23:45');
+
+        const data = await getTrendData(30);
+        assert.equal(data.length, 30);
+        assert.equal(data[0].date, '2024-02-15');
+        assert.equal(data[29].date, '2024-03-15');
+        assert.equal(data[29].value, 4);
+    });
+});
+
+describe('trend ranges', () => {
+    test('presets end today', () => {
+        assert.deepEqual(resolveTrendRange({ days: 7 }, '2024-03-15'), { from: '2024-03-09', to: '2024-03-15', days: 7 });
+        assert.equal(resolveTrendRange({ days: 365 }, '2024-03-15').from, '2023-03-17');
+    });
+
+    test('unknown presets fall back to 30 days', () => {
+        assert.equal(resolveTrendRange({ days: 12 }, '2024-03-15').days, 30);
+        assert.equal(resolveTrendRange(null, '2024-03-15').days, 30);
+    });
+
+    test('custom ranges are put in order and capped', () => {
+        assert.deepEqual(
+            resolveTrendRange({ from: '2024-03-10', to: '2024-02-20' }),
+            { from: '2024-02-20', to: '2024-03-10', days: 20 }
+        );
+        assert.deepEqual(
+            resolveTrendRange({ from: '2010-01-01', to: '2024-03-10' }),
+            { from: '2021-03-09', to: '2024-03-10', days: 1098 }
+        );
+    });
+
+    test('the chosen range is remembered', async () => {
+        assert.deepEqual(getTrendRange(), { days: 30 });
+        await setTrendRange({ days: 90 });
+        assert.deepEqual(getTrendRange(), { days: 90 });
+    });
+});
+
+describe('renderTrendChart', () => {
+    test('draws bars, gap markers and the rolling average for the chosen range', async () => {
+        await logDays(['2024-03-10', '2024-03-12']);
+        await saveMood('2024-03-12', '😢');
+        setClock('2024-03-15', '20:00');
+        const chart = addElement('trendChart');
+        const title = addElement('trendChartTitle');
+
+        await setTrendRange({ from: '2024-03-09', to: '2024-03-13' });
+
+        assert.equal(title.textContent, 'Mood Trend: Mar 9, 2024 – Mar 13, 2024');
+        assert.equal(chart.innerHTML.match(/class="trend-chart__bar"/g).length, 2);
+        assert.equal(chart.innerHTML.match(/class="trend-chart__gap"/g).length, 3);
+        assert.match(chart.innerHTML, /class="trend-chart__average" d="M[^"]+L/);
+        assert.match(chart.innerHTML, /aria-label="Tue, Mar 12: 😢 Sad, 2\.5 of 5, 2 check-ins"/);
+    });
+
+    test('says so when the range has no check-ins', async () => {
+        setClock('2024-03-15', '20:00');
+        const chart = addElement('trendChart');
+        await saveMood('2024-01-01', '😊');
+
+        await renderTrendChart();
+        assert.match(chart.innerHTML, /No moods logged in this range/);
+    });
+});
+
+describe('renderStats', () => {
+    test('fills in the stat cards', async () => {
+        await logDays(['2024-03-13', '2024-03-14']);
+        await saveMood('2024-03-15', '😢');
+        setClock('2024-03-15', '20:00');
+
+        const elements = ['mostCommonMood', 'currentStreak', 'longestStreak', 'totalEntries'].map(id => addElement(id));
+        const chart = addElement('trendChart');
+
+        assert.equal(await getMostCommonMood(2024, 2), '😊');
+        await renderStats(2024, 2);
+
+        assert.deepEqual(elements.map(el => el.textContent), ['😊', 3, 3, 3]);
+        assert.match(chart.innerHTML, /<svg/);
+    });
+});
@@ -0,0 +1,255 @@
+import { resetEnvironment, setClock } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    initStorage,
+    saveMood,
+    getAllMoods,
+    getEntry,
+    getEntriesForDate,
+    getMood,
+    deleteEntry,
+    deleteMood,
+    putEntries,
+    remapEmoji,
+    countEntriesWithEmoji,
+    clearAll,
+    getMoodsForMonth,
+    restoreEntries,
+    onEntriesChanged,
+    MAX_REVISIONS
+} from '../js/storage.js';
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+});
+
+describe('saveMood', () => {
+    test('creates a check-in stamped with the local time', async () => {
+        setClock('2024-03-15', '21:05');
+        const entry = await saveMood('2024-03-15', '😊', '  good day  ', ['work']);
+
+        assert.ok(entry.id);
+        assert.equal(entry.date, '2024-03-15');
+        assert.equal(entry.time, '21:05');
+        assert.equal(entry.note, 'good day');
+        assert.deepEqual(entry.tags, ['work']);
+        assert.equal(entry.createdAt, entry.timestamp);
+        assert.deepEqual(await getEntry(entry.id), entry);
+    });
+
+    test('adds separate check-ins on the same day', async () => {
+        await saveMood('2024-03-15', '😊', '', null, { time: '09:00' });
+        await saveMood('2024-03-15', '😢', '', null, { time: '20:00' });
+
+        const entries = await getEntriesForDate('2024-03-15');
+        assert.deepEqual(entries.map(e => e.emoji), ['😊', '😢']);
+        assert.equal((await getMood('2024-03-15')).emoji, '😢');
+    });
+
+    test('updates an existing check-in by ID', async () => {
+        setClock('2024-03-15', '09:00');
+        const original = await saveMood('2024-03-15', '😊', 'first', ['work']);
+
+        setClock('2024-03-15', '10:30');
+        const updated = await saveMood('2024-03-15', '😐', 'second', null, { id: original.id });
+
+        assert.equal(updated.id, original.id);
+        assert.equal(updated.time, '09:00');
+        assert.equal(updated.createdAt, original.createdAt);
+        assert.notEqual(updated.timestamp, original.timestamp);
+        assert.deepEqual(updated.tags, ['work'], 'tags are kept when not given');
+        assert.equal((await getAllMoods()).length, 1);
+    });
+});
+
+describe('revision history', () => {
+    test('keeps the replaced version with the time it was saved', async () => {
+        setClock('2024-03-15', '09:00');
+        const original = await saveMood('2024-03-15', '😊', 'first', ['work']);
+
+        setClock('2024-03-15', '18:00');
+        const updated = await saveMood('2024-03-15', '😢', 'second', null, { id: original.id });
+
+        assert.deepEqual(updated.revisions, [{
+            timestamp: original.timestamp,
+            date: '2024-03-15',
+            time: '09:00',
+            emoji: '😊',
+            note: 'first',
+            prompts: [],
+            tags: ['work'],
+            intensity: null,
+            emotions: [],
+            factors: {}
+        }]);
+        assert.deepEqual((await getEntry(original.id)).revisions, updated.revisions);
+    });
+
+    test('skip drafts replaced within a minute and saves that change nothing', async () => {
+        setClock('2024-03-15', '09:00');
+        const entry = await saveMood('2024-03-15', '😊', 'Went');
+        // Typing: each save replaces one a moment old
+        await saveMood('2024-03-15', '😊', 'Went for', null, { id: entry.id });
+        await saveMood('2024-03-15', '😊', 'Went for a run', null, { id: entry.id });
+
+        setClock('2024-03-15', '12:00');
+        const same = await saveMood('2024-03-15', '😊', 'Went for a run', null, { id: entry.id });
+        assert.deepEqual(same.revisions, []);
+
+        setClock('2024-03-15', '13:00');
+        const clobbered = await saveMood('2024-03-15', '😊', 'oops', null, { id: entry.id });
+        assert.deepEqual(clobbered.revisions.map(r => r.note), ['Went for a run']);
+    });
+
+    test('keep the most recent revisions only', async () => {
+        setClock('2024-03-01', '09:00');
+        let entry = await saveMood('2024-03-01', '😊', 'v0');
+        for (let i = 1; i <= MAX_REVISIONS + 2; i++) {
+            setClock(`2024-03-${String(i + 1).padStart(2, '0')}`, '09:00');
+            entry = await saveMood('2024-03-01', '😊', `v${i}`, null, { id: entry.id });
+        }
+
+        assert.equal(entry.revisions.length, MAX_REVISIONS);
+        assert.equal(entry.revisions[0].note, 'v2');
+        assert.equal(entry.revisions[MAX_REVISIONS - 1].note, `v${MAX_REVISIONS + 1}`);
+    });
+});
+
+describe('change events', () => {
+    test('carry the replaced versions and the named action', async () => {
+        const entry = await saveMood('2024-03-15', '😊', 'before');
+        const changes = [];
+        const stop = onEntriesChanged(change => changes.push(change));
+
+        await saveMood('2024-03-15', '😢', 'after', null, { id: entry.id, action: 'save' });
+        await deleteEntry(entry.id, { action: 'delete' });
+        stop();
+
+        assert.equal(changes[0].action, 'save');
+        assert.equal(changes[0].previous[0].note, 'before');
+        assert.equal(changes[1].action, 'delete');
+        assert.deepEqual(changes[1].deleted, [entry.id]);
+        assert.equal(changes[1].previous[0].note, 'after');
+    });
+
+    test('restoreEntries puts entries back as they were', async () => {
+        const kept = await saveMood('2024-03-15', '😊', 'kept');
+        const removed = await saveMood('2024-03-16', '😢');
+        const changes = [];
+        const stop = onEntriesChanged(change => changes.push(change));
+
+        await restoreEntries([{ ...kept, note: 'restored' }], [removed.id]);
+        stop();
+
+        assert.deepEqual((await getAllMoods()).map(m => m.note), ['restored']);
+        assert.equal((await getEntry(kept.id)).timestamp, kept.timestamp);
+        assert.equal(changes[0].action, null);
+    });
+});
+
+describe('reading check-ins', () => {
+    test('getAllMoods returns newest first by date, then time', async () => {
+        await saveMood('2024-03-14', '😊', '', null, { time: '20:00' });
+        await saveMood('2024-03-15', '😢', '', null, { time: '08:00' });
+        await saveMood('2024-03-15', '😠', '', null, { time: '18:00' });
+
+        const moods = await getAllMoods();
+        assert.deepEqual(moods.map(m => `${m.date} ${m.time}`), [
+            '2024-03-15 18:00',
+            '2024-03-15 08:00',
+            '2024-03-14 20:00'
+        ]);
+    });
+
+    test('getMoodsForMonth only returns that month', async () => {
+        await saveMood('2024-02-29', '😊');
+        await saveMood('2024-03-01', '😢');
+        await saveMood('2024-03-31', '😐');
+        await saveMood('2024-04-01', '😠');
+
+        const march = await getMoodsForMonth(2024, 2);
+        assert.deepEqual(march.map(m => m.date), ['2024-03-31', '2024-03-01']);
+    });
+
+    test('getMood returns null for an empty day', async () => {
+        assert.equal(await getMood('2024-03-15'), null);
+        assert.equal(await getEntry(null), null);
+    });
+});
+
+describe('deleting check-ins', () => {
+    test('deleteEntry removes a single check-in', async () => {
+        const morning = await saveMood('2024-03-15', '😊', '', null, { time: '09:00' });
+        await saveMood('2024-03-15', '😢', '', null, { time: '20:00' });
+
+        await deleteEntry(morning.id);
+
+        const entries = await getEntriesForDate('2024-03-15');
+        assert.deepEqual(entries.map(e => e.emoji), ['😢']);
+    });
+
+    test('deleteMood removes every check-in on a date', async () => {
+        await saveMood('2024-03-15', '😊', '', null, { time: '09:00' });
+        await saveMood('2024-03-15', '😢', '', null, { time: '20:00' });
+        await saveMood('2024-03-16', '😐');
+
+        await deleteMood('2024-03-15');
+
+        assert.deepEqual((await getAllMoods()).map(m => m.date), ['2024-03-16']);
+    });
+
+    test('clearAll removes everything', async () => {
+        await saveMood('2024-03-15', '😊');
+        await clearAll();
+        assert.deepEqual(await getAllMoods(), []);
+    });
+});
+
+describe('bulk changes', () => {
+    test('putEntries upgrades entries without IDs or times', async () => {
+        await putEntries([{ date: '2024-03-15', emoji: '😊', note: 'old format', timestamp: '2024-03-15T12:00:00.000Z' }]);
+
+        const [entry] = await getAllMoods();
+        assert.ok(entry.id);
+        assert.match(entry.time, /^\d{2}:\d{2}$/);
+        assert.deepEqual(entry.tags, []);
+        assert.equal(entry.createdAt, '2024-03-15T12:00:00.000Z');
+    });
+
+    test('putEntries overwrites entries with the same ID', async () => {
+        const entry = await saveMood('2024-03-15', '😊', 'before');
+        await putEntries([{ ...entry, note: 'after' }]);
+
+        const moods = await getAllMoods();
+        assert.equal(moods.length, 1);
+        assert.equal(moods[0].note, 'after');
+    });
+
+    test('remapEmoji and countEntriesWithEmoji', async () => {
+        await saveMood('2024-03-14', '🦄');
+        await saveMood('2024-03-15', '🦄');
+        await saveMood('2024-03-16', '😊');
+
+        assert.equal(await countEntriesWithEmoji('🦄'), 2);
+        assert.equal(await remapEmoji('🦄', '😐'), 2);
+        assert.equal(await countEntriesWithEmoji('🦄'), 0);
+        assert.equal(await countEntriesWithEmoji('😐'), 2);
+    });
+});
+
+describe('legacy data', () => {
+    test('entries from the old localStorage format get IDs once', async () => {
+        localStorage.setItem('moodpad_moods', JSON.stringify([
+            { date: '2024-03-15', emoji: '😊', note: 'hi', timestamp: '2024-03-15T12:00:00.000Z' }
+        ]));
+
+        const [first] = await getAllMoods();
+        const [second] = await getAllMoods();
+        assert.ok(first.id);
+        assert.equal(second.id, first.id);
+    });
+});
@@ -0,0 +1,147 @@
+import { resetEnvironment, addElement } from './helpers/environment.js';
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initStorage, saveMood, getAllMoods } from '../js/storage.js';
+import { initHistory, undo } from '../js/history.js';
+import {
+    normalizeTag,
+    countTags,
+    completeTag,
+    suggestTags,
+    getTagInfo,
+    updateTagInfo,
+    getTagCategories
+} from '../js/tags.js';
+import { renameTag, deleteTag, renderTagsSection, takeDraftTags } from '../js/features.js';
+
+const TAG_COUNTS = [
+    { tag: 'work', count: 9 },
+    { tag: 'homework', count: 4 },
+    { tag: 'workout', count: 2 },
+    { tag: 'family', count: 1 }
+];
+
+beforeEach(async () => {
+    resetEnvironment();
+    await initStorage();
+    initHistory();
+});
+
+describe('tag spelling', () => {
+    test('strip #, lowercase and join words with dashes', () => {
+        assert.equal(normalizeTag('  #Morning Run '), 'morning-run');
+        assert.equal(normalizeTag('##'), '');
+        assert.equal(normalizeTag('x'.repeat(40)).length, 32);
+    });
+});
+
+describe('tag colors and categories', () => {
+    test('store colors and categories and list categories in use', () => {
+        updateTagInfo('work', { color: '#ff0000', category: ' Life ' });
+        updateTagInfo('gym', { category: 'Health' });
+
+        assert.deepEqual(getTagInfo('work'), { color: '#ff0000', category: 'Life' });
+        assert.deepEqual(getTagInfo('unknown'), { color: null, category: null });
+        assert.deepEqual(getTagCategories(), ['Health', 'Life']);
+
+        updateTagInfo('gym', { category: '' });
+        assert.deepEqual(getTagCategories(), ['Life']);
+        assert.equal(localStorage.getItem('moodpad_tags').includes('gym'), false);
+    });
+
+    test('reject colors that are not #rrggbb', () => {
+        assert.throws(() => updateTagInfo('work', { color: 'red' }), /#rrggbb/);
+    });
+});
+
+describe('autocomplete and suggestions', () => {
+    test('complete from the start of tags first, then anywhere in them', () => {
+        assert.deepEqual(completeTag('wo', TAG_COUNTS), ['work', 'workout', 'homework']);
+        assert.deepEqual(completeTag('#WORK', TAG_COUNTS, ['work']), ['workout', 'homework']);
+        assert.deepEqual(completeTag(' ', TAG_COUNTS), []);
+    });
+
+    test('count tags, most used first', () => {
+        const moods = [{ tags: ['b', 'a'] }, { tags: ['a'] }, { tags: ['c'] }, {}];
+        assert.deepEqual(countTags(moods), [
+            { tag: 'a', count: 2 }, { tag: 'b', count: 1 }, { tag: 'c', count: 1 }
+        ]);
+    });
+
+    test('suggest tags used with the same mood and weekday first', () => {
+        const moods = [
+            // Often used, but a month ago and with other moods
+            { date: '2024-02-13', emoji: '😊', tags: ['work'] },
+            { date: '2024-02-14', emoji: '😊', tags: ['work'] },
+            { date: '2024-02-15', emoji: '😊', tags: ['work'] },
+            // Used when sad
+            { date: '2024-03-05', emoji: '😢', tags: ['tired'] },
+            // Used last Monday
+            { date: '2024-03-04', emoji: '😊', tags: ['commute'] }
+        ];
+
+        // Monday 2024-03-11
+        const sad = suggestTags(moods, { emoji: '😢', date: '2024-03-11' });
+        assert.deepEqual(sad.map(s => s.tag), ['tired', 'commute', 'work']);
+
+        const noMoodYet = suggestTags(moods, { date: '2024-03-11', exclude: ['commute'] }, 2);
+        assert.deepEqual(noMoodYet, [{ tag: 'work', count: 3 }, { tag: 'tired', count: 1 }]);
+    });
+});
+
+describe('renaming, merging and deleting tags', () => {
+    test('rename a tag everywhere, keeping its color', async () => {
+        await saveMood('2024-03-01', '😊', '', ['wrok', 'gym']);
+        await saveMood('2024-03-02', '😊', '', ['wrok']);
+        updateTagInfo('wrok', { color: '#00ff00' });
+
+        assert.deepEqual(await renameTag('wrok', '#Work'), { to: 'work', merged: false, count: 2 });
+        assert.deepEqual(countTags(await getAllMoods()), [{ tag: 'work', count: 2 }, { tag: 'gym', count: 1 }]);
+        assert.equal(getTagInfo('work').color, '#00ff00');
+        assert.equal(getTagInfo('wrok').color, null);
+    });
+
+    test('merge into an existing tag without duplicates, and undo it', async () => {
+        await saveMood('2024-03-01', '😊', '', ['wrok', 'work']);
+        await saveMood('2024-03-02', '😊', '', ['work']);
+
+        assert.deepEqual(await renameTag('wrok', 'work'), { to: 'work', merged: true, count: 1 });
+        assert.deepEqual(countTags(await getAllMoods()), [{ tag: 'work', count: 2 }]);
+
+        assert.equal(await undo(), 'tag-merge');
+        assert.deepEqual(countTags(await getAllMoods()).map(t => t.tag), ['work', 'wrok']);
+    });
+
+    test('reject empty or unchanged names', async () => {
+        await assert.rejects(() => renameTag('work', ' # '), /Enter a new name/);
+        await assert.rejects(() => renameTag('work', 'WORK'), /already called/);
+    });
+
+    test('delete a tag from every check-in', async () => {
+        await saveMood('2024-03-01', '😊', '', ['work', 'gym']);
+        updateTagInfo('work', { category: 'Life' });
+
+        assert.equal(await deleteTag('work'), 1);
+        assert.deepEqual((await getAllMoods())[0].tags, ['gym']);
+        assert.deepEqual(getTagCategories(), []);
+    });
+});
+
+describe('tags section', () => {
+    test('escape tags in the markup', async () => {
+        const entry = await saveMood('2024-03-01', '😊', '', ['<b>"x"</b>']);
+        const container = addElement('tagsContainer');
+
+        await renderTagsSection('tagsContainer', entry.id);
+
+        assert.match(container.innerHTML, /data-tag="&lt;b&gt;&quot;x&quot;&lt;\/b&gt;"/);
+        assert.doesNotMatch(container.innerHTML, /<b>/);
+    });
+
+    test('start without draft tags', async () => {
+        await renderTagsSection('tagsContainer', null, { date: '2024-03-01' });
+        assert.deepEqual(takeDraftTags(), []);
+    });
+});